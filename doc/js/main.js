@@ -7,9 +7,10 @@ requirejs.config({
 
 define([
     'underscore',
-    'transition.min',
-    'bezier.calc'
-], function(_, transition, BezierCalc) {
+    'transition.min'
+], function(_, transition) {
+
+    var BezierCalc = transition.bezier;
 
     function Demos() {
         this.el = document.querySelector(".demos");
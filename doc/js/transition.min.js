@@ -1,4 +1,7 @@
-!function(t,e){"object"==typeof exports&&"object"==typeof module?module.exports=e():"function"==typeof define&&define.amd?define([],e):"object"==typeof exports?exports.transition=e():t.transition=e()}(this,function(){return function(t){function e(r){if(n[r])return n[r].exports;var i=n[r]={exports:{},id:r,loaded:!1};return t[r].call(i.exports,i,i.exports,e),i.loaded=!0,i.exports}var n={};return e.m=t,e.c=n,e.p="",e(0)}([function(t,e,n){"use strict";function r(){var t=void 0,e=void 0,n=null,r=null,i=!1;if(1===arguments.length?o.isString(arguments[0])?r=arguments[0].split(" "):o.isArray(arguments[0])?r=arguments[0]:n=arguments[0]:r=arguments,n)this.property=n.property,this.from=n.from,this.to=n.to,this.duration=o.isString(n.duration)&&s.test(n.duration)?n.duration:null,this.delay=o.isString(n.delay)&&s.test(n.delay)?n.delay:null,this.timingFunction=o.isString(n.timingFunction)?n.timingFunction:null,this.onTransitionEnd=o.isFunction(n.onTransitionEnd)?n.onTransitionEnd:null,this.beginFromCurrentValue=o.isBoolean(n.beginFromCurrentValue)?n.beginFromCurrentValue:null;else{if(!(r.length>=3))throw"[TransitionProperty] Invalid number of arguments.";for(this.property=r[0],this.from=r[1],this.to=r[2],this.duration=null,this.delay=null,this.timingFunction=null,this.onTransitionEnd=null,this.beginFromCurrentValue=null,t=3;t<r.length;t++)e=r[t],o.isString(e)?s.test(e)?i?this.delay=e:(i=!0,this.duration=e):this.timingFunction=e:o.isFunction(e)&&(this.onTransitionEnd=e)}this.domProperty=o.supportedCssProperty(this.property),this.cssProperty=o.domToCSS(this.domProperty)}function i(t,e){if(!t)throw"Transition: 'properties' is a required parameter";e=o.defaults(e||{},i.defaultOptions),this.properties=t,this.duration=e.duration,this.delay=e.delay,this.timingFunction=e.timingFunction,this.onTransitionEnd=e.onTransitionEnd,this.resolve=null,this.reject=null,this.onBeforeChangeStyle=e.onBeforeChangeStyle,this.onAfterChangeStyle=e.onAfterChangeStyle,this.beginFromCurrentValue=!!o.isBoolean(e.beginFromCurrentValue)&&e.beginFromCurrentValue,this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],this.transitioningPropertyNames=[],this.transitioningProperties=[],this.allPropertiesWereFinished=!0}var o=n(1);"undefined"==typeof Promise&&(Promise=n(2));var s=/[-+]?\d+(?:.\d+)?(?:s|ms)/i,a=/\s*,\s*/,c=/(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;i.defaultOptions={duration:"400ms",delay:"0s",timingFunction:"ease",onTransitionEnd:null,onBeforeChangeStyle:null,onAfterChangeStyle:null},i.property=function(t){return new r(t)},i.begin=function(t,e,n){var s=void 0,a=void 0,c=void 0,u=[];if(e.hasOwnProperty("properties")&&(n=e,e=e.properties),o.isString(e))u.push(new r(e));else if(o.isArray(e))if(o.isString(e[0])&&e[0].indexOf(" ")===-1)u.push(new r(e));else for(a=0;a<e.length;a++)c=e[a],!o.isArray(c)&&c instanceof r||(c=new r(c)),u.push(c);else if("property"in e)c=new r(e),u.push(c);else for(c in e)e.hasOwnProperty(c)&&(o.isArray(e[c])?(c=[c].concat(e[c]),c=new r(c)):(c=o.defaults({property:c},e[c]),c=new r(c)),u.push(c));return s=new i(u,n),s.beginTransition(t),{promise:new Promise(function(t,e){s.resolve=t,s.reject=e}),pause:function(){s.pause()},remove:function(){s.remove()}}},i.getElementTransitionValues=function(t){var e=void 0,n=void 0,r=void 0,i=void 0,s=void 0,u=[],l=[],p=[],h=[],f=void 0,d=void 0,_=void 0,v=void 0,y=void 0;if(n=t.style[o.transitionProperty]){if(r=t.style[o.transitionDuration],i=t.style[o.transitionDelay],s=t.style[o.transitionTimingFunction],u=n.split(a),l=r?r.split(a):["0s"],p=i?i.split(a):["0s"],s)for(h=[];f=null!==c.exec(s);)h.push(f[1]);else h=["ease"];for(d=u.length,_=l.length,v=p.length,y=h.length,e=0;e<d;e++)_<=e&&l.push(l[e%_]),v<=e&&p.push(p[e%v]),y<=e&&h.push(h[e%y])}return{cssProperties:u,durations:l,delays:p,timingFunctions:h}},i.setElementTransitionValues=function(t,e){t.style[o.transitionProperty]=e.cssProperties.join(", "),t.style[o.transitionDuration]=e.durations.join(", "),t.style[o.transitionDelay]=e.delays.join(", "),t.style[o.transitionTimingFunction]=e.timingFunctions.join(", ")},i.prototype={constructor:i,beginTransition:function(t){var e=void 0,n=void 0;for(this.finishTransitioningPropertiesIfExist(t),e=0;e<this.properties.length;e++)n=this.properties[e],o.isString(n.from)||o.isNumber(n.from)||(n.from=window.getComputedStyle(t,null).getPropertyValue(n.cssProperty));for(e=0;e<this.properties.length;e++)n=this.properties[e],n.from==n.to?(t.style[n.domProperty]=n.to,this.executeOnTransitionEndForProperty(n,t,!0)):(t.style[n.domProperty]=n.from,this.toBeTransitionedPropertyNames.push(n.cssProperty),this.toBeTransitionedProperties.push(n));return o.isFunction(this.onBeforeChangeStyle)&&this.onBeforeChangeStyle(t),0===this.toBeTransitionedProperties.length?(o.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),void this.executeOnTransitionEnd(t,!0)):(t.offsetHeight,this.addTransitionEndListener(t),void o.executeInNextEventLoop(function(){var e=void 0,n=void 0,r=void 0;if(0!==this.toBeTransitionedProperties.length){for(e=i.getElementTransitionValues(t),n=0;n<this.toBeTransitionedProperties.length;n++)r=this.toBeTransitionedProperties[n],e.cssProperties.push(r.cssProperty),e.durations.push(r.duration||this.duration),e.delays.push(r.delay||this.delay),e.timingFunctions.push(r.timingFunction||this.timingFunction);for(this.transitioningPropertyNames=this.toBeTransitionedPropertyNames,this.transitioningProperties=this.toBeTransitionedProperties,this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],i.setElementTransitionValues(t,e),n=0;n<this.transitioningProperties.length;n++)r=this.transitioningProperties[n],t.style[r.domProperty]=r.to;o.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t)}},this))},pause:function(){},remove:function(){},handleEvent:function(t){t.target===t.currentTarget&&this.hasTransitioningProperty(t.propertyName)&&this.finishTransitioningProperty(t.currentTarget,t.propertyName)},hasTransitioningProperty:function(t){return this.transitioningPropertyNames.indexOf(t)>=0},removeTransitioningProperty:function(t){var e=void 0;if(e=this.transitioningPropertyNames.indexOf(t),e<0)throw"[Transition.removeTransitioningProperty]: Transition does not have transitioning property '"+t+"'";this.transitioningPropertyNames.splice(e,1),this.transitioningProperties.splice(e,1)},hasToBeTransitionedProperty:function(t){return this.toBeTransitionedPropertyNames.indexOf(t)>=0},removeToBeTransitionedProperty:function(t){var e=void 0;if(e=this.toBeTransitionedPropertyNames.indexOf(t),e<0)throw"[Transition.removeToBeTransitionedProperty]: Transition does not have toBeTransitionedProperty '"+t+"'";this.toBeTransitionedPropertyNames.splice(e,1),this.toBeTransitionedProperties.splice(e,1)},getPropertyByPropertyName:function(t){var e=void 0;for(e=0;e<this.properties.length;e++)if(this.properties[e].cssProperty===t)return this.properties[e];throw"[Transition.getPropertyByPropertyName]: Transition does not have property '"+t+"'"},finishTransitioningProperty:function(t,e){var n=void 0,r=void 0,o=void 0;if(this.removeTransitioningProperty(e),r=i.getElementTransitionValues(t),n=r.cssProperties.indexOf(e),n<0)throw"[Transition.finishTransitioningProperty]: Did not find transitionProperty '"+e+"'";r.cssProperties.splice(n,1),r.durations.splice(n,1),r.delays.splice(n,1),r.timingFunctions.splice(n,1),i.setElementTransitionValues(t,r),o=this.getPropertyByPropertyName(e),this.executeOnTransitionEndForProperty(o,t,!0),0===this.transitioningProperties.length&&this.removeTransitionEndListener(t,!1)},finishTransitioningPropertiesIfExist:function(t){var e=void 0,n=void 0,r=void 0,o=void 0,s=void 0,a=void 0,c=void 0,u=!1;if(t.hasOwnProperty("_transitions")&&0!==t._transitions.length){for(r=i.getElementTransitionValues(t),o=t._transitions.slice(),e=0;e<o.length;e++){for(s=o[e],a=[],c=[],n=0;n<this.properties.length;n++)s.hasTransitioningProperty(this.properties[n].cssProperty)?a.push(this.properties[n]):s.hasToBeTransitionedProperty(this.properties[n].cssProperty)&&c.push(this.properties[n]);a.length?(u=!0,s.allPropertiesWereFinished=!1,s.finishTransitioningProperties(t,a,r,this.beginFromCurrentValue)):c.length&&(s.allPropertiesWereFinished=!1,s.finishToBeTransitionedProperties(t,c,this.beginFromCurrentValue))}u&&i.setElementTransitionValues(t,r)}},finishTransitioningProperties:function(t,e,n,r){var i=void 0,o=void 0,s=void 0,a=void 0,c=void 0;for(i=0;i<e.length;i++){if(s=e[i],c=s.cssProperty,this.removeTransitioningProperty(c),this.updateFromToCurrentValueIfNeeded(t,s,r),o=n.cssProperties.indexOf(c),o<0)throw"[Transition.finishTransitioningProperties]: Did not find transitionProperty '"+c+"'";n.cssProperties.splice(o,1),n.durations.splice(o,1),n.delays.splice(o,1),n.timingFunctions.splice(o,1),a=this.getPropertyByPropertyName(c),this.executeOnTransitionEndForProperty(a,t,!1)}0===this.transitioningProperties.length&&this.removeTransitionEndListener(t,!0)},finishToBeTransitionedProperties:function(t,e,n){var r=void 0,i=void 0,s=void 0,a=void 0;for(r=0;r<e.length;r++)i=e[r],a=i.cssProperty,this.removeToBeTransitionedProperty(a),this.updateFromToCurrentValueIfNeeded(t,i,n),s=this.getPropertyByPropertyName(a),this.executeOnTransitionEndForProperty(s,t,!1);0===this.toBeTransitionedProperties.length&&(o.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),this.removeTransitionEndListener(t,!0))},updateFromToCurrentValueIfNeeded:function(t,e,n){var r=o.isBoolean(e.beginFromCurrentValue);(r&&e.beginFromCurrentValue||!r&&n)&&(e.from=window.getComputedStyle(t,null).getPropertyValue(e.cssProperty))},addTransitionEndListener:function(t){t.hasOwnProperty("_transitions")||(t._transitions=[]),t._transitions.push(this),t.addEventListener(o.transitionEndEvent,this,!1)},removeTransitionEndListener:function(t,e){var n=void 0;if(!t.hasOwnProperty("_transitions"))throw"element does not have own _transitions property";if(n=t._transitions.indexOf(this),n<0)throw"Can't remove non existing transition from an element";t._transitions.splice(n,1),t.removeEventListener(o.transitionEndEvent,this,!1),this.executeOnTransitionEnd(t,e)},executeOnTransitionEndForProperty:function(t,e,n){var r=void 0;o.isFunction(t.onTransitionEnd)&&(r=t.onTransitionEnd,o.executeInNextEventLoop(function(){r(e,n)}))},executeOnTransitionEnd:function(t,e){var n=void 0;o.isFunction(this.onTransitionEnd)&&(n=this.onTransitionEnd,e?o.executeInNextEventLoop(function(){n(t,this.allPropertiesWereFinished)},this):n(t,this.allPropertiesWereFinished)),this.resolve(this.allPropertiesWereFinished)}},t.exports={TransitionProperty:r,property:i.property,transition:i.begin,begin:i.begin}},function(t,e){"use strict";function n(t){return"-"+t.toLowerCase()}function r(){var t=void 0,e=u.slice(),n=void 0,r=void 0;for(u=[],t=0;t<e.length;t++)n=e[t],r=n.func,n.context?r.apply(n.context):r()}var i="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},o=/[A-Z]/g,s=/^[A-Z]/,a=/-([a-z])/g,c=/^ms-/,u=[],l={},p={WebkitTransition:"webkitTransitionEnd",MozTransition:"transitionend",OTransition:"oTransitionEnd",msTransition:"MSTransitionEnd",transition:"transitionend"},h=function(){var t=document.createElement("div"),e=["Webkit","Moz","O","ms","Khtml"],n=/^[a-z]/,r=e.length;return function(i){var o=void 0,s=void 0,a=void 0;if(l.hasOwnProperty(i))return l[i];if("undefined"!=typeof t.style[i])return l[i]=i,i;for(a=i.replace(n,function(t){return t.toUpperCase()}),o=0;o<r;o++)if(s=e[o]+a,"undefined"!=typeof t.style[s])return l[i]=s,s;return null}}(),f=null!==h("transition"),d=h("transitionProperty"),_=h("transitionDuration"),v=h("transitionDelay"),y=h("transitionTimingFunction"),m=p[h("transition")];t.exports={supportedCssProperty:h,hasTransition:f,transitionProperty:d,transitionDuration:_,transitionDelay:v,transitionTimingFunction:y,transitionEndEvent:m,camelCaseToDashes:function(t){return t.replace(o,n)},domToCSS:function(t){return t.replace(o,function(t){return"-"+t.toLowerCase()}).replace(c,"-ms-")},cssToDOM:function(t){return t.replace(a,function(t,e){return e.toUpperCase()}).replace(s,function(t){return t.toLowerCase()})},requestAnimationFrame:function(t,e){return window.requestAnimationFrame(function(n){e?t.apply(e,[n]):t(n)},null)},executeInNextEventLoop:function(t,e){0===u.length&&window.setTimeout(r,0),u.push({func:t,context:e})},extend:function(t){if(!this.isObject(t))return t;for(var e=void 0,n=void 0,r=1,i=arguments.length;r<i;r++){e=arguments[r];for(n in e)e.hasOwnProperty(n)&&(t[n]=e[n])}return t},defaults:function(t){if(!this.isObject(t))return t;for(var e=1,n=arguments.length;e<n;e++){var r=arguments[e];for(var i in r)r.hasOwnProperty(i)&&void 0===t[i]&&(t[i]=r[i])}return t},isObject:function(t){var e="undefined"==typeof t?"undefined":i(t);return"function"===e||"object"===e&&!!t},isFunction:function(t){return"function"==typeof t},isString:function(t){return"string"==typeof t},isNumber:function(t){return"number"==typeof t},isBoolean:function(t){return"boolean"==typeof t},isArray:Array.isArray||function(t){return"[object Array]"===Object.prototype.toString.call(t)}}},function(t,e,n){(function(e,n,r){!function(e){t.exports=e()}(function(){var t,i,o;return function t(e,n,r){function i(s,a){if(!n[s]){if(!e[s]){var c="function"==typeof _dereq_&&_dereq_;if(!a&&c)return c(s,!0);if(o)return o(s,!0);var u=new Error("Cannot find module '"+s+"'");throw u.code="MODULE_NOT_FOUND",u}var l=n[s]={exports:{}};e[s][0].call(l.exports,function(t){var n=e[s][1][t];return i(n?n:t)},l,l.exports,t,e,n,r)}return n[s].exports}for(var o="function"==typeof _dereq_&&_dereq_,s=0;s<r.length;s++)i(r[s]);return i}({1:[function(t,e,n){"use strict";e.exports=function(t){function e(t){var e=new n(t),r=e.promise();return e.setHowMany(1),e.setUnwrap(),e.init(),r}var n=t._SomePromiseArray;t.any=function(t){return e(t)},t.prototype.any=function(){return e(this)}}},{}],2:[function(t,n,r){"use strict";function i(){this._customScheduler=!1,this._isTickUsed=!1,this._lateQueue=new l(16),this._normalQueue=new l(16),this._haveDrainedQueues=!1,this._trampolineEnabled=!0;var t=this;this.drainQueues=function(){t._drainQueues()},this._schedule=u}function o(t,e,n){this._lateQueue.push(t,e,n),this._queueTick()}function s(t,e,n){this._normalQueue.push(t,e,n),this._queueTick()}function a(t){this._normalQueue._pushOne(t),this._queueTick()}var c;try{throw new Error}catch(t){c=t}var u=t("./schedule"),l=t("./queue"),p=t("./util");i.prototype.setScheduler=function(t){var e=this._schedule;return this._schedule=t,this._customScheduler=!0,e},i.prototype.hasCustomScheduler=function(){return this._customScheduler},i.prototype.enableTrampoline=function(){this._trampolineEnabled=!0},i.prototype.disableTrampolineIfNecessary=function(){p.hasDevTools&&(this._trampolineEnabled=!1)},i.prototype.haveItemsQueued=function(){return this._isTickUsed||this._haveDrainedQueues},i.prototype.fatalError=function(t,n){n?(e.stderr.write("Fatal "+(t instanceof Error?t.stack:t)+"\n"),e.exit(2)):this.throwLater(t)},i.prototype.throwLater=function(t,e){if(1===arguments.length&&(e=t,t=function(){throw e}),"undefined"!=typeof setTimeout)setTimeout(function(){t(e)},0);else try{this._schedule(function(){t(e)})}catch(t){throw new Error("No async scheduler available\n\n    See http://goo.gl/MqrFmX\n")}},p.hasDevTools?(i.prototype.invokeLater=function(t,e,n){this._trampolineEnabled?o.call(this,t,e,n):this._schedule(function(){setTimeout(function(){t.call(e,n)},100)})},i.prototype.invoke=function(t,e,n){this._trampolineEnabled?s.call(this,t,e,n):this._schedule(function(){t.call(e,n)})},i.prototype.settlePromises=function(t){this._trampolineEnabled?a.call(this,t):this._schedule(function(){t._settlePromises()})}):(i.prototype.invokeLater=o,i.prototype.invoke=s,i.prototype.settlePromises=a),i.prototype._drainQueue=function(t){for(;t.length()>0;){var e=t.shift();if("function"==typeof e){var n=t.shift(),r=t.shift();e.call(n,r)}else e._settlePromises()}},i.prototype._drainQueues=function(){this._drainQueue(this._normalQueue),this._reset(),this._haveDrainedQueues=!0,this._drainQueue(this._lateQueue)},i.prototype._queueTick=function(){this._isTickUsed||(this._isTickUsed=!0,this._schedule(this.drainQueues))},i.prototype._reset=function(){this._isTickUsed=!1},n.exports=i,n.exports.firstLineError=c},{"./queue":26,"./schedule":29,"./util":36}],3:[function(t,e,n){"use strict";e.exports=function(t,e,n,r){var i=!1,o=function(t,e){this._reject(e)},s=function(t,e){e.promiseRejectionQueued=!0,e.bindingPromise._then(o,o,null,this,t)},a=function(t,e){0===(50397184&this._bitField)&&this._resolveCallback(e.target)},c=function(t,e){e.promiseRejectionQueued||this._reject(t)};t.prototype.bind=function(o){i||(i=!0,t.prototype._propagateFrom=r.propagateFromFunction(),t.prototype._boundValue=r.boundValueFunction());var u=n(o),l=new t(e);l._propagateFrom(this,1);var p=this._target();if(l._setBoundTo(u),u instanceof t){var h={promiseRejectionQueued:!1,promise:l,target:p,bindingPromise:u};p._then(e,s,void 0,l,h),u._then(a,c,void 0,l,h),l._setOnCancel(u)}else l._resolveCallback(p);return l},t.prototype._setBoundTo=function(t){void 0!==t?(this._bitField=2097152|this._bitField,this._boundTo=t):this._bitField=this._bitField&-2097153},t.prototype._isBound=function(){return 2097152===(2097152&this._bitField)},t.bind=function(e,n){return t.resolve(n).bind(e)}}},{}],4:[function(t,e,n){"use strict";function r(){try{Promise===o&&(Promise=i)}catch(t){}return o}var i;"undefined"!=typeof Promise&&(i=Promise);var o=t("./promise")();o.noConflict=r,e.exports=o},{"./promise":22}],5:[function(t,e,n){"use strict";var r=Object.create;if(r){var i=r(null),o=r(null);i[" size"]=o[" size"]=0}e.exports=function(e){function n(t,n){var r;if(null!=t&&(r=t[n]),"function"!=typeof r){var i="Object "+a.classString(t)+" has no method '"+a.toString(n)+"'";throw new e.TypeError(i)}return r}function r(t){var e=this.pop(),r=n(t,e);return r.apply(t,this)}function i(t){return t[this]}function o(t){var e=+this;return e<0&&(e=Math.max(0,e+t.length)),t[e]}var s,a=t("./util"),c=a.canEvaluate;a.isIdentifier;e.prototype.call=function(t){var e=[].slice.call(arguments,1);return e.push(t),this._then(r,void 0,void 0,e,void 0)},e.prototype.get=function(t){var e,n="number"==typeof t;if(n)e=o;else if(c){var r=s(t);e=null!==r?r:i}else e=i;return this._then(e,void 0,void 0,t,void 0)}}},{"./util":36}],6:[function(t,e,n){"use strict";e.exports=function(e,n,r,i){var o=t("./util"),s=o.tryCatch,a=o.errorObj,c=e._async;e.prototype.break=e.prototype.cancel=function(){if(!i.cancellation())return this._warn("cancellation is disabled");for(var t=this,e=t;t._isCancellable();){if(!t._cancelBy(e)){e._isFollowing()?e._followee().cancel():e._cancelBranched();break}var n=t._cancellationParent;if(null==n||!n._isCancellable()){t._isFollowing()?t._followee().cancel():t._cancelBranched();break}t._isFollowing()&&t._followee().cancel(),t._setWillBeCancelled(),e=t,t=n}},e.prototype._branchHasCancelled=function(){this._branchesRemainingToCancel--},e.prototype._enoughBranchesHaveCancelled=function(){return void 0===this._branchesRemainingToCancel||this._branchesRemainingToCancel<=0},e.prototype._cancelBy=function(t){return t===this?(this._branchesRemainingToCancel=0,this._invokeOnCancel(),!0):(this._branchHasCancelled(),!!this._enoughBranchesHaveCancelled()&&(this._invokeOnCancel(),!0))},e.prototype._cancelBranched=function(){this._enoughBranchesHaveCancelled()&&this._cancel()},e.prototype._cancel=function(){this._isCancellable()&&(this._setCancelled(),c.invoke(this._cancelPromises,this,void 0))},e.prototype._cancelPromises=function(){this._length()>0&&this._settlePromises()},e.prototype._unsetOnCancel=function(){this._onCancelField=void 0},e.prototype._isCancellable=function(){return this.isPending()&&!this._isCancelled()},e.prototype.isCancellable=function(){return this.isPending()&&!this.isCancelled()},e.prototype._doInvokeOnCancel=function(t,e){if(o.isArray(t))for(var n=0;n<t.length;++n)this._doInvokeOnCancel(t[n],e);else if(void 0!==t)if("function"==typeof t){if(!e){var r=s(t).call(this._boundValue());r===a&&(this._attachExtraTrace(r.e),c.throwLater(r.e))}}else t._resultCancelled(this)},e.prototype._invokeOnCancel=function(){var t=this._onCancel();this._unsetOnCancel(),c.invoke(this._doInvokeOnCancel,this,t)},e.prototype._invokeInternalOnCancel=function(){this._isCancellable()&&(this._doInvokeOnCancel(this._onCancel(),!0),this._unsetOnCancel())},e.prototype._resultCancelled=function(){this.cancel()}}},{"./util":36}],7:[function(t,e,n){"use strict";e.exports=function(e){function n(t,n,a){return function(c){var u=a._boundValue();t:for(var l=0;l<t.length;++l){var p=t[l];if(p===Error||null!=p&&p.prototype instanceof Error){if(c instanceof p)return o(n).call(u,c)}else if("function"==typeof p){var h=o(p).call(u,c);if(h===s)return h;if(h)return o(n).call(u,c)}else if(r.isObject(c)){for(var f=i(p),d=0;d<f.length;++d){var _=f[d];if(p[_]!=c[_])continue t}return o(n).call(u,c)}}return e}}var r=t("./util"),i=t("./es5").keys,o=r.tryCatch,s=r.errorObj;return n}},{"./es5":13,"./util":36}],8:[function(t,e,n){"use strict";e.exports=function(t){function e(){this._trace=new e.CapturedTrace(r())}function n(){if(i)return new e}function r(){var t=o.length-1;if(t>=0)return o[t]}var i=!1,o=[];return t.prototype._promiseCreated=function(){},t.prototype._pushContext=function(){},t.prototype._popContext=function(){return null},t._peekContext=t.prototype._peekContext=function(){},e.prototype._pushContext=function(){void 0!==this._trace&&(this._trace._promiseCreated=null,o.push(this._trace))},e.prototype._popContext=function(){if(void 0!==this._trace){var t=o.pop(),e=t._promiseCreated;return t._promiseCreated=null,e}return null},e.CapturedTrace=null,e.create=n,e.deactivateLongStackTraces=function(){},e.activateLongStackTraces=function(){var n=t.prototype._pushContext,o=t.prototype._popContext,s=t._peekContext,a=t.prototype._peekContext,c=t.prototype._promiseCreated;e.deactivateLongStackTraces=function(){t.prototype._pushContext=n,t.prototype._popContext=o,t._peekContext=s,t.prototype._peekContext=a,t.prototype._promiseCreated=c,i=!1},i=!0,t.prototype._pushContext=e.prototype._pushContext,t.prototype._popContext=e.prototype._popContext,t._peekContext=t.prototype._peekContext=r,t.prototype._promiseCreated=function(){var t=this._peekContext();t&&null==t._promiseCreated&&(t._promiseCreated=this)}},e}},{}],9:[function(t,n,r){"use strict";n.exports=function(n,r){function i(t,e){return{promise:e}}function o(){return!1}function s(t,e,n){var r=this;try{t(e,n,function(t){if("function"!=typeof t)throw new TypeError("onCancel must be a function, got: "+L.toString(t));r._attachCancellationCallback(t)})}catch(t){return t}}function a(t){if(!this._isCancellable())return this;var e=this._onCancel();void 0!==e?L.isArray(e)?e.push(t):this._setOnCancel([e,t]):this._setOnCancel(t)}function c(){return this._onCancelField}function u(t){this._onCancelField=t}function l(){this._cancellationParent=void 0,this._onCancelField=void 0}function p(t,e){if(0!==(1&e)){this._cancellationParent=t;var n=t._branchesRemainingToCancel;void 0===n&&(n=0),t._branchesRemainingToCancel=n+1}0!==(2&e)&&t._isBound()&&this._setBoundTo(t._boundTo)}function h(t,e){0!==(2&e)&&t._isBound()&&this._setBoundTo(t._boundTo)}function f(){var t=this._boundTo;return void 0!==t&&t instanceof n?t.isFulfilled()?t.value():void 0:t}function d(){this._trace=new R(this._peekContext())}function _(t,e){if(H(t)){var n=this._trace;if(void 0!==n&&e&&(n=n._parent),void 0!==n)n.attachExtraTrace(t);else if(!t.__stackCleaned__){var r=E(t);L.notEnumerableProp(t,"stack",r.message+"\n"+r.stack.join("\n")),L.notEnumerableProp(t,"__stackCleaned__",!0)}}}function v(t,e,n,r,i){if(void 0===t&&null!==e&&K){if(void 0!==i&&i._returnedNonUndefined())return;if(0===(65535&r._bitField))return;n&&(n+=" ");var o="",s="";if(e._trace){for(var a=e._trace.stack.split("\n"),c=C(a),u=c.length-1;u>=0;--u){var l=c[u];if(!M.test(l)){var p=l.match(q);p&&(o="at "+p[1]+":"+p[2]+":"+p[3]+" ");break}}if(c.length>0)for(var h=c[0],u=0;u<a.length;++u)if(a[u]===h){u>0&&(s="\n"+a[u-1]);break}}var f="a promise was created in a "+n+"handler "+o+"but was not returned from it, see http://goo.gl/rRqMUw"+s;r._warn(f,!0,e)}}function y(t,e){var n=t+" is deprecated and will be removed in a future version.";return e&&(n+=" Use "+e+" instead."),m(n)}function m(t,e,r){if(st.warnings){var i,o=new D(t);if(e)r._attachExtraTrace(o);else if(st.longStackTraces&&(i=n._peekContext()))i.attachExtraTrace(o);else{var s=E(o);o.stack=s.message+"\n"+s.stack.join("\n")}et("warning",o)||F(o,"",!0)}}function g(t,e){for(var n=0;n<e.length-1;++n)e[n].push("From previous event:"),e[n]=e[n].join("\n");return n<e.length&&(e[n]=e[n].join("\n")),t+"\n"+e.join("\n")}function b(t){for(var e=0;e<t.length;++e)(0===t[e].length||e+1<t.length&&t[e][0]===t[e+1][0])&&(t.splice(e,1),e--)}function w(t){for(var e=t[0],n=1;n<t.length;++n){for(var r=t[n],i=e.length-1,o=e[i],s=-1,a=r.length-1;a>=0;--a)if(r[a]===o){s=a;break}for(var a=s;a>=0;--a){var c=r[a];if(e[i]!==c)break;e.pop(),i--}e=r}}function C(t){for(var e=[],n=0;n<t.length;++n){var r=t[n],i="    (No stack trace)"===r||$.test(r),o=i&&rt(r);i&&!o&&(W&&" "!==r.charAt(0)&&(r="    "+r),e.push(r))}return e}function T(t){for(var e=t.stack.replace(/\s+$/g,"").split("\n"),n=0;n<e.length;++n){var r=e[n];if("    (No stack trace)"===r||$.test(r))break}return n>0&&"SyntaxError"!=t.name&&(e=e.slice(n)),e}function E(t){var e=t.stack,n=t.toString();return e="string"==typeof e&&e.length>0?T(t):["    (No stack trace)"],{message:n,stack:"SyntaxError"==t.name?e:C(e)}}function F(t,e,n){if("undefined"!=typeof console){var r;if(L.isObject(t)){var i=t.stack;r=e+Q(i,t)}else r=e+String(t);"function"==typeof B?B(r,n):"function"!=typeof console.log&&"object"!=typeof console.log||console.log(r)}}function P(t,e,n,r){var i=!1;try{"function"==typeof e&&(i=!0,"rejectionHandled"===t?e(r):e(n,r))}catch(t){N.throwLater(t)}"unhandledRejection"===t?et(t,n,r)||i||F(n,"Unhandled rejection "):et(t,r)}function j(t){var e;if("function"==typeof t)e="[function "+(t.name||"anonymous")+"]";else{e=t&&"function"==typeof t.toString?t.toString():L.toString(t);var n=/\[object [a-zA-Z0-9$_]+\]/;if(n.test(e))try{var r=JSON.stringify(t);e=r}catch(t){}0===e.length&&(e="(empty array)")}return"(<"+k(e)+">, no stack trace)"}function k(t){var e=41;return t.length<e?t:t.substr(0,e-3)+"..."}function x(){return"function"==typeof ot}function S(t){var e=t.match(it);if(e)return{fileName:e[1],line:parseInt(e[2],10)}}function O(t,e){if(x()){for(var n,r,i=t.stack.split("\n"),o=e.stack.split("\n"),s=-1,a=-1,c=0;c<i.length;++c){var u=S(i[c]);if(u){n=u.fileName,s=u.line;break}}for(var c=0;c<o.length;++c){var u=S(o[c]);if(u){r=u.fileName,a=u.line;break}}s<0||a<0||!n||!r||n!==r||s>=a||(rt=function(t){if(U.test(t))return!0;var e=S(t);return!!(e&&e.fileName===n&&s<=e.line&&e.line<=a)})}}function R(t){this._parent=t,this._promisesCreated=0;var e=this._length=1+(void 0===t?0:t._length);ot(this,R),e>32&&this.uncycle()}var A,V,B,I=n._getDomain,N=n._async,D=t("./errors").Warning,L=t("./util"),H=L.canAttachTrace,U=/[\\\/]bluebird[\\\/]js[\\\/](release|debug|instrumented)/,M=/\((?:timers\.js):\d+:\d+\)/,q=/[\/<\(](.+?):(\d+):(\d+)\)?\s*$/,$=null,Q=null,W=!1,z=!(0==L.env("BLUEBIRD_DEBUG")),G=!(0==L.env("BLUEBIRD_WARNINGS")||!z&&!L.env("BLUEBIRD_WARNINGS")),X=!(0==L.env("BLUEBIRD_LONG_STACK_TRACES")||!z&&!L.env("BLUEBIRD_LONG_STACK_TRACES")),K=0!=L.env("BLUEBIRD_W_FORGOTTEN_RETURN")&&(G||!!L.env("BLUEBIRD_W_FORGOTTEN_RETURN"));n.prototype.suppressUnhandledRejections=function(){var t=this._target();t._bitField=t._bitField&-1048577|524288},n.prototype._ensurePossibleRejectionHandled=function(){0===(524288&this._bitField)&&(this._setRejectionIsUnhandled(),N.invokeLater(this._notifyUnhandledRejection,this,void 0))},n.prototype._notifyUnhandledRejectionIsHandled=function(){P("rejectionHandled",A,void 0,this)},n.prototype._setReturnedNonUndefined=function(){this._bitField=268435456|this._bitField},n.prototype._returnedNonUndefined=function(){return 0!==(268435456&this._bitField)},n.prototype._notifyUnhandledRejection=function(){if(this._isRejectionUnhandled()){var t=this._settledValue();this._setUnhandledRejectionIsNotified(),P("unhandledRejection",V,t,this)}},n.prototype._setUnhandledRejectionIsNotified=function(){this._bitField=262144|this._bitField},n.prototype._unsetUnhandledRejectionIsNotified=function(){this._bitField=this._bitField&-262145},n.prototype._isUnhandledRejectionNotified=function(){return(262144&this._bitField)>0},n.prototype._setRejectionIsUnhandled=function(){this._bitField=1048576|this._bitField},n.prototype._unsetRejectionIsUnhandled=function(){this._bitField=this._bitField&-1048577,this._isUnhandledRejectionNotified()&&(this._unsetUnhandledRejectionIsNotified(),this._notifyUnhandledRejectionIsHandled())},n.prototype._isRejectionUnhandled=function(){return(1048576&this._bitField)>0},n.prototype._warn=function(t,e,n){return m(t,e,n||this)},n.onPossiblyUnhandledRejection=function(t){var e=I();V="function"==typeof t?null===e?t:L.domainBind(e,t):void 0},n.onUnhandledRejectionHandled=function(t){var e=I();A="function"==typeof t?null===e?t:L.domainBind(e,t):void 0};var Z=function(){};n.longStackTraces=function(){if(N.haveItemsQueued()&&!st.longStackTraces)throw new Error("cannot enable long stack traces after promises have been created\n\n    See http://goo.gl/MqrFmX\n");if(!st.longStackTraces&&x()){var t=n.prototype._captureStackTrace,e=n.prototype._attachExtraTrace;st.longStackTraces=!0,Z=function(){if(N.haveItemsQueued()&&!st.longStackTraces)throw new Error("cannot enable long stack traces after promises have been created\n\n    See http://goo.gl/MqrFmX\n");n.prototype._captureStackTrace=t,n.prototype._attachExtraTrace=e,r.deactivateLongStackTraces(),N.enableTrampoline(),st.longStackTraces=!1},n.prototype._captureStackTrace=d,n.prototype._attachExtraTrace=_,r.activateLongStackTraces(),N.disableTrampolineIfNecessary()}},n.hasLongStackTraces=function(){return st.longStackTraces&&x()};var J=function(){try{if("function"==typeof CustomEvent){var t=new CustomEvent("CustomEvent");return L.global.dispatchEvent(t),function(t,e){var n=new CustomEvent(t.toLowerCase(),{detail:e,cancelable:!0});return!L.global.dispatchEvent(n)}}if("function"==typeof Event){var t=new Event("CustomEvent");return L.global.dispatchEvent(t),function(t,e){var n=new Event(t.toLowerCase(),{cancelable:!0});return n.detail=e,!L.global.dispatchEvent(n)}}var t=document.createEvent("CustomEvent");return t.initCustomEvent("testingtheevent",!1,!0,{}),L.global.dispatchEvent(t),function(t,e){var n=document.createEvent("CustomEvent");return n.initCustomEvent(t.toLowerCase(),!1,!0,e),!L.global.dispatchEvent(n)}}catch(t){}return function(){return!1}}(),Y=function(){return L.isNode?function(){return e.emit.apply(e,arguments)}:L.global?function(t){var e="on"+t.toLowerCase(),n=L.global[e];return!!n&&(n.apply(L.global,[].slice.call(arguments,1)),!0)}:function(){return!1}}(),tt={promiseCreated:i,promiseFulfilled:i,promiseRejected:i,promiseResolved:i,promiseCancelled:i,promiseChained:function(t,e,n){return{promise:e,child:n}},warning:function(t,e){return{warning:e}},unhandledRejection:function(t,e,n){return{reason:e,promise:n}},rejectionHandled:i},et=function(t){var e=!1;try{e=Y.apply(null,arguments)}catch(t){N.throwLater(t),e=!0}var n=!1;try{n=J(t,tt[t].apply(null,arguments))}catch(t){N.throwLater(t),n=!0}return n||e};n.config=function(t){if(t=Object(t),"longStackTraces"in t&&(t.longStackTraces?n.longStackTraces():!t.longStackTraces&&n.hasLongStackTraces()&&Z()),"warnings"in t){var e=t.warnings;st.warnings=!!e,K=st.warnings,L.isObject(e)&&"wForgottenReturn"in e&&(K=!!e.wForgottenReturn)}if("cancellation"in t&&t.cancellation&&!st.cancellation){if(N.haveItemsQueued())throw new Error("cannot enable cancellation after promises are in use");
-n.prototype._clearCancellationData=l,n.prototype._propagateFrom=p,n.prototype._onCancel=c,n.prototype._setOnCancel=u,n.prototype._attachCancellationCallback=a,n.prototype._execute=s,nt=p,st.cancellation=!0}return"monitoring"in t&&(t.monitoring&&!st.monitoring?(st.monitoring=!0,n.prototype._fireEvent=et):!t.monitoring&&st.monitoring&&(st.monitoring=!1,n.prototype._fireEvent=o)),n},n.prototype._fireEvent=o,n.prototype._execute=function(t,e,n){try{t(e,n)}catch(t){return t}},n.prototype._onCancel=function(){},n.prototype._setOnCancel=function(t){},n.prototype._attachCancellationCallback=function(t){},n.prototype._captureStackTrace=function(){},n.prototype._attachExtraTrace=function(){},n.prototype._clearCancellationData=function(){},n.prototype._propagateFrom=function(t,e){};var nt=h,rt=function(){return!1},it=/[\/<\(]([^:\/]+):(\d+):(?:\d+)\)?\s*$/;L.inherits(R,Error),r.CapturedTrace=R,R.prototype.uncycle=function(){var t=this._length;if(!(t<2)){for(var e=[],n={},r=0,i=this;void 0!==i;++r)e.push(i),i=i._parent;t=this._length=r;for(var r=t-1;r>=0;--r){var o=e[r].stack;void 0===n[o]&&(n[o]=r)}for(var r=0;r<t;++r){var s=e[r].stack,a=n[s];if(void 0!==a&&a!==r){a>0&&(e[a-1]._parent=void 0,e[a-1]._length=1),e[r]._parent=void 0,e[r]._length=1;var c=r>0?e[r-1]:this;a<t-1?(c._parent=e[a+1],c._parent.uncycle(),c._length=c._parent._length+1):(c._parent=void 0,c._length=1);for(var u=c._length+1,l=r-2;l>=0;--l)e[l]._length=u,u++;return}}}},R.prototype.attachExtraTrace=function(t){if(!t.__stackCleaned__){this.uncycle();for(var e=E(t),n=e.message,r=[e.stack],i=this;void 0!==i;)r.push(C(i.stack.split("\n"))),i=i._parent;w(r),b(r),L.notEnumerableProp(t,"stack",g(n,r)),L.notEnumerableProp(t,"__stackCleaned__",!0)}};var ot=function(){var t=/^\s*at\s*/,e=function(t,e){return"string"==typeof t?t:void 0!==e.name&&void 0!==e.message?e.toString():j(e)};if("number"==typeof Error.stackTraceLimit&&"function"==typeof Error.captureStackTrace){Error.stackTraceLimit+=6,$=t,Q=e;var n=Error.captureStackTrace;return rt=function(t){return U.test(t)},function(t,e){Error.stackTraceLimit+=6,n(t,e),Error.stackTraceLimit-=6}}var r=new Error;if("string"==typeof r.stack&&r.stack.split("\n")[0].indexOf("stackDetection@")>=0)return $=/@/,Q=e,W=!0,function(t){t.stack=(new Error).stack};var i;try{throw new Error}catch(t){i="stack"in t}return"stack"in r||!i||"number"!=typeof Error.stackTraceLimit?(Q=function(t,e){return"string"==typeof t?t:"object"!=typeof e&&"function"!=typeof e||void 0===e.name||void 0===e.message?j(e):e.toString()},null):($=t,Q=e,function(t){Error.stackTraceLimit+=6;try{throw new Error}catch(e){t.stack=e.stack}Error.stackTraceLimit-=6})}([]);"undefined"!=typeof console&&"undefined"!=typeof console.warn&&(B=function(t){console.warn(t)},L.isNode&&e.stderr.isTTY?B=function(t,e){var n=e?"[33m":"[31m";console.warn(n+t+"[0m\n")}:L.isNode||"string"!=typeof(new Error).stack||(B=function(t,e){console.warn("%c"+t,e?"color: darkorange":"color: red")}));var st={warnings:G,longStackTraces:!1,cancellation:!1,monitoring:!1};return X&&n.longStackTraces(),{longStackTraces:function(){return st.longStackTraces},warnings:function(){return st.warnings},cancellation:function(){return st.cancellation},monitoring:function(){return st.monitoring},propagateFromFunction:function(){return nt},boundValueFunction:function(){return f},checkForgottenReturns:v,setBounds:O,warn:m,deprecated:y,CapturedTrace:R,fireDomEvent:J,fireGlobalEvent:Y}}},{"./errors":12,"./util":36}],10:[function(t,e,n){"use strict";e.exports=function(t){function e(){return this.value}function n(){throw this.reason}t.prototype.return=t.prototype.thenReturn=function(n){return n instanceof t&&n.suppressUnhandledRejections(),this._then(e,void 0,void 0,{value:n},void 0)},t.prototype.throw=t.prototype.thenThrow=function(t){return this._then(n,void 0,void 0,{reason:t},void 0)},t.prototype.catchThrow=function(t){if(arguments.length<=1)return this._then(void 0,n,void 0,{reason:t},void 0);var e=arguments[1],r=function(){throw e};return this.caught(t,r)},t.prototype.catchReturn=function(n){if(arguments.length<=1)return n instanceof t&&n.suppressUnhandledRejections(),this._then(void 0,e,void 0,{value:n},void 0);var r=arguments[1];r instanceof t&&r.suppressUnhandledRejections();var i=function(){return r};return this.caught(n,i)}}},{}],11:[function(t,e,n){"use strict";e.exports=function(t,e){function n(){return o(this)}function r(t,n){return i(t,n,e,e)}var i=t.reduce,o=t.all;t.prototype.each=function(t){return i(this,t,e,0)._then(n,void 0,void 0,this,void 0)},t.prototype.mapSeries=function(t){return i(this,t,e,e)},t.each=function(t,r){return i(t,r,e,0)._then(n,void 0,void 0,t,void 0)},t.mapSeries=r}},{}],12:[function(t,e,n){"use strict";function r(t,e){function n(r){return this instanceof n?(p(this,"message","string"==typeof r?r:e),p(this,"name",t),void(Error.captureStackTrace?Error.captureStackTrace(this,this.constructor):Error.call(this))):new n(r)}return l(n,Error),n}function i(t){return this instanceof i?(p(this,"name","OperationalError"),p(this,"message",t),this.cause=t,this.isOperational=!0,void(t instanceof Error?(p(this,"message",t.message),p(this,"stack",t.stack)):Error.captureStackTrace&&Error.captureStackTrace(this,this.constructor))):new i(t)}var o,s,a=t("./es5"),c=a.freeze,u=t("./util"),l=u.inherits,p=u.notEnumerableProp,h=r("Warning","warning"),f=r("CancellationError","cancellation error"),d=r("TimeoutError","timeout error"),_=r("AggregateError","aggregate error");try{o=TypeError,s=RangeError}catch(t){o=r("TypeError","type error"),s=r("RangeError","range error")}for(var v="join pop push shift unshift slice filter forEach some every map indexOf lastIndexOf reduce reduceRight sort reverse".split(" "),y=0;y<v.length;++y)"function"==typeof Array.prototype[v[y]]&&(_.prototype[v[y]]=Array.prototype[v[y]]);a.defineProperty(_.prototype,"length",{value:0,configurable:!1,writable:!0,enumerable:!0}),_.prototype.isOperational=!0;var m=0;_.prototype.toString=function(){var t=Array(4*m+1).join(" "),e="\n"+t+"AggregateError of:\n";m++,t=Array(4*m+1).join(" ");for(var n=0;n<this.length;++n){for(var r=this[n]===this?"[Circular AggregateError]":this[n]+"",i=r.split("\n"),o=0;o<i.length;++o)i[o]=t+i[o];r=i.join("\n"),e+=r+"\n"}return m--,e},l(i,Error);var g=Error.__BluebirdErrorTypes__;g||(g=c({CancellationError:f,TimeoutError:d,OperationalError:i,RejectionError:i,AggregateError:_}),a.defineProperty(Error,"__BluebirdErrorTypes__",{value:g,writable:!1,enumerable:!1,configurable:!1})),e.exports={Error:Error,TypeError:o,RangeError:s,CancellationError:g.CancellationError,OperationalError:g.OperationalError,TimeoutError:g.TimeoutError,AggregateError:g.AggregateError,Warning:h}},{"./es5":13,"./util":36}],13:[function(t,e,n){var r=function(){"use strict";return void 0===this}();if(r)e.exports={freeze:Object.freeze,defineProperty:Object.defineProperty,getDescriptor:Object.getOwnPropertyDescriptor,keys:Object.keys,names:Object.getOwnPropertyNames,getPrototypeOf:Object.getPrototypeOf,isArray:Array.isArray,isES5:r,propertyIsWritable:function(t,e){var n=Object.getOwnPropertyDescriptor(t,e);return!(n&&!n.writable&&!n.set)}};else{var i={}.hasOwnProperty,o={}.toString,s={}.constructor.prototype,a=function(t){var e=[];for(var n in t)i.call(t,n)&&e.push(n);return e},c=function(t,e){return{value:t[e]}},u=function(t,e,n){return t[e]=n.value,t},l=function(t){return t},p=function(t){try{return Object(t).constructor.prototype}catch(t){return s}},h=function(t){try{return"[object Array]"===o.call(t)}catch(t){return!1}};e.exports={isArray:h,keys:a,names:a,defineProperty:u,getDescriptor:c,freeze:l,getPrototypeOf:p,isES5:r,propertyIsWritable:function(){return!0}}}},{}],14:[function(t,e,n){"use strict";e.exports=function(t,e){var n=t.map;t.prototype.filter=function(t,r){return n(this,t,r,e)},t.filter=function(t,r,i){return n(t,r,i,e)}}},{}],15:[function(t,e,n){"use strict";e.exports=function(e,n){function r(t,e,n){this.promise=t,this.type=e,this.handler=n,this.called=!1,this.cancelPromise=null}function i(t){this.finallyHandler=t}function o(t,e){return null!=t.cancelPromise&&(arguments.length>1?t.cancelPromise._reject(e):t.cancelPromise._cancel(),t.cancelPromise=null,!0)}function s(){return c.call(this,this.promise._target()._settledValue())}function a(t){if(!o(this,t))return p.e=t,p}function c(t){var r=this.promise,c=this.handler;if(!this.called){this.called=!0;var u=this.isFinallyHandler()?c.call(r._boundValue()):c.call(r._boundValue(),t);if(void 0!==u){r._setReturnedNonUndefined();var h=n(u,r);if(h instanceof e){if(null!=this.cancelPromise){if(h._isCancelled()){var f=new l("late cancellation observer");return r._attachExtraTrace(f),p.e=f,p}h.isPending()&&h._attachCancellationCallback(new i(this))}return h._then(s,a,void 0,this,void 0)}}}return r.isRejected()?(o(this),p.e=t,p):(o(this),t)}var u=t("./util"),l=e.CancellationError,p=u.errorObj;return r.prototype.isFinallyHandler=function(){return 0===this.type},i.prototype._resultCancelled=function(){o(this.finallyHandler)},e.prototype._passThrough=function(t,e,n,i){return"function"!=typeof t?this.then():this._then(n,i,void 0,new r(this,e,t),void 0)},e.prototype.lastly=e.prototype.finally=function(t){return this._passThrough(t,0,c,c)},e.prototype.tap=function(t){return this._passThrough(t,1,c)},r}},{"./util":36}],16:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o,s){function a(t,n,r){for(var o=0;o<n.length;++o){r._pushContext();var s=f(n[o])(t);if(r._popContext(),s===h){r._pushContext();var a=e.reject(h.e);return r._popContext(),a}var c=i(s,r);if(c instanceof e)return c}return null}function c(t,n,i,o){if(s.cancellation()){var a=new e(r),c=this._finallyPromise=new e(r);this._promise=a.lastly(function(){return c}),a._captureStackTrace(),a._setOnCancel(this)}else{var u=this._promise=new e(r);u._captureStackTrace()}this._stack=o,this._generatorFunction=t,this._receiver=n,this._generator=void 0,this._yieldHandlers="function"==typeof i?[i].concat(d):d,this._yieldedPromise=null,this._cancellationPhase=!1}var u=t("./errors"),l=u.TypeError,p=t("./util"),h=p.errorObj,f=p.tryCatch,d=[];p.inherits(c,o),c.prototype._isResolved=function(){return null===this._promise},c.prototype._cleanup=function(){this._promise=this._generator=null,s.cancellation()&&null!==this._finallyPromise&&(this._finallyPromise._fulfill(),this._finallyPromise=null)},c.prototype._promiseCancelled=function(){if(!this._isResolved()){var t,n="undefined"!=typeof this._generator.return;if(n)this._promise._pushContext(),t=f(this._generator.return).call(this._generator,void 0),this._promise._popContext();else{var r=new e.CancellationError("generator .return() sentinel");e.coroutine.returnSentinel=r,this._promise._attachExtraTrace(r),this._promise._pushContext(),t=f(this._generator.throw).call(this._generator,r),this._promise._popContext()}this._cancellationPhase=!0,this._yieldedPromise=null,this._continue(t)}},c.prototype._promiseFulfilled=function(t){this._yieldedPromise=null,this._promise._pushContext();var e=f(this._generator.next).call(this._generator,t);this._promise._popContext(),this._continue(e)},c.prototype._promiseRejected=function(t){this._yieldedPromise=null,this._promise._attachExtraTrace(t),this._promise._pushContext();var e=f(this._generator.throw).call(this._generator,t);this._promise._popContext(),this._continue(e)},c.prototype._resultCancelled=function(){if(this._yieldedPromise instanceof e){var t=this._yieldedPromise;this._yieldedPromise=null,t.cancel()}},c.prototype.promise=function(){return this._promise},c.prototype._run=function(){this._generator=this._generatorFunction.call(this._receiver),this._receiver=this._generatorFunction=void 0,this._promiseFulfilled(void 0)},c.prototype._continue=function(t){var n=this._promise;if(t===h)return this._cleanup(),this._cancellationPhase?n.cancel():n._rejectCallback(t.e,!1);var r=t.value;if(t.done===!0)return this._cleanup(),this._cancellationPhase?n.cancel():n._resolveCallback(r);var o=i(r,this._promise);if(!(o instanceof e)&&(o=a(o,this._yieldHandlers,this._promise),null===o))return void this._promiseRejected(new l("A value %s was yielded that could not be treated as a promise\n\n    See http://goo.gl/MqrFmX\n\n".replace("%s",r)+"From coroutine:\n"+this._stack.split("\n").slice(1,-7).join("\n")));o=o._target();var s=o._bitField;0===(50397184&s)?(this._yieldedPromise=o,o._proxy(this,null)):0!==(33554432&s)?e._async.invoke(this._promiseFulfilled,this,o._value()):0!==(16777216&s)?e._async.invoke(this._promiseRejected,this,o._reason()):this._promiseCancelled()},e.coroutine=function(t,e){if("function"!=typeof t)throw new l("generatorFunction must be a function\n\n    See http://goo.gl/MqrFmX\n");var n=Object(e).yieldHandler,r=c,i=(new Error).stack;return function(){var e=t.apply(this,arguments),o=new r(void 0,void 0,n,i),s=o.promise();return o._generator=e,o._promiseFulfilled(void 0),s}},e.coroutine.addYieldHandler=function(t){if("function"!=typeof t)throw new l("expecting a function but got "+p.classString(t));d.push(t)},e.spawn=function(t){if(s.deprecated("Promise.spawn()","Promise.coroutine()"),"function"!=typeof t)return n("generatorFunction must be a function\n\n    See http://goo.gl/MqrFmX\n");var r=new c(t,this),i=r.promise();return r._run(e.spawn),i}}},{"./errors":12,"./util":36}],17:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o,s){var a=t("./util");a.canEvaluate,a.tryCatch,a.errorObj;e.join=function(){var t,e=arguments.length-1;if(e>0&&"function"==typeof arguments[e]){t=arguments[e];var r}var i=[].slice.call(arguments);t&&i.pop();var r=new n(i).promise();return void 0!==t?r.spread(t):r}}},{"./util":36}],18:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o,s){function a(t,e,n,r){this.constructor$(t),this._promise._captureStackTrace();var i=u();this._callback=null===i?e:l.domainBind(i,e),this._preservedValues=r===o?new Array(this.length()):null,this._limit=n,this._inFlight=0,this._queue=[],f.invoke(this._asyncInit,this,void 0)}function c(t,n,i,o){if("function"!=typeof n)return r("expecting a function but got "+l.classString(n));var s=0;if(void 0!==i){if("object"!=typeof i||null===i)return e.reject(new TypeError("options argument must be an object but it is "+l.classString(i)));if("number"!=typeof i.concurrency)return e.reject(new TypeError("'concurrency' must be a number but it is "+l.classString(i.concurrency)));s=i.concurrency}return s="number"==typeof s&&isFinite(s)&&s>=1?s:0,new a(t,n,s,o).promise()}var u=e._getDomain,l=t("./util"),p=l.tryCatch,h=l.errorObj,f=e._async;l.inherits(a,n),a.prototype._asyncInit=function(){this._init$(void 0,-2)},a.prototype._init=function(){},a.prototype._promiseFulfilled=function(t,n){var r=this._values,o=this.length(),a=this._preservedValues,c=this._limit;if(n<0){if(n=n*-1-1,r[n]=t,c>=1&&(this._inFlight--,this._drainQueue(),this._isResolved()))return!0}else{if(c>=1&&this._inFlight>=c)return r[n]=t,this._queue.push(n),!1;null!==a&&(a[n]=t);var u=this._promise,l=this._callback,f=u._boundValue();u._pushContext();var d=p(l).call(f,t,n,o),_=u._popContext();if(s.checkForgottenReturns(d,_,null!==a?"Promise.filter":"Promise.map",u),d===h)return this._reject(d.e),!0;var v=i(d,this._promise);if(v instanceof e){v=v._target();var y=v._bitField;if(0===(50397184&y))return c>=1&&this._inFlight++,r[n]=v,v._proxy(this,(n+1)*-1),!1;if(0===(33554432&y))return 0!==(16777216&y)?(this._reject(v._reason()),!0):(this._cancel(),!0);d=v._value()}r[n]=d}var m=++this._totalResolved;return m>=o&&(null!==a?this._filter(r,a):this._resolve(r),!0)},a.prototype._drainQueue=function(){for(var t=this._queue,e=this._limit,n=this._values;t.length>0&&this._inFlight<e;){if(this._isResolved())return;var r=t.pop();this._promiseFulfilled(n[r],r)}},a.prototype._filter=function(t,e){for(var n=e.length,r=new Array(n),i=0,o=0;o<n;++o)t[o]&&(r[i++]=e[o]);r.length=i,this._resolve(r)},a.prototype.preservedValues=function(){return this._preservedValues},e.prototype.map=function(t,e){return c(this,t,e,null)},e.map=function(t,e,n,r){return c(t,e,n,r)}}},{"./util":36}],19:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o){var s=t("./util"),a=s.tryCatch;e.method=function(t){if("function"!=typeof t)throw new e.TypeError("expecting a function but got "+s.classString(t));return function(){var r=new e(n);r._captureStackTrace(),r._pushContext();var i=a(t).apply(this,arguments),s=r._popContext();return o.checkForgottenReturns(i,s,"Promise.method",r),r._resolveFromSyncValue(i),r}},e.attempt=e.try=function(t){if("function"!=typeof t)return i("expecting a function but got "+s.classString(t));var r=new e(n);r._captureStackTrace(),r._pushContext();var c;if(arguments.length>1){o.deprecated("calling Promise.try with more than 1 argument");var u=arguments[1],l=arguments[2];c=s.isArray(u)?a(t).apply(l,u):a(t).call(l,u)}else c=a(t)();var p=r._popContext();return o.checkForgottenReturns(c,p,"Promise.try",r),r._resolveFromSyncValue(c),r},e.prototype._resolveFromSyncValue=function(t){t===s.errorObj?this._rejectCallback(t.e,!1):this._resolveCallback(t,!0)}}},{"./util":36}],20:[function(t,e,n){"use strict";function r(t){return t instanceof Error&&l.getPrototypeOf(t)===Error.prototype}function i(t){var e;if(r(t)){e=new u(t),e.name=t.name,e.message=t.message,e.stack=t.stack;for(var n=l.keys(t),i=0;i<n.length;++i){var o=n[i];p.test(o)||(e[o]=t[o])}return e}return s.markAsOriginatingFromRejection(t),t}function o(t,e){return function(n,r){if(null!==t){if(n){var o=i(a(n));t._attachExtraTrace(o),t._reject(o)}else if(e){var s=[].slice.call(arguments,1);t._fulfill(s)}else t._fulfill(r);t=null}}}var s=t("./util"),a=s.maybeWrapAsError,c=t("./errors"),u=c.OperationalError,l=t("./es5"),p=/^(?:name|message|stack|cause)$/;e.exports=o},{"./errors":12,"./es5":13,"./util":36}],21:[function(t,e,n){"use strict";e.exports=function(e){function n(t,e){var n=this;if(!o.isArray(t))return r.call(n,t,e);var i=a(e).apply(n._boundValue(),[null].concat(t));i===c&&s.throwLater(i.e)}function r(t,e){var n=this,r=n._boundValue(),i=void 0===t?a(e).call(r,null):a(e).call(r,null,t);i===c&&s.throwLater(i.e)}function i(t,e){var n=this;if(!t){var r=new Error(t+"");r.cause=t,t=r}var i=a(e).call(n._boundValue(),t);i===c&&s.throwLater(i.e)}var o=t("./util"),s=e._async,a=o.tryCatch,c=o.errorObj;e.prototype.asCallback=e.prototype.nodeify=function(t,e){if("function"==typeof t){var o=r;void 0!==e&&Object(e).spread&&(o=n),this._then(o,i,void 0,this,t)}return this}}},{"./util":36}],22:[function(t,n,r){"use strict";n.exports=function(){function r(){}function i(t,e){if("function"!=typeof e)throw new g("expecting a function but got "+d.classString(e));if(t.constructor!==o)throw new g("the promise constructor cannot be invoked directly\n\n    See http://goo.gl/MqrFmX\n")}function o(t){this._bitField=0,this._fulfillmentHandler0=void 0,this._rejectionHandler0=void 0,this._promise0=void 0,this._receiver0=void 0,t!==w&&(i(this,t),this._resolveFromExecutor(t)),this._promiseCreated(),this._fireEvent("promiseCreated",this)}function s(t){this.promise._resolveCallback(t)}function a(t){this.promise._rejectCallback(t,!1)}function c(t){var e=new o(w);e._fulfillmentHandler0=t,e._rejectionHandler0=t,e._promise0=t,e._receiver0=t}var u,l=function(){return new g("circular promise resolution chain\n\n    See http://goo.gl/MqrFmX\n")},p=function(){return new o.PromiseInspection(this._target())},h=function(t){return o.reject(new g(t))},f={},d=t("./util");u=d.isNode?function(){var t=e.domain;return void 0===t&&(t=null),t}:function(){return null},d.notEnumerableProp(o,"_getDomain",u);var _=t("./es5"),v=t("./async"),y=new v;_.defineProperty(o,"_async",{value:y});var m=t("./errors"),g=o.TypeError=m.TypeError;o.RangeError=m.RangeError;var b=o.CancellationError=m.CancellationError;o.TimeoutError=m.TimeoutError,o.OperationalError=m.OperationalError,o.RejectionError=m.OperationalError,o.AggregateError=m.AggregateError;var w=function(){},C={},T={},E=t("./thenables")(o,w),F=t("./promise_array")(o,w,E,h,r),P=t("./context")(o),j=P.create,k=t("./debuggability")(o,P),x=(k.CapturedTrace,t("./finally")(o,E)),S=t("./catch_filter")(T),O=t("./nodeback"),R=d.errorObj,A=d.tryCatch;return o.prototype.toString=function(){return"[object Promise]"},o.prototype.caught=o.prototype.catch=function(t){var e=arguments.length;if(e>1){var n,r=new Array(e-1),i=0;for(n=0;n<e-1;++n){var o=arguments[n];if(!d.isObject(o))return h("expecting an object but got A catch statement predicate "+d.classString(o));r[i++]=o}return r.length=i,t=arguments[n],this.then(void 0,S(r,t,this))}return this.then(void 0,t)},o.prototype.reflect=function(){return this._then(p,p,void 0,this,void 0)},o.prototype.then=function(t,e){if(k.warnings()&&arguments.length>0&&"function"!=typeof t&&"function"!=typeof e){var n=".then() only accepts functions but was passed: "+d.classString(t);arguments.length>1&&(n+=", "+d.classString(e)),this._warn(n)}return this._then(t,e,void 0,void 0,void 0)},o.prototype.done=function(t,e){var n=this._then(t,e,void 0,void 0,void 0);n._setIsFinal()},o.prototype.spread=function(t){return"function"!=typeof t?h("expecting a function but got "+d.classString(t)):this.all()._then(t,void 0,void 0,C,void 0)},o.prototype.toJSON=function(){var t={isFulfilled:!1,isRejected:!1,fulfillmentValue:void 0,rejectionReason:void 0};return this.isFulfilled()?(t.fulfillmentValue=this.value(),t.isFulfilled=!0):this.isRejected()&&(t.rejectionReason=this.reason(),t.isRejected=!0),t},o.prototype.all=function(){return arguments.length>0&&this._warn(".all() was passed arguments but it does not take any"),new F(this).promise()},o.prototype.error=function(t){return this.caught(d.originatesFromRejection,t)},o.getNewLibraryCopy=n.exports,o.is=function(t){return t instanceof o},o.fromNode=o.fromCallback=function(t){var e=new o(w);e._captureStackTrace();var n=arguments.length>1&&!!Object(arguments[1]).multiArgs,r=A(t)(O(e,n));return r===R&&e._rejectCallback(r.e,!0),e._isFateSealed()||e._setAsyncGuaranteed(),e},o.all=function(t){return new F(t).promise()},o.cast=function(t){var e=E(t);return e instanceof o||(e=new o(w),e._captureStackTrace(),e._setFulfilled(),e._rejectionHandler0=t),e},o.resolve=o.fulfilled=o.cast,o.reject=o.rejected=function(t){var e=new o(w);return e._captureStackTrace(),e._rejectCallback(t,!0),e},o.setScheduler=function(t){if("function"!=typeof t)throw new g("expecting a function but got "+d.classString(t));return y.setScheduler(t)},o.prototype._then=function(t,e,n,r,i){var s=void 0!==i,a=s?i:new o(w),c=this._target(),l=c._bitField;s||(a._propagateFrom(this,3),a._captureStackTrace(),void 0===r&&0!==(2097152&this._bitField)&&(r=0!==(50397184&l)?this._boundValue():c===this?void 0:this._boundTo),this._fireEvent("promiseChained",this,a));var p=u();if(0!==(50397184&l)){var h,f,_=c._settlePromiseCtx;0!==(33554432&l)?(f=c._rejectionHandler0,h=t):0!==(16777216&l)?(f=c._fulfillmentHandler0,h=e,c._unsetRejectionIsUnhandled()):(_=c._settlePromiseLateCancellationObserver,f=new b("late cancellation observer"),c._attachExtraTrace(f),h=e),y.invoke(_,c,{handler:null===p?h:"function"==typeof h&&d.domainBind(p,h),promise:a,receiver:r,value:f})}else c._addCallbacks(t,e,a,r,p);return a},o.prototype._length=function(){return 65535&this._bitField},o.prototype._isFateSealed=function(){return 0!==(117506048&this._bitField)},o.prototype._isFollowing=function(){return 67108864===(67108864&this._bitField)},o.prototype._setLength=function(t){this._bitField=this._bitField&-65536|65535&t},o.prototype._setFulfilled=function(){this._bitField=33554432|this._bitField,this._fireEvent("promiseFulfilled",this)},o.prototype._setRejected=function(){this._bitField=16777216|this._bitField,this._fireEvent("promiseRejected",this)},o.prototype._setFollowing=function(){this._bitField=67108864|this._bitField,this._fireEvent("promiseResolved",this)},o.prototype._setIsFinal=function(){this._bitField=4194304|this._bitField},o.prototype._isFinal=function(){return(4194304&this._bitField)>0},o.prototype._unsetCancelled=function(){this._bitField=this._bitField&-65537},o.prototype._setCancelled=function(){this._bitField=65536|this._bitField,this._fireEvent("promiseCancelled",this)},o.prototype._setWillBeCancelled=function(){this._bitField=8388608|this._bitField},o.prototype._setAsyncGuaranteed=function(){y.hasCustomScheduler()||(this._bitField=134217728|this._bitField)},o.prototype._receiverAt=function(t){var e=0===t?this._receiver0:this[4*t-4+3];if(e!==f)return void 0===e&&this._isBound()?this._boundValue():e},o.prototype._promiseAt=function(t){return this[4*t-4+2]},o.prototype._fulfillmentHandlerAt=function(t){return this[4*t-4+0]},o.prototype._rejectionHandlerAt=function(t){return this[4*t-4+1]},o.prototype._boundValue=function(){},o.prototype._migrateCallback0=function(t){var e=(t._bitField,t._fulfillmentHandler0),n=t._rejectionHandler0,r=t._promise0,i=t._receiverAt(0);void 0===i&&(i=f),this._addCallbacks(e,n,r,i,null)},o.prototype._migrateCallbackAt=function(t,e){var n=t._fulfillmentHandlerAt(e),r=t._rejectionHandlerAt(e),i=t._promiseAt(e),o=t._receiverAt(e);void 0===o&&(o=f),this._addCallbacks(n,r,i,o,null)},o.prototype._addCallbacks=function(t,e,n,r,i){var o=this._length();if(o>=65531&&(o=0,this._setLength(0)),0===o)this._promise0=n,this._receiver0=r,"function"==typeof t&&(this._fulfillmentHandler0=null===i?t:d.domainBind(i,t)),"function"==typeof e&&(this._rejectionHandler0=null===i?e:d.domainBind(i,e));else{var s=4*o-4;this[s+2]=n,this[s+3]=r,"function"==typeof t&&(this[s+0]=null===i?t:d.domainBind(i,t)),"function"==typeof e&&(this[s+1]=null===i?e:d.domainBind(i,e))}return this._setLength(o+1),o},o.prototype._proxy=function(t,e){this._addCallbacks(void 0,void 0,e,t,null)},o.prototype._resolveCallback=function(t,e){if(0===(117506048&this._bitField)){if(t===this)return this._rejectCallback(l(),!1);var n=E(t,this);if(!(n instanceof o))return this._fulfill(t);e&&this._propagateFrom(n,2);var r=n._target();if(r===this)return void this._reject(l());var i=r._bitField;if(0===(50397184&i)){var s=this._length();s>0&&r._migrateCallback0(this);for(var a=1;a<s;++a)r._migrateCallbackAt(this,a);this._setFollowing(),this._setLength(0),this._setFollowee(r)}else if(0!==(33554432&i))this._fulfill(r._value());else if(0!==(16777216&i))this._reject(r._reason());else{var c=new b("late cancellation observer");r._attachExtraTrace(c),this._reject(c)}}},o.prototype._rejectCallback=function(t,e,n){var r=d.ensureErrorObject(t),i=r===t;if(!i&&!n&&k.warnings()){var o="a promise was rejected with a non-error: "+d.classString(t);this._warn(o,!0)}this._attachExtraTrace(r,!!e&&i),this._reject(t)},o.prototype._resolveFromExecutor=function(t){var e=this;this._captureStackTrace(),this._pushContext();var n=!0,r=this._execute(t,function(t){e._resolveCallback(t)},function(t){e._rejectCallback(t,n)});n=!1,this._popContext(),void 0!==r&&e._rejectCallback(r,!0)},o.prototype._settlePromiseFromHandler=function(t,e,n,r){var i=r._bitField;if(0===(65536&i)){r._pushContext();var o;e===C?n&&"number"==typeof n.length?o=A(t).apply(this._boundValue(),n):(o=R,o.e=new g("cannot .spread() a non-array: "+d.classString(n))):o=A(t).call(e,n);var s=r._popContext();i=r._bitField,0===(65536&i)&&(o===T?r._reject(n):o===R?r._rejectCallback(o.e,!1):(k.checkForgottenReturns(o,s,"",r,this),r._resolveCallback(o)))}},o.prototype._target=function(){for(var t=this;t._isFollowing();)t=t._followee();return t},o.prototype._followee=function(){return this._rejectionHandler0},o.prototype._setFollowee=function(t){this._rejectionHandler0=t},o.prototype._settlePromise=function(t,e,n,i){var s=t instanceof o,a=this._bitField,c=0!==(134217728&a);0!==(65536&a)?(s&&t._invokeInternalOnCancel(),n instanceof x&&n.isFinallyHandler()?(n.cancelPromise=t,A(e).call(n,i)===R&&t._reject(R.e)):e===p?t._fulfill(p.call(n)):n instanceof r?n._promiseCancelled(t):s||t instanceof F?t._cancel():n.cancel()):"function"==typeof e?s?(c&&t._setAsyncGuaranteed(),this._settlePromiseFromHandler(e,n,i,t)):e.call(n,i,t):n instanceof r?n._isResolved()||(0!==(33554432&a)?n._promiseFulfilled(i,t):n._promiseRejected(i,t)):s&&(c&&t._setAsyncGuaranteed(),0!==(33554432&a)?t._fulfill(i):t._reject(i))},o.prototype._settlePromiseLateCancellationObserver=function(t){var e=t.handler,n=t.promise,r=t.receiver,i=t.value;"function"==typeof e?n instanceof o?this._settlePromiseFromHandler(e,r,i,n):e.call(r,i,n):n instanceof o&&n._reject(i)},o.prototype._settlePromiseCtx=function(t){this._settlePromise(t.promise,t.handler,t.receiver,t.value)},o.prototype._settlePromise0=function(t,e,n){var r=this._promise0,i=this._receiverAt(0);this._promise0=void 0,this._receiver0=void 0,this._settlePromise(r,t,i,e)},o.prototype._clearCallbackDataAtIndex=function(t){var e=4*t-4;this[e+2]=this[e+3]=this[e+0]=this[e+1]=void 0},o.prototype._fulfill=function(t){var e=this._bitField;if(!((117506048&e)>>>16)){if(t===this){var n=l();return this._attachExtraTrace(n),this._reject(n)}this._setFulfilled(),this._rejectionHandler0=t,(65535&e)>0&&(0!==(134217728&e)?this._settlePromises():y.settlePromises(this))}},o.prototype._reject=function(t){var e=this._bitField;if(!((117506048&e)>>>16))return this._setRejected(),this._fulfillmentHandler0=t,this._isFinal()?y.fatalError(t,d.isNode):void((65535&e)>0?y.settlePromises(this):this._ensurePossibleRejectionHandled())},o.prototype._fulfillPromises=function(t,e){for(var n=1;n<t;n++){var r=this._fulfillmentHandlerAt(n),i=this._promiseAt(n),o=this._receiverAt(n);this._clearCallbackDataAtIndex(n),this._settlePromise(i,r,o,e)}},o.prototype._rejectPromises=function(t,e){for(var n=1;n<t;n++){var r=this._rejectionHandlerAt(n),i=this._promiseAt(n),o=this._receiverAt(n);this._clearCallbackDataAtIndex(n),this._settlePromise(i,r,o,e)}},o.prototype._settlePromises=function(){var t=this._bitField,e=65535&t;if(e>0){if(0!==(16842752&t)){var n=this._fulfillmentHandler0;this._settlePromise0(this._rejectionHandler0,n,t),this._rejectPromises(e,n)}else{var r=this._rejectionHandler0;this._settlePromise0(this._fulfillmentHandler0,r,t),this._fulfillPromises(e,r)}this._setLength(0)}this._clearCancellationData()},o.prototype._settledValue=function(){var t=this._bitField;return 0!==(33554432&t)?this._rejectionHandler0:0!==(16777216&t)?this._fulfillmentHandler0:void 0},o.defer=o.pending=function(){k.deprecated("Promise.defer","new Promise");var t=new o(w);return{promise:t,resolve:s,reject:a}},d.notEnumerableProp(o,"_makeSelfResolutionError",l),t("./method")(o,w,E,h,k),t("./bind")(o,w,E,k),t("./cancel")(o,F,h,k),t("./direct_resolve")(o),t("./synchronous_inspection")(o),t("./join")(o,F,E,w,y,u),o.Promise=o,o.version="3.4.7",t("./map.js")(o,F,h,E,w,k),t("./call_get.js")(o),t("./using.js")(o,h,E,j,w,k),t("./timers.js")(o,w,k),t("./generators.js")(o,h,w,E,r,k),t("./nodeify.js")(o),t("./promisify.js")(o,w),t("./props.js")(o,F,E,h),t("./race.js")(o,w,E,h),t("./reduce.js")(o,F,h,E,w,k),t("./settle.js")(o,F,k),t("./some.js")(o,F,h),t("./filter.js")(o,w),t("./each.js")(o,w),t("./any.js")(o),d.toFastProperties(o),d.toFastProperties(o.prototype),c({a:1}),c({b:2}),c({c:3}),c(1),c(function(){}),c(void 0),c(!1),c(new o(w)),k.setBounds(v.firstLineError,d.lastLineError),o}},{"./any.js":1,"./async":2,"./bind":3,"./call_get.js":5,"./cancel":6,"./catch_filter":7,"./context":8,"./debuggability":9,"./direct_resolve":10,"./each.js":11,"./errors":12,"./es5":13,"./filter.js":14,"./finally":15,"./generators.js":16,"./join":17,"./map.js":18,"./method":19,"./nodeback":20,"./nodeify.js":21,"./promise_array":23,"./promisify.js":24,"./props.js":25,"./race.js":27,"./reduce.js":28,"./settle.js":30,"./some.js":31,"./synchronous_inspection":32,"./thenables":33,"./timers.js":34,"./using.js":35,"./util":36}],23:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o){function s(t){switch(t){case-2:return[];case-3:return{}}}function a(t){var r=this._promise=new e(n);t instanceof e&&r._propagateFrom(t,3),r._setOnCancel(this),this._values=t,this._length=0,this._totalResolved=0,this._init(void 0,-2)}var c=t("./util");c.isArray;return c.inherits(a,o),a.prototype.length=function(){return this._length;
-},a.prototype.promise=function(){return this._promise},a.prototype._init=function t(n,o){var a=r(this._values,this._promise);if(a instanceof e){a=a._target();var u=a._bitField;if(this._values=a,0===(50397184&u))return this._promise._setAsyncGuaranteed(),a._then(t,this._reject,void 0,this,o);if(0===(33554432&u))return 0!==(16777216&u)?this._reject(a._reason()):this._cancel();a=a._value()}if(a=c.asArray(a),null===a){var l=i("expecting an array or an iterable object but got "+c.classString(a)).reason();return void this._promise._rejectCallback(l,!1)}return 0===a.length?void(o===-5?this._resolveEmptyArray():this._resolve(s(o))):void this._iterate(a)},a.prototype._iterate=function(t){var n=this.getActualLength(t.length);this._length=n,this._values=this.shouldCopyValues()?new Array(n):this._values;for(var i=this._promise,o=!1,s=null,a=0;a<n;++a){var c=r(t[a],i);c instanceof e?(c=c._target(),s=c._bitField):s=null,o?null!==s&&c.suppressUnhandledRejections():null!==s?0===(50397184&s)?(c._proxy(this,a),this._values[a]=c):o=0!==(33554432&s)?this._promiseFulfilled(c._value(),a):0!==(16777216&s)?this._promiseRejected(c._reason(),a):this._promiseCancelled(a):o=this._promiseFulfilled(c,a)}o||i._setAsyncGuaranteed()},a.prototype._isResolved=function(){return null===this._values},a.prototype._resolve=function(t){this._values=null,this._promise._fulfill(t)},a.prototype._cancel=function(){!this._isResolved()&&this._promise._isCancellable()&&(this._values=null,this._promise._cancel())},a.prototype._reject=function(t){this._values=null,this._promise._rejectCallback(t,!1)},a.prototype._promiseFulfilled=function(t,e){this._values[e]=t;var n=++this._totalResolved;return n>=this._length&&(this._resolve(this._values),!0)},a.prototype._promiseCancelled=function(){return this._cancel(),!0},a.prototype._promiseRejected=function(t){return this._totalResolved++,this._reject(t),!0},a.prototype._resultCancelled=function(){if(!this._isResolved()){var t=this._values;if(this._cancel(),t instanceof e)t.cancel();else for(var n=0;n<t.length;++n)t[n]instanceof e&&t[n].cancel()}},a.prototype.shouldCopyValues=function(){return!0},a.prototype.getActualLength=function(t){return t},a}},{"./util":36}],24:[function(t,e,n){"use strict";e.exports=function(e,n){function r(t){return!C.test(t)}function i(t){try{return t.__isPromisified__===!0}catch(t){return!1}}function o(t,e,n){var r=f.getDataPropertyOrDefault(t,e+n,b);return!!r&&i(r)}function s(t,e,n){for(var r=0;r<t.length;r+=2){var i=t[r];if(n.test(i))for(var o=i.replace(n,""),s=0;s<t.length;s+=2)if(t[s]===o)throw new m("Cannot promisify an API that has normal methods with '%s'-suffix\n\n    See http://goo.gl/MqrFmX\n".replace("%s",e))}}function a(t,e,n,r){for(var a=f.inheritedDataKeys(t),c=[],u=0;u<a.length;++u){var l=a[u],p=t[l],h=r===T||T(l,p,t);"function"!=typeof p||i(p)||o(t,l,e)||!r(l,p,t,h)||c.push(l,p)}return s(c,e,n),c}function c(t,r,i,o,s,a){function c(){var i=r;r===h&&(i=this);var o=new e(n);o._captureStackTrace();var s="string"==typeof l&&this!==u?this[l]:t,c=d(o,a);try{s.apply(i,_(arguments,c))}catch(t){o._rejectCallback(v(t),!0,!0)}return o._isFateSealed()||o._setAsyncGuaranteed(),o}var u=function(){return this}(),l=t;return"string"==typeof l&&(t=o),f.notEnumerableProp(c,"__isPromisified__",!0),c}function u(t,e,n,r,i){for(var o=new RegExp(E(e)+"$"),s=a(t,e,o,n),c=0,u=s.length;c<u;c+=2){var l=s[c],p=s[c+1],d=l+e;if(r===F)t[d]=F(l,h,l,p,e,i);else{var _=r(p,function(){return F(l,h,l,p,e,i)});f.notEnumerableProp(_,"__isPromisified__",!0),t[d]=_}}return f.toFastProperties(t),t}function l(t,e,n){return F(t,e,void 0,t,null,n)}var p,h={},f=t("./util"),d=t("./nodeback"),_=f.withAppended,v=f.maybeWrapAsError,y=f.canEvaluate,m=t("./errors").TypeError,g="Async",b={__isPromisified__:!0},w=["arity","length","name","arguments","caller","callee","prototype","__isPromisified__"],C=new RegExp("^(?:"+w.join("|")+")$"),T=function(t){return f.isIdentifier(t)&&"_"!==t.charAt(0)&&"constructor"!==t},E=function(t){return t.replace(/([$])/,"\\$")},F=y?p:c;e.promisify=function(t,e){if("function"!=typeof t)throw new m("expecting a function but got "+f.classString(t));if(i(t))return t;e=Object(e);var n=void 0===e.context?h:e.context,o=!!e.multiArgs,s=l(t,n,o);return f.copyDescriptors(t,s,r),s},e.promisifyAll=function(t,e){if("function"!=typeof t&&"object"!=typeof t)throw new m("the target of promisifyAll must be an object or a function\n\n    See http://goo.gl/MqrFmX\n");e=Object(e);var n=!!e.multiArgs,r=e.suffix;"string"!=typeof r&&(r=g);var i=e.filter;"function"!=typeof i&&(i=T);var o=e.promisifier;if("function"!=typeof o&&(o=F),!f.isIdentifier(r))throw new RangeError("suffix must be a valid identifier\n\n    See http://goo.gl/MqrFmX\n");for(var s=f.inheritedDataKeys(t),a=0;a<s.length;++a){var c=t[s[a]];"constructor"!==s[a]&&f.isClass(c)&&(u(c.prototype,r,i,o,n),u(c,r,i,o,n))}return u(t,r,i,o,n)}}},{"./errors":12,"./nodeback":20,"./util":36}],25:[function(t,e,n){"use strict";e.exports=function(e,n,r,i){function o(t){var e,n=!1;if(void 0!==a&&t instanceof a)e=p(t),n=!0;else{var r=l.keys(t),i=r.length;e=new Array(2*i);for(var o=0;o<i;++o){var s=r[o];e[o]=t[s],e[o+i]=s}}this.constructor$(e),this._isMap=n,this._init$(void 0,-3)}function s(t){var n,s=r(t);return u(s)?(n=s instanceof e?s._then(e.props,void 0,void 0,void 0,void 0):new o(s).promise(),s instanceof e&&n._propagateFrom(s,2),n):i("cannot await properties of a non-object\n\n    See http://goo.gl/MqrFmX\n")}var a,c=t("./util"),u=c.isObject,l=t("./es5");"function"==typeof Map&&(a=Map);var p=function(){function t(t,r){this[e]=t,this[e+n]=r,e++}var e=0,n=0;return function(r){n=r.size,e=0;var i=new Array(2*r.size);return r.forEach(t,i),i}}(),h=function(t){for(var e=new a,n=t.length/2|0,r=0;r<n;++r){var i=t[n+r],o=t[r];e.set(i,o)}return e};c.inherits(o,n),o.prototype._init=function(){},o.prototype._promiseFulfilled=function(t,e){this._values[e]=t;var n=++this._totalResolved;if(n>=this._length){var r;if(this._isMap)r=h(this._values);else{r={};for(var i=this.length(),o=0,s=this.length();o<s;++o)r[this._values[o+i]]=this._values[o]}return this._resolve(r),!0}return!1},o.prototype.shouldCopyValues=function(){return!1},o.prototype.getActualLength=function(t){return t>>1},e.prototype.props=function(){return s(this)},e.props=function(t){return s(t)}}},{"./es5":13,"./util":36}],26:[function(t,e,n){"use strict";function r(t,e,n,r,i){for(var o=0;o<i;++o)n[o+r]=t[o+e],t[o+e]=void 0}function i(t){this._capacity=t,this._length=0,this._front=0}i.prototype._willBeOverCapacity=function(t){return this._capacity<t},i.prototype._pushOne=function(t){var e=this.length();this._checkCapacity(e+1);var n=this._front+e&this._capacity-1;this[n]=t,this._length=e+1},i.prototype.push=function(t,e,n){var r=this.length()+3;if(this._willBeOverCapacity(r))return this._pushOne(t),this._pushOne(e),void this._pushOne(n);var i=this._front+r-3;this._checkCapacity(r);var o=this._capacity-1;this[i+0&o]=t,this[i+1&o]=e,this[i+2&o]=n,this._length=r},i.prototype.shift=function(){var t=this._front,e=this[t];return this[t]=void 0,this._front=t+1&this._capacity-1,this._length--,e},i.prototype.length=function(){return this._length},i.prototype._checkCapacity=function(t){this._capacity<t&&this._resizeTo(this._capacity<<1)},i.prototype._resizeTo=function(t){var e=this._capacity;this._capacity=t;var n=this._front,i=this._length,o=n+i&e-1;r(this,0,this,e,o)},e.exports=i},{}],27:[function(t,e,n){"use strict";e.exports=function(e,n,r,i){function o(t,o){var c=r(t);if(c instanceof e)return a(c);if(t=s.asArray(t),null===t)return i("expecting an array or an iterable object but got "+s.classString(t));var u=new e(n);void 0!==o&&u._propagateFrom(o,3);for(var l=u._fulfill,p=u._reject,h=0,f=t.length;h<f;++h){var d=t[h];(void 0!==d||h in t)&&e.cast(d)._then(l,p,void 0,u,null)}return u}var s=t("./util"),a=function(t){return t.then(function(e){return o(e,t)})};e.race=function(t){return o(t,void 0)},e.prototype.race=function(){return o(this,void 0)}}},{"./util":36}],28:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o,s){function a(t,n,r,i){this.constructor$(t);var s=h();this._fn=null===s?n:f.domainBind(s,n),void 0!==r&&(r=e.resolve(r),r._attachCancellationCallback(this)),this._initialValue=r,this._currentCancellable=null,i===o?this._eachValues=Array(this._length):0===i?this._eachValues=null:this._eachValues=void 0,this._promise._captureStackTrace(),this._init$(void 0,-5)}function c(t,e){this.isFulfilled()?e._resolve(t):e._reject(t)}function u(t,e,n,i){if("function"!=typeof e)return r("expecting a function but got "+f.classString(e));var o=new a(t,e,n,i);return o.promise()}function l(t){this.accum=t,this.array._gotAccum(t);var n=i(this.value,this.array._promise);return n instanceof e?(this.array._currentCancellable=n,n._then(p,void 0,void 0,this,void 0)):p.call(this,n)}function p(t){var n=this.array,r=n._promise,i=d(n._fn);r._pushContext();var o;o=void 0!==n._eachValues?i.call(r._boundValue(),t,this.index,this.length):i.call(r._boundValue(),this.accum,t,this.index,this.length),o instanceof e&&(n._currentCancellable=o);var a=r._popContext();return s.checkForgottenReturns(o,a,void 0!==n._eachValues?"Promise.each":"Promise.reduce",r),o}var h=e._getDomain,f=t("./util"),d=f.tryCatch;f.inherits(a,n),a.prototype._gotAccum=function(t){void 0!==this._eachValues&&null!==this._eachValues&&t!==o&&this._eachValues.push(t)},a.prototype._eachComplete=function(t){return null!==this._eachValues&&this._eachValues.push(t),this._eachValues},a.prototype._init=function(){},a.prototype._resolveEmptyArray=function(){this._resolve(void 0!==this._eachValues?this._eachValues:this._initialValue)},a.prototype.shouldCopyValues=function(){return!1},a.prototype._resolve=function(t){this._promise._resolveCallback(t),this._values=null},a.prototype._resultCancelled=function(t){return t===this._initialValue?this._cancel():void(this._isResolved()||(this._resultCancelled$(),this._currentCancellable instanceof e&&this._currentCancellable.cancel(),this._initialValue instanceof e&&this._initialValue.cancel()))},a.prototype._iterate=function(t){this._values=t;var n,r,i=t.length;if(void 0!==this._initialValue?(n=this._initialValue,r=0):(n=e.resolve(t[0]),r=1),this._currentCancellable=n,!n.isRejected())for(;r<i;++r){var o={accum:null,value:t[r],index:r,length:i,array:this};n=n._then(l,void 0,void 0,o,void 0)}void 0!==this._eachValues&&(n=n._then(this._eachComplete,void 0,void 0,this,void 0)),n._then(c,c,void 0,n,this)},e.prototype.reduce=function(t,e){return u(this,t,e,null)},e.reduce=function(t,e,n,r){return u(t,e,n,r)}}},{"./util":36}],29:[function(t,i,o){"use strict";var s,a=t("./util"),c=function(){throw new Error("No async scheduler available\n\n    See http://goo.gl/MqrFmX\n")},u=a.getNativePromise();if(a.isNode&&"undefined"==typeof MutationObserver){var l=n.setImmediate,p=e.nextTick;s=a.isRecentNode?function(t){l.call(n,t)}:function(t){p.call(e,t)}}else if("function"==typeof u&&"function"==typeof u.resolve){var h=u.resolve();s=function(t){h.then(t)}}else s="undefined"==typeof MutationObserver||"undefined"!=typeof window&&window.navigator&&(window.navigator.standalone||window.cordova)?"undefined"!=typeof r?function(t){r(t)}:"undefined"!=typeof setTimeout?function(t){setTimeout(t,0)}:c:function(){var t=document.createElement("div"),e={attributes:!0},n=!1,r=document.createElement("div"),i=new MutationObserver(function(){t.classList.toggle("foo"),n=!1});i.observe(r,e);var o=function(){n||(n=!0,r.classList.toggle("foo"))};return function(n){var r=new MutationObserver(function(){r.disconnect(),n()});r.observe(t,e),o()}}();i.exports=s},{"./util":36}],30:[function(t,e,n){"use strict";e.exports=function(e,n,r){function i(t){this.constructor$(t)}var o=e.PromiseInspection,s=t("./util");s.inherits(i,n),i.prototype._promiseResolved=function(t,e){this._values[t]=e;var n=++this._totalResolved;return n>=this._length&&(this._resolve(this._values),!0)},i.prototype._promiseFulfilled=function(t,e){var n=new o;return n._bitField=33554432,n._settledValueField=t,this._promiseResolved(e,n)},i.prototype._promiseRejected=function(t,e){var n=new o;return n._bitField=16777216,n._settledValueField=t,this._promiseResolved(e,n)},e.settle=function(t){return r.deprecated(".settle()",".reflect()"),new i(t).promise()},e.prototype.settle=function(){return e.settle(this)}}},{"./util":36}],31:[function(t,e,n){"use strict";e.exports=function(e,n,r){function i(t){this.constructor$(t),this._howMany=0,this._unwrap=!1,this._initialized=!1}function o(t,e){if((0|e)!==e||e<0)return r("expecting a positive integer\n\n    See http://goo.gl/MqrFmX\n");var n=new i(t),o=n.promise();return n.setHowMany(e),n.init(),o}var s=t("./util"),a=t("./errors").RangeError,c=t("./errors").AggregateError,u=s.isArray,l={};s.inherits(i,n),i.prototype._init=function(){if(this._initialized){if(0===this._howMany)return void this._resolve([]);this._init$(void 0,-5);var t=u(this._values);!this._isResolved()&&t&&this._howMany>this._canPossiblyFulfill()&&this._reject(this._getRangeError(this.length()))}},i.prototype.init=function(){this._initialized=!0,this._init()},i.prototype.setUnwrap=function(){this._unwrap=!0},i.prototype.howMany=function(){return this._howMany},i.prototype.setHowMany=function(t){this._howMany=t},i.prototype._promiseFulfilled=function(t){return this._addFulfilled(t),this._fulfilled()===this.howMany()&&(this._values.length=this.howMany(),1===this.howMany()&&this._unwrap?this._resolve(this._values[0]):this._resolve(this._values),!0)},i.prototype._promiseRejected=function(t){return this._addRejected(t),this._checkOutcome()},i.prototype._promiseCancelled=function(){return this._values instanceof e||null==this._values?this._cancel():(this._addRejected(l),this._checkOutcome())},i.prototype._checkOutcome=function(){if(this.howMany()>this._canPossiblyFulfill()){for(var t=new c,e=this.length();e<this._values.length;++e)this._values[e]!==l&&t.push(this._values[e]);return t.length>0?this._reject(t):this._cancel(),!0}return!1},i.prototype._fulfilled=function(){return this._totalResolved},i.prototype._rejected=function(){return this._values.length-this.length()},i.prototype._addRejected=function(t){this._values.push(t)},i.prototype._addFulfilled=function(t){this._values[this._totalResolved++]=t},i.prototype._canPossiblyFulfill=function(){return this.length()-this._rejected()},i.prototype._getRangeError=function(t){var e="Input array must contain at least "+this._howMany+" items but contains only "+t+" items";return new a(e)},i.prototype._resolveEmptyArray=function(){this._reject(this._getRangeError(0))},e.some=function(t,e){return o(t,e)},e.prototype.some=function(t){return o(this,t)},e._SomePromiseArray=i}},{"./errors":12,"./util":36}],32:[function(t,e,n){"use strict";e.exports=function(t){function e(t){void 0!==t?(t=t._target(),this._bitField=t._bitField,this._settledValueField=t._isFateSealed()?t._settledValue():void 0):(this._bitField=0,this._settledValueField=void 0)}e.prototype._settledValue=function(){return this._settledValueField};var n=e.prototype.value=function(){if(!this.isFulfilled())throw new TypeError("cannot get fulfillment value of a non-fulfilled promise\n\n    See http://goo.gl/MqrFmX\n");return this._settledValue()},r=e.prototype.error=e.prototype.reason=function(){if(!this.isRejected())throw new TypeError("cannot get rejection reason of a non-rejected promise\n\n    See http://goo.gl/MqrFmX\n");return this._settledValue()},i=e.prototype.isFulfilled=function(){return 0!==(33554432&this._bitField)},o=e.prototype.isRejected=function(){return 0!==(16777216&this._bitField)},s=e.prototype.isPending=function(){return 0===(50397184&this._bitField)},a=e.prototype.isResolved=function(){return 0!==(50331648&this._bitField)};e.prototype.isCancelled=function(){return 0!==(8454144&this._bitField)},t.prototype.__isCancelled=function(){return 65536===(65536&this._bitField)},t.prototype._isCancelled=function(){return this._target().__isCancelled()},t.prototype.isCancelled=function(){return 0!==(8454144&this._target()._bitField)},t.prototype.isPending=function(){return s.call(this._target())},t.prototype.isRejected=function(){return o.call(this._target())},t.prototype.isFulfilled=function(){return i.call(this._target())},t.prototype.isResolved=function(){return a.call(this._target())},t.prototype.value=function(){return n.call(this._target())},t.prototype.reason=function(){var t=this._target();return t._unsetRejectionIsUnhandled(),r.call(t)},t.prototype._value=function(){return this._settledValue()},t.prototype._reason=function(){return this._unsetRejectionIsUnhandled(),this._settledValue()},t.PromiseInspection=e}},{}],33:[function(t,e,n){"use strict";e.exports=function(e,n){function r(t,r){if(l(t)){if(t instanceof e)return t;var i=o(t);if(i===u){r&&r._pushContext();var c=e.reject(i.e);return r&&r._popContext(),c}if("function"==typeof i){if(s(t)){var c=new e(n);return t._then(c._fulfill,c._reject,void 0,c,null),c}return a(t,i,r)}}return t}function i(t){return t.then}function o(t){try{return i(t)}catch(t){return u.e=t,u}}function s(t){try{return p.call(t,"_promise0")}catch(t){return!1}}function a(t,r,i){function o(t){a&&(a._resolveCallback(t),a=null)}function s(t){a&&(a._rejectCallback(t,p,!0),a=null)}var a=new e(n),l=a;i&&i._pushContext(),a._captureStackTrace(),i&&i._popContext();var p=!0,h=c.tryCatch(r).call(t,o,s);return p=!1,a&&h===u&&(a._rejectCallback(h.e,!0,!0),a=null),l}var c=t("./util"),u=c.errorObj,l=c.isObject,p={}.hasOwnProperty;return r}},{"./util":36}],34:[function(t,e,n){"use strict";e.exports=function(e,n,r){function i(t){this.handle=t}function o(t){return clearTimeout(this.handle),t}function s(t){throw clearTimeout(this.handle),t}var a=t("./util"),c=e.TimeoutError;i.prototype._resultCancelled=function(){clearTimeout(this.handle)};var u=function(t){return l(+this).thenReturn(t)},l=e.delay=function(t,o){var s,a;return void 0!==o?(s=e.resolve(o)._then(u,null,null,t,void 0),r.cancellation()&&o instanceof e&&s._setOnCancel(o)):(s=new e(n),a=setTimeout(function(){s._fulfill()},+t),r.cancellation()&&s._setOnCancel(new i(a)),s._captureStackTrace()),s._setAsyncGuaranteed(),s};e.prototype.delay=function(t){return l(t,this)};var p=function(t,e,n){var r;r="string"!=typeof e?e instanceof Error?e:new c("operation timed out"):new c(e),a.markAsOriginatingFromRejection(r),t._attachExtraTrace(r),t._reject(r),null!=n&&n.cancel()};e.prototype.timeout=function(t,e){t=+t;var n,a,c=new i(setTimeout(function(){n.isPending()&&p(n,e,a)},t));return r.cancellation()?(a=this.then(),n=a._then(o,s,void 0,c,void 0),n._setOnCancel(c)):n=this._then(o,s,void 0,c,void 0),n}}},{"./util":36}],35:[function(t,e,n){"use strict";e.exports=function(e,n,r,i,o,s){function a(t){setTimeout(function(){throw t},0)}function c(t){var e=r(t);return e!==t&&"function"==typeof t._isDisposable&&"function"==typeof t._getDisposer&&t._isDisposable()&&e._setDisposable(t._getDisposer()),e}function u(t,n){function i(){if(s>=u)return l._fulfill();var o=c(t[s++]);if(o instanceof e&&o._isDisposable()){try{o=r(o._getDisposer().tryDispose(n),t.promise)}catch(t){return a(t)}if(o instanceof e)return o._then(i,a,null,null,null)}i()}var s=0,u=t.length,l=new e(o);return i(),l}function l(t,e,n){this._data=t,this._promise=e,this._context=n}function p(t,e,n){this.constructor$(t,e,n)}function h(t){return l.isDisposer(t)?(this.resources[this.index]._setDisposable(t),t.promise()):t}function f(t){this.length=t,this.promise=null,this[t-1]=null}var d=t("./util"),_=t("./errors").TypeError,v=t("./util").inherits,y=d.errorObj,m=d.tryCatch,g={};l.prototype.data=function(){return this._data},l.prototype.promise=function(){return this._promise},l.prototype.resource=function(){return this.promise().isFulfilled()?this.promise().value():g},l.prototype.tryDispose=function(t){var e=this.resource(),n=this._context;void 0!==n&&n._pushContext();var r=e!==g?this.doDispose(e,t):null;return void 0!==n&&n._popContext(),this._promise._unsetDisposable(),this._data=null,r},l.isDisposer=function(t){return null!=t&&"function"==typeof t.resource&&"function"==typeof t.tryDispose},v(p,l),p.prototype.doDispose=function(t,e){var n=this.data();return n.call(t,t,e)},f.prototype._resultCancelled=function(){for(var t=this.length,n=0;n<t;++n){var r=this[n];r instanceof e&&r.cancel()}},e.using=function(){var t=arguments.length;if(t<2)return n("you must pass at least 2 arguments to Promise.using");var i=arguments[t-1];if("function"!=typeof i)return n("expecting a function but got "+d.classString(i));var o,a=!0;2===t&&Array.isArray(arguments[0])?(o=arguments[0],t=o.length,a=!1):(o=arguments,t--);for(var c=new f(t),p=0;p<t;++p){var _=o[p];if(l.isDisposer(_)){var v=_;_=_.promise(),_._setDisposable(v)}else{var g=r(_);g instanceof e&&(_=g._then(h,null,null,{resources:c,index:p},void 0))}c[p]=_}for(var b=new Array(c.length),p=0;p<b.length;++p)b[p]=e.resolve(c[p]).reflect();var w=e.all(b).then(function(t){for(var e=0;e<t.length;++e){var n=t[e];if(n.isRejected())return y.e=n.error(),y;if(!n.isFulfilled())return void w.cancel();t[e]=n.value()}C._pushContext(),i=m(i);var r=a?i.apply(void 0,t):i(t),o=C._popContext();return s.checkForgottenReturns(r,o,"Promise.using",C),r}),C=w.lastly(function(){var t=new e.PromiseInspection(w);return u(c,t)});return c.promise=C,C._setOnCancel(c),C},e.prototype._setDisposable=function(t){this._bitField=131072|this._bitField,this._disposer=t},e.prototype._isDisposable=function(){return(131072&this._bitField)>0},e.prototype._getDisposer=function(){return this._disposer},e.prototype._unsetDisposable=function(){this._bitField=this._bitField&-131073,this._disposer=void 0},e.prototype.disposer=function(t){if("function"==typeof t)return new p(t,this,i());throw new _}}},{"./errors":12,"./util":36}],36:[function(t,r,i){"use strict";function o(){try{var t=O;return O=null,t.apply(this,arguments)}catch(t){return S.e=t,S}}function s(t){return O=t,o}function a(t){return null==t||t===!0||t===!1||"string"==typeof t||"number"==typeof t}function c(t){return"function"==typeof t||"object"==typeof t&&null!==t}function u(t){return a(t)?new Error(m(t)):t}function l(t,e){var n,r=t.length,i=new Array(r+1);for(n=0;n<r;++n)i[n]=t[n];return i[n]=e,i}function p(t,e,n){if(!k.isES5)return{}.hasOwnProperty.call(t,e)?t[e]:void 0;var r=Object.getOwnPropertyDescriptor(t,e);return null!=r?null==r.get&&null==r.set?r.value:n:void 0}function h(t,e,n){if(a(t))return t;var r={value:n,configurable:!0,enumerable:!1,writable:!0};return k.defineProperty(t,e,r),t}function f(t){throw t}function d(t){try{if("function"==typeof t){var e=k.names(t.prototype),n=k.isES5&&e.length>1,r=e.length>0&&!(1===e.length&&"constructor"===e[0]),i=B.test(t+"")&&k.names(t).length>0;if(n||r||i)return!0}return!1}catch(t){return!1}}function _(t){function e(){}e.prototype=t;for(var n=8;n--;)new e;return t}function v(t){return I.test(t)}function y(t,e,n){for(var r=new Array(t),i=0;i<t;++i)r[i]=e+i+n;return r}function m(t){try{return t+""}catch(t){return"[no string representation]"}}function g(t){return null!==t&&"object"==typeof t&&"string"==typeof t.message&&"string"==typeof t.name}function b(t){try{h(t,"isOperational",!0)}catch(t){}}function w(t){return null!=t&&(t instanceof Error.__BluebirdErrorTypes__.OperationalError||t.isOperational===!0)}function C(t){return g(t)&&k.propertyIsWritable(t,"stack")}function T(t){return{}.toString.call(t)}function E(t,e,n){for(var r=k.names(t),i=0;i<r.length;++i){var o=r[i];if(n(o))try{k.defineProperty(e,o,k.getDescriptor(t,o))}catch(t){}}}function F(t){return U?e.env[t]:void 0}function P(){if("function"==typeof Promise)try{var t=new Promise(function(){});if("[object Promise]"==={}.toString.call(t))return Promise}catch(t){}}function j(t,e){return t.bind(e)}var k=t("./es5"),x="undefined"==typeof navigator,S={e:{}},O,R="undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof n?n:void 0!==this?this:null,A=function(t,e){function n(){this.constructor=t,this.constructor$=e;for(var n in e.prototype)r.call(e.prototype,n)&&"$"!==n.charAt(n.length-1)&&(this[n+"$"]=e.prototype[n])}var r={}.hasOwnProperty;return n.prototype=e.prototype,t.prototype=new n,t.prototype},V=function(){var t=[Array.prototype,Object.prototype,Function.prototype],e=function(e){for(var n=0;n<t.length;++n)if(t[n]===e)return!0;return!1};if(k.isES5){var n=Object.getOwnPropertyNames;return function(t){for(var r=[],i=Object.create(null);null!=t&&!e(t);){var o;try{o=n(t)}catch(t){return r}for(var s=0;s<o.length;++s){var a=o[s];if(!i[a]){i[a]=!0;var c=Object.getOwnPropertyDescriptor(t,a);null!=c&&null==c.get&&null==c.set&&r.push(a)}}t=k.getPrototypeOf(t)}return r}}var r={}.hasOwnProperty;return function(n){if(e(n))return[];var i=[];t:for(var o in n)if(r.call(n,o))i.push(o);else{for(var s=0;s<t.length;++s)if(r.call(t[s],o))continue t;i.push(o)}return i}}(),B=/this\s*\.\s*\S+\s*=/,I=/^[a-z$_][a-z$_0-9]*$/i,N=function(){return"stack"in new Error?function(t){return C(t)?t:new Error(m(t))}:function(t){if(C(t))return t;try{throw new Error(m(t))}catch(t){return t}}}(),D=function(t){return k.isArray(t)?t:null};if("undefined"!=typeof Symbol&&Symbol.iterator){var L="function"==typeof Array.from?function(t){return Array.from(t)}:function(t){for(var e,n=[],r=t[Symbol.iterator]();!(e=r.next()).done;)n.push(e.value);return n};D=function(t){return k.isArray(t)?t:null!=t&&"function"==typeof t[Symbol.iterator]?L(t):null}}var H="undefined"!=typeof e&&"[object process]"===T(e).toLowerCase(),U="undefined"!=typeof e&&"undefined"!=typeof e.env,M={isClass:d,isIdentifier:v,inheritedDataKeys:V,getDataPropertyOrDefault:p,thrower:f,isArray:k.isArray,asArray:D,notEnumerableProp:h,isPrimitive:a,isObject:c,isError:g,canEvaluate:x,errorObj:S,tryCatch:s,inherits:A,withAppended:l,maybeWrapAsError:u,toFastProperties:_,filledRange:y,toString:m,canAttachTrace:C,ensureErrorObject:N,originatesFromRejection:w,markAsOriginatingFromRejection:b,classString:T,copyDescriptors:E,hasDevTools:"undefined"!=typeof chrome&&chrome&&"function"==typeof chrome.loadTimes,isNode:H,hasEnvVariables:U,env:F,global:R,getNativePromise:P,domainBind:j};M.isRecentNode=M.isNode&&function(){var t=e.versions.node.split(".").map(Number);return 0===t[0]&&t[1]>10||t[0]>0}(),M.isNode&&M.toFastProperties(e);try{throw new Error}catch(t){M.lastLineError=t}r.exports=M},{"./es5":13}]},{},[4])(4)}),"undefined"!=typeof window&&null!==window?window.P=window.Promise:"undefined"!=typeof self&&null!==self&&(self.P=self.Promise)}).call(e,n(3),function(){return this}(),n(4).setImmediate)},function(t,e){function n(){throw new Error("setTimeout has not been defined")}function r(){throw new Error("clearTimeout has not been defined")}function i(t){if(l===setTimeout)return setTimeout(t,0);if((l===n||!l)&&setTimeout)return l=setTimeout,setTimeout(t,0);try{return l(t,0)}catch(e){try{return l.call(null,t,0)}catch(e){return l.call(this,t,0)}}}function o(t){if(p===clearTimeout)return clearTimeout(t);if((p===r||!p)&&clearTimeout)return p=clearTimeout,clearTimeout(t);try{return p(t)}catch(e){try{return p.call(null,t)}catch(e){return p.call(this,t)}}}function s(){_&&f&&(_=!1,f.length?d=f.concat(d):v=-1,d.length&&a())}function a(){if(!_){var t=i(s);_=!0;for(var e=d.length;e;){for(f=d,d=[];++v<e;)f&&f[v].run();v=-1,e=d.length}f=null,_=!1,o(t)}}function c(t,e){this.fun=t,this.array=e}function u(){}var l,p,h=t.exports={};!function(){try{l="function"==typeof setTimeout?setTimeout:n}catch(t){l=n}try{p="function"==typeof clearTimeout?clearTimeout:r}catch(t){p=r}}();var f,d=[],_=!1,v=-1;h.nextTick=function(t){var e=new Array(arguments.length-1);if(arguments.length>1)for(var n=1;n<arguments.length;n++)e[n-1]=arguments[n];d.push(new c(t,e)),1!==d.length||_||i(a)},c.prototype.run=function(){this.fun.apply(null,this.array)},h.title="browser",h.browser=!0,h.env={},h.argv=[],h.version="",h.versions={},h.on=u,h.addListener=u,h.once=u,h.off=u,h.removeListener=u,h.removeAllListeners=u,h.emit=u,h.binding=function(t){throw new Error("process.binding is not supported")},h.cwd=function(){return"/"},h.chdir=function(t){throw new Error("process.chdir is not supported")},h.umask=function(){return 0}},function(t,e,n){function r(t,e){this._id=t,this._clearFn=e}var i=Function.prototype.apply;e.setTimeout=function(){return new r(i.call(setTimeout,window,arguments),clearTimeout)},e.setInterval=function(){return new r(i.call(setInterval,window,arguments),clearInterval)},e.clearTimeout=e.clearInterval=function(t){t&&t.close()},r.prototype.unref=r.prototype.ref=function(){},r.prototype.close=function(){this._clearFn.call(window,this._id)},e.enroll=function(t,e){clearTimeout(t._idleTimeoutId),t._idleTimeout=e},e.unenroll=function(t){clearTimeout(t._idleTimeoutId),t._idleTimeout=-1},e._unrefActive=e.active=function(t){clearTimeout(t._idleTimeoutId);var e=t._idleTimeout;e>=0&&(t._idleTimeoutId=setTimeout(function(){t._onTimeout&&t._onTimeout()},e))},n(5),e.setImmediate=setImmediate,e.clearImmediate=clearImmediate},function(t,e,n){(function(t,e){!function(t,n){"use strict";function r(t){"function"!=typeof t&&(t=new Function(""+t));for(var e=new Array(arguments.length-1),n=0;n<e.length;n++)e[n]=arguments[n+1];var r={callback:t,args:e};return _[d]=r,f(d),d++}function i(t){delete _[t]}function o(t){var e=t.callback,r=t.args;switch(r.length){case 0:e();break;case 1:e(r[0]);break;case 2:e(r[0],r[1]);break;case 3:e(r[0],r[1],r[2]);break;default:e.apply(n,r)}}function s(t){if(v)setTimeout(s,0,t);else{var e=_[t];if(e){v=!0;try{o(e)}finally{i(t),v=!1}}}}function a(){f=function(t){e.nextTick(function(){s(t)})}}function c(){if(t.postMessage&&!t.importScripts){var e=!0,n=t.onmessage;return t.onmessage=function(){e=!1},t.postMessage("","*"),t.onmessage=n,e}}function u(){var e="setImmediate$"+Math.random()+"$",n=function(n){n.source===t&&"string"==typeof n.data&&0===n.data.indexOf(e)&&s(+n.data.slice(e.length))};t.addEventListener?t.addEventListener("message",n,!1):t.attachEvent("onmessage",n),f=function(n){t.postMessage(e+n,"*")}}function l(){var t=new MessageChannel;t.port1.onmessage=function(t){var e=t.data;s(e)},f=function(e){t.port2.postMessage(e)}}function p(){var t=y.documentElement;f=function(e){var n=y.createElement("script");n.onreadystatechange=function(){s(e),n.onreadystatechange=null,t.removeChild(n),n=null},t.appendChild(n)}}function h(){f=function(t){setTimeout(s,0,t)}}if(!t.setImmediate){var f,d=1,_={},v=!1,y=t.document,m=Object.getPrototypeOf&&Object.getPrototypeOf(t);m=m&&m.setTimeout?m:t,"[object process]"==={}.toString.call(t.process)?a():c()?u():t.MessageChannel?l():y&&"onreadystatechange"in y.createElement("script")?p():h(),m.setImmediate=r,m.clearImmediate=i}}("undefined"==typeof self?"undefined"==typeof t?this:t:self)}).call(e,function(){return this}(),n(3))}])});
+!function(t,e){"object"==typeof exports&&"object"==typeof module?module.exports=e():"function"==typeof define&&define.amd?define([],e):"object"==typeof exports?exports.transition=e():t.transition=e()}(this,function(){return function(t){function e(i){if(n[i])return n[i].exports;var r=n[i]={exports:{},id:i,loaded:!1};return t[i].call(r.exports,r,r.exports,e),r.loaded=!0,r.exports}var n={};return e.m=t,e.c=n,e.p="",e(0)}([function(t,e,n){"use strict";function i(t,e){var n=void 0;if(null===t||void 0===t)return null;if(n=T.resolveTime(t),null===n)throw"[TransitionProperty] Invalid "+e+" '"+t+"'.";return n}function r(){var t=void 0,e=void 0,n=null,r=null,o=null,s=!1;if(1===arguments.length?g.isString(arguments[0])?r=arguments[0].split(" "):g.isArray(arguments[0])?r=arguments[0]:n=arguments[0]:r=arguments,this.keyframes=null,this.offsets=null,n)this.property=n.property,this.from=n.from,this.to=n.to,g.isArray(n.keyframes)&&this.setKeyframes(n.keyframes,n.offsets),this.duration=i(n.duration,"duration"),this.delay=i(n.delay,"delay"),o=n.timingFunction,this.onTransitionEnd=g.isFunction(n.onTransitionEnd)?n.onTransitionEnd:null,this.onTransitionStart=g.isFunction(n.onTransitionStart)?n.onTransitionStart:null,this.onTransitionCancel=g.isFunction(n.onTransitionCancel)?n.onTransitionCancel:null,this.beginFromCurrentValue=g.isBoolean(n.beginFromCurrentValue)?n.beginFromCurrentValue:null;else{if(!(r.length>=3))throw"[TransitionProperty] Invalid number of arguments.";for(this.property=r[0],this.from=r[1],this.to=r[2],this.duration=null,this.delay=null,this.onTransitionEnd=null,this.onTransitionStart=null,this.onTransitionCancel=null,this.beginFromCurrentValue=null,t=3;t<r.length;t++)e=r[t],g.isString(e)?k.test(e)||T.isDurationToken(e)?s?this.delay=T.resolveTime(e)||e:(s=!0,this.duration=T.resolveTime(e)||e):o=e:g.isFunction(e)?this.onTransitionEnd=e:g.isObject(e)&&(o=e)}this.timingFunction=T.resolveTimingFunction(o),null===this.duration&&(this.duration=T.resolveTimingFunctionDuration(o)),this.domProperty=g.supportedCssProperty(this.property),this.cssProperty=g.domToCSS(this.domProperty),this.timing=null,this.segment=null,this.elapsedTime=null,this.initialVelocity=null,this.keyframeIndex=0,this.keyframesDuration=0,this.keyframesTimingFunction=null,this.holdTimeout=null,this.safetyTimeout=null,this.timedOut=!1,this.cancelExpected=!1,this.started=!1,this.fromAuto=!1,this.toAuto=!1,this.isCrossfade=!1,this.animation=null,this.animatedSegment=null,this.startTimeout=null,this.tween=null}function o(t,e){var n=void 0;if(!t)throw"Transition: 'properties' is a required parameter";if(n=!!e&&void 0!==e.duration,e=g.defaults(e||{},o.defaultOptions),this.properties=t,this.engine=o.getEngine(e.engine),this.duration=(n?null:T.resolveTimingFunctionDuration(e.timingFunction))||T.resolveTime(e.duration),null===this.duration)throw"[Transition]: Invalid duration '"+e.duration+"'";if(this.delay=T.resolveTime(e.delay),null===this.delay)throw"[Transition]: Invalid delay '"+e.delay+"'";if(this.timingFunction=T.resolveTimingFunction(e.timingFunction),null===this.timingFunction)throw"[Transition]: Invalid timingFunction '"+e.timingFunction+"'";if(this.onTransitionEnd=e.onTransitionEnd,this.onTransitionStart=e.onTransitionStart,this.onTransitionCancel=e.onTransitionCancel,this.transitionStarted=!1,this.transitionCancelled=!1,this.resolve=null,this.reject=null,this.onBeforeChangeStyle=e.onBeforeChangeStyle,this.onAfterChangeStyle=e.onAfterChangeStyle,this.beginFromCurrentValue=!!g.isBoolean(e.beginFromCurrentValue)&&e.beginFromCurrentValue,this.preserveVelocity=e.preserveVelocity,!g.isNumber(e.playbackRate)||e.playbackRate<=0)throw"[Transition]: Invalid playbackRate '"+e.playbackRate+"'";if(this.playbackRate=e.playbackRate,["respect","ignore","always"].indexOf(e.reducedMotion)<0)throw"[Transition]: Invalid reducedMotion '"+e.reducedMotion+"'";if(["instant","crossfade"].indexOf(e.reducedMotionStrategy)<0)throw"[Transition]: Invalid reducedMotionStrategy '"+e.reducedMotionStrategy+"'";this.reducedMotionStrategy=e.reducedMotionStrategy,this.reducedMotionDuration=g.parseTime(T.resolveTime(e.reducedMotionDuration)),this.motionReduced="always"===e.reducedMotion||"respect"===e.reducedMotion&&g.prefersReducedMotion(),this.delayOffset=0,this.leaving=!1,this.elementIndex=0,this.repeat=g.isNumber(e.repeat)?Math.max(e.repeat,0):0,this.alternate=e.alternate||!!e.yoyo,this.repeatDelay=g.parseTime(T.resolveTime(e.repeatDelay)),this.iteration=0,this.waitingToRepeat=!1,this.repeatTimeout=null,this.repeatDelayEndTime=null,this.repeatDelayRemaining=null,this.timeoutGracePeriod=e.timeoutGracePeriod===!1?null:g.parseTime(e.timeoutGracePeriod),this.timedOutPropertyNames=[],this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],this.transitioningPropertyNames=[],this.transitioningProperties=[],this.allPropertiesWereFinished=!0,this.paused=!1,this.afterChangeStylePending=!1,this.pendingSeek=null}function s(t){var e=T.resolveTime(t);return null!==e&&g.parseTime(e)>=0}function a(t){return null===t||g.isFunction(t)}function u(t,e){var n=void 0;for(n in t)if(t.hasOwnProperty(n)&&O.hasOwnProperty(n)&&!O[n](t[n]))throw"["+e+"]: Invalid "+n+" '"+t[n]+"'"}function l(t){var e=T.resolveTime(t);if(null===e)throw"[Transition.begin]: Invalid stagger '"+t+"'";return g.parseTime(e)}function c(t){return g.toArray(t).filter(function(t){return 1===t.nodeType})}function p(t,e){var n=Math.pow(10,e);return Math.round(t*n)/n}function h(t){var e=window.getComputedStyle(t,null).getPropertyValue("transform")||t.style.transform,n=A.exec(e),i=void 0;return n?(i=n[2].split(",").map(parseFloat),n[1]?{x:Math.sqrt(i[0]*i[0]+i[1]*i[1]+i[2]*i[2]),y:Math.sqrt(i[4]*i[4]+i[5]*i[5]+i[6]*i[6])}:{x:Math.sqrt(i[0]*i[0]+i[1]*i[1]),y:Math.sqrt(i[2]*i[2]+i[3]*i[3])}):(n=M.exec(e),n?{x:parseFloat(n[1]),y:parseFloat(void 0===n[2]?n[1]:n[2])}:{x:1,y:1})}function f(t,e){var n=window.getComputedStyle(t,null).getPropertyValue("transform-origin").split(" "),i=g.parseNumericValue(n[0]),r=g.parseNumericValue(n[1]);return{x:i&&"px"===i.unit?i.value:e.width/2,y:r&&"px"===r.unit?r.value:e.height/2}}function d(t,e){var n=void 0,i={};for(n=0;n<e.length;n++)i[e[n]]=t.style[e[n]];return i}function m(t,e){var n=void 0;for(n in e)e.hasOwnProperty(n)&&(t.style[n]=e[n])}function v(t){return g.isString(t[0])&&t[0].indexOf(" ")===-1&&!P.has(t[0])}var g=n(1),y=n(2),_=n(3),b=n(4),T=n(5),w=n(6),P=n(7),C=n(8),S=n(9),x=n(10),F=n(11);"undefined"==typeof Promise&&(Promise=n(12));var k=/[-+]?\d+(?:.\d+)?(?:s|ms)/i,E=/^-[a-z]+-/,j=/^(?:transform|translate|rotate|scale|left|top|right|bottom|inset(?:-\w+)?|margin(?:-\w+)?)$/;r.prototype.setKeyframes=function(t,e){var n=void 0;if(t.length<2)throw"[TransitionProperty] Keyframes must have at least two values.";if(g.isArray(e)){if(e.length!==t.length)throw"[TransitionProperty] Offsets must have the same length as keyframes.";for(n=0;n<e.length;n++)if(!g.isNumber(e[n])||isNaN(e[n])||n>0&&e[n]<e[n-1])throw"[Transition.begin]: Invalid keyframe offsets";if(0!==e[0]||1!==e[e.length-1])throw"[Transition.begin]: Invalid keyframe offsets";e=e.slice()}else for(e=[],n=0;n<t.length;n++)e.push(n/(t.length-1));this.keyframes=t.slice(),this.offsets=e,this.from=this.keyframes[0],this.to=this.keyframes[this.keyframes.length-1]},r.prototype.isMotionProperty=function(){return j.test(this.cssProperty.replace(E,""))},r.prototype.setFrom=function(t){this.from=t,this.keyframes&&(this.keyframes[0]=t)},r.prototype.resolveValues=function(t,e){var n=this.to,i=void 0;if(!this.keyframes){if("auto"===String(this.from)&&null!==(i=this.measureAutoValue(t))&&(this.from=i,this.fromAuto=!0),g.isFunction(n)&&(n=n(t,e)),b.isRelativeValue(n)&&(n=b.resolveRelativeValue(n,this.from)||b.resolveRelativeValue(n,t.style[this.domProperty]||"none"),null===n))throw"[TransitionProperty] Can not resolve '"+this.to+"' of '"+this.cssProperty+"' from '"+this.from+"'.";"auto"===String(n)&&null!==(i=this.measureAutoValue(t))&&(n=i,this.toAuto=!0),this.to=n}},r.prototype.measureAutoValue=function(t){var e=void 0,n=t.style[this.domProperty];return t.style[this.domProperty]="auto",e=window.getComputedStyle(t,null).getPropertyValue(this.cssProperty),t.style[this.domProperty]=n,e&&"auto"!==e?e:null},r.prototype.restoreAutoValue=function(t){this.toAuto&&(t.style[this.domProperty]="auto")},r.prototype.reverseValues=function(){var t=this.from,e=this.fromAuto;return this.keyframes?void this.reverseKeyframes():(this.from=this.to,this.to=t,this.fromAuto=this.toAuto,void(this.toAuto=e))},r.prototype.isStatic=function(){var t=void 0;if(!this.keyframes)return String(this.from)===String(this.to);for(t=1;t<this.keyframes.length;t++)if(String(this.keyframes[t])!==String(this.from))return!1;return!0},r.prototype.getTarget=function(){return this.keyframes?this.keyframes[this.keyframeIndex+1]:this.to},r.prototype.hasNextKeyframe=function(){return null!==this.keyframes&&this.keyframeIndex<this.keyframes.length-2},r.prototype.getKeyframeDuration=function(t){return this.keyframesDuration*(this.offsets[t+1]-this.offsets[t])},r.prototype.reverseKeyframes=function(){var t=void 0,e=[];for(t=this.offsets.length-1;t>=0;t--)e.push(1-this.offsets[t]);this.keyframes.reverse(),this.offsets=e,this.keyframeIndex=this.keyframes.length-2-this.keyframeIndex,this.from=this.keyframes[0],this.to=this.keyframes[this.keyframes.length-1]},r.prototype.clearTimeouts=function(){null!==this.holdTimeout&&(window.clearTimeout(this.holdTimeout),this.holdTimeout=null),null!==this.safetyTimeout&&(window.clearTimeout(this.safetyTimeout),this.safetyTimeout=null)},r.prototype.clone=function(){var t=new r({property:this.property,from:this.from,to:this.to,duration:this.duration,delay:this.delay,timingFunction:this.timingFunction,onTransitionEnd:this.onTransitionEnd,onTransitionStart:this.onTransitionStart,onTransitionCancel:this.onTransitionCancel,beginFromCurrentValue:this.beginFromCurrentValue,keyframes:this.keyframes,offsets:this.offsets});return t.fromAuto=this.fromAuto,t.toAuto=this.toAuto,t},r.prototype.reversedClone=function(){var t=this.clone();return t.reverseValues(),t.keyframeIndex=0,t},r.prototype.executeOnTransitionEnd=function(t,e){if(g.isFunction(this.onTransitionEnd)){var n=this.onTransitionEnd,i=this.timedOut;g.executeInNextEventLoop(function(){n(t,e,i)})}},r.prototype.startSegment=function(t,e,n,i){this.segment={startTime:g.now(),duration:g.parseTime(t),delay:g.parseTime(e),timingFunction:n,from:i}},r.prototype.startTiming=function(t,e,n){this.timing={startTime:g.now(),position:null,duration:t,delay:e,timingFunction:n}},r.prototype.getPosition=function(){return null!==this.timing.position?this.timing.position:g.now()-this.timing.startTime},r.prototype.pauseTiming=function(){this.timing&&null===this.timing.position&&(this.timing.position=this.getPosition())},r.prototype.resumeTiming=function(){this.timing.startTime=g.now()-this.timing.position,this.timing.position=null},r.prototype.reverseTiming=function(){var t=this.timing,e=void 0,n=void 0;e=Math.max(0,Math.min(this.getPosition()-t.delay,t.duration)),n=t.duration-e,t.delay=0,this.keyframes?t.timingFunction=this.keyframesTimingFunction:t.timingFunction=_.reverseTimingFunction(t.timingFunction)||t.timingFunction,null!==t.position?t.position=n:t.startTime=g.now()-n},r.prototype.getProgress=function(){var t=this.timing,e=void 0,n=0,i=void 0,r=void 0;if(!t)return this.isStatic()?1:0;if(e=this.getPosition()-t.delay,e=t.duration>0?Math.max(0,Math.min(e/t.duration,1)):e>=0?1:0,!this.keyframes)return _.evaluate(t.timingFunction,e);for(;n<this.offsets.length-2&&this.offsets[n+1]<=e;)n++;return i=this.offsets[n],r=this.offsets[n+1],i+(r-i)*_.evaluate(t.timingFunction,r>i?(e-i)/(r-i):1)},r.prototype.seekSegment=function(t){var e=this.timing,n=t-e.delay,i=0,r=0,o=e.duration;if(e.startTime=g.now()-t,n>=e.duration)return this.keyframes&&(this.keyframeIndex=this.keyframes.length-2),this.startSegment(0,0,e.timingFunction,this.to),!0;if(this.keyframes){for(;i<this.keyframes.length-2&&this.offsets[i+1]*e.duration<=n;)i++;this.keyframeIndex=i,r=this.offsets[i]*e.duration,o=this.getKeyframeDuration(i)}return this.startSegment(o,r-n,e.timingFunction,this.keyframes?this.keyframes[i]:this.from),!1},r.prototype.scaleTime=function(t){var e=g.now(),n=this.segment,i=this.timing,r=void 0;null!==this.elapsedTime?(this.elapsedTime*=t,n.delay*=t):(r=e-n.startTime,n.startTime=e,n.delay=(n.delay-r)*t),n.duration*=t,null!==i.position?i.position*=t:i.startTime=e-(e-i.startTime)*t,i.duration*=t,i.delay*=t,this.keyframesDuration*=t},r.prototype.getElapsedTime=function(){return null!==this.elapsedTime?this.elapsedTime:g.now()-this.segment.startTime},r.prototype.getVelocity=function(){var t=this.segment,e=void 0,n=void 0,i=void 0,r=void 0,o=void 0;return t&&null===this.elapsedTime?(e=this.getElapsedTime(),e<=t.delay||0===t.duration?0:(n=(e-t.delay)/t.duration,n>=1?0:(i=y.parseTimingFunction(t.timingFunction),r=g.parseNumericValue(t.from),o=g.parseNumericValue(this.getTarget()),i&&r&&o&&r.unit===o.unit?i.slopeAt(n)*(o.value-r.value)/t.duration:null))):0},r.prototype.setFromToCurrentValueIfNeeded=function(t,e){var n=g.isBoolean(this.beginFromCurrentValue);return!!(n&&this.beginFromCurrentValue||!n&&e)&&(this.setFrom(window.getComputedStyle(t,null).getPropertyValue(this.cssProperty)),!0)},r.prototype.getVelocityMatchingTimingFunction=function(t,e){var n=void 0,i=void 0,r=void 0;return this.initialVelocity?(n=g.parseNumericValue(this.from),i=g.parseNumericValue(this.getTarget()),n&&i&&n.unit===i.unit&&n.value!==i.value?(r=y.matchInitialSlope(t,this.initialVelocity*g.parseTime(e)/(i.value-n.value)),r||t):t):t},o.defaultOptions={duration:"400ms",delay:"0s",timingFunction:"ease",onTransitionEnd:null,onTransitionStart:null,onTransitionCancel:null,onBeforeChangeStyle:null,onAfterChangeStyle:null,beginFromCurrentValue:!1,preserveVelocity:!0,repeat:0,alternate:!1,repeatDelay:"0s",timeoutGracePeriod:"100ms",engine:"css",playbackRate:1,reducedMotion:"respect",reducedMotionStrategy:"instant",reducedMotionDuration:"150ms"},o.timeScale=1,o.setTimeScale=function(t){if(!g.isNumber(t)||t<0)throw"[Transition.setTimeScale]: Invalid time scale '"+t+"'";o.timeScale=t},o.engines={css:S,waapi:x,js:F},o.getEngine=function(t){var e=void 0;if(!o.engines.hasOwnProperty(t))throw"[Transition.getEngine]: Unknown engine '"+t+"'";return e=o.engines[t],e.isSupported()||(e=o.engines.css.isSupported()?o.engines.css:o.engines.js),e},o.setEngine=function(t){o.getEngine(t),o.defaultOptions.engine=t};var O={duration:s,delay:function(t){return null!==T.resolveTime(t)},timingFunction:function(t){return _.isTimingFunction(T.resolveTimingFunction(t))},onTransitionEnd:a,onTransitionStart:a,onTransitionCancel:a,onBeforeChangeStyle:a,onAfterChangeStyle:a,beginFromCurrentValue:g.isBoolean,preserveVelocity:g.isBoolean,repeat:function(t){return g.isNumber(t)&&t>=0},alternate:g.isBoolean,repeatDelay:s,timeoutGracePeriod:function(t){return t===!1||g.isTime(t)&&g.parseTime(t)>=0},engine:function(t){return o.engines.hasOwnProperty(t)},playbackRate:function(t){return g.isNumber(t)&&t>0},reducedMotion:function(t){return["respect","ignore","always"].indexOf(t)>=0},reducedMotionStrategy:function(t){return["instant","crossfade"].indexOf(t)>=0},reducedMotionDuration:s};o.configure=function(t){var e=void 0;for(e in t)if(t.hasOwnProperty(e)&&!o.defaultOptions.hasOwnProperty(e))throw"[Transition.configure]: Unknown option '"+e+"'";u(t,"Transition.configure"),g.extend(o.defaultOptions,t)},o.withDefaults=function(t){function e(t,e,i){return e.hasOwnProperty("properties")&&(i=e,e=e.properties),o.begin(t,e,g.defaults(g.extend({},i),n))}var n=g.extend({},t);return u(n,"Transition.withDefaults"),Object.defineProperty(e,"defaults",{get:function(){return g.extend({},n)}}),e.withDefaults=function(t){return o.withDefaults(g.extend({},n,t))},e},o.property=function(t){return new r(t)},o.begin=function(t,e,n){return e.hasOwnProperty("properties")&&(n=e,e=e.properties),g.isString(t)?o.beginMultiple(g.toArray(document.querySelectorAll(t)),e,n):g.isElementList(t)?o.beginMultiple(g.toArray(t),e,n):new o(o.parseProperties(e),n).begin(t)},o.beginMultiple=function(t,e,n){var i=void 0,r=void 0,s=void 0,a=void 0,u=void 0,l=n&&n.stagger,c=[];for(u=o.parseProperties(e),i=0;i<t.length;i++){for(a=[],r=0;r<u.length;r++)a.push(u[r].clone());s=new o(a,n),s.delayOffset=o.getStaggerDelay(l,i,t.length),s.elementIndex=i,c.push(s.begin(t[i]))}return o.groupHandles(t,c)},o.getStaggerDelay=function(t,e,n){var i=void 0,r=void 0;return t?g.isFunction(t)?l(t(e,n)):g.isNumber(t)||g.isString(t)?e*l(t):(r=l(t.each||0),i="center"===t.from?(n-1)/2:"end"===t.from?n-1:g.isNumber(t.from)?t.from:0,Math.abs(e-i)*r):0},o.groupHandles=function(t,e){function n(t,n){var i=void 0;for(i=0;i<e.length;i++)e[i][t].apply(e[i],n)}var i=void 0,r=[];for(i=0;i<e.length;i++)r.push(e[i].promise);return{promise:Promise.all(r).then(function(e){var n=void 0,i=!0;for(n=0;n<e.length;n++)i=i&&e[n].finished;return{elements:t,finished:i,results:e}}),get iteration(){return e.map(function(t){return t.iteration})},pause:function(){n("pause",arguments)},resume:function(){n("resume",arguments)},stop:function(){n("stop",arguments)},reverse:function(){n("reverse",arguments)},remove:function(){n("remove",arguments)},seek:function(){n("seek",arguments)},setPlaybackRate:function(){n("setPlaybackRate",arguments)},progress:function(){return e.map(function(t){return t.progress()})}}},o.defaultShowEffect={property:"opacity",from:"0",to:"1"},o.defaultHideEffect={property:"opacity",to:"0"};var R={};o.getDefaultDisplay=function(t){var e=t.nodeName,n=void 0,i=void 0;return R.hasOwnProperty(e)||(n=document.createElement(e),document.body.appendChild(n),i=window.getComputedStyle(n,null).getPropertyValue("display"),document.body.removeChild(n),R[e]=i&&"none"!==i?i:"block"),R[e]},o.show=function(t,e,n){return o.changeVisibility(t,!0,e,n)},o.hide=function(t,e,n){return o.changeVisibility(t,!1,e,n)},o.toggle=function(t,e,n){return o.changeVisibility(t,null,e,n)},o.changeVisibility=function(t,e,n,i){var r=void 0,s=void 0,a=[],u=i&&i.stagger;if(!g.isString(t)&&!g.isElementList(t))return o.changeElementVisibility(t,e,n,i,0);for(s=g.toArray(g.isString(t)?document.querySelectorAll(t):t),r=0;r<s.length;r++)a.push(o.changeElementVisibility(s[r],e,n,i,o.getStaggerDelay(u,r,s.length)));return o.groupHandles(s,a)},o.isHidden=function(t){var e=t._visibility;return e&&e.handle?!e.visible:"none"===window.getComputedStyle(t,null).getPropertyValue("display")},o.changeElementVisibility=function(t,e,n,i,r){var s=void 0,a=void 0,u=void 0,l=void 0,c=!1,p=o.isHidden(t),h=t._visibility||null;return null===e&&(e=p,c=!e&&!!n),a=c?o.reverseEffect(n,t):o.parseProperties(n||(e?o.defaultShowEffect:o.defaultHideEffect)),h&&h.handle&&h.visible===e?h.handle:e===!p?o.begin(t,[],i):(l={visible:e,handle:null,display:h?h.display:null},t._visibility=l,e&&"none"===window.getComputedStyle(t,null).getPropertyValue("display")&&(t.style.display=null!==l.display&&"none"!==l.display?l.display:"","none"===window.getComputedStyle(t,null).getPropertyValue("display")&&(t.style.display=o.getDefaultDisplay(t))),s=new o(a,i),s.delayOffset=r,s.leaving=!e,u=s.begin(t),l.handle=u,h&&h.handle&&h.handle.stop({mode:e?"start":"current"}),u.promise.then(function(n){t._visibility===l&&(l.handle=null,!e&&n.finished&&(l.display=t.style.display,t.style.display="none"))}),u)},o.insert=function(t,e,n,i){var r=void 0,s=void 0,a=[],u=i&&i.before||null,l=i&&i.stagger;if(!g.isElementList(e))return t.insertBefore(e,u),o.enterNode(e,n,i,0);for(s=g.toArray(e),r=0;r<s.length;r++)t.insertBefore(s[r],u);for(r=0;r<s.length;r++)a.push(o.enterNode(s[r],n,i,o.getStaggerDelay(l,r,s.length)));return o.groupHandles(s,a)},o.removeNode=function(t,e,n){var i=void 0,r=void 0,s=[],a=n&&n.stagger;if(!g.isElementList(t))return o.leaveNode(t,e,n,0);for(r=g.toArray(t),i=0;i<r.length;i++)s.push(o.leaveNode(r[i],e,n,o.getStaggerDelay(a,i,r.length)));return o.groupHandles(r,s)},o.isLeaving=function(t){return!!t._leaving&&!t._leaving.detached},o.enterNode=function(t,e,n,i){var r=void 0,s=void 0,a=o.isLeaving(t)?t._leaving:null;return t._leaving=null,r=new o(o.parseProperties(e||o.defaultShowEffect),n),r.delayOffset=i,s=r.begin(t),a&&a.handle.stop({mode:"start"}),s},o.leaveNode=function(t,e,n,i){var r=void 0,s=void 0,a=void 0;return o.isLeaving(t)?t._leaving.handle:t.parentNode?(a={handle:null,detached:!1},t._leaving=a,r=new o(o.parseProperties(e||o.defaultHideEffect),n),r.delayOffset=i,r.leaving=!0,s=r.begin(t),a.handle=s,s.promise.then(function(){t._leaving===a&&(a.detached=!0,t.parentNode&&t.parentNode.removeChild(t))}),s):o.begin(t,[],n)},o.observedAttribute="data-transition-children",o.observe=function(t,e){var n=void 0;if("function"!=typeof window.MutationObserver)throw"[Transition.observe]: MutationObserver is not supported";return n=new window.MutationObserver(function(t){o.handleMutations(n,t,e)}),n.observe(t||document.body,{childList:!0,subtree:!0}),{disconnect:function(){n.disconnect()}}},o.handleMutations=function(t,e,n){function i(t){return 1===t.target.nodeType&&t.target.hasAttribute(o.observedAttribute)}function r(t){return d.indexOf(t)>=0&&m.indexOf(t)>=0}function s(t,e){var n=t.getAttribute(o.observedAttribute);return P.has(n)?e?o.reverseEffect(n,e):n:null}function a(t,e){return o.getStaggerDelay(n&&n.stagger,t,e)}var u=void 0,l=void 0,p=void 0,h=void 0,f=void 0,d=[],m=[];for(u=0;u<e.length;u++)d=d.concat(c(e[u].addedNodes)),m=m.concat(c(e[u].removedNodes));for(u=0;u<e.length;u++)for(p=e[u],h=i(p)?c(p.addedNodes).filter(function(t){return!r(t)&&t.parentNode===p.target}):[],l=0;l<h.length;l++)o.enterNode(h[l],s(p.target,null),n,a(l,h.length));for(u=e.length-1;u>=0;u--)if(p=e[u],h=i(p)?c(p.removedNodes).filter(function(t){return!(r(t)||t.parentNode||t._leaving&&t._leaving.detached)}):[],0!==h.length)for(f=p.nextSibling&&p.nextSibling.parentNode===p.target?p.nextSibling:p.previousSibling&&p.previousSibling.parentNode===p.target?p.previousSibling.nextSibling:null,l=0;l<h.length;l++)p.target.insertBefore(h[l],f),o.leaveNode(h[l],s(p.target,h[l]),n,a(l,h.length));t.takeRecords()},o.reverseEffect=function(t,e){var n=void 0,i=void 0,r=[],s=window.getComputedStyle(e,null);if(g.isArray(t)&&!v(t)){for(n=0;n<t.length;n++)i=t[n],r=r.concat(o.reverseEffect(o.isEffect(i)?i:[i],e));return r}return o.isEffect(t)&&P.hasReversed(g.isString(t)?t:t.effect)?o.expandEffect(t,!0):o.parseProperties(t).map(function(t){return t.keyframes||g.isString(t.from)||g.isNumber(t.from)||(t=t.clone(),t.setFrom(s.getPropertyValue(t.cssProperty))),t.reversedClone()})};var A=/^matrix(3d)?\(([^)]+)\)$/,M=/scale\(\s*([-+]?[\d.e-]+)(?:\s*,\s*([-+]?[\d.e-]+))?\s*\)/;o.flip=function(t,e,n){var i=void 0,r=[],s=[],a=n&&n.stagger;for(t=g.isString(t)?g.toArray(document.querySelectorAll(t)):g.isElementList(t)?g.toArray(t):[t],i=0;i<t.length;i++)r.push(t[i].getBoundingClientRect());for(i=0;i<t.length;i++)o.stopFlip(t[i]);for(e(),i=0;i<t.length;i++)s.push(o.flipElement(t[i],t,r[i],n,o.getStaggerDelay(a,i,t.length)));return o.groupHandles(t,s)},o.stopFlip=function(t){var e=t._flip;e&&(t._flip=null,e.handle.stop({mode:"end"}),e.stopScaleCorrection(),t.style.transform=e.transform)},o.flipElement=function(t,e,n,i,s){var a=t.getBoundingClientRect(),u=t.style.transform,l=void 0,c=void 0,h=void 0,d=void 0,m=void 0,v=u?" "+u:"",y=i?i.scaleCorrection:void 0,_=void 0,b=void 0,T=void 0,w=[];return!n.width&&!n.height||!a.width&&!a.height?o.begin(t,[],i):(c=a.width?n.width/a.width:1,h=a.height?n.height/a.height:1,l=f(t,a),d=n.left-a.left-l.x*(1-c),m=n.top-a.top-l.y*(1-h),Math.abs(d)<.5&&Math.abs(m)<.5&&Math.abs(c-1)<.001&&Math.abs(h-1)<.001?o.begin(t,[],i):(_=new o([new r({property:"transform",from:"translate("+p(d,3)+"px, "+p(m,3)+"px) scale("+p(c,5)+", "+p(h,5)+")"+v,to:"translate(0px, 0px) scale(1, 1)"+v})],i),_.delayOffset=s,b=_.begin(t),y===!1||1===c&&1===h||(w=g.toArray(g.isString(y)?t.querySelectorAll(y):t.children).filter(function(t){return e.indexOf(t)<0})),T={handle:b,transform:u,stopScaleCorrection:o.correctScale(t,w)},t._flip=T,b.promise.then(function(){t._flip===T&&(t._flip=null,T.stopScaleCorrection(),t.style.transform=T.transform)}),b))},o.correctScale=function(t,e){function n(){var o=void 0,s=void 0;if(r){for(s=h(t),o=0;o<e.length;o++)e[o].style.transform="scale("+p(s.x?1/s.x:1,5)+", "+p(s.y?1/s.y:1,5)+")"+(i[o]?" "+i[o]:"");g.requestAnimationFrame(n)}}var i=e.map(function(t){return t.style.transform}),r=e.length>0;return n(),function(){var t=void 0;if(r)for(r=!1,t=0;t<e.length;t++)e[t].style.transform=i[t]}};var N=["borderTopLeftRadius","borderTopRightRadius","borderBottomRightRadius","borderBottomLeftRadius"];o.morph=function(t,e,n){var i=void 0,r=t.getBoundingClientRect(),s=void 0,a=void 0,u=void 0,l=void 0,c=void 0,h=void 0,v=void 0,y=void 0,_=void 0,b=void 0,T=void 0,w=void 0,P=void 0,C=void 0,S=void 0,x=void 0,F=void 0,k=void 0,E=void 0;if(o.stopMorph(t),o.stopMorph(e),e.hasOwnProperty("_morphVisibility")&&(e.style.visibility=e._morphVisibility,delete e._morphVisibility),s=e.getBoundingClientRect(),T=d(t,["transform","opacity"]),w=d(e,["transform","width","height","opacity"].concat(N)),E={handle:null,ended:!1,end:function(){E.ended||(E.ended=!0,t._morph===E&&(t._morph=null),e._morph===E&&(e._morph=null),m(t,T),m(e,w),t._morphVisibility=t.style.visibility,t.style.visibility="hidden")}},!(r.width&&r.height&&s.width&&s.height))return E.end(),o.groupHandles([t,e],[o.begin(t,[],n),o.begin(e,[],n)]);for(a=window.getComputedStyle(t,null),u=window.getComputedStyle(e,null),c=s.width/r.width,h=s.height/r.height,l=f(t,r),v=s.left-r.left-l.x*(1-c),y=s.top-r.top-l.y*(1-h),P=T.transform?" "+T.transform:"",S=[{property:"transform",from:"translate(0px, 0px) scale(1, 1)"+P,to:"translate("+p(v,3)+"px, "+p(y,3)+"px) scale("+p(c,5)+", "+p(h,5)+")"+P},{property:"opacity",from:a.getPropertyValue("opacity")||"1",to:"0"}],C=w.transform?" "+w.transform:"",_=parseFloat(u.getPropertyValue("width")),_=isNaN(_)?s.width:_,b=parseFloat(u.getPropertyValue("height")),b=isNaN(b)?s.height:b,x=[{property:"transform",from:"translate("+p(r.left-s.left,3)+"px, "+p(r.top-s.top,3)+"px)"+C,to:"translate(0px, 0px)"+C},{property:"width",from:p(r.width-s.width+_,3)+"px",to:p(_,3)+"px"},{property:"height",from:p(r.height-s.height+b,3)+"px",to:p(b,3)+"px"},{property:"opacity",from:"0",to:u.getPropertyValue("opacity")||"1"}],i=0;i<N.length;i++)F=g.domToCSS(N[i]),a.getPropertyValue(F)!==u.getPropertyValue(F)&&x.push({property:F,from:a.getPropertyValue(F)||"0px",to:u.getPropertyValue(F)||"0px"});return k=o.groupHandles([t,e],[o.begin(t,S,n),o.begin(e,x,n)]),k.promise=k.promise.then(function(t){return E.end(),t}),E.handle=k,t._morph=E,e._morph=E,k},o.stopMorph=function(t){var e=t._morph;e&&(e.handle.stop({mode:"end"}),e.end())},o.timeline=function(){return new C(o)},o.isEffect=function(t){return P.has(t)||g.isObject(t)&&!g.isArray(t)&&"effect"in t},o.expandEffect=function(t,e){var n=void 0,r=void 0,s=void 0,a=void 0;if(g.isString(t))return o.parseProperties(P.expand(t,{},e));for(s=g.extend({},t),delete s.effect,a=o.parseProperties(P.expand(t.effect,s,e)),n=0;n<a.length;n++)r=a[n],r.duration=r.duration||i(s.duration,"duration"),r.delay=r.delay||i(s.delay,"delay"),r.timingFunction=r.timingFunction||T.resolveTimingFunction(s.timingFunction);return a},o.parseProperties=function(t){var e=void 0,n=void 0,i=[];if(o.isEffect(t))return o.expandEffect(t,!1);if(g.isString(t))i.push(new r(t));else if(g.isArray(t))if(v(t))i.push(new r(t));else for(e=0;e<t.length;e++)n=t[e],o.isEffect(n)?i=i.concat(o.parseProperties(n)):(!g.isArray(n)&&n instanceof r||(n=new r(n)),i.push(n));else if("property"in t)n=new r(t),i.push(n);else for(n in t)t.hasOwnProperty(n)&&(g.isArray(t[n])?(n=[n].concat(t[n]),n=new r(n)):(n=g.defaults({property:n},t[n]),n=new r(n)),i.push(n));return i},o.prototype={constructor:o,begin:function(t){var e=this,n=void 0;return n=new Promise(function(t,n){e.resolve=t,e.reject=n}),this.needsCrossfade()&&this.addCrossfadeProperty(t),this.beginTransition(t),{promise:n,get iteration(){return e.iteration},pause:function(){e.pause(t)},resume:function(){e.resume(t)},stop:function(n){e.stop(t,n)},reverse:function(){e.reverse(t)},remove:function(n){e.stop(t,n)},seek:function(n){e.seek(t,n)},setPlaybackRate:function(n){e.setPlaybackRate(t,n)},progress:function(){return e.progress()}}},applyEndValues:function(t){var e=void 0,n=void 0;for(e=0;e<this.properties.length;e++)n=this.properties[e],g.isString(n.from)||g.isNumber(n.from)||n.setFrom(window.getComputedStyle(t,null).getPropertyValue(n.cssProperty)),n.resolveValues(t,this.elementIndex),t.style[n.domProperty]=n.to,n.restoreAutoValue(t)},getTimeScale:function(){return o.timeScale/this.playbackRate},getTotalDuration:function(t){var e=void 0,n=void 0,i=0;for(e=0;e<this.properties.length;e++)n=this.getPropertyTiming(this.properties[e]),i=Math.max(i,n.duration+n.delay);return this.needsCrossfade()&&(i=Math.max(i,this.reducedMotionDuration)),this.repeat&&(i=i*(this.getRepeatCount()+1)+this.repeatDelay*this.getRepeatCount()),t=g.isNumber(t)?t:o.timeScale,(i+this.getDelayOffset())*t/this.playbackRate},getPropertyTiming:function(t){return this.motionReduced&&("instant"===this.reducedMotionStrategy||t.isMotionProperty())?{duration:0,delay:0}:{duration:g.parseTime(t.duration||this.duration),delay:g.parseTime(t.delay||this.delay)}},getDelayOffset:function(){return this.motionReduced?0:this.delayOffset},getRepeatCount:function(){return this.motionReduced&&this.repeat===1/0?0:this.repeat},needsCrossfade:function(){var t=void 0,e=!1;if(!this.motionReduced||"crossfade"!==this.reducedMotionStrategy)return!1;for(t=0;t<this.properties.length;t++){if("opacity"===this.properties[t].cssProperty)return!1;e=e||this.properties[t].isMotionProperty()}return e},addCrossfadeProperty:function(t){var e=void 0,n=window.getComputedStyle(t,null).getPropertyValue("opacity")||"1",i=t.style.opacity;e=new r(this.leaving?{property:"opacity",from:n,to:"0",duration:g.formatTime(this.reducedMotionDuration),onTransitionEnd:function(t,e){e&&(t.style.opacity=i)}}:{property:"opacity",from:"0",to:n,duration:g.formatTime(this.reducedMotionDuration)}),e.isCrossfade=!0,this.properties.push(e)},scheduleRepetition:function(t,e){var n=this;t.hasOwnProperty("_transitions")||(t._transitions=[]),t._transitions.indexOf(this)<0&&t._transitions.push(this),this.waitingToRepeat=!0,this.repeatDelayRemaining=null,this.repeatDelayEndTime=g.now()+e,this.repeatTimeout=window.setTimeout(function(){n.repeatTimeout=null,n.beginRepetition(t)},e)},beginRepetition:function(t){var e=void 0,n=[];for(t._transitions.splice(t._transitions.indexOf(this),1),this.waitingToRepeat=!1,this.transitionStarted=!1,this.iteration++,e=0;e<this.properties.length;e++)this.properties[e].isCrossfade||n.push(this.alternate?this.properties[e].reversedClone():this.properties[e].clone());this.properties=n,this.beginTransition(t)},cancelRepetition:function(t){null!==this.repeatTimeout&&(window.clearTimeout(this.repeatTimeout),this.repeatTimeout=null),t._transitions.splice(t._transitions.indexOf(this),1),this.waitingToRepeat=!1,this.allPropertiesWereFinished=!1,this.executeOnTransitionEnd(t,!0)},hasSomeProperty:function(t){var e=void 0,n=void 0;for(e=0;e<t.length;e++)for(n=0;n<this.properties.length;n++)if(this.properties[n].cssProperty===t[e].cssProperty)return!0;return!1},beginTransition:function(t){var e=void 0,n=void 0;for(this.finishTransitioningPropertiesIfExist(t),e=0;e<this.properties.length;e++)n=this.properties[e],g.isString(n.from)||g.isNumber(n.from)||n.setFrom(window.getComputedStyle(t,null).getPropertyValue(n.cssProperty)),n.resolveValues(t,this.elementIndex);for(e=0;e<this.properties.length;e++)n=this.properties[e],n.isStatic()?(t.style[n.domProperty]=n.to,n.restoreAutoValue(t),n.executeOnTransitionEnd(t,!0)):(t.style[n.domProperty]=n.from,this.toBeTransitionedPropertyNames.push(n.cssProperty),this.toBeTransitionedProperties.push(n));return g.isFunction(this.onBeforeChangeStyle)&&this.onBeforeChangeStyle(t),0===this.toBeTransitionedProperties.length?(g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),
+this.repeat=this.iteration,void this.executeOnTransitionEnd(t,!0)):(t.offsetHeight,this.addTransitionEndListener(t),void g.executeInNextEventLoop(function(){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,s=void 0,a=this.getTimeScale(),u=[];if(0!==this.toBeTransitionedProperties.length){for(e=0;e<this.toBeTransitionedProperties.length;e++)n=this.toBeTransitionedProperties[e],i=this.getPropertyTiming(n),r=g.formatTime(i.duration*a),o=g.formatTime((i.delay+this.getDelayOffset())*a),s=n.timingFunction||this.timingFunction,n.keyframes&&(n.keyframeIndex=0,n.keyframesDuration=g.parseTime(r),n.keyframesTimingFunction=s,n.startTiming(n.keyframesDuration,g.parseTime(o),s),r=g.formatTime(n.getKeyframeDuration(0))),this.preserveVelocity&&(s=n.getVelocityMatchingTimingFunction(s,r)),n.keyframes||n.startTiming(g.parseTime(r),g.parseTime(o),s),n.startSegment(r,o,s,n.from);if(this.transitioningPropertyNames=this.toBeTransitionedPropertyNames,this.transitioningProperties=this.toBeTransitionedProperties,this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],this.paused){for(e=0;e<this.transitioningProperties.length;e++)this.transitioningProperties[e].elapsedTime=0,this.transitioningProperties[e].pauseTiming();return this.afterChangeStylePending=!0,void this.seekIfPending(t)}for(this.engine.applySegments(this,t,this.transitioningProperties),e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],0===n.segment.duration&&0===n.segment.delay?u.push(n.cssProperty):this.watchPropertySegment(t,n);for(g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),e=0;e<u.length;e++)this.endPropertySegment(t,u[e]);this.seekIfPending(t)}},this))},pause:function(t){var e=void 0,n=void 0,i=void 0,r=void 0;if(!this.paused){if(this.paused=!0,this.waitingToRepeat)return window.clearTimeout(this.repeatTimeout),this.repeatTimeout=null,void(this.repeatDelayRemaining=Math.max(this.repeatDelayEndTime-g.now(),0));if(0!==this.transitioningProperties.length){for(r=g.now(),e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],n.elapsedTime=r-n.segment.startTime,n.pauseTiming(),n.clearTimeouts(),n.cancelExpected=!this.controlsSegments();if(this.controlsSegments())return void this.engine.pauseSegments(this,t,this.transitioningProperties);for(i=this.getComputedValues(t,this.transitioningProperties),this.engine.removeSegments(this,t,this.transitioningProperties),e=0;e<this.transitioningProperties.length;e++)t.style[this.transitioningProperties[e].domProperty]=i[e]}}},resume:function(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,s=void 0,a=void 0,u=void 0,l=void 0,c=[],p=this.controlsSegments();if(this.paused){if(this.paused=!1,this.waitingToRepeat)return void this.scheduleRepetition(t,this.repeatDelayRemaining);if(0!==this.transitioningProperties.length){for(t.offsetHeight,e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],i=n.segment,r=n.elapsedTime,n.elapsedTime=null,n.resumeTiming(),p?i.startTime=g.now()-r:(l=i.timingFunction,r<=i.delay?(a=i.duration,u=i.delay-r):(o=i.duration>0?(r-i.delay)/i.duration:1,u=0,o>=1?a=0:(a=i.duration*(1-o),s=_.splitTimingFunction(i.timingFunction,o),s&&(l=s.remaining))),0===a&&0===u&&c.push(n.cssProperty),n.startSegment(a,u,l,t.style[n.domProperty]));for(p?this.engine.resumeSegments(this,t,this.transitioningProperties):this.engine.applySegments(this,t,this.transitioningProperties),e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],c.indexOf(n.cssProperty)<0&&this.watchPropertySegment(t,n);for(this.afterChangeStylePending&&(this.afterChangeStylePending=!1,g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t)),e=0;e<c.length;e++)this.endPropertySegment(t,c[e])}}},stop:function(t,e){var n=void 0,i=void 0,r=void 0,o=void 0,s=[],a=void 0,u=this.toBeTransitionedProperties.length>0;if(i=e&&e.mode||"current",["current","end","start"].indexOf(i)<0)throw"[Transition.stop]: Invalid mode '"+i+"'";if(t.hasOwnProperty("_transitions")&&!(t._transitions.indexOf(this)<0)){if(this.waitingToRepeat)return void this.cancelRepetition(t);for(o=this.transitioningProperties.concat(this.toBeTransitionedProperties),a=window.getComputedStyle(t,null),n=0;n<o.length;n++)r=o[n],r.clearTimeouts(),r.pauseTiming(),"end"===i?s.push(r.toAuto?"auto":r.to):"start"===i?s.push(r.fromAuto?"auto":r.from):s.push(a.getPropertyValue(r.cssProperty));for(this.engine.removeSegments(this,t,this.transitioningProperties),n=0;n<o.length;n++)t.style[o[n].domProperty]=s[n];for(this.transitioningPropertyNames=[],this.transitioningProperties=[],this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],this.allPropertiesWereFinished=!1,n=0;n<o.length;n++)o[n].executeOnTransitionEnd(t,!1);(u||this.afterChangeStylePending)&&(this.afterChangeStylePending=!1,g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t)),this.removeTransitionEndListener(t,!0)}},reverse:function(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,s=void 0,a=void 0,u=void 0,l=void 0,c=[],p=[],h=void 0;if(t.hasOwnProperty("_transitions")&&!(t._transitions.indexOf(this)<0)){if(this.transitioningProperties.length){if(this.paused&&!this.controlsSegments())for(e=0;e<this.transitioningProperties.length;e++)c.push(t.style[this.transitioningProperties[e].domProperty]);else c=this.getComputedValues(t,this.transitioningProperties);for(e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],i=n.segment,r=n.getElapsedTime(),l=i.timingFunction,r<=i.delay||0===i.duration?u=0:(o=Math.min((r-i.delay)/i.duration,1),u=i.duration*o,s=_.splitTimingFunction(i.timingFunction,o),a=_.reverseTimingFunction(s?s.elapsed:i.timingFunction),a&&(l=a)),n.reverseValues(),n.keyframes&&(n.keyframesTimingFunction=_.reverseTimingFunction(n.keyframesTimingFunction)||n.keyframesTimingFunction),n.reverseTiming(),n.clearTimeouts(),n.cancelExpected=!this.paused,n.startSegment(u,0,l,c[e]),this.paused?n.elapsedTime=0:0===u&&p.push(n.cssProperty);if(this.paused&&this.controlsSegments())for(this.engine.removeSegments(this,t,this.transitioningProperties),e=0;e<this.transitioningProperties.length;e++)t.style[this.transitioningProperties[e].domProperty]=c[e];else if(!this.paused){for(this.engine.applySegments(this,t,this.transitioningProperties),e=0;e<this.transitioningProperties.length;e++)n=this.transitioningProperties[e],p.indexOf(n.cssProperty)<0&&this.watchPropertySegment(t,n);for(e=0;e<p.length;e++)this.endPropertySegment(t,p[e])}}if(this.toBeTransitionedProperties.length){for(h=this.toBeTransitionedProperties,this.toBeTransitionedPropertyNames=[],this.toBeTransitionedProperties=[],e=0;e<h.length;e++)n=h[e],n.reverseValues(),n.restoreAutoValue(t),n.executeOnTransitionEnd(t,!0);g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),this.removeTransitionEndListener(t,!0)}}},seek:function(t,e){var n=void 0,i=void 0,r=void 0,o=void 0,s=void 0;if(g.isNumber(e))o=Math.max(0,Math.min(e,1))*this.getIterationDuration();else{if(!g.isTime(e))throw"[Transition.seek]: Invalid progress or time '"+e+"'";o=Math.max(0,g.parseTime(e))}if(!(!t.hasOwnProperty("_transitions")||t._transitions.indexOf(this)<0||this.waitingToRepeat)){if(0===this.transitioningProperties.length)return void(this.pendingSeek=e);for(r=this.transitioningProperties.slice(),n=0;n<r.length;n++)i=r[n],i.clearTimeouts(),i.cancelExpected=!this.paused&&!this.controlsSegments(),i.seekSegment(o);if(this.controlsSegments()?this.engine.seekSegments(this,t,r):this.reapplySegments(t,r),this.paused)for(this.controlsSegments()||(s=this.getComputedValues(t,r),this.engine.removeSegments(this,t,r)),n=0;n<r.length;n++)i=r[n],s&&(t.style[i.domProperty]=s[n]),i.elapsedTime=0,i.timing.position=o;else this.watchReappliedSegments(t,r)}},setPlaybackRate:function(t,e){var n=void 0,i=void 0,r=void 0,o=void 0,s=void 0;if(!g.isNumber(e)||e<=0)throw"[Transition.setPlaybackRate]: Invalid playback rate '"+e+"'";if(o=this.playbackRate/e,this.playbackRate=e,t.hasOwnProperty("_transitions")&&!(t._transitions.indexOf(this)<0)){if(this.waitingToRepeat)return void(this.paused?this.repeatDelayRemaining*=o:(s=Math.max(this.repeatDelayEndTime-g.now(),0),window.clearTimeout(this.repeatTimeout),this.scheduleRepetition(t,s*o)));if(0!==this.transitioningProperties.length){for(r=this.transitioningProperties.slice(),n=0;n<r.length;n++)i=r[n],i.clearTimeouts(),i.cancelExpected=!this.paused&&!this.controlsSegments(),i.scaleTime(o);this.controlsSegments()&&this.engine.setSegmentsPlaybackRate(this,t,r,o),this.paused||(this.controlsSegments()||this.reapplySegments(t,r),this.watchReappliedSegments(t,r))}}},controlsSegments:function(){return g.isFunction(this.engine.pauseSegments)},reapplySegments:function(t,e){var n=void 0;for(this.engine.removeSegments(this,t,e),n=0;n<e.length;n++)t.style[e[n].domProperty]=e[n].segment.from;t.offsetHeight,this.engine.applySegments(this,t,e)},watchReappliedSegments:function(t,e){var n=void 0,i=void 0,r=[];for(n=0;n<e.length;n++)i=e[n].segment,i.delay+i.duration<=0?r.push(e[n].cssProperty):this.watchPropertySegment(t,e[n]);for(n=0;n<r.length;n++)this.endPropertySegment(t,r[n])},seekIfPending:function(t){var e=this.pendingSeek;null!==e&&(this.pendingSeek=null,this.seek(t,e))},getIterationDuration:function(){var t=void 0,e=void 0,n=0;for(t=0;t<this.properties.length;t++)e=this.properties[t].timing,e&&(n=Math.max(n,e.delay+e.duration));return n},progress:function(){var t=void 0,e=void 0,n=this.getIterationDuration(),i=0,r={};for(t=0;t<this.properties.length;t++)e=this.properties[t],e.timing&&(i=Math.max(i,e.getPosition())),r[e.cssProperty]=e.getProgress();return{progress:n>0?Math.min(i/n,1):this.toBeTransitionedProperties.length?0:1,properties:r}},getComputedValues:function(t,e){var n=void 0,i=window.getComputedStyle(t,null),r=[];for(n=0;n<e.length;n++)r.push(i.getPropertyValue(e[n].cssProperty));return r},handleEvent:function(t){if(t.target===t.currentTarget&&this.hasTransitioningProperty(t.propertyName))switch(t.type){case g.transitionEndEvent:this.endPropertySegment(t.currentTarget,t.propertyName);break;case g.transitionRunEvent:this.getTransitioningProperty(t.propertyName).cancelExpected=!1;break;case g.transitionStartEvent:this.startTransitioningProperty(t.currentTarget,t.propertyName);break;case g.transitionCancelEvent:this.cancelTransitioningProperty(t.currentTarget,t.propertyName)}},getTransitioningProperty:function(t){return this.transitioningProperties[this.transitioningPropertyNames.indexOf(t)]},startTransitioningProperty:function(t,e){var n=this.getTransitioningProperty(e);n.started||(n.started=!0,g.isFunction(n.onTransitionStart)&&n.onTransitionStart(t)),this.transitionStarted||(this.transitionStarted=!0,g.isFunction(this.onTransitionStart)&&this.onTransitionStart(t))},cancelTransitioningProperty:function(t,e){var n=this.getTransitioningProperty(e);return n.cancelExpected||this.paused?void(n.cancelExpected=!1):(n.clearTimeouts(),n.pauseTiming(),this.removeTransitioningProperty(e),this.engine.removeSegments(this,t,[n]),this.allPropertiesWereFinished=!1,n.executeOnTransitionEnd(t,!1),g.isFunction(n.onTransitionCancel)&&n.onTransitionCancel(t),this.transitionCancelled||(this.transitionCancelled=!0,g.isFunction(this.onTransitionCancel)&&this.onTransitionCancel(t)),void(0===this.transitioningProperties.length&&this.removeTransitionEndListener(t,!1)))},endPropertySegment:function(t,e){var n=this.getTransitioningProperty(e);n.clearTimeouts(),n.hasNextKeyframe()?this.beginNextKeyframe(t,n):this.finishTransitioningProperty(t,e)},beginNextKeyframe:function(t,e){var n=void 0,i=e.keyframesTimingFunction;e.keyframeIndex++,n=e.getKeyframeDuration(e.keyframeIndex),e.startSegment(n,0,i,e.keyframes[e.keyframeIndex]),this.engine.applySegments(this,t,[e]),0===n?this.endPropertySegment(t,e.cssProperty):this.watchPropertySegment(t,e)},watchPropertySegment:function(t,e){var n=this,i=e.segment;!e.keyframes||String(i.from)!==String(e.getTarget())&&0!==i.duration||(e.holdTimeout=window.setTimeout(function(){e.holdTimeout=null,!n.paused&&n.transitioningProperties.indexOf(e)>=0&&n.endPropertySegment(t,e.cssProperty)},i.delay+i.duration)),null!==this.timeoutGracePeriod&&(e.safetyTimeout=window.setTimeout(function(){e.safetyTimeout=null,!n.paused&&n.transitioningProperties.indexOf(e)>=0&&n.timeOutProperty(t,e)},i.delay+i.duration+this.timeoutGracePeriod))},timeOutProperty:function(t,e){e.clearTimeouts(),e.timedOut=!0,this.timedOutPropertyNames.push(e.cssProperty),t.style[e.domProperty]=e.to,this.finishTransitioningProperty(t,e.cssProperty)},hasTransitioningProperty:function(t){return this.transitioningPropertyNames.indexOf(t)>=0},removeTransitioningProperty:function(t){var e=void 0;if(e=this.transitioningPropertyNames.indexOf(t),e<0)throw"[Transition.removeTransitioningProperty]: Transition does not have transitioning property '"+t+"'";this.transitioningPropertyNames.splice(e,1),this.transitioningProperties.splice(e,1)},hasToBeTransitionedProperty:function(t){return this.toBeTransitionedPropertyNames.indexOf(t)>=0},removeToBeTransitionedProperty:function(t){var e=void 0;if(e=this.toBeTransitionedPropertyNames.indexOf(t),e<0)throw"[Transition.removeToBeTransitionedProperty]: Transition does not have toBeTransitionedProperty '"+t+"'";this.toBeTransitionedPropertyNames.splice(e,1),this.toBeTransitionedProperties.splice(e,1)},getPropertyByPropertyName:function(t){var e=void 0;for(e=0;e<this.properties.length;e++)if(this.properties[e].cssProperty===t)return this.properties[e];throw"[Transition.getPropertyByPropertyName]: Transition does not have property '"+t+"'"},finishTransitioningProperty:function(t,e){var n=this.getTransitioningProperty(e);this.removeTransitioningProperty(e),this.engine.removeSegments(this,t,[n]),n.pauseTiming(),n.restoreAutoValue(t),n.executeOnTransitionEnd(t,!0),0===this.transitioningProperties.length&&this.removeTransitionEndListener(t,!1)},finishTransitioningPropertiesIfExist:function(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,s=void 0;if(t.hasOwnProperty("_transitions")&&0!==t._transitions.length)for(i=t._transitions.slice(),e=0;e<i.length;e++)if(r=i[e],r.waitingToRepeat)r.hasSomeProperty(this.properties)&&r.cancelRepetition(t);else{for(o=[],s=[],n=0;n<this.properties.length;n++)r.hasTransitioningProperty(this.properties[n].cssProperty)?o.push(this.properties[n]):r.hasToBeTransitionedProperty(this.properties[n].cssProperty)&&s.push(this.properties[n]);o.length?(r.allPropertiesWereFinished=!1,r.finishTransitioningProperties(t,o,this.beginFromCurrentValue)):s.length&&(r.allPropertiesWereFinished=!1,r.finishToBeTransitionedProperties(t,s,this.beginFromCurrentValue))}},finishTransitioningProperties:function(t,e,n){var i=void 0,r=void 0,o=void 0,s=void 0,a=[];for(i=0;i<e.length;i++)r=e[i],s=r.cssProperty,o=this.getTransitioningProperty(s),this.removeTransitioningProperty(s),o.clearTimeouts(),o.pauseTiming(),a.push(o),r.cancelExpected=!this.paused,r.setFromToCurrentValueIfNeeded(t,n)&&(r.initialVelocity=o.getVelocity()),o.executeOnTransitionEnd(t,!1);this.engine.removeSegments(this,t,a),0===this.transitioningProperties.length&&this.removeTransitionEndListener(t,!0)},finishToBeTransitionedProperties:function(t,e,n){var i=void 0,r=void 0,o=void 0,s=void 0;for(i=0;i<e.length;i++)r=e[i],s=r.cssProperty,this.removeToBeTransitionedProperty(s),r.setFromToCurrentValueIfNeeded(t,n),o=this.getPropertyByPropertyName(s),o.executeOnTransitionEnd(t,!1);0===this.toBeTransitionedProperties.length&&(g.isFunction(this.onAfterChangeStyle)&&this.onAfterChangeStyle(t),this.removeTransitionEndListener(t,!0))},addTransitionEndListener:function(t){t.hasOwnProperty("_transitions")||(t._transitions=[]),t._transitions.push(this),this.engine.listen(this,t)},removeTransitionEndListener:function(t,e){var n=void 0;if(!t.hasOwnProperty("_transitions"))throw"element does not have own _transitions property";if(n=t._transitions.indexOf(this),n<0)throw"Can't remove non existing transition from an element";t._transitions.splice(n,1),this.engine.unlisten(this,t),this.executeOnTransitionEnd(t,e)},executeOnTransitionEnd:function(t,e){var n=void 0;return this.allPropertiesWereFinished&&this.iteration<this.getRepeatCount()?void this.scheduleRepetition(t,this.repeatDelay*this.getTimeScale()):(g.isFunction(this.onTransitionEnd)&&(n=this.onTransitionEnd,e?g.executeInNextEventLoop(function(){n(t,this.allPropertiesWereFinished)},this):n(t,this.allPropertiesWereFinished)),void this.resolve({element:t,finished:this.allPropertiesWereFinished,timedOutProperties:this.timedOutPropertyNames}))}},t.exports={TransitionProperty:r,bezier:y,property:o.property,transition:o.begin,begin:o.begin,timeline:o.timeline,show:o.show,hide:o.hide,toggle:o.toggle,insert:o.insert,removeNode:o.removeNode,observe:o.observe,flip:o.flip,morph:o.morph,setEngine:o.setEngine,registerTokens:T.register,registerEffect:P.register,spring:w.spring,configure:o.configure,withDefaults:o.withDefaults,get defaults(){return g.extend({},o.defaultOptions)},get timeScale(){return o.timeScale},set timeScale(t){o.setTimeScale(t)}}},function(t,e){"use strict";function n(t){return"-"+t.toLowerCase()}function i(){var t=void 0,e=p.slice(),n=void 0,i=void 0;for(p=[],t=0;t<e.length;t++)n=e[t],i=n.func,n.context?i.apply(n.context):i()}var r="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},o=/[A-Z]/g,s=/^[A-Z]/,a=/-([a-z])/g,u=/^ms-/,l=/^\s*([-+]?\d*\.?\d+(?:e[-+]?\d+)?)([a-z%]*)\s*$/i,c=/^\s*([-+]?\d*\.?\d+(?:e[-+]?\d+)?)(s|ms)\s*$/i,p=[],h={},f={WebkitTransition:"webkitTransitionEnd",MozTransition:"transitionend",OTransition:"oTransitionEnd",msTransition:"MSTransitionEnd",transition:"transitionend"},d=function(){var t=document.createElement("div"),e=["Webkit","Moz","O","ms","Khtml"],n=/^[a-z]/,i=e.length;return function(r){var o=void 0,s=void 0,a=void 0;if(h.hasOwnProperty(r))return h[r];if("undefined"!=typeof t.style[r])return h[r]=r,r;for(a=r.replace(n,function(t){return t.toUpperCase()}),o=0;o<i;o++)if(s=e[o]+a,"undefined"!=typeof t.style[s])return h[r]=s,s;return null}}(),m=null!==d("transition"),v=d("transitionProperty"),g=d("transitionDuration"),y=d("transitionDelay"),_=d("transitionTimingFunction"),b="function"==typeof window.matchMedia?window.matchMedia("(prefers-reduced-motion: reduce)"):null,T="function"==typeof document.createElement("div").animate,w=function(){var t=document.createElement("div");return!m||(t.style[_]="linear(0, 1)",""!==t.style[_])}(),P=f[d("transition")],C="transition"===d("transition"),S=C?"transitionrun":null,x=C?"transitionstart":null,F=C?"transitioncancel":null;t.exports={supportedCssProperty:d,hasTransition:m,hasWebAnimations:T,hasLinearEasing:w,transitionProperty:v,transitionDuration:g,transitionDelay:y,transitionTimingFunction:_,transitionEndEvent:P,transitionRunEvent:S,transitionStartEvent:x,transitionCancelEvent:F,camelCaseToDashes:function(t){return t.replace(o,n)},domToCSS:function(t){return t.replace(o,function(t){return"-"+t.toLowerCase()}).replace(u,"-ms-")},cssToDOM:function(t){return t.replace(a,function(t,e){return e.toUpperCase()}).replace(s,function(t){return t.toLowerCase()})},requestAnimationFrame:function(t,e){return"function"!=typeof window.requestAnimationFrame?window.setTimeout(function(){t.apply(e||null,[Date.now()])},16):window.requestAnimationFrame(function(n){e?t.apply(e,[n]):t(n)},null)},now:function(){return window.performance&&"function"==typeof window.performance.now?window.performance.now():Date.now()},parseTime:function(t){var e=void 0;return this.isNumber(t)?t:(e=c.exec(t),e?parseFloat(e[1])*("s"===e[2].toLowerCase()?1e3:1):0)},isTime:function(t){return this.isString(t)&&c.test(t)},formatTime:function(t){return Math.round(1e3*t)/1e3+"ms"},parseNumericValue:function(t){var e=void 0;return this.isNumber(t)?{value:t,unit:""}:(e=l.exec(t),e?{value:parseFloat(e[1]),unit:e[2].toLowerCase()}:null)},prefersReducedMotion:function(){return null!==b&&b.matches},executeInNextEventLoop:function(t,e){0===p.length&&window.setTimeout(i,0),p.push({func:t,context:e})},extend:function(t){if(!this.isObject(t))return t;for(var e=void 0,n=void 0,i=1,r=arguments.length;i<r;i++){e=arguments[i];for(n in e)e.hasOwnProperty(n)&&(t[n]=e[n])}return t},defaults:function(t){if(!this.isObject(t))return t;for(var e=1,n=arguments.length;e<n;e++){var i=arguments[e];for(var r in i)i.hasOwnProperty(r)&&void 0===t[r]&&(t[r]=i[r])}return t},isObject:function(t){var e="undefined"==typeof t?"undefined":r(t);return"function"===e||"object"===e&&!!t},isFunction:function(t){return"function"==typeof t},isString:function(t){return"string"==typeof t},isNumber:function(t){return"number"==typeof t},isBoolean:function(t){return"boolean"==typeof t},isArray:Array.isArray||function(t){return"[object Array]"===Object.prototype.toString.call(t)},isElementList:function(t){return this.isArray(t)||"undefined"!=typeof NodeList&&t instanceof NodeList||"undefined"!=typeof HTMLCollection&&t instanceof HTMLCollection},toArray:function(t){return Array.prototype.slice.call(t)}}},function(t,e){"use strict";function n(t,e){this.x=t,this.y=e}function i(t,e,n,i){this.p0=t,this.p1=e,this.p2=n,this.p3=i}function r(t,e){this.a=t,this.b=e}function o(t,e,n,i,r){var o=1-r;return o*o*o*t+3*o*o*r*e+3*o*r*r*n+r*r*r*i}function s(t,e,n,i,r){var o=1-r;return 3*o*o*(e-t)+6*o*r*(n-e)+3*r*r*(i-n)}function a(t){return Math.round(1e5*t)/1e5}function u(t,e){var i=void 0,r=void 0,o=void 0,s=void 0;return r=t.b.x-t.a.x,i=t.b.y-t.a.y,o=r*e+t.a.x,s=i*e+t.a.y,new n(o,s)}function l(t,e){var n=void 0,o=void 0,s=void 0,a=void 0,l=void 0,c=void 0,p=void 0,h=void 0,f=void 0;return n=t,a=u(new r(n.p0,n.p1),e),l=u(new r(n.p1,n.p2),e),c=u(new r(n.p2,n.p3),e),p=u(new r(a,l),e),h=u(new r(l,c),e),f=u(new r(p,h),e),o=new i(n.p0,a,p,f),s=new i(f,h,c,n.p3),[o,s]}function c(t){var e=void 0,r=void 0,o=void 0,s=void 0,a=void 0;return e=t,r=e.p0.x,o=e.p0.y,s=e.p3.x-r,a=e.p3.y-o,Math.abs(s)<g||Math.abs(a)<g?_.linear():new i(new n(0,0),new n((e.p1.x-r)/s,(e.p1.y-o)/a),new n((e.p2.x-r)/s,(e.p2.y-o)/a),new n(1,1))}function p(t,e,r,o){return new i(new n(0,0),new n(t,e),new n(r,o),new n(1,1))}function h(t){var e=void 0,n=String(t).trim().toLowerCase();return _.hasOwnProperty(n)?_[n]():(e=v.exec(n),e?p(parseFloat(e[1]),parseFloat(e[2]),parseFloat(e[3]),parseFloat(e[4])):null)}function f(t,e){var n=void 0,i=void 0,r=void 0;return(n=h(t))?(i=n.solveT(e),r=l(n,i),{progress:n.y(i),elapsed:c(r[0]).toString(),remaining:c(r[1]).toString()}):null}function d(t){var e=h(t);return e?p(1-e.p2.x,1-e.p2.y,1-e.p1.x,1-e.p1.y).toString():null}function m(t,e){var n=h(t),i=void 0;return n?(e=Math.max(-y,Math.min(y,e)),i=n.p1.x>g?n.p1.x:1/3,p(i,i*e,n.p2.x,n.p2.y).toString()):null}var v=/^cubic-bezier\(\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*\)$/i,g=1e-6,y=10;i.prototype={constructor:i,x:function(t){return o(this.p0.x,this.p1.x,this.p2.x,this.p3.x,t)},y:function(t){return o(this.p0.y,this.p1.y,this.p2.y,this.p3.y,t)},derivativeX:function(t){return s(this.p0.x,this.p1.x,this.p2.x,this.p3.x,t)},derivativeY:function(t){return s(this.p0.y,this.p1.y,this.p2.y,this.p3.y,t)},solveT:function(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=0,s=1;for(n=t,e=0;e<8;e++){if(i=this.x(n)-t,Math.abs(i)<g)return n;if(r=this.derivativeX(n),Math.abs(r)<g)break;n-=i/r}for(n=t;o<s;){if(i=this.x(n),Math.abs(i-t)<g)return n;if(t>i?o=n:s=n,n=(s-o)/2+o,s-o<g)break}return n},valueAt:function(t){return this.y(this.solveT(t))},slopeAt:function(t){var e=this.solveT(t),n=this.derivativeX(e);return Math.abs(n)<g?0:this.derivativeY(e)/n},toString:function(){return"cubic-bezier("+[this.p1.x,this.p1.y,this.p2.x,this.p2.y].map(a).join(", ")+")"}};var _={linear:function(){return p(0,0,1,1)},ease:function(){return p(.25,.1,.25,1)},"ease-in":function(){return p(.42,0,1,1)},"ease-out":function(){return p(0,0,.58,1)},"ease-in-out":function(){return p(.42,0,.58,1)}};t.exports={Point:n,BezierCurve:i,cubicBezier:p,splitBezierCurve:l,normalizeBezierCurve:c,parseTimingFunction:h,splitTimingFunction:f,reverseTimingFunction:d,matchInitialSlope:m}},function(t,e,n){"use strict";function i(t){var e=void 0,n=String(t).trim().toLowerCase();return"step-start"===n?{steps:1,position:"jump-start"}:"step-end"===n?{steps:1,position:"jump-end"}:(e=v.exec(n),e?{steps:parseInt(e[1],10),position:(e[2]||"end").replace(/^(start|end)$/,"jump-$1")}:null)}function r(t,e){var n=void 0,i=void 0;return n=t.steps,"jump-none"===t.position?n=t.steps-1:"jump-both"===t.position&&(n=t.steps+1),n<=0?e>=1?1:0:(i=Math.floor(e*t.steps),"jump-start"!==t.position&&"jump-both"!==t.position||i++,i=Math.max(0,Math.min(i,n)),i/n)}function o(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,s=[],a=void 0;if(r=g.exec(String(t).trim()),!r)return null;for(o=r[1].split(","),e=0;e<o.length;e++){if(r=y.exec(o[e].trim()),!r)return null;s.push({input:void 0!==r[2]?parseFloat(r[2])/100:null,output:parseFloat(r[1])}),void 0!==r[3]&&s.push({input:parseFloat(r[3])/100,output:parseFloat(r[1])})}if(s.length<2)return null;for(null===s[0].input&&(s[0].input=0),null===s[s.length-1].input&&(s[s.length-1].input=1),a=s[0].input,e=1;e<s.length;e++)null!==s[e].input&&(s[e].input=Math.max(s[e].input,a),a=s[e].input);for(e=1;e<s.length;e++)if(null===s[e].input){for(n=e+1;null===s[n].input;n++);for(i=e;i<n;i++)s[i].input=s[e-1].input+(s[n].input-s[e-1].input)*(i-e+1)/(n-e+1);e=n}return s}function s(t,e){for(var n=t.length-1,i=void 0,r=void 0;n>0&&t[n].input>e;)n--;return n===t.length-1||t[n].input>e?t[n].output:(i=t[n],r=t[n+1],i.output+(r.output-i.output)*(e-i.input)/(r.input-i.input))}function a(t,e){return Math.round(t*e)/e}function u(t){return"linear("+t.map(function(t){return a(t.output,1e5)+" "+a(100*t.input,1e3)+"%"}).join(", ")+")"}function l(t,e,n,i,r){var o=void 0,a=[{input:e,output:s(t,e)}];if(Math.abs(r-i)<_||n-e<_)return null;for(o=0;o<t.length;o++)t[o].input>e&&t[o].input<n&&a.push(t[o]);return a.push({input:n,output:s(t,n)}),a.map(function(t){return{input:(t.input-e)/(n-e),output:(t.output-i)/(r-i)}})}function c(t,e){var n=o(t),i=void 0,r=void 0,a=void 0;return n?(i=s(n,e),r=l(n,0,e,0,i),a=l(n,e,1,i,1),{progress:i,elapsed:r?u(r):"linear",remaining:a?u(a):"linear"}):m.splitTimingFunction(t,e)}function p(t){var e=o(t);return e?u(e.reverse().map(function(t){return{input:1-t.input,output:1-t.output}})):m.reverseTimingFunction(t)}function h(t){var e=void 0,n=void 0,a=void 0,u=void 0;return e=m.parseTimingFunction(t),n=e?null:i(t),a=e||n?null:o(t),u=e?function(t){return e.valueAt(t)}:n?function(t){return r(n,t)}:a?function(t){return s(a,t)}:function(t){return t},function(t){return t>=1?1:u(Math.max(t,0))}}function f(t,e){return h(t)(e)}function d(t){return"string"==typeof t&&(null!==m.parseTimingFunction(t)||null!==i(t)||null!==o(t))}var m=n(2),v=/^steps\(\s*(\d+)\s*(?:,\s*(jump-start|jump-end|jump-none|jump-both|start|end)\s*)?\)$/i,g=/^linear\((.*)\)$/i,y=/^([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)(?:\s+([-+]?(?:\d*\.)?\d+)%)?(?:\s+([-+]?(?:\d*\.)?\d+)%)?$/i,_=1e-6;t.exports={isTimingFunction:d,parseSteps:i,parseLinear:o,splitTimingFunction:c,reverseTimingFunction:p,create:h,evaluate:f}},function(t,e){"use strict";function n(t,e){return Math.round(t*e)/e}function i(t){return"rgba("+Math.round(t[0])+", "+Math.round(t[1])+", "+Math.round(t[2])+", "+n(t[3],1e3)+")"}function r(t){var e=void 0,n=[],i=void 0;if(3!==t.length&&4!==t.length||(t=t.replace(/./g,"$&$&")),6!==t.length&&8!==t.length)return null;for(i=t.length/2,e=0;e<i;e++)n.push(parseInt(t.substr(2*e,2),16));return n[3]=4===n.length?n[3]/255:1,n}function o(t,e,n){return n<0?n+=1:n>1&&(n-=1),n<1/6?t+6*(e-t)*n:n<.5?e:n<2/3?t+(e-t)*(2/3-n)*6:t}function s(t,e,n){var i=void 0,r=void 0;return t=(t%360+360)%360/360,0===e?[255*n,255*n,255*n]:(r=n<.5?n*(1+e):n+e-n*e,i=2*n-r,[255*o(i,r,t+1/3),255*o(i,r,t),255*o(i,r,t-1/3)])}function a(t,e){var n=parseFloat(t);return/%$/.test(t)?n/100*e:n}function u(t,e){var n=void 0;return e=e.trim().split(P),e.length<3?null:(n="r"===t.charAt(0)?[a(e[0],255),a(e[1],255),a(e[2],255)]:s(parseFloat(e[0]),a(e[1],1),a(e[2],1)),n[3]=e.length>3?a(e[3],1):1,n)}function l(t){return t.replace(b,function(t,e){var n=r(e);return n?i(n):t}).replace(T,function(t,e,n){var r=u(e.toLowerCase(),n);return r?i(r):t}).replace(w,function(t,e){return i(x[e.toLowerCase()])})}function c(t){var e=void 0,n=!0;return C.test(t)?(e=t.replace(S,function(t,e,i){var r=void 0,o=e.toLowerCase();if(i=i.split(","),"matrix"===o)r=["1","0","0","1","0","0"];else if("matrix3d"===o)r=["1","0","0","0","0","1","0","0","0","0","1","0","0","0","0","1"];else if(0===o.indexOf("scale"))r=i.map(function(){return"1"});else{if(!/^(translate|rotate|skew)/.test(o))return n=!1,t;r=i.map(function(t){return t.replace(/[-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?/i,"0")}),"rotate3d"===o&&(r=i.slice(0,3).concat(r.slice(3)))}return e+"("+r.join(",")+")"}),n?e:null):null}function p(t){var e=void 0,n=[],i=[],r=[],o=0;for(g.lastIndex=0;null!==(e=g.exec(t));)void 0!==e[1]&&(n.push(t.substring(o,e.index)),i.push(parseFloat(e[1])),r.push(e[2].toLowerCase()),o=g.lastIndex);return n.push(t.substring(o)),{strings:n,numbers:i,units:r}}function h(t,e){var n=void 0,i=[];if(t.numbers.length!==e.numbers.length)return null;for(n=0;n<t.strings.length;n++)if(t.strings[n]!==e.strings[n])return null;for(n=0;n<t.units.length;n++)if(t.units[n]===e.units[n])i.push(t.units[n]);else if(""===t.units[n]&&0===t.numbers[n])i.push(e.units[n]);else{if(""!==e.units[n]||0!==e.numbers[n])return null;i.push(t.units[n])}return i}function f(t){var e=void 0,n=[],i=-1;for(e=0;e<t.numbers.length;e++)t.strings[e].indexOf("rgba(")>=0?i=0:i>=0&&t.strings[e].indexOf(")")<0?i++:i=-1,n.push(i<0?"number":i<3?"channel":"alpha");return n}function d(t,e){var i=void 0,r=void 0,o=void 0,s=void 0,a=void 0;return t=l(String(t).trim()),e=l(String(e).trim()),"none"===t&&(a=c(e))?t=a:"none"===e&&(a=c(t))&&(e=a),i=p(t),r=p(e),o=h(i,r),o&&0!==i.numbers.length?(s=f(i),function(t){var e=void 0,a=void 0,u=i.strings[0];for(e=0;e<i.numbers.length;e++)a=i.numbers[e]+(r.numbers[e]-i.numbers[e])*t,a="channel"===s[e]?Math.max(0,Math.min(255,Math.round(a))):"alpha"===s[e]?Math.max(0,Math.min(1,n(a,1e3))):n(a,1e5),u+=a+o[e]+i.strings[e+1];return u}):function(n){return n<.5?t:e}}function m(t){return"string"==typeof t&&_.test(t)}function v(t,e){var i=void 0,r=void 0,o=void 0,s=void 0,a=void 0,u=void 0,f=void 0,d=[],m=0,v=void 0;for(o="",y.lastIndex=0;null!==(r=y.exec(t));)void 0!==r[2]&&(d.push(r[1]||null),r[1]&&(o+=t.substring(m,r.index)+r[2]+r[3],m=y.lastIndex));if(o+=t.substring(m),e=l(String(e).trim()),"none"===e&&(e=c(o)||e),s=p(e),a=p(o),u=h(s,a),!u){for(i=0;i<a.units.length;i++)"*"===d[i]&&""===a.units[i]&&(a.units[i]=s.units[i]);if(u=h(s,a),!u)return null}for(v=a.strings[0],i=0;i<a.numbers.length;i++)f=a.numbers[i],"+"===d[i]?f=s.numbers[i]+f:"-"===d[i]?f=s.numbers[i]-f:"*"===d[i]&&(f=s.numbers[i]*f),v+=n(f,1e5)+u[i]+a.strings[i+1];return v}var g=/-?[a-z_][\w-]*|([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)([a-z%]*)/gi,y=/-?[a-z_][\w-]*|(?:([-+*])=\s*)?([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)([a-z%]*)/gi,_=/[-+*]=\s*[-+]?(?:\d*\.)?\d/,b=/#([0-9a-f]{3,8})\b/gi,T=/\b(rgba?|hsla?)\(([^)]*)\)/gi,w=/\b(transparent|black|white|gray|grey|silver|red|maroon|orange|yellow|olive|lime|green|aqua|cyan|teal|blue|navy|fuchsia|magenta|purple)\b/gi,P=/\s*[,\s\/]\s*/,C=/^(?:\s*[a-z][\w]*\([^)]*\))+\s*$/i,S=/([a-z][\w]*)\(([^)]*)\)/gi,x={transparent:[0,0,0,0],black:[0,0,0,1],white:[255,255,255,1],gray:[128,128,128,1],grey:[128,128,128,1],silver:[192,192,192,1],red:[255,0,0,1],maroon:[128,0,0,1],orange:[255,165,0,1],yellow:[255,255,0,1],olive:[128,128,0,1],lime:[0,255,0,1],green:[0,128,0,1],aqua:[0,255,255,1],cyan:[0,255,255,1],teal:[0,128,128,1],blue:[0,0,255,1],navy:[0,0,128,1],fuchsia:[255,0,255,1],magenta:[255,0,255,1],purple:[128,0,128,1]};t.exports={normalizeColors:l,tokenize:p,createInterpolator:d,
+isRelativeValue:m,resolveRelativeValue:v}},function(t,e,n){"use strict";function i(t){if(!f.test(t))throw"[Transition.registerTokens]: Invalid token name '"+t+"'"}function r(t){return p.isObject(t)&&p.isString(t.timingFunction)}function o(t){var e=void 0,n=void 0;for(e in t.durations)if(t.durations.hasOwnProperty(e)){if(i(e),n=t.durations[e],!p.isNumber(n)&&!p.isTime(n))throw"[Transition.registerTokens]: Invalid duration '"+n+"' of token '"+e+"'";d[e]=p.isNumber(n)?p.formatTime(n):n}for(e in t.easings)if(t.easings.hasOwnProperty(e)){if(i(e),!p.isString(t.easings[e])&&!r(t.easings[e]))throw"[Transition.registerTokens]: Invalid timing function '"+t.easings[e]+"' of token '"+e+"'";m[e]=t.easings[e]}}function s(t){return p.isString(t)&&d.hasOwnProperty(t)}function a(t){return p.isNumber(t)?p.formatTime(t):p.isTime(t)?t:s(t)?d[t]:null}function u(t){return p.isString(t)&&m.hasOwnProperty(t)?m[t]:t}function l(t){return t=u(t),r(t)?t.timingFunction:p.isString(t)?h.get(t)||t:null}function c(t){return t=u(t),r(t)&&p.isTime(t.duration)?t.duration:null}var p=n(1),h=n(6),f=/^[a-z_][\w-]*$/i,d={instant:"0ms",fast:"150ms",normal:"300ms",slow:"500ms"},m={standard:"cubic-bezier(0.2, 0, 0, 1)",emphasized:"cubic-bezier(0.05, 0.7, 0.1, 1)",decelerate:"cubic-bezier(0, 0, 0, 1)",accelerate:"cubic-bezier(0.3, 0, 1, 1)"};t.exports={register:o,isDurationToken:s,resolveTime:a,resolveTimingFunction:l,resolveTimingFunctionDuration:c}},function(t,e,n){"use strict";function i(t){var e=7.5625,n=2.75;return t<1/n?e*t*t:t<2/n?(t-=1.5/n,e*t*t+.75):t<2.5/n?(t-=2.25/n,e*t*t+.9375):(t-=2.625/n,e*t*t+.984375)}function r(t,e){return Math.round(t*e)/e}function o(t,e,n,i,r){var s=void 0,a=void 0,u=0,l=-1,c=t[e],p=t[n];for(s=e+1;s<n;s++)a=Math.abs(t[s].y-(c.y+(p.y-c.y)*(t[s].x-c.x)/(p.x-c.x))),a>u&&(u=a,l=s);return u>i?(o(t,e,l,i,r),r.pop(),o(t,l,n,i,r)):r.push(c,p),r}function s(t){var e=void 0,n=[];for(e=0;e<=v;e++)n.push({x:e/v,y:t(e/v)});return n[0].y=0,n[v].y=1,"linear("+o(n,0,v,g,[]).map(function(t){return r(t.y,1e4)+" "+r(100*t.x,100)+"%"}).join(", ")+")"}function a(t,e){var n=void 0,i=void 0,r=0,o=m.cubicBezier(t[0],t[1],t[2],t[3]);for(n=0;n<e.length;n++)i=o.valueAt(e[n].x)-e[n].y,r+=i*i;return r}function u(t,e){var n=void 0,i=void 0,r=.25,o=void 0,s=void 0,u=void 0,l=void 0;for(o=a(t,e);r>.001;){for(l=!1,n=0;n<t.length;n++)for(i=-1;i<=1;i+=2)s=t.slice(),s[n]+=i*r,n%2===0&&(s[n]=Math.max(0,Math.min(1,s[n]))),u=a(s,e),u<o&&(o=u,t=s,l=!0);l||(r/=2)}return{params:t,error:o}}function l(t){var e=void 0,n=void 0,i=null,r=[];for(e=1;e<y;e++)r.push({x:e/y,y:t(e/y)});for(e=0;e<_.length;e++)n=u(_[e],r),(!i||n.error<i.error)&&(i=n);return m.cubicBezier(i.params[0],i.params[1],i.params[2],i.params[3]).toString()}function c(t){return d.hasLinearEasing?s(t):l(t)}function p(t){return F.hasOwnProperty(t)&&(t=F[t]),S.hasOwnProperty(t)?S[t]:x.hasOwnProperty(t)?(k.hasOwnProperty(t)||(k[t]=c(x[t])),k[t]):null}function h(t,e,n,i){var r=Math.sqrt(t/n),o=e/(2*Math.sqrt(t*n)),s=void 0,a=void 0,u=void 0,l=void 0,c=void 0;return o<1?(s=r*Math.sqrt(1-o*o),function(t){return 1-Math.exp(-o*r*t)*(Math.cos(s*t)+(o*r-i)/s*Math.sin(s*t))}):1===o?function(t){return 1-Math.exp(-r*t)*(1+(r-i)*t)}:(a=r*Math.sqrt(o*o-1),u=-o*r+a,l=-o*r-a,c=(-i-l)/(u-l),function(t){return 1-c*Math.exp(u*t)-(1-c)*Math.exp(l*t)})}function f(t){var e=void 0,n=void 0,i=T,r=void 0,o=void 0,a=void 0;t=d.defaults(d.extend({},t),w);for(a in{stiffness:!0,damping:!0,mass:!0})if(!d.isNumber(t[a])||t[a]<=0)throw"[Transition.spring]: Invalid "+a+" '"+t[a]+"'";if(!d.isNumber(t.velocity))throw"[Transition.spring]: Invalid velocity '"+t.velocity+"'";if([null,"linear","cubic-bezier"].indexOf(t.output)<0)throw"[Transition.spring]: Invalid output '"+t.output+"'";for(n=h(t.stiffness,t.damping,t.mass,t.velocity),e=1e3*T;e>0;e--)if(Math.abs(1-n(e/1e3))>b){i=(e+1)/1e3;break}return r=function(t){return n(t*i)},o="linear"===t.output?s(r):"cubic-bezier"===t.output?l(r):c(r),{timingFunction:o,duration:d.formatTime(1e3*i),toString:function(){return this.timingFunction}}}var d=n(1),m=n(2),v=200,g=.002,y=24,_=[[.25,.1,.25,1],[.42,0,1,1],[0,0,.58,1],[.3,1.5,.6,1]],b=.001,T=10,w={stiffness:100,damping:10,mass:1,velocity:0,output:null},P=2*Math.PI/3,C=2*Math.PI/4.5,S={easeInSine:"cubic-bezier(0.12, 0, 0.39, 0)",easeOutSine:"cubic-bezier(0.61, 1, 0.88, 1)",easeInOutSine:"cubic-bezier(0.37, 0, 0.63, 1)",easeInQuad:"cubic-bezier(0.11, 0, 0.5, 0)",easeOutQuad:"cubic-bezier(0.5, 1, 0.89, 1)",easeInOutQuad:"cubic-bezier(0.45, 0, 0.55, 1)",easeInCubic:"cubic-bezier(0.32, 0, 0.67, 0)",easeOutCubic:"cubic-bezier(0.33, 1, 0.68, 1)",easeInOutCubic:"cubic-bezier(0.65, 0, 0.35, 1)",easeInQuart:"cubic-bezier(0.5, 0, 0.75, 0)",easeOutQuart:"cubic-bezier(0.25, 1, 0.5, 1)",easeInOutQuart:"cubic-bezier(0.76, 0, 0.24, 1)",easeInQuint:"cubic-bezier(0.64, 0, 0.78, 0)",easeOutQuint:"cubic-bezier(0.22, 1, 0.36, 1)",easeInOutQuint:"cubic-bezier(0.83, 0, 0.17, 1)",easeInExpo:"cubic-bezier(0.7, 0, 0.84, 0)",easeOutExpo:"cubic-bezier(0.16, 1, 0.3, 1)",easeInOutExpo:"cubic-bezier(0.87, 0, 0.13, 1)",easeInCirc:"cubic-bezier(0.55, 0, 1, 0.45)",easeOutCirc:"cubic-bezier(0, 0.55, 0.45, 1)",easeInOutCirc:"cubic-bezier(0.85, 0, 0.15, 1)",easeInBack:"cubic-bezier(0.36, 0, 0.66, -0.56)",easeOutBack:"cubic-bezier(0.34, 1.56, 0.64, 1)",easeInOutBack:"cubic-bezier(0.68, -0.6, 0.32, 1.6)"},x={easeInElastic:function(t){return-Math.pow(2,10*t-10)*Math.sin((10*t-10.75)*P)},easeOutElastic:function(t){return Math.pow(2,-10*t)*Math.sin((10*t-.75)*P)+1},easeInOutElastic:function(t){return t<.5?-(Math.pow(2,20*t-10)*Math.sin((20*t-11.125)*C))/2:Math.pow(2,-20*t+10)*Math.sin((20*t-11.125)*C)/2+1},easeInBounce:function(t){return 1-i(1-t)},easeOutBounce:i,easeInOutBounce:function(t){return t<.5?(1-i(1-2*t))/2:(1+i(2*t-1))/2}},F={elastic:"easeOutElastic",bounce:"easeOutBounce"},k={};t.exports={get:p,spring:f,toLinear:s,toCubicBezier:l}},function(t,e,n){"use strict";function i(t,e,n){if(!m.isString(t)||!v.test(t))throw"[Transition.registerEffect]: Invalid effect name '"+t+"'";if(!m.isFunction(e))throw"[Transition.registerEffect]: The factory of effect '"+t+"' must be a function";if(void 0!==n&&!m.isFunction(n))throw"[Transition.registerEffect]: The reversed factory of effect '"+t+"' must be a function";g[t]=e,n?y[t]=n:delete y[t]}function r(t){return m.isString(t)&&g.hasOwnProperty(t)}function o(t){return r(t)&&y.hasOwnProperty(t)}function s(t,e,n){if(!r(t))throw"[Transition]: Unknown effect '"+t+"'";return(n?y[t]:g[t])(m.extend({},e))}function a(t,e){return{property:"opacity",from:t,to:e}}function u(t,e){return function(n){var i=[{property:"transform",from:"translate"+t+"("+(e<0?"-":"")+(n.distance||"20px")+")",to:"translate"+t+"(0px)"}];return n.fade!==!1&&i.push(a("0","1")),i}}function l(t){return function(e){var n="scale("+(m.isNumber(e.scale)?e.scale:.5)+")",i=[{property:"transform",from:t?n:"scale(1)",to:t?"scale(1)":n}];return e.fade!==!1&&i.push(t?a("0","1"):a(null,"0")),i}}function c(t){return function(e){var n="perspective("+(e.perspective||"400px")+") ";return{property:"transform",from:n+"rotate"+t+"("+(e.angle||"90deg")+")",to:n+"rotate"+t+"(0deg)"}}}function p(t){return a("0",String(m.isNumber(t.opacity)?t.opacity:1))}function h(t){return a(null,String(m.isNumber(t.opacity)?t.opacity:0))}function f(t){return{property:t.dimension||"height",to:"0px"}}function d(t){return{property:t.dimension||"height",to:"auto"}}var m=n(1),v=/^[a-z_][\w-]*$/i,g={},y={};i("fadeIn",p,function(){return a(null,"0")}),i("fadeOut",h,function(t){return a(String(m.isNumber(t.opacity)?t.opacity:0),"1")}),i("slideUp",u("Y",1)),i("slideDown",u("Y",-1)),i("slideLeft",u("X",1)),i("slideRight",u("X",-1)),i("zoomIn",l(!0),l(!1)),i("zoomOut",l(!1),l(!0)),i("collapse",f,d),i("expand",d,f),i("flipX",c("X")),i("flipY",c("Y")),t.exports={register:i,has:r,hasReversed:o,expand:s}},function(t,e,n){"use strict";function i(t){this.Transition=t,this.steps=[],this.duration=0,this.started=!1,this.ended=!1,this.paused=!1,this.stopped=!1,this.startTime=null,this.elapsedTime=0,this.endedStepsCount=0,this.resolve=null,this.reject=null}var r=n(1),o=/^([-+])=(.+)$/;i.prototype={constructor:i,add:function(t,e,n,i){var o=void 0,s=void 0,a=void 0,u=void 0,l=void 0,c=void 0,p=void 0,h=[],f=void 0,d=void 0,m=0,v=void 0;if(this.started)throw"[Timeline.add]: Can not add steps to a timeline that has already started";if(e.hasOwnProperty("properties")?(i=n,n=e,e=e.properties):(r.isString(n)||r.isNumber(n))&&(i=n,n=void 0),f=this.getOffsetTime(i),!isFinite(f))throw"[Timeline.add]: Can not add steps after the end of a step that repeats infinitely";for(u=r.isString(t)||r.isElementList(t),a=r.isString(t)?r.toArray(document.querySelectorAll(t)):u?r.toArray(t):[t],l=this.Transition.parseProperties(e),v=n&&n.stagger,o=0;o<a.length;o++){for(c=[],s=0;s<l.length;s++)c.push(l[s].clone());p=new this.Transition(c,n),u&&(p.delayOffset=this.Transition.getStaggerDelay(v,o,a.length),p.elementIndex=o),h.push(p),m=Math.max(m,p.getTotalDuration(1))}return d={element:u?a:t,elements:a,multiple:u,transitions:h,start:f,duration:m,handle:null,timeout:null,result:null},this.steps.push(d),this.duration=Math.max(this.duration,d.start+d.duration),this},getOffsetTime:function(t){var e=void 0,n=this.steps[this.steps.length-1];if(r.isNumber(t))return Math.max(t,0);if(void 0===t||null===t||">"===t)return n?n.start+n.duration:0;if("<"===t)return n?n.start:0;if(r.isTime(t))return Math.max(r.parseTime(t),0);if(e=o.exec(t),e&&r.isTime(e[2]))return Math.max(this.duration+("-"===e[1]?-1:1)*r.parseTime(e[2]),0);throw"[Timeline.add]: Invalid offset '"+t+"'"},play:function(){var t=this,e=void 0;if(this.started)throw"[Timeline.play]: Timeline has already started";return this.started=!0,this.scaleSteps(this.Transition.timeScale),e=new Promise(function(e,n){t.resolve=e,t.reject=n}),this.startTime=r.now(),0===this.steps.length?this.end():this.scheduleSteps(),{promise:e,pause:function(){t.pause()},resume:function(){t.resume()},stop:function(e){t.stop(e)},progress:function(){return t.progress()}}},scaleSteps:function(t){var e=void 0;for(e=0;e<this.steps.length;e++)this.steps[e].start*=t,this.steps[e].duration*=t;this.duration*=t},getElapsedTime:function(){return this.paused||this.ended?this.elapsedTime:this.elapsedTime+r.now()-this.startTime},scheduleSteps:function(){var t=void 0,e=void 0,n=this.getElapsedTime();for(t=0;t<this.steps.length;t++)e=this.steps[t],e.handle||(e.timeout=window.setTimeout(this.beginStep.bind(this,e),Math.max(e.start-n,0)))},clearScheduledSteps:function(){var t=void 0,e=void 0;for(t=0;t<this.steps.length;t++)e=this.steps[t],null!==e.timeout&&(window.clearTimeout(e.timeout),e.timeout=null)},beginStep:function(t){var e=void 0,n=this,i=[];if(t.timeout=null,t.multiple){for(e=0;e<t.transitions.length;e++)i.push(t.transitions[e].begin(t.elements[e]));t.handle=this.Transition.groupHandles(t.elements,i)}else t.handle=t.transitions[0].begin(t.element);t.handle.promise.then(function(e){n.endStep(t,e)})},endStep:function(t,e){t.result=e,this.endedStepsCount++,this.endedStepsCount===this.steps.length&&this.end()},end:function(){var t=void 0,e=!this.stopped,n=[];for(this.elapsedTime=this.getElapsedTime(),this.ended=!0,t=0;t<this.steps.length;t++)n.push(this.steps[t].result),e=e&&this.steps[t].result.finished;this.resolve({finished:e,results:n})},isStepRunning:function(t){return null!==t.handle&&null===t.result},pause:function(){var t=void 0;if(this.started&&!this.paused&&!this.ended)for(this.elapsedTime=this.getElapsedTime(),this.paused=!0,this.clearScheduledSteps(),t=0;t<this.steps.length;t++)this.isStepRunning(this.steps[t])&&this.steps[t].handle.pause()},resume:function(){var t=void 0;if(this.paused){for(this.paused=!1,this.startTime=r.now(),t=0;t<this.steps.length;t++)this.isStepRunning(this.steps[t])&&this.steps[t].handle.resume();this.scheduleSteps()}},stop:function(t){var e=void 0,n=void 0,i=void 0,r=[],o=t&&t.mode;if(this.started&&!this.ended&&!this.stopped){for(this.elapsedTime=this.getElapsedTime(),this.stopped=!0,this.clearScheduledSteps(),e=0;e<this.steps.length;e++)if(i=this.steps[e],null===i.handle){if("end"===o)for(n=0;n<i.transitions.length;n++)i.transitions[n].applyEndValues(i.elements[n]);i.result=i.multiple?{elements:i.elements,finished:!1,results:i.elements.map(function(t){return{element:t,finished:!1}})}:{element:i.element,finished:!1},this.endedStepsCount++}else null===i.result&&r.push(i);if(0===r.length)return void this.end();for(e=0;e<r.length;e++)r[e].handle.stop(t)}},progress:function(){return this.started?this.ended&&!this.stopped||0===this.duration?this.ended?1:0:Math.min(this.getElapsedTime()/this.duration,1):0}},t.exports=i},function(t,e,n){"use strict";function i(t){var e=void 0,n=void 0,i=void 0,r=void 0,o=void 0,l=[],c=[],p=[],h=[],f=void 0,d=void 0,m=void 0,v=void 0,g=void 0;if(n=t.style[s.transitionProperty]){if(i=t.style[s.transitionDuration],r=t.style[s.transitionDelay],o=t.style[s.transitionTimingFunction],l=n.split(a),c=i?i.split(a):["0s"],p=r?r.split(a):["0s"],o)for(h=[];null!==(f=u.exec(o));)h.push(f[1]);else h=["ease"];for(d=l.length,m=c.length,v=p.length,g=h.length,e=0;e<d;e++)m<=e&&c.push(c[e%m]),v<=e&&p.push(p[e%v]),g<=e&&h.push(h[e%g])}return{cssProperties:l,durations:c,delays:p,timingFunctions:h}}function r(t,e){var n=t.cssProperties.indexOf(e);return!(n<0)&&(t.cssProperties.splice(n,1),t.durations.splice(n,1),t.delays.splice(n,1),t.timingFunctions.splice(n,1),!0)}function o(t,e){t.style[s.transitionProperty]=e.cssProperties.join(", "),t.style[s.transitionDuration]=e.durations.join(", "),t.style[s.transitionDelay]=e.delays.join(", "),t.style[s.transitionTimingFunction]=e.timingFunctions.join(", ")}var s=n(1),a=/\s*,\s*/,u=/(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;t.exports={name:"css",isSupported:function(){return s.hasTransition},listen:function(t,e){e.addEventListener(s.transitionEndEvent,t,!1),s.transitionCancelEvent&&(e.addEventListener(s.transitionRunEvent,t,!1),e.addEventListener(s.transitionStartEvent,t,!1),e.addEventListener(s.transitionCancelEvent,t,!1))},unlisten:function(t,e){e.removeEventListener(s.transitionEndEvent,t,!1),s.transitionCancelEvent&&(e.removeEventListener(s.transitionRunEvent,t,!1),e.removeEventListener(s.transitionStartEvent,t,!1),e.removeEventListener(s.transitionCancelEvent,t,!1))},applySegments:function(t,e,n){var a=void 0,u=void 0,l=i(e);for(a=0;a<n.length;a++)u=n[a],r(l,u.cssProperty),l.cssProperties.push(u.cssProperty),l.durations.push(s.formatTime(u.segment.duration)),l.delays.push(s.formatTime(u.segment.delay)),l.timingFunctions.push(u.segment.timingFunction);for(o(e,l),a=0;a<n.length;a++)u=n[a],e.style[u.domProperty]=u.getTarget()},removeSegments:function(t,e,n){var s=void 0,a=!1,u=i(e);for(s=0;s<n.length;s++)r(u,n[s].cssProperty)&&(a=!0);a&&o(e,u)},getElementTransitionValues:i,removeElementTransitionValue:r,setElementTransitionValues:o}},function(t,e,n){"use strict";function i(t){var e=t.cssProperty.replace(l,"");return 0===e.indexOf("--")?e:"float"===e?"cssFloat":u.cssToDOM(e)}function r(t){t.startTimeout&&(window.clearTimeout(t.startTimeout),t.startTimeout=null)}function o(t){r(t),t.animation&&(t.animation.onfinish=null,t.animation.oncancel=null,t.animation.cancel(),t.animation=null)}function s(t,e){return t.getTransitioningProperty(e.cssProperty)===e}function a(t,e,n){var i=n.animation,o=void 0;r(n),i&&!n.started&&"paused"!==i.playState&&(o=(i.effect.getTiming().delay-(i.currentTime||0))/i.playbackRate,n.startTimeout=window.setTimeout(function(){n.startTimeout=null,n.animation===i&&s(t,n)&&t.startTransitioningProperty(e,n.cssProperty)},Math.max(o,0)))}var u=n(1),l=/^-[a-z]+-/;t.exports={name:"waapi",isSupported:function(){return u.hasWebAnimations},listen:function(){},unlisten:function(){},applySegments:function(t,e,n){var i=void 0;for(i=0;i<n.length;i++)this.animateProperty(t,e,n[i])},animateProperty:function(t,e,n){var u=void 0,l=n.segment,c=i(n),p={},h={};o(n),p[c]=String(l.from),h[c]=String(n.getTarget()),e.style[n.domProperty]=n.getTarget(),u=e.animate([p,h],{duration:l.duration,delay:l.delay,easing:l.timingFunction,fill:"backwards"}),n.animation=u,n.animatedSegment=l,t.paused&&u.pause(),u.onfinish=function(){n.animation===u&&(n.animation=null,r(n),s(t,n)&&t.endPropertySegment(e,n.cssProperty))},u.oncancel=function(){n.animation===u&&(n.animation=null,r(n),s(t,n)&&t.cancelTransitioningProperty(e,n.cssProperty))},a(t,e,n)},removeSegments:function(t,e,n){var i=void 0;for(i=0;i<n.length;i++)o(n[i])},pauseSegments:function(t,e,n){var i=void 0;for(i=0;i<n.length;i++)r(n[i]),n[i].animation&&n[i].animation.pause()},resumeSegments:function(t,e,n){var i=void 0,r=void 0;for(i=0;i<n.length;i++)r=n[i],r.animation?(r.animation.play(),a(t,e,r)):this.animateProperty(t,e,r)},seekSegments:function(t,e,n){var i=void 0,r=void 0,o=void 0,s=void 0,u=void 0;for(i=0;i<n.length;i++)r=n[i],o=r.segment,s=r.animatedSegment,r.animation&&1===r.animation.playbackRate&&String(s.from)===String(o.from)&&s.duration===o.duration&&s.timingFunction===o.timingFunction?(u=r.animation.effect.getTiming(),r.animation.currentTime=Math.min(u.delay-o.delay,u.delay+u.duration),r.animatedSegment=o,a(t,e,r)):this.animateProperty(t,e,r)},setSegmentsPlaybackRate:function(t,e,n,i){var r=void 0,o=void 0;for(r=0;r<n.length;r++)o=n[r].animation,o&&(o.playbackRate=o.playbackRate/i,a(t,e,n[r]))}}},function(t,e,n){"use strict";function i(t,e,n){this.transition=t,this.element=e,this.property=n,this.segment=n.segment,this.from=String(n.segment.from),this.to=String(n.getTarget()),this.interpolate=l.createInterpolator(this.from,this.to),this.ease=u.create(n.segment.timingFunction),this.started=!1}function r(){p||(p=!0,a.requestAnimationFrame(s))}function o(t){var e=c.indexOf(t);e>=0&&c.splice(e,1),t.property.tween===t&&(t.property.tween=null)}function s(){var t=void 0,e=void 0,n=void 0,i=a.now(),s=c.slice();for(p=!1,t=0;t<s.length;t++)e=s[t],c.indexOf(e)<0||(n=e.render(i),!e.started&&i-e.segment.startTime>=e.segment.delay&&(e.started=!0,e.isCurrent()&&e.transition.startTransitioningProperty(e.element,e.property.cssProperty)),n&&(o(e),e.isCurrent()&&e.transition.endPropertySegment(e.element,e.property.cssProperty)));c.length&&r()}var a=n(1),u=n(3),l=n(4),c=[],p=!1;i.prototype={constructor:i,render:function(t){var e=t-this.segment.startTime-this.segment.delay,n=this.element.style,i=this.property.domProperty;return e<0?(n[i]=this.from,!1):e>=this.segment.duration?(n[i]=this.to,!0):(n[i]=this.interpolate(this.ease(e/this.segment.duration)),!1)},isCurrent:function(){return this.transition.getTransitioningProperty(this.property.cssProperty)===this.property}},t.exports={name:"js",isSupported:function(){return!0},listen:function(){},unlisten:function(){},applySegments:function(t,e,n){var s=void 0,u=void 0,l=void 0,p=a.now();for(s=0;s<n.length;s++)u=n[s],u.tween&&o(u.tween),l=new i(t,e,u),u.tween=l,c.push(l),l.render(p);r()},removeSegments:function(t,e,n){var i=void 0;for(i=0;i<n.length;i++)n[i].tween&&o(n[i].tween)}}},function(t,e,n){"use strict";function i(){try{Promise===o&&(Promise=r)}catch(t){}return o}var r;"undefined"!=typeof Promise&&(r=Promise);var o=n(13)();o.noConflict=i,t.exports=o},function(t,e,n){(function(e){"use strict";t.exports=function(){function i(){}function r(t,e){if(null==t||t.constructor!==o)throw new x("the promise constructor cannot be invoked directly\n\n    See http://goo.gl/MqrFmX\n");if("function"!=typeof e)throw new x("expecting a function but got "+f.classString(e))}function o(t){t!==k&&r(this,t),this._bitField=0,this._fulfillmentHandler0=void 0,this._rejectionHandler0=void 0,this._promise0=void 0,this._receiver0=void 0,this._resolveFromExecutor(t),this._promiseCreated(),this._fireEvent("promiseCreated",this)}function s(t){this.promise._resolveCallback(t)}function a(t){this.promise._rejectCallback(t,!1)}function u(t){var e=new o(k);e._fulfillmentHandler0=t,e._rejectionHandler0=t,e._promise0=t,e._receiver0=t}var l=function(){return new x("circular promise resolution chain\n\n    See http://goo.gl/MqrFmX\n")},c=function(){return new o.PromiseInspection(this._target())},p=function(t){return o.reject(new x(t))},h={},f=n(15);f.setReflectHandler(c);var d=function(){var t=e.domain;return void 0===t?null:t},m=function(){return null},v=function(){return{domain:d(),async:null}},g=f.isNode&&f.nodeSupportsAsyncResource?n(!function(){var t=new Error('Cannot find module "async_hooks"');throw t.code="MODULE_NOT_FOUND",t}()).AsyncResource:null,y=function(){return{domain:d(),async:new g("Bluebird::Promise")}},_=f.isNode?v:m;f.notEnumerableProp(o,"_getContext",_);var b=function(){_=y,f.notEnumerableProp(o,"_getContext",y)},T=function(){_=v,f.notEnumerableProp(o,"_getContext",v)},w=n(16),P=n(17),C=new P;w.defineProperty(o,"_async",{value:C});var S=n(22),x=o.TypeError=S.TypeError;o.RangeError=S.RangeError;var F=o.CancellationError=S.CancellationError;o.TimeoutError=S.TimeoutError,o.OperationalError=S.OperationalError,o.RejectionError=S.OperationalError,o.AggregateError=S.AggregateError;var k=function(){},E={},j={},O=n(23)(o,k),R=n(24)(o,k,O,p,i),A=n(25)(o),M=A.create,N=n(26)(o,A,b,T),I=(N.CapturedTrace,n(27)(o,O,j)),V=n(28)(j),D=n(29),B=f.errorObj,L=f.tryCatch;return o.prototype.toString=function(){return"[object Promise]"},o.prototype.caught=o.prototype.catch=function(t){var e=arguments.length;if(e>1){var n,i=new Array(e-1),r=0;for(n=0;n<e-1;++n){var o=arguments[n];if(!f.isObject(o))return p("Catch statement predicate: expecting an object but got "+f.classString(o));i[r++]=o}if(i.length=r,t=arguments[n],"function"!=typeof t)throw new x("The last argument to .catch() must be a function, got "+f.toString(t));return this.then(void 0,V(i,t,this))}return this.then(void 0,t)},o.prototype.reflect=function(){return this._then(c,c,void 0,this,void 0)},o.prototype.then=function(t,e){if(N.warnings()&&arguments.length>0&&"function"!=typeof t&&"function"!=typeof e){var n=".then() only accepts functions but was passed: "+f.classString(t);arguments.length>1&&(n+=", "+f.classString(e)),this._warn(n)}return this._then(t,e,void 0,void 0,void 0)},o.prototype.done=function(t,e){var n=this._then(t,e,void 0,void 0,void 0);n._setIsFinal()},o.prototype.spread=function(t){return"function"!=typeof t?p("expecting a function but got "+f.classString(t)):this.all()._then(t,void 0,void 0,E,void 0)},o.prototype.toJSON=function(){var t={isFulfilled:!1,isRejected:!1,fulfillmentValue:void 0,rejectionReason:void 0};return this.isFulfilled()?(t.fulfillmentValue=this.value(),t.isFulfilled=!0):this.isRejected()&&(t.rejectionReason=this.reason(),t.isRejected=!0),t},o.prototype.all=function(){return arguments.length>0&&this._warn(".all() was passed arguments but it does not take any"),new R(this).promise()},o.prototype.error=function(t){return this.caught(f.originatesFromRejection,t)},o.getNewLibraryCopy=t.exports,o.is=function(t){return t instanceof o},o.fromNode=o.fromCallback=function(t){var e=new o(k);e._captureStackTrace();var n=arguments.length>1&&!!Object(arguments[1]).multiArgs,i=L(t)(D(e,n));return i===B&&e._rejectCallback(i.e,!0),e._isFateSealed()||e._setAsyncGuaranteed(),e},o.all=function(t){return new R(t).promise()},o.cast=function(t){var e=O(t);return e instanceof o||(e=new o(k),e._captureStackTrace(),e._setFulfilled(),e._rejectionHandler0=t),e},o.resolve=o.fulfilled=o.cast,o.reject=o.rejected=function(t){var e=new o(k);return e._captureStackTrace(),e._rejectCallback(t,!0),e},o.setScheduler=function(t){if("function"!=typeof t)throw new x("expecting a function but got "+f.classString(t));return C.setScheduler(t)},o.prototype._then=function(t,e,n,i,r){var s=void 0!==r,a=s?r:new o(k),u=this._target(),l=u._bitField;s||(a._propagateFrom(this,3),a._captureStackTrace(),void 0===i&&0!==(2097152&this._bitField)&&(i=0!==(50397184&l)?this._boundValue():u===this?void 0:this._boundTo),this._fireEvent("promiseChained",this,a));var c=_();if(0!==(50397184&l)){var p,h,d=u._settlePromiseCtx;0!==(33554432&l)?(h=u._rejectionHandler0,p=t):0!==(16777216&l)?(h=u._fulfillmentHandler0,p=e,u._unsetRejectionIsUnhandled()):(d=u._settlePromiseLateCancellationObserver,h=new F("late cancellation observer"),u._attachExtraTrace(h),p=e),C.invoke(d,u,{handler:f.contextBind(c,p),promise:a,receiver:i,value:h})}else u._addCallbacks(t,e,a,i,c);return a},o.prototype._length=function(){return 65535&this._bitField},o.prototype._isFateSealed=function(){return 0!==(117506048&this._bitField)},o.prototype._isFollowing=function(){return 67108864===(67108864&this._bitField)},o.prototype._setLength=function(t){this._bitField=this._bitField&-65536|65535&t},o.prototype._setFulfilled=function(){this._bitField=33554432|this._bitField,this._fireEvent("promiseFulfilled",this)},o.prototype._setRejected=function(){this._bitField=16777216|this._bitField,this._fireEvent("promiseRejected",this)},o.prototype._setFollowing=function(){this._bitField=67108864|this._bitField,this._fireEvent("promiseResolved",this)},o.prototype._setIsFinal=function(){this._bitField=4194304|this._bitField},o.prototype._isFinal=function(){return(4194304&this._bitField)>0},o.prototype._unsetCancelled=function(){this._bitField=this._bitField&-65537},o.prototype._setCancelled=function(){this._bitField=65536|this._bitField,this._fireEvent("promiseCancelled",this)},o.prototype._setWillBeCancelled=function(){this._bitField=8388608|this._bitField},o.prototype._setAsyncGuaranteed=function(){if(!C.hasCustomScheduler()){var t=this._bitField;this._bitField=t|(536870912&t)>>2^134217728}},o.prototype._setNoAsyncGuarantee=function(){this._bitField=(536870912|this._bitField)&-134217729},o.prototype._receiverAt=function(t){var e=0===t?this._receiver0:this[4*t-4+3];if(e!==h)return void 0===e&&this._isBound()?this._boundValue():e},o.prototype._promiseAt=function(t){return this[4*t-4+2]},o.prototype._fulfillmentHandlerAt=function(t){return this[4*t-4+0]},o.prototype._rejectionHandlerAt=function(t){return this[4*t-4+1]},o.prototype._boundValue=function(){},o.prototype._migrateCallback0=function(t){var e=(t._bitField,t._fulfillmentHandler0),n=t._rejectionHandler0,i=t._promise0,r=t._receiverAt(0);void 0===r&&(r=h),this._addCallbacks(e,n,i,r,null)},o.prototype._migrateCallbackAt=function(t,e){var n=t._fulfillmentHandlerAt(e),i=t._rejectionHandlerAt(e),r=t._promiseAt(e),o=t._receiverAt(e);void 0===o&&(o=h),this._addCallbacks(n,i,r,o,null)},o.prototype._addCallbacks=function(t,e,n,i,r){var o=this._length();if(o>=65531&&(o=0,this._setLength(0)),0===o)this._promise0=n,this._receiver0=i,"function"==typeof t&&(this._fulfillmentHandler0=f.contextBind(r,t)),"function"==typeof e&&(this._rejectionHandler0=f.contextBind(r,e));else{var s=4*o-4;this[s+2]=n,this[s+3]=i,"function"==typeof t&&(this[s+0]=f.contextBind(r,t)),"function"==typeof e&&(this[s+1]=f.contextBind(r,e))}return this._setLength(o+1),o},o.prototype._proxy=function(t,e){this._addCallbacks(void 0,void 0,e,t,null)},o.prototype._resolveCallback=function(t,e){if(0===(117506048&this._bitField)){if(t===this)return this._rejectCallback(l(),!1);var n=O(t,this);if(!(n instanceof o))return this._fulfill(t);e&&this._propagateFrom(n,2);var i=n._target();if(i===this)return void this._reject(l());var r=i._bitField;if(0===(50397184&r)){var s=this._length();s>0&&i._migrateCallback0(this);for(var a=1;a<s;++a)i._migrateCallbackAt(this,a);this._setFollowing(),this._setLength(0),this._setFollowee(n)}else if(0!==(33554432&r))this._fulfill(i._value());else if(0!==(16777216&r))this._reject(i._reason());else{var u=new F("late cancellation observer");i._attachExtraTrace(u),this._reject(u)}}},o.prototype._rejectCallback=function(t,e,n){var i=f.ensureErrorObject(t),r=i===t;if(!r&&!n&&N.warnings()){var o="a promise was rejected with a non-error: "+f.classString(t);this._warn(o,!0)}this._attachExtraTrace(i,!!e&&r),this._reject(t)},o.prototype._resolveFromExecutor=function(t){if(t!==k){var e=this;this._captureStackTrace(),this._pushContext();var n=!0,i=this._execute(t,function(t){e._resolveCallback(t)},function(t){e._rejectCallback(t,n)});n=!1,this._popContext(),void 0!==i&&e._rejectCallback(i,!0)}},o.prototype._settlePromiseFromHandler=function(t,e,n,i){var r=i._bitField;if(0===(65536&r)){i._pushContext();var o;e===E?n&&"number"==typeof n.length?o=L(t).apply(this._boundValue(),n):(o=B,o.e=new x("cannot .spread() a non-array: "+f.classString(n))):o=L(t).call(e,n);var s=i._popContext();r=i._bitField,0===(65536&r)&&(o===j?i._reject(n):o===B?i._rejectCallback(o.e,!1):(N.checkForgottenReturns(o,s,"",i,this),i._resolveCallback(o)))}},o.prototype._target=function(){for(var t=this;t._isFollowing();)t=t._followee();return t},o.prototype._followee=function(){return this._rejectionHandler0},o.prototype._setFollowee=function(t){this._rejectionHandler0=t},o.prototype._settlePromise=function(t,e,n,r){var s=t instanceof o,a=this._bitField,u=0!==(134217728&a);0!==(65536&a)?(s&&t._invokeInternalOnCancel(),n instanceof I&&n.isFinallyHandler()?(n.cancelPromise=t,L(e).call(n,r)===B&&t._reject(B.e)):e===c?t._fulfill(c.call(n)):n instanceof i?n._promiseCancelled(t):s||t instanceof R?t._cancel():n.cancel()):"function"==typeof e?s?(u&&t._setAsyncGuaranteed(),this._settlePromiseFromHandler(e,n,r,t)):e.call(n,r,t):n instanceof i?n._isResolved()||(0!==(33554432&a)?n._promiseFulfilled(r,t):n._promiseRejected(r,t)):s&&(u&&t._setAsyncGuaranteed(),0!==(33554432&a)?t._fulfill(r):t._reject(r))},o.prototype._settlePromiseLateCancellationObserver=function(t){var e=t.handler,n=t.promise,i=t.receiver,r=t.value;"function"==typeof e?n instanceof o?this._settlePromiseFromHandler(e,i,r,n):e.call(i,r,n):n instanceof o&&n._reject(r)},o.prototype._settlePromiseCtx=function(t){this._settlePromise(t.promise,t.handler,t.receiver,t.value)},o.prototype._settlePromise0=function(t,e,n){var i=this._promise0,r=this._receiverAt(0);this._promise0=void 0,this._receiver0=void 0,this._settlePromise(i,t,r,e)},o.prototype._clearCallbackDataAtIndex=function(t){var e=4*t-4;this[e+2]=this[e+3]=this[e+0]=this[e+1]=void 0},o.prototype._fulfill=function(t){var e=this._bitField;if(!((117506048&e)>>>16)){if(t===this){var n=l();return this._attachExtraTrace(n),this._reject(n)}this._setFulfilled(),this._rejectionHandler0=t,(65535&e)>0&&(0!==(134217728&e)?this._settlePromises():C.settlePromises(this),this._dereferenceTrace())}},o.prototype._reject=function(t){var e=this._bitField;if(!((117506048&e)>>>16))return this._setRejected(),this._fulfillmentHandler0=t,this._isFinal()?C.fatalError(t,f.isNode):void((65535&e)>0?C.settlePromises(this):this._ensurePossibleRejectionHandled())},o.prototype._fulfillPromises=function(t,e){for(var n=1;n<t;n++){var i=this._fulfillmentHandlerAt(n),r=this._promiseAt(n),o=this._receiverAt(n);this._clearCallbackDataAtIndex(n),this._settlePromise(r,i,o,e)}},o.prototype._rejectPromises=function(t,e){for(var n=1;n<t;n++){var i=this._rejectionHandlerAt(n),r=this._promiseAt(n),o=this._receiverAt(n);this._clearCallbackDataAtIndex(n),this._settlePromise(r,i,o,e)}},o.prototype._settlePromises=function(){var t=this._bitField,e=65535&t;if(e>0){if(0!==(16842752&t)){var n=this._fulfillmentHandler0;this._settlePromise0(this._rejectionHandler0,n,t),this._rejectPromises(e,n)}else{var i=this._rejectionHandler0;this._settlePromise0(this._fulfillmentHandler0,i,t),this._fulfillPromises(e,i)}this._setLength(0)}this._clearCancellationData()},o.prototype._settledValue=function(){var t=this._bitField;return 0!==(33554432&t)?this._rejectionHandler0:0!==(16777216&t)?this._fulfillmentHandler0:void 0},"undefined"!=typeof Symbol&&Symbol.toStringTag&&w.defineProperty(o.prototype,Symbol.toStringTag,{get:function(){return"Object"}}),o.defer=o.pending=function(){N.deprecated("Promise.defer","new Promise");var t=new o(k);return{promise:t,resolve:s,reject:a}},f.notEnumerableProp(o,"_makeSelfResolutionError",l),n(30)(o,k,O,p,N),n(31)(o,k,O,N),n(32)(o,R,p,N),n(33)(o),n(34)(o),n(35)(o,R,O,k,C),o.Promise=o,o.version="3.7.2",n(36)(o),n(37)(o,p,k,O,i,N),n(38)(o,R,p,O,k,N),n(39)(o),n(40)(o,k),n(41)(o,R,O,p),n(42)(o,k,O,p),n(43)(o,R,p,O,k,N),n(44)(o,R,N),n(45)(o,R,p),n(46)(o,k,N),n(47)(o,p,O,M,k,N),
+n(48)(o),n(49)(o,k),n(50)(o,k),f.toFastProperties(o),f.toFastProperties(o.prototype),u({a:1}),u({b:2}),u({c:3}),u(1),u(function(){}),u(void 0),u(!1),u(new o(k)),N.setBounds(P.firstLineError,f.lastLineError),o}}).call(e,n(14))},function(t,e){function n(){throw new Error("setTimeout has not been defined")}function i(){throw new Error("clearTimeout has not been defined")}function r(t){if(c===setTimeout)return setTimeout(t,0);if((c===n||!c)&&setTimeout)return c=setTimeout,setTimeout(t,0);try{return c(t,0)}catch(e){try{return c.call(null,t,0)}catch(e){return c.call(this,t,0)}}}function o(t){if(p===clearTimeout)return clearTimeout(t);if((p===i||!p)&&clearTimeout)return p=clearTimeout,clearTimeout(t);try{return p(t)}catch(e){try{return p.call(null,t)}catch(e){return p.call(this,t)}}}function s(){m&&f&&(m=!1,f.length?d=f.concat(d):v=-1,d.length&&a())}function a(){if(!m){var t=r(s);m=!0;for(var e=d.length;e;){for(f=d,d=[];++v<e;)f&&f[v].run();v=-1,e=d.length}f=null,m=!1,o(t)}}function u(t,e){this.fun=t,this.array=e}function l(){}var c,p,h=t.exports={};!function(){try{c="function"==typeof setTimeout?setTimeout:n}catch(t){c=n}try{p="function"==typeof clearTimeout?clearTimeout:i}catch(t){p=i}}();var f,d=[],m=!1,v=-1;h.nextTick=function(t){var e=new Array(arguments.length-1);if(arguments.length>1)for(var n=1;n<arguments.length;n++)e[n-1]=arguments[n];d.push(new u(t,e)),1!==d.length||m||r(a)},u.prototype.run=function(){this.fun.apply(null,this.array)},h.title="browser",h.browser=!0,h.env={},h.argv=[],h.version="",h.versions={},h.on=l,h.addListener=l,h.once=l,h.off=l,h.removeListener=l,h.removeAllListeners=l,h.emit=l,h.prependListener=l,h.prependOnceListener=l,h.listeners=function(t){return[]},h.binding=function(t){throw new Error("process.binding is not supported")},h.cwd=function(){return"/"},h.chdir=function(t){throw new Error("process.chdir is not supported")},h.umask=function(){return 0}},function(t,e,n){(function(e,i){"use strict";function r(){try{var t=j;return j=null,t.apply(this,arguments)}catch(t){return E.e=t,E}}function o(t){return j=t,r}function s(t){return null==t||t===!0||t===!1||"string"==typeof t||"number"==typeof t}function a(t){return"function"==typeof t||"object"==typeof t&&null!==t}function u(t){return s(t)?new Error(g(t)):t}function l(t,e){var n,i=t.length,r=new Array(i+1);for(n=0;n<i;++n)r[n]=t[n];return r[n]=e,r}function c(t,e,n){if(!F.isES5)return{}.hasOwnProperty.call(t,e)?t[e]:void 0;var i=Object.getOwnPropertyDescriptor(t,e);return null!=i?null==i.get&&null==i.set?i.value:n:void 0}function p(t,e,n){if(s(t))return t;var i={value:n,configurable:!0,enumerable:!1,writable:!0};return F.defineProperty(t,e,i),t}function h(t){throw t}function f(t){try{if("function"==typeof t){var e=F.names(t.prototype),n=F.isES5&&e.length>1,i=e.length>0&&!(1===e.length&&"constructor"===e[0]),r=M.test(t+"")&&F.names(t).length>0;if(n||i||r)return!0}return!1}catch(t){return!1}}function d(t){function e(){}function n(){return typeof i.foo}e.prototype=t;var i=new e;return n(),n(),t}function m(t){return N.test(t)}function v(t,e,n){for(var i=new Array(t),r=0;r<t;++r)i[r]=e+r+n;return i}function g(t){try{return t+""}catch(t){return"[no string representation]"}}function y(t){return t instanceof Error||null!==t&&"object"==typeof t&&"string"==typeof t.message&&"string"==typeof t.name}function _(t){try{p(t,"isOperational",!0)}catch(t){}}function b(t){return null!=t&&(t instanceof Error.__BluebirdErrorTypes__.OperationalError||t.isOperational===!0)}function T(t){return y(t)&&F.propertyIsWritable(t,"stack")}function w(t){return{}.toString.call(t)}function P(t,e,n){for(var i=F.names(t),r=0;r<i.length;++r){var o=i[r];if(n(o))try{F.defineProperty(e,o,F.getDescriptor(t,o))}catch(t){}}}function C(t){return L?i.env[t]:void 0}function S(){if("function"==typeof Promise)try{var t=new Promise(function(){});if("[object Promise]"===w(t))return Promise}catch(t){}}function x(t,e){if(null===t||"function"!=typeof e||e===H)return e;null!==t.domain&&(e=t.domain.bind(e));var n=t.async;if(null!==n){var i=e;e=function(){for(var t=arguments.length+2,e=new Array(t),r=2;r<t;++r)e[r]=arguments[r-2];return e[0]=i,e[1]=this,n.runInAsyncScope.apply(n,e)}}return e}var F=n(16),k="undefined"==typeof navigator,E={e:{}},j,O="undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof e?e:void 0!==this?this:null,R=function(t,e){function n(){this.constructor=t,this.constructor$=e;for(var n in e.prototype)i.call(e.prototype,n)&&"$"!==n.charAt(n.length-1)&&(this[n+"$"]=e.prototype[n])}var i={}.hasOwnProperty;return n.prototype=e.prototype,t.prototype=new n,t.prototype},A=function(){var t=[Array.prototype,Object.prototype,Function.prototype],e=function(e){for(var n=0;n<t.length;++n)if(t[n]===e)return!0;return!1};if(F.isES5){var n=Object.getOwnPropertyNames;return function(t){for(var i=[],r=Object.create(null);null!=t&&!e(t);){var o;try{o=n(t)}catch(t){return i}for(var s=0;s<o.length;++s){var a=o[s];if(!r[a]){r[a]=!0;var u=Object.getOwnPropertyDescriptor(t,a);null!=u&&null==u.get&&null==u.set&&i.push(a)}}t=F.getPrototypeOf(t)}return i}}var i={}.hasOwnProperty;return function(n){if(e(n))return[];var r=[];t:for(var o in n)if(i.call(n,o))r.push(o);else{for(var s=0;s<t.length;++s)if(i.call(t[s],o))continue t;r.push(o)}return r}}(),M=/this\s*\.\s*\S+\s*=/,N=/^[a-z$_][a-z$_0-9]*$/i,I=function(){return"stack"in new Error?function(t){return T(t)?t:new Error(g(t))}:function(t){if(T(t))return t;try{throw new Error(g(t))}catch(t){return t}}}(),V=function(t){return F.isArray(t)?t:null};if("undefined"!=typeof Symbol&&Symbol.iterator){var D="function"==typeof Array.from?function(t){return Array.from(t)}:function(t){for(var e,n=[],i=t[Symbol.iterator]();!(e=i.next()).done;)n.push(e.value);return n};V=function(t){return F.isArray(t)?t:null!=t&&"function"==typeof t[Symbol.iterator]?D(t):null}}var B="undefined"!=typeof i&&"[object process]"===w(i).toLowerCase(),L="undefined"!=typeof i&&"undefined"!=typeof i.env,H,z={setReflectHandler:function(t){H=t},isClass:f,isIdentifier:m,inheritedDataKeys:A,getDataPropertyOrDefault:c,thrower:h,isArray:F.isArray,asArray:V,notEnumerableProp:p,isPrimitive:s,isObject:a,isError:y,canEvaluate:k,errorObj:E,tryCatch:o,inherits:R,withAppended:l,maybeWrapAsError:u,toFastProperties:d,filledRange:v,toString:g,canAttachTrace:T,ensureErrorObject:I,originatesFromRejection:b,markAsOriginatingFromRejection:_,classString:w,copyDescriptors:P,isNode:B,hasEnvVariables:L,env:C,global:O,getNativePromise:S,contextBind:x};z.isRecentNode=z.isNode&&function(){var t;return i.versions&&i.versions.node?t=i.versions.node.split(".").map(Number):i.version&&(t=i.version.split(".").map(Number)),0===t[0]&&t[1]>10||t[0]>0}(),z.nodeSupportsAsyncResource=z.isNode&&function(){var t=!1;try{var e=n(!function(){var t=new Error('Cannot find module "async_hooks"');throw t.code="MODULE_NOT_FOUND",t}()).AsyncResource;t="function"==typeof e.prototype.runInAsyncScope}catch(e){t=!1}return t}(),z.isNode&&z.toFastProperties(i);try{throw new Error}catch(t){z.lastLineError=t}t.exports=z}).call(e,function(){return this}(),n(14))},function(t,e){var n=function(){"use strict";return void 0===this}();if(n)t.exports={freeze:Object.freeze,defineProperty:Object.defineProperty,getDescriptor:Object.getOwnPropertyDescriptor,keys:Object.keys,names:Object.getOwnPropertyNames,getPrototypeOf:Object.getPrototypeOf,isArray:Array.isArray,isES5:n,propertyIsWritable:function(t,e){var n=Object.getOwnPropertyDescriptor(t,e);return!(n&&!n.writable&&!n.set)}};else{var i={}.hasOwnProperty,r={}.toString,o={}.constructor.prototype,s=function(t){var e=[];for(var n in t)i.call(t,n)&&e.push(n);return e},a=function(t,e){return{value:t[e]}},u=function(t,e,n){return t[e]=n.value,t},l=function(t){return t},c=function(t){try{return Object(t).constructor.prototype}catch(t){return o}},p=function(t){try{return"[object Array]"===r.call(t)}catch(t){return!1}};t.exports={isArray:p,keys:s,names:s,defineProperty:u,getDescriptor:a,freeze:l,getPrototypeOf:c,isES5:n,propertyIsWritable:function(){return!0}}}},function(t,e,n){(function(e){"use strict";function i(){this._customScheduler=!1,this._isTickUsed=!1,this._lateQueue=new p(16),this._normalQueue=new p(16),this._haveDrainedQueues=!1;var t=this;this.drainQueues=function(){t._drainQueues()},this._schedule=c}function r(t,e,n){this._lateQueue.push(t,e,n),this._queueTick()}function o(t,e,n){this._normalQueue.push(t,e,n),this._queueTick()}function s(t){this._normalQueue._pushOne(t),this._queueTick()}function a(t){for(;t.length()>0;)u(t)}function u(t){var e=t.shift();if("function"!=typeof e)e._settlePromises();else{var n=t.shift(),i=t.shift();e.call(n,i)}}var l;try{throw new Error}catch(t){l=t}var c=n(18),p=n(21);i.prototype.setScheduler=function(t){var e=this._schedule;return this._schedule=t,this._customScheduler=!0,e},i.prototype.hasCustomScheduler=function(){return this._customScheduler},i.prototype.haveItemsQueued=function(){return this._isTickUsed||this._haveDrainedQueues},i.prototype.fatalError=function(t,n){n?(e.stderr.write("Fatal "+(t instanceof Error?t.stack:t)+"\n"),e.exit(2)):this.throwLater(t)},i.prototype.throwLater=function(t,e){if(1===arguments.length&&(e=t,t=function(){throw e}),"undefined"!=typeof setTimeout)setTimeout(function(){t(e)},0);else try{this._schedule(function(){t(e)})}catch(t){throw new Error("No async scheduler available\n\n    See http://goo.gl/MqrFmX\n")}},i.prototype.invokeLater=r,i.prototype.invoke=o,i.prototype.settlePromises=s,i.prototype._drainQueues=function(){a(this._normalQueue),this._reset(),this._haveDrainedQueues=!0,a(this._lateQueue)},i.prototype._queueTick=function(){this._isTickUsed||(this._isTickUsed=!0,this._schedule(this.drainQueues))},i.prototype._reset=function(){this._isTickUsed=!1},t.exports=i,t.exports.firstLineError=l}).call(e,n(14))},function(t,e,n){(function(e,i,r){"use strict";var o,s=n(15),a=function(){throw new Error("No async scheduler available\n\n    See http://goo.gl/MqrFmX\n")},u=s.getNativePromise();if(s.isNode&&"undefined"==typeof MutationObserver){var l=e.setImmediate,c=i.nextTick;o=s.isRecentNode?function(t){l.call(e,t)}:function(t){c.call(i,t)}}else if("function"==typeof u&&"function"==typeof u.resolve){var p=u.resolve();o=function(t){p.then(t)}}else o="undefined"!=typeof MutationObserver&&("undefined"==typeof window||!window.navigator||!window.navigator.standalone&&!window.cordova)&&"classList"in document.documentElement?function(){var t=document.createElement("div"),e={attributes:!0},n=!1,i=document.createElement("div"),r=new MutationObserver(function(){t.classList.toggle("foo"),n=!1});r.observe(i,e);var o=function(){n||(n=!0,i.classList.toggle("foo"))};return function(n){var i=new MutationObserver(function(){i.disconnect(),n()});i.observe(t,e),o()}}():"undefined"!=typeof r?function(t){r(t)}:"undefined"!=typeof setTimeout?function(t){setTimeout(t,0)}:a;t.exports=o}).call(e,function(){return this}(),n(14),n(19).setImmediate)},function(t,e,n){(function(t){function i(t,e){this._id=t,this._clearFn=e}var r="undefined"!=typeof t&&t||"undefined"!=typeof self&&self||window,o=Function.prototype.apply;e.setTimeout=function(){return new i(o.call(setTimeout,r,arguments),clearTimeout)},e.setInterval=function(){return new i(o.call(setInterval,r,arguments),clearInterval)},e.clearTimeout=e.clearInterval=function(t){t&&t.close()},i.prototype.unref=i.prototype.ref=function(){},i.prototype.close=function(){this._clearFn.call(r,this._id)},e.enroll=function(t,e){clearTimeout(t._idleTimeoutId),t._idleTimeout=e},e.unenroll=function(t){clearTimeout(t._idleTimeoutId),t._idleTimeout=-1},e._unrefActive=e.active=function(t){clearTimeout(t._idleTimeoutId);var e=t._idleTimeout;e>=0&&(t._idleTimeoutId=setTimeout(function(){t._onTimeout&&t._onTimeout()},e))},n(20),e.setImmediate="undefined"!=typeof self&&self.setImmediate||"undefined"!=typeof t&&t.setImmediate||this&&this.setImmediate,e.clearImmediate="undefined"!=typeof self&&self.clearImmediate||"undefined"!=typeof t&&t.clearImmediate||this&&this.clearImmediate}).call(e,function(){return this}())},function(t,e,n){(function(t,e){!function(t,n){"use strict";function i(t){"function"!=typeof t&&(t=new Function(""+t));for(var e=new Array(arguments.length-1),n=0;n<e.length;n++)e[n]=arguments[n+1];var i={callback:t,args:e};return m[d]=i,f(d),d++}function r(t){delete m[t]}function o(t){var e=t.callback,i=t.args;switch(i.length){case 0:e();break;case 1:e(i[0]);break;case 2:e(i[0],i[1]);break;case 3:e(i[0],i[1],i[2]);break;default:e.apply(n,i)}}function s(t){if(v)setTimeout(s,0,t);else{var e=m[t];if(e){v=!0;try{o(e)}finally{r(t),v=!1}}}}function a(){f=function(t){e.nextTick(function(){s(t)})}}function u(){if(t.postMessage&&!t.importScripts){var e=!0,n=t.onmessage;return t.onmessage=function(){e=!1},t.postMessage("","*"),t.onmessage=n,e}}function l(){var e="setImmediate$"+Math.random()+"$",n=function(n){n.source===t&&"string"==typeof n.data&&0===n.data.indexOf(e)&&s(+n.data.slice(e.length))};t.addEventListener?t.addEventListener("message",n,!1):t.attachEvent("onmessage",n),f=function(n){t.postMessage(e+n,"*")}}function c(){var t=new MessageChannel;t.port1.onmessage=function(t){var e=t.data;s(e)},f=function(e){t.port2.postMessage(e)}}function p(){var t=g.documentElement;f=function(e){var n=g.createElement("script");n.onreadystatechange=function(){s(e),n.onreadystatechange=null,t.removeChild(n),n=null},t.appendChild(n)}}function h(){f=function(t){setTimeout(s,0,t)}}if(!t.setImmediate){var f,d=1,m={},v=!1,g=t.document,y=Object.getPrototypeOf&&Object.getPrototypeOf(t);y=y&&y.setTimeout?y:t,"[object process]"==={}.toString.call(t.process)?a():u()?l():t.MessageChannel?c():g&&"onreadystatechange"in g.createElement("script")?p():h(),y.setImmediate=i,y.clearImmediate=r}}("undefined"==typeof self?"undefined"==typeof t?this:t:self)}).call(e,function(){return this}(),n(14))},function(t,e){"use strict";function n(t,e,n,i,r){for(var o=0;o<r;++o)n[o+i]=t[o+e],t[o+e]=void 0}function i(t){this._capacity=t,this._length=0,this._front=0}i.prototype._willBeOverCapacity=function(t){return this._capacity<t},i.prototype._pushOne=function(t){var e=this.length();this._checkCapacity(e+1);var n=this._front+e&this._capacity-1;this[n]=t,this._length=e+1},i.prototype.push=function(t,e,n){var i=this.length()+3;if(this._willBeOverCapacity(i))return this._pushOne(t),this._pushOne(e),void this._pushOne(n);var r=this._front+i-3;this._checkCapacity(i);var o=this._capacity-1;this[r+0&o]=t,this[r+1&o]=e,this[r+2&o]=n,this._length=i},i.prototype.shift=function(){var t=this._front,e=this[t];return this[t]=void 0,this._front=t+1&this._capacity-1,this._length--,e},i.prototype.length=function(){return this._length},i.prototype._checkCapacity=function(t){this._capacity<t&&this._resizeTo(this._capacity<<1)},i.prototype._resizeTo=function(t){var e=this._capacity;this._capacity=t;var i=this._front,r=this._length,o=i+r&e-1;n(this,0,this,e,o)},t.exports=i},function(t,e,n){"use strict";function i(t,e){function n(i){return this instanceof n?(p(this,"message","string"==typeof i?i:e),p(this,"name",t),void(Error.captureStackTrace?Error.captureStackTrace(this,this.constructor):Error.call(this))):new n(i)}return c(n,Error),n}function r(t){return this instanceof r?(p(this,"name","OperationalError"),p(this,"message",t),this.cause=t,this.isOperational=!0,void(t instanceof Error?(p(this,"message",t.message),p(this,"stack",t.stack)):Error.captureStackTrace&&Error.captureStackTrace(this,this.constructor))):new r(t)}var o,s,a=n(16),u=a.freeze,l=n(15),c=l.inherits,p=l.notEnumerableProp,h=i("Warning","warning"),f=i("CancellationError","cancellation error"),d=i("TimeoutError","timeout error"),m=i("AggregateError","aggregate error");try{o=TypeError,s=RangeError}catch(t){o=i("TypeError","type error"),s=i("RangeError","range error")}for(var v="join pop push shift unshift slice filter forEach some every map indexOf lastIndexOf reduce reduceRight sort reverse".split(" "),g=0;g<v.length;++g)"function"==typeof Array.prototype[v[g]]&&(m.prototype[v[g]]=Array.prototype[v[g]]);a.defineProperty(m.prototype,"length",{value:0,configurable:!1,writable:!0,enumerable:!0}),m.prototype.isOperational=!0;var y=0;m.prototype.toString=function(){var t=Array(4*y+1).join(" "),e="\n"+t+"AggregateError of:\n";y++,t=Array(4*y+1).join(" ");for(var n=0;n<this.length;++n){for(var i=this[n]===this?"[Circular AggregateError]":this[n]+"",r=i.split("\n"),o=0;o<r.length;++o)r[o]=t+r[o];i=r.join("\n"),e+=i+"\n"}return y--,e},c(r,Error);var _=Error.__BluebirdErrorTypes__;_||(_=u({CancellationError:f,TimeoutError:d,OperationalError:r,RejectionError:r,AggregateError:m}),a.defineProperty(Error,"__BluebirdErrorTypes__",{value:_,writable:!1,enumerable:!1,configurable:!1})),t.exports={Error:Error,TypeError:o,RangeError:s,CancellationError:_.CancellationError,OperationalError:_.OperationalError,TimeoutError:_.TimeoutError,AggregateError:_.AggregateError,Warning:h}},function(t,e,n){"use strict";t.exports=function(t,e){function i(n,i){if(c(n)){if(n instanceof t)return n;var r=o(n);if(r===l){i&&i._pushContext();var u=t.reject(r.e);return i&&i._popContext(),u}if("function"==typeof r){if(s(n)){var u=new t(e);return n._then(u._fulfill,u._reject,void 0,u,null),u}return a(n,r,i)}}return n}function r(t){return t.then}function o(t){try{return r(t)}catch(t){return l.e=t,l}}function s(t){try{return p.call(t,"_promise0")}catch(t){return!1}}function a(n,i,r){function o(t){a&&(a._resolveCallback(t),a=null)}function s(t){a&&(a._rejectCallback(t,p,!0),a=null)}var a=new t(e),c=a;r&&r._pushContext(),a._captureStackTrace(),r&&r._popContext();var p=!0,h=u.tryCatch(i).call(n,o,s);return p=!1,a&&h===l&&(a._rejectCallback(h.e,!0,!0),a=null),c}var u=n(15),l=u.errorObj,c=u.isObject,p={}.hasOwnProperty;return i}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o){function s(t){switch(t){case-2:return[];case-3:return{};case-6:return new Map}}function a(n){var i=this._promise=new t(e);n instanceof t&&(i._propagateFrom(n,3),n.suppressUnhandledRejections()),i._setOnCancel(this),this._values=n,this._length=0,this._totalResolved=0,this._init(void 0,-2)}var u=n(15);u.isArray;return u.inherits(a,o),a.prototype.length=function(){return this._length},a.prototype.promise=function(){return this._promise},a.prototype._init=function e(n,o){var a=i(this._values,this._promise);if(a instanceof t){a=a._target();var l=a._bitField;if(this._values=a,0===(50397184&l))return this._promise._setAsyncGuaranteed(),a._then(e,this._reject,void 0,this,o);if(0===(33554432&l))return 0!==(16777216&l)?this._reject(a._reason()):this._cancel();a=a._value()}if(a=u.asArray(a),null===a){var c=r("expecting an array or an iterable object but got "+u.classString(a)).reason();return void this._promise._rejectCallback(c,!1)}return 0===a.length?void(o===-5?this._resolveEmptyArray():this._resolve(s(o))):void this._iterate(a)},a.prototype._iterate=function(e){var n=this.getActualLength(e.length);this._length=n,this._values=this.shouldCopyValues()?new Array(n):this._values;for(var r=this._promise,o=!1,s=null,a=0;a<n;++a){var u=i(e[a],r);u instanceof t?(u=u._target(),s=u._bitField):s=null,o?null!==s&&u.suppressUnhandledRejections():null!==s?0===(50397184&s)?(u._proxy(this,a),this._values[a]=u):o=0!==(33554432&s)?this._promiseFulfilled(u._value(),a):0!==(16777216&s)?this._promiseRejected(u._reason(),a):this._promiseCancelled(a):o=this._promiseFulfilled(u,a)}o||r._setAsyncGuaranteed()},a.prototype._isResolved=function(){return null===this._values},a.prototype._resolve=function(t){this._values=null,this._promise._fulfill(t)},a.prototype._cancel=function(){!this._isResolved()&&this._promise._isCancellable()&&(this._values=null,this._promise._cancel())},a.prototype._reject=function(t){this._values=null,this._promise._rejectCallback(t,!1)},a.prototype._promiseFulfilled=function(t,e){this._values[e]=t;var n=++this._totalResolved;return n>=this._length&&(this._resolve(this._values),!0)},a.prototype._promiseCancelled=function(){return this._cancel(),!0},a.prototype._promiseRejected=function(t){return this._totalResolved++,this._reject(t),!0},a.prototype._resultCancelled=function(){if(!this._isResolved()){var e=this._values;if(this._cancel(),e instanceof t)e.cancel();else for(var n=0;n<e.length;++n)e[n]instanceof t&&e[n].cancel()}},a.prototype.shouldCopyValues=function(){return!0},a.prototype.getActualLength=function(t){return t},a}},function(t,e){"use strict";t.exports=function(t){function e(){this._trace=new e.CapturedTrace(i())}function n(){if(r)return new e}function i(){var t=o.length-1;if(t>=0)return o[t]}var r=!1,o=[];return t.prototype._promiseCreated=function(){},t.prototype._pushContext=function(){},t.prototype._popContext=function(){return null},t._peekContext=t.prototype._peekContext=function(){},e.prototype._pushContext=function(){void 0!==this._trace&&(this._trace._promiseCreated=null,o.push(this._trace))},e.prototype._popContext=function(){if(void 0!==this._trace){var t=o.pop(),e=t._promiseCreated;return t._promiseCreated=null,e}return null},e.CapturedTrace=null,e.create=n,e.deactivateLongStackTraces=function(){},e.activateLongStackTraces=function(){var n=t.prototype._pushContext,o=t.prototype._popContext,s=t._peekContext,a=t.prototype._peekContext,u=t.prototype._promiseCreated;e.deactivateLongStackTraces=function(){t.prototype._pushContext=n,t.prototype._popContext=o,t._peekContext=s,t.prototype._peekContext=a,t.prototype._promiseCreated=u,r=!1},r=!0,t.prototype._pushContext=e.prototype._pushContext,t.prototype._popContext=e.prototype._popContext,t._peekContext=t.prototype._peekContext=i,t.prototype._promiseCreated=function(){var t=this._peekContext();t&&null==t._promiseCreated&&(t._promiseCreated=this)}},e}},function(t,e,n){(function(e){"use strict";t.exports=function(t,i,r,o){function s(t,e){return{promise:e}}function a(){return!1}function u(t,e,n){var i=this;try{t(e,n,function(t){if("function"!=typeof t)throw new TypeError("onCancel must be a function, got: "+z.toString(t));i._attachCancellationCallback(t)})}catch(t){return t}}function l(t){if(!this._isCancellable())return this;var e=this._onCancel();void 0!==e?z.isArray(e)?e.push(t):this._setOnCancel([e,t]):this._setOnCancel(t)}function c(){return this._onCancelField}function p(t){this._onCancelField=t}function h(){this._cancellationParent=void 0,this._onCancelField=void 0}function f(t,e){if(0!==(1&e)){this._cancellationParent=t;var n=t._branchesRemainingToCancel;void 0===n&&(n=0),t._branchesRemainingToCancel=n+1}0!==(2&e)&&t._isBound()&&this._setBoundTo(t._boundTo)}function d(t,e){0!==(2&e)&&t._isBound()&&this._setBoundTo(t._boundTo)}function m(){var e=this._boundTo;return void 0!==e&&e instanceof t?e.isFulfilled()?e.value():void 0:e}function v(){this._trace=new N(this._peekContext())}function g(t,e){if($(t)){var n=this._trace;if(void 0!==n&&e&&(n=n._parent),void 0!==n)n.attachExtraTrace(t);else if(!t.__stackCleaned__){var i=F(t);z.notEnumerableProp(t,"stack",i.message+"\n"+i.stack.join("\n")),z.notEnumerableProp(t,"__stackCleaned__",!0)}}}function y(){this._trace=void 0}function _(t,e,n,i,r){if(void 0===t&&null!==e&&tt){if(void 0!==r&&r._returnedNonUndefined())return;if(0===(65535&i._bitField))return;n&&(n+=" ");var o="",s="";if(e._trace){for(var a=e._trace.stack.split("\n"),u=S(a),l=u.length-1;l>=0;--l){var c=u[l];if(!Q.test(c)){var p=c.match(W);p&&(o="at "+p[1]+":"+p[2]+":"+p[3]+" ");break}}if(u.length>0)for(var h=u[0],l=0;l<a.length;++l)if(a[l]===h){l>0&&(s="\n"+a[l-1]);break}}var f="a promise was created in a "+n+"handler "+o+"but was not returned from it, see http://goo.gl/rRqMUw"+s;i._warn(f,!0,e)}}function b(t,e){var n=t+" is deprecated and will be removed in a future version.";return e&&(n+=" Use "+e+" instead."),T(n)}function T(e,n,i){if(pt.warnings){var r,o=new H(e);if(n)i._attachExtraTrace(o);else if(pt.longStackTraces&&(r=t._peekContext()))r.attachExtraTrace(o);else{var s=F(o);o.stack=s.message+"\n"+s.stack.join("\n")}st("warning",o)||k(o,"",!0)}}function w(t,e){for(var n=0;n<e.length-1;++n)e[n].push("From previous event:"),e[n]=e[n].join("\n");return n<e.length&&(e[n]=e[n].join("\n")),t+"\n"+e.join("\n")}function P(t){for(var e=0;e<t.length;++e)(0===t[e].length||e+1<t.length&&t[e][0]===t[e+1][0])&&(t.splice(e,1),e--)}function C(t){for(var e=t[0],n=1;n<t.length;++n){for(var i=t[n],r=e.length-1,o=e[r],s=-1,a=i.length-1;a>=0;--a)if(i[a]===o){s=a;break}for(var a=s;a>=0;--a){var u=i[a];if(e[r]!==u)break;e.pop(),r--}e=i}}function S(t){for(var e=[],n=0;n<t.length;++n){var i=t[n],r="    (No stack trace)"===i||G.test(i),o=r&&ut(i);r&&!o&&(K&&" "!==i.charAt(0)&&(i="    "+i),e.push(i))}return e}function x(t){for(var e=t.stack.replace(/\s+$/g,"").split("\n"),n=0;n<e.length;++n){var i=e[n];if("    (No stack trace)"===i||G.test(i))break}return n>0&&"SyntaxError"!=t.name&&(e=e.slice(n)),e}function F(t){var e=t.stack,n=t.toString();return e="string"==typeof e&&e.length>0?x(t):["    (No stack trace)"],{message:n,stack:"SyntaxError"==t.name?e:S(e)}}function k(t,e,n){if("undefined"!=typeof console){var i;if(z.isObject(t)){var r=t.stack;i=e+X(r,t)}else i=e+String(t);"function"==typeof D?D(i,n):"function"!=typeof console.log&&"object"!=typeof console.log||console.log(i)}}function E(t,e,n,i){var r=!1;try{"function"==typeof e&&(r=!0,"rejectionHandled"===t?e(i):e(n,i))}catch(t){L.throwLater(t)}"unhandledRejection"===t?st(t,n,i)||r||k(n,"Unhandled rejection "):st(t,i)}function j(t){var e;if("function"==typeof t)e="[function "+(t.name||"anonymous")+"]";else{e=t&&"function"==typeof t.toString?t.toString():z.toString(t);var n=/\[object [a-zA-Z0-9$_]+\]/;if(n.test(e))try{var i=JSON.stringify(t);e=i}catch(t){}0===e.length&&(e="(empty array)")}return"(<"+O(e)+">, no stack trace)"}function O(t){var e=41;return t.length<e?t:t.substr(0,e-3)+"..."}function R(){return"function"==typeof ct}function A(t){var e=t.match(lt);if(e)return{fileName:e[1],line:parseInt(e[2],10)}}function M(t,e){if(R()){for(var n,i,r=(t.stack||"").split("\n"),o=(e.stack||"").split("\n"),s=-1,a=-1,u=0;u<r.length;++u){var l=A(r[u]);if(l){n=l.fileName,s=l.line;break}}for(var u=0;u<o.length;++u){var l=A(o[u]);if(l){i=l.fileName,a=l.line;break}}s<0||a<0||!n||!i||n!==i||s>=a||(ut=function(t){if(q.test(t))return!0;var e=A(t);return!!(e&&e.fileName===n&&s<=e.line&&e.line<=a)})}}function N(t){this._parent=t,this._promisesCreated=0;var e=this._length=1+(void 0===t?0:t._length);ct(this,N),e>32&&this.uncycle()}var I,V,D,B,L=t._async,H=n(22).Warning,z=n(15),U=n(16),$=z.canAttachTrace,q=/[\\\/]bluebird[\\\/]js[\\\/](release|debug|instrumented)/,Q=/\((?:timers\.js):\d+:\d+\)/,W=/[\/<\(](.+?):(\d+):(\d+)\)?\s*$/,G=null,X=null,K=!1,Y=!(0==z.env("BLUEBIRD_DEBUG")||!z.env("BLUEBIRD_DEBUG")&&"development"!==z.env("NODE_ENV")),Z=!(0==z.env("BLUEBIRD_WARNINGS")||!Y&&!z.env("BLUEBIRD_WARNINGS")),J=!(0==z.env("BLUEBIRD_LONG_STACK_TRACES")||!Y&&!z.env("BLUEBIRD_LONG_STACK_TRACES")),tt=0!=z.env("BLUEBIRD_W_FORGOTTEN_RETURN")&&(Z||!!z.env("BLUEBIRD_W_FORGOTTEN_RETURN"));!function(){function e(){for(var t=0;t<i.length;++t)i[t]._notifyUnhandledRejection();n()}function n(){i.length=0}var i=[];B=function(t){i.push(t),setTimeout(e,1)},U.defineProperty(t,"_unhandledRejectionCheck",{value:e}),U.defineProperty(t,"_unhandledRejectionClear",{value:n})}(),t.prototype.suppressUnhandledRejections=function(){var t=this._target();t._bitField=t._bitField&-1048577|524288},t.prototype._ensurePossibleRejectionHandled=function(){0===(524288&this._bitField)&&(this._setRejectionIsUnhandled(),B(this))},t.prototype._notifyUnhandledRejectionIsHandled=function(){E("rejectionHandled",I,void 0,this)},t.prototype._setReturnedNonUndefined=function(){this._bitField=268435456|this._bitField},t.prototype._returnedNonUndefined=function(){return 0!==(268435456&this._bitField)},t.prototype._notifyUnhandledRejection=function(){if(this._isRejectionUnhandled()){var t=this._settledValue();this._setUnhandledRejectionIsNotified(),E("unhandledRejection",V,t,this)}},t.prototype._setUnhandledRejectionIsNotified=function(){this._bitField=262144|this._bitField},t.prototype._unsetUnhandledRejectionIsNotified=function(){this._bitField=this._bitField&-262145},t.prototype._isUnhandledRejectionNotified=function(){return(262144&this._bitField)>0},t.prototype._setRejectionIsUnhandled=function(){this._bitField=1048576|this._bitField},t.prototype._unsetRejectionIsUnhandled=function(){this._bitField=this._bitField&-1048577,this._isUnhandledRejectionNotified()&&(this._unsetUnhandledRejectionIsNotified(),this._notifyUnhandledRejectionIsHandled())},t.prototype._isRejectionUnhandled=function(){return(1048576&this._bitField)>0},t.prototype._warn=function(t,e,n){return T(t,e,n||this)},t.onPossiblyUnhandledRejection=function(e){var n=t._getContext();V=z.contextBind(n,e)},t.onUnhandledRejectionHandled=function(e){var n=t._getContext();I=z.contextBind(n,e)};var et=function(){};t.longStackTraces=function(){if(L.haveItemsQueued()&&!pt.longStackTraces)throw new Error("cannot enable long stack traces after promises have been created\n\n    See http://goo.gl/MqrFmX\n");if(!pt.longStackTraces&&R()){var e=t.prototype._captureStackTrace,n=t.prototype._attachExtraTrace,r=t.prototype._dereferenceTrace;pt.longStackTraces=!0,et=function(){if(L.haveItemsQueued()&&!pt.longStackTraces)throw new Error("cannot enable long stack traces after promises have been created\n\n    See http://goo.gl/MqrFmX\n");t.prototype._captureStackTrace=e,t.prototype._attachExtraTrace=n,t.prototype._dereferenceTrace=r,i.deactivateLongStackTraces(),pt.longStackTraces=!1},t.prototype._captureStackTrace=v,t.prototype._attachExtraTrace=g,t.prototype._dereferenceTrace=y,i.activateLongStackTraces()}},t.hasLongStackTraces=function(){return pt.longStackTraces&&R()};var nt={unhandledrejection:{before:function(){var t=z.global.onunhandledrejection;return z.global.onunhandledrejection=null,t},after:function(t){z.global.onunhandledrejection=t}},rejectionhandled:{before:function(){var t=z.global.onrejectionhandled;return z.global.onrejectionhandled=null,t},after:function(t){z.global.onrejectionhandled=t}}},it=function(){var t=function(t,e){if(!t)return!z.global.dispatchEvent(e);var n;try{return n=t.before(),!z.global.dispatchEvent(e)}finally{t.after(n)}};try{if("function"==typeof CustomEvent){var e=new CustomEvent("CustomEvent");return z.global.dispatchEvent(e),function(e,n){e=e.toLowerCase();var i={detail:n,cancelable:!0},r=new CustomEvent(e,i);return U.defineProperty(r,"promise",{value:n.promise}),U.defineProperty(r,"reason",{value:n.reason}),t(nt[e],r)}}if("function"==typeof Event){var e=new Event("CustomEvent");return z.global.dispatchEvent(e),function(e,n){e=e.toLowerCase();var i=new Event(e,{cancelable:!0});return i.detail=n,U.defineProperty(i,"promise",{value:n.promise}),U.defineProperty(i,"reason",{value:n.reason}),t(nt[e],i)}}var e=document.createEvent("CustomEvent");return e.initCustomEvent("testingtheevent",!1,!0,{}),z.global.dispatchEvent(e),function(e,n){e=e.toLowerCase();var i=document.createEvent("CustomEvent");return i.initCustomEvent(e,!1,!0,n),t(nt[e],i)}}catch(t){}return function(){return!1}}(),rt=function(){return z.isNode?function(){return e.emit.apply(e,arguments)}:z.global?function(t){var e="on"+t.toLowerCase(),n=z.global[e];return!!n&&(n.apply(z.global,[].slice.call(arguments,1)),!0)}:function(){return!1}}(),ot={promiseCreated:s,promiseFulfilled:s,promiseRejected:s,promiseResolved:s,promiseCancelled:s,promiseChained:function(t,e,n){return{promise:e,child:n}},warning:function(t,e){return{warning:e}},unhandledRejection:function(t,e,n){return{reason:e,promise:n}},rejectionHandled:s},st=function(t){var e=!1;try{e=rt.apply(null,arguments)}catch(t){L.throwLater(t),e=!0}var n=!1;try{n=it(t,ot[t].apply(null,arguments))}catch(t){L.throwLater(t),n=!0}return n||e};t.config=function(e){if(e=Object(e),"longStackTraces"in e&&(e.longStackTraces?t.longStackTraces():!e.longStackTraces&&t.hasLongStackTraces()&&et()),"warnings"in e){var n=e.warnings;pt.warnings=!!n,tt=pt.warnings,z.isObject(n)&&"wForgottenReturn"in n&&(tt=!!n.wForgottenReturn)}if("cancellation"in e&&e.cancellation&&!pt.cancellation){
+if(L.haveItemsQueued())throw new Error("cannot enable cancellation after promises are in use");t.prototype._clearCancellationData=h,t.prototype._propagateFrom=f,t.prototype._onCancel=c,t.prototype._setOnCancel=p,t.prototype._attachCancellationCallback=l,t.prototype._execute=u,at=f,pt.cancellation=!0}if("monitoring"in e&&(e.monitoring&&!pt.monitoring?(pt.monitoring=!0,t.prototype._fireEvent=st):!e.monitoring&&pt.monitoring&&(pt.monitoring=!1,t.prototype._fireEvent=a)),"asyncHooks"in e&&z.nodeSupportsAsyncResource){var i=pt.asyncHooks,s=!!e.asyncHooks;i!==s&&(pt.asyncHooks=s,s?r():o())}return t},t.prototype._fireEvent=a,t.prototype._execute=function(t,e,n){try{t(e,n)}catch(t){return t}},t.prototype._onCancel=function(){},t.prototype._setOnCancel=function(t){},t.prototype._attachCancellationCallback=function(t){},t.prototype._captureStackTrace=function(){},t.prototype._attachExtraTrace=function(){},t.prototype._dereferenceTrace=function(){},t.prototype._clearCancellationData=function(){},t.prototype._propagateFrom=function(t,e){};var at=d,ut=function(){return!1},lt=/[\/<\(]([^:\/]+):(\d+):(?:\d+)\)?\s*$/;z.inherits(N,Error),i.CapturedTrace=N,N.prototype.uncycle=function(){var t=this._length;if(!(t<2)){for(var e=[],n={},i=0,r=this;void 0!==r;++i)e.push(r),r=r._parent;t=this._length=i;for(var i=t-1;i>=0;--i){var o=e[i].stack;void 0===n[o]&&(n[o]=i)}for(var i=0;i<t;++i){var s=e[i].stack,a=n[s];if(void 0!==a&&a!==i){a>0&&(e[a-1]._parent=void 0,e[a-1]._length=1),e[i]._parent=void 0,e[i]._length=1;var u=i>0?e[i-1]:this;a<t-1?(u._parent=e[a+1],u._parent.uncycle(),u._length=u._parent._length+1):(u._parent=void 0,u._length=1);for(var l=u._length+1,c=i-2;c>=0;--c)e[c]._length=l,l++;return}}}},N.prototype.attachExtraTrace=function(t){if(!t.__stackCleaned__){this.uncycle();for(var e=F(t),n=e.message,i=[e.stack],r=this;void 0!==r;)i.push(S(r.stack.split("\n"))),r=r._parent;C(i),P(i),z.notEnumerableProp(t,"stack",w(n,i)),z.notEnumerableProp(t,"__stackCleaned__",!0)}};var ct=function(){var t=/^\s*at\s*/,e=function(t,e){return"string"==typeof t?t:void 0!==e.name&&void 0!==e.message?e.toString():j(e)};if("number"==typeof Error.stackTraceLimit&&"function"==typeof Error.captureStackTrace){Error.stackTraceLimit+=6,G=t,X=e;var n=Error.captureStackTrace;return ut=function(t){return q.test(t)},function(t,e){Error.stackTraceLimit+=6,n(t,e),Error.stackTraceLimit-=6}}var i=new Error;if("string"==typeof i.stack&&i.stack.split("\n")[0].indexOf("stackDetection@")>=0)return G=/@/,X=e,K=!0,function(t){t.stack=(new Error).stack};var r;try{throw new Error}catch(t){r="stack"in t}return"stack"in i||!r||"number"!=typeof Error.stackTraceLimit?(X=function(t,e){return"string"==typeof t?t:"object"!=typeof e&&"function"!=typeof e||void 0===e.name||void 0===e.message?j(e):e.toString()},null):(G=t,X=e,function(t){Error.stackTraceLimit+=6;try{throw new Error}catch(e){t.stack=e.stack}Error.stackTraceLimit-=6})}([]);"undefined"!=typeof console&&"undefined"!=typeof console.warn&&(D=function(t){console.warn(t)},z.isNode&&e.stderr.isTTY?D=function(t,e){var n=e?"[33m":"[31m";console.warn(n+t+"[0m\n")}:z.isNode||"string"!=typeof(new Error).stack||(D=function(t,e){console.warn("%c"+t,e?"color: darkorange":"color: red")}));var pt={warnings:Z,longStackTraces:!1,cancellation:!1,monitoring:!1,asyncHooks:!1};return J&&t.longStackTraces(),{asyncHooks:function(){return pt.asyncHooks},longStackTraces:function(){return pt.longStackTraces},warnings:function(){return pt.warnings},cancellation:function(){return pt.cancellation},monitoring:function(){return pt.monitoring},propagateFromFunction:function(){return at},boundValueFunction:function(){return m},checkForgottenReturns:_,setBounds:M,warn:T,deprecated:b,CapturedTrace:N,fireDomEvent:it,fireGlobalEvent:rt}}}).call(e,n(14))},function(t,e,n){"use strict";t.exports=function(t,e,i){function r(t,e,n){this.promise=t,this.type=e,this.handler=n,this.called=!1,this.cancelPromise=null}function o(t){this.finallyHandler=t}function s(t,e){return null!=t.cancelPromise&&(arguments.length>1?t.cancelPromise._reject(e):t.cancelPromise._cancel(),t.cancelPromise=null,!0)}function a(){return l.call(this,this.promise._target()._settledValue())}function u(t){if(!s(this,t))return h.e=t,h}function l(n){var r=this.promise,l=this.handler;if(!this.called){this.called=!0;var c=this.isFinallyHandler()?l.call(r._boundValue()):l.call(r._boundValue(),n);if(c===i)return c;if(void 0!==c){r._setReturnedNonUndefined();var f=e(c,r);if(f instanceof t){if(null!=this.cancelPromise){if(f._isCancelled()){var d=new p("late cancellation observer");return r._attachExtraTrace(d),h.e=d,h}f.isPending()&&f._attachCancellationCallback(new o(this))}return f._then(a,u,void 0,this,void 0)}}}return r.isRejected()?(s(this),h.e=n,h):(s(this),n)}var c=n(15),p=t.CancellationError,h=c.errorObj,f=n(28)(i);return r.prototype.isFinallyHandler=function(){return 0===this.type},o.prototype._resultCancelled=function(){s(this.finallyHandler)},t.prototype._passThrough=function(t,e,n,i){return"function"!=typeof t?this.then():this._then(n,i,void 0,new r(this,e,t),void 0)},t.prototype.lastly=t.prototype.finally=function(t){return this._passThrough(t,0,l,l)},t.prototype.tap=function(t){return this._passThrough(t,1,l)},t.prototype.tapCatch=function(e){var n=arguments.length;if(1===n)return this._passThrough(e,1,void 0,l);var i,r=new Array(n-1),o=0;for(i=0;i<n-1;++i){var s=arguments[i];if(!c.isObject(s))return t.reject(new TypeError("tapCatch statement predicate: expecting an object but got "+c.classString(s)));r[o++]=s}r.length=o;var a=arguments[i];return this._passThrough(f(r,a,this),1,void 0,l)},r}},function(t,e,n){"use strict";t.exports=function(t){function e(e,n,a){return function(u){var l=a._boundValue();t:for(var c=0;c<e.length;++c){var p=e[c];if(p===Error||null!=p&&p.prototype instanceof Error){if(u instanceof p)return o(n).call(l,u)}else if("function"==typeof p){var h=o(p).call(l,u);if(h===s)return h;if(h)return o(n).call(l,u)}else if(i.isObject(u)){for(var f=r(p),d=0;d<f.length;++d){var m=f[d];if(p[m]!=u[m])continue t}return o(n).call(l,u)}}return t}}var i=n(15),r=n(16).keys,o=i.tryCatch,s=i.errorObj;return e}},function(t,e,n){"use strict";function i(t){return t instanceof Error&&c.getPrototypeOf(t)===Error.prototype}function r(t){var e;if(i(t)){e=new l(t),e.name=t.name,e.message=t.message,e.stack=t.stack;for(var n=c.keys(t),r=0;r<n.length;++r){var o=n[r];p.test(o)||(e[o]=t[o])}return e}return s.markAsOriginatingFromRejection(t),t}function o(t,e){return function(n,i){if(null!==t){if(n){var o=r(a(n));t._attachExtraTrace(o),t._reject(o)}else if(e){for(var s=arguments.length,u=new Array(Math.max(s-1,0)),l=1;l<s;++l)u[l-1]=arguments[l];t._fulfill(u)}else t._fulfill(i);t=null}}}var s=n(15),a=s.maybeWrapAsError,u=n(22),l=u.OperationalError,c=n(16),p=/^(?:name|message|stack|cause)$/;t.exports=o},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o){var s=n(15),a=s.tryCatch;t.method=function(n){if("function"!=typeof n)throw new t.TypeError("expecting a function but got "+s.classString(n));return function(){var i=new t(e);i._captureStackTrace(),i._pushContext();var r=a(n).apply(this,arguments),s=i._popContext();return o.checkForgottenReturns(r,s,"Promise.method",i),i._resolveFromSyncValue(r),i}},t.attempt=t.try=function(n){if("function"!=typeof n)return r("expecting a function but got "+s.classString(n));var i=new t(e);i._captureStackTrace(),i._pushContext();var u;if(arguments.length>1){o.deprecated("calling Promise.try with more than 1 argument");var l=arguments[1],c=arguments[2];u=s.isArray(l)?a(n).apply(c,l):a(n).call(c,l)}else u=a(n)();var p=i._popContext();return o.checkForgottenReturns(u,p,"Promise.try",i),i._resolveFromSyncValue(u),i},t.prototype._resolveFromSyncValue=function(t){t===s.errorObj?this._rejectCallback(t.e,!1):this._resolveCallback(t,!0)}}},function(t,e){"use strict";t.exports=function(t,e,n,i){var r=!1,o=function(t,e){this._reject(e)},s=function(t,e){e.promiseRejectionQueued=!0,e.bindingPromise._then(o,o,null,this,t)},a=function(t,e){0===(50397184&this._bitField)&&this._resolveCallback(e.target)},u=function(t,e){e.promiseRejectionQueued||this._reject(t)};t.prototype.bind=function(o){r||(r=!0,t.prototype._propagateFrom=i.propagateFromFunction(),t.prototype._boundValue=i.boundValueFunction());var l=n(o),c=new t(e);c._propagateFrom(this,1);var p=this._target();if(c._setBoundTo(l),l instanceof t){var h={promiseRejectionQueued:!1,promise:c,target:p,bindingPromise:l};p._then(e,s,void 0,c,h),l._then(a,u,void 0,c,h),c._setOnCancel(l)}else c._resolveCallback(p);return c},t.prototype._setBoundTo=function(t){void 0!==t?(this._bitField=2097152|this._bitField,this._boundTo=t):this._bitField=this._bitField&-2097153},t.prototype._isBound=function(){return 2097152===(2097152&this._bitField)},t.bind=function(e,n){return t.resolve(n).bind(e)}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r){var o=n(15),s=o.tryCatch,a=o.errorObj,u=t._async;t.prototype.break=t.prototype.cancel=function(){if(!r.cancellation())return this._warn("cancellation is disabled");for(var t=this,e=t;t._isCancellable();){if(!t._cancelBy(e)){e._isFollowing()?e._followee().cancel():e._cancelBranched();break}var n=t._cancellationParent;if(null==n||!n._isCancellable()){t._isFollowing()?t._followee().cancel():t._cancelBranched();break}t._isFollowing()&&t._followee().cancel(),t._setWillBeCancelled(),e=t,t=n}},t.prototype._branchHasCancelled=function(){this._branchesRemainingToCancel--},t.prototype._enoughBranchesHaveCancelled=function(){return void 0===this._branchesRemainingToCancel||this._branchesRemainingToCancel<=0},t.prototype._cancelBy=function(t){return t===this?(this._branchesRemainingToCancel=0,this._invokeOnCancel(),!0):(this._branchHasCancelled(),!!this._enoughBranchesHaveCancelled()&&(this._invokeOnCancel(),!0))},t.prototype._cancelBranched=function(){this._enoughBranchesHaveCancelled()&&this._cancel()},t.prototype._cancel=function(){this._isCancellable()&&(this._setCancelled(),u.invoke(this._cancelPromises,this,void 0))},t.prototype._cancelPromises=function(){this._length()>0&&this._settlePromises()},t.prototype._unsetOnCancel=function(){this._onCancelField=void 0},t.prototype._isCancellable=function(){return this.isPending()&&!this._isCancelled()},t.prototype.isCancellable=function(){return this.isPending()&&!this.isCancelled()},t.prototype._doInvokeOnCancel=function(t,e){if(o.isArray(t))for(var n=0;n<t.length;++n)this._doInvokeOnCancel(t[n],e);else if(void 0!==t)if("function"==typeof t){if(!e){var i=s(t).call(this._boundValue());i===a&&(this._attachExtraTrace(i.e),u.throwLater(i.e))}}else t._resultCancelled(this)},t.prototype._invokeOnCancel=function(){var t=this._onCancel();this._unsetOnCancel(),u.invoke(this._doInvokeOnCancel,this,t)},t.prototype._invokeInternalOnCancel=function(){this._isCancellable()&&(this._doInvokeOnCancel(this._onCancel(),!0),this._unsetOnCancel())},t.prototype._resultCancelled=function(){this.cancel()}}},function(t,e){"use strict";t.exports=function(t){function e(){return this.value}function n(){throw this.reason}t.prototype.return=t.prototype.thenReturn=function(n){return n instanceof t&&n.suppressUnhandledRejections(),this._then(e,void 0,void 0,{value:n},void 0)},t.prototype.throw=t.prototype.thenThrow=function(t){return this._then(n,void 0,void 0,{reason:t},void 0)},t.prototype.catchThrow=function(t){if(arguments.length<=1)return this._then(void 0,n,void 0,{reason:t},void 0);var e=arguments[1],i=function(){throw e};return this.caught(t,i)},t.prototype.catchReturn=function(n){if(arguments.length<=1)return n instanceof t&&n.suppressUnhandledRejections(),this._then(void 0,e,void 0,{value:n},void 0);var i=arguments[1];i instanceof t&&i.suppressUnhandledRejections();var r=function(){return i};return this.caught(n,r)}}},function(t,e){"use strict";t.exports=function(t){function e(t){void 0!==t?(t=t._target(),this._bitField=t._bitField,this._settledValueField=t._isFateSealed()?t._settledValue():void 0):(this._bitField=0,this._settledValueField=void 0)}e.prototype._settledValue=function(){return this._settledValueField};var n=e.prototype.value=function(){if(!this.isFulfilled())throw new TypeError("cannot get fulfillment value of a non-fulfilled promise\n\n    See http://goo.gl/MqrFmX\n");return this._settledValue()},i=e.prototype.error=e.prototype.reason=function(){if(!this.isRejected())throw new TypeError("cannot get rejection reason of a non-rejected promise\n\n    See http://goo.gl/MqrFmX\n");return this._settledValue()},r=e.prototype.isFulfilled=function(){return 0!==(33554432&this._bitField)},o=e.prototype.isRejected=function(){return 0!==(16777216&this._bitField)},s=e.prototype.isPending=function(){return 0===(50397184&this._bitField)},a=e.prototype.isResolved=function(){return 0!==(50331648&this._bitField)};e.prototype.isCancelled=function(){return 0!==(8454144&this._bitField)},t.prototype.__isCancelled=function(){return 65536===(65536&this._bitField)},t.prototype._isCancelled=function(){return this._target().__isCancelled()},t.prototype.isCancelled=function(){return 0!==(8454144&this._target()._bitField)},t.prototype.isPending=function(){return s.call(this._target())},t.prototype.isRejected=function(){return o.call(this._target())},t.prototype.isFulfilled=function(){return r.call(this._target())},t.prototype.isResolved=function(){return a.call(this._target())},t.prototype.value=function(){return n.call(this._target())},t.prototype.reason=function(){var t=this._target();return t._unsetRejectionIsUnhandled(),i.call(t)},t.prototype._value=function(){return this._settledValue()},t.prototype._reason=function(){return this._unsetRejectionIsUnhandled(),this._settledValue()},t.PromiseInspection=e}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o){var s,a=n(15),u=a.canEvaluate,l=a.tryCatch,c=a.errorObj;if(u){for(var p=function(t){return new Function("value","holder","                             \n\t            'use strict';                                                    \n\t            holder.pIndex = value;                                           \n\t            holder.checkFulfillment(this);                                   \n\t            ".replace(/Index/g,t))},h=function(t){return new Function("promise","holder","                           \n\t            'use strict';                                                    \n\t            holder.pIndex = promise;                                         \n\t            ".replace(/Index/g,t))},f=function(e){for(var n=new Array(e),i=0;i<n.length;++i)n[i]="this.p"+(i+1);var r=n.join(" = ")+" = null;",s="var promise;\n"+n.map(function(t){return"                                                         \n\t                promise = "+t+";                                      \n\t                if (promise instanceof Promise) {                            \n\t                    promise.cancel();                                        \n\t                }                                                            \n\t            "}).join("\n"),a=n.join(", "),u="Holder$"+e,p="return function(tryCatch, errorObj, Promise, async) {    \n\t            'use strict';                                                    \n\t            function [TheName](fn) {                                         \n\t                [TheProperties]                                              \n\t                this.fn = fn;                                                \n\t                this.asyncNeeded = true;                                     \n\t                this.now = 0;                                                \n\t            }                                                                \n\t                                                                             \n\t            [TheName].prototype._callFunction = function(promise) {          \n\t                promise._pushContext();                                      \n\t                var ret = tryCatch(this.fn)([ThePassedArguments]);           \n\t                promise._popContext();                                       \n\t                if (ret === errorObj) {                                      \n\t                    promise._rejectCallback(ret.e, false);                   \n\t                } else {                                                     \n\t                    promise._resolveCallback(ret);                           \n\t                }                                                            \n\t            };                                                               \n\t                                                                             \n\t            [TheName].prototype.checkFulfillment = function(promise) {       \n\t                var now = ++this.now;                                        \n\t                if (now === [TheTotal]) {                                    \n\t                    if (this.asyncNeeded) {                                  \n\t                        async.invoke(this._callFunction, this, promise);     \n\t                    } else {                                                 \n\t                        this._callFunction(promise);                         \n\t                    }                                                        \n\t                                                                             \n\t                }                                                            \n\t            };                                                               \n\t                                                                             \n\t            [TheName].prototype._resultCancelled = function() {              \n\t                [CancellationCode]                                           \n\t            };                                                               \n\t                                                                             \n\t            return [TheName];                                                \n\t        }(tryCatch, errorObj, Promise, async);                               \n\t        ";return p=p.replace(/\[TheName\]/g,u).replace(/\[TheTotal\]/g,e).replace(/\[ThePassedArguments\]/g,a).replace(/\[TheProperties\]/g,r).replace(/\[CancellationCode\]/g,s),new Function("tryCatch","errorObj","Promise","async",p)(l,c,t,o)},d=[],m=[],v=[],g=0;g<8;++g)d.push(f(g+1)),m.push(p(g+1)),v.push(h(g+1));s=function(t){this._reject(t)}}t.join=function(){var n,o=arguments.length-1;if(o>0&&"function"==typeof arguments[o]&&(n=arguments[o],o<=8&&u)){var l=new t(r);l._captureStackTrace();for(var c=d[o-1],p=new c(n),h=m,f=0;f<o;++f){var g=i(arguments[f],l);if(g instanceof t){g=g._target();var y=g._bitField;0===(50397184&y)?(g._then(h[f],s,void 0,l,p),v[f](g,p),p.asyncNeeded=!1):0!==(33554432&y)?h[f].call(l,g._value(),p):0!==(16777216&y)?l._reject(g._reason()):l._cancel()}else h[f].call(l,g,p)}if(!l._isFateSealed()){if(p.asyncNeeded){var _=t._getContext();p.fn=a.contextBind(_,p.fn)}l._setAsyncGuaranteed(),l._setOnCancel(p)}return l}for(var b=arguments.length,T=new Array(b),w=0;w<b;++w)T[w]=arguments[w];n&&T.pop();var l=new e(T).promise();return void 0!==n?l.spread(n):l}}},function(t,e,n){"use strict";var i=Object.create;if(i){var r=i(null),o=i(null);r[" size"]=o[" size"]=0}t.exports=function(t){function e(e,n){var i;if(null!=e&&(i=e[n]),"function"!=typeof i){var r="Object "+c.classString(e)+" has no method '"+c.toString(n)+"'";throw new t.TypeError(r)}return i}function i(t){var n=this.pop(),i=e(t,n);return i.apply(t,this)}function s(t){return t[this]}function a(t){var e=+this;return e<0&&(e=Math.max(0,e+t.length)),t[e]}var u,l,c=n(15),p=c.canEvaluate,h=c.isIdentifier,f=function(t){return new Function("ensureMethod","                                    \n\t        return function(obj) {                                               \n\t            'use strict'                                                     \n\t            var len = this.length;                                           \n\t            ensureMethod(obj, 'methodName');                                 \n\t            switch(len) {                                                    \n\t                case 1: return obj.methodName(this[0]);                      \n\t                case 2: return obj.methodName(this[0], this[1]);             \n\t                case 3: return obj.methodName(this[0], this[1], this[2]);    \n\t                case 0: return obj.methodName();                             \n\t                default:                                                     \n\t                    return obj.methodName.apply(obj, this);                  \n\t            }                                                                \n\t        };                                                                   \n\t        ".replace(/methodName/g,t))(e)},d=function(t){return new Function("obj","                                             \n\t        'use strict';                                                        \n\t        return obj.propertyName;                                             \n\t        ".replace("propertyName",t))},m=function(t,e,n){var i=n[t];if("function"!=typeof i){if(!h(t))return null;if(i=e(t),n[t]=i,n[" size"]++,n[" size"]>512){for(var r=Object.keys(n),o=0;o<256;++o)delete n[r[o]];n[" size"]=r.length-256}}return i};u=function(t){return m(t,f,r)},l=function(t){return m(t,d,o)},t.prototype.call=function(t){for(var e=arguments.length,n=new Array(Math.max(e-1,0)),r=1;r<e;++r)n[r-1]=arguments[r];if(p){var o=u(t);if(null!==o)return this._then(o,void 0,void 0,n,void 0)}return n.push(t),this._then(i,void 0,void 0,n,void 0)},t.prototype.get=function(t){var e,n="number"==typeof t;if(n)e=a;else if(p){var i=l(t);e=null!==i?i:s}else e=s;return this._then(e,void 0,void 0,t,void 0)}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o,s){function a(e,n,i){for(var o=0;o<n.length;++o){i._pushContext();var s=f(n[o])(e);if(i._popContext(),s===h){i._pushContext();var a=t.reject(h.e);return i._popContext(),a}var u=r(s,i);if(u instanceof t)return u}return null}function u(e,n,r,o){if(s.cancellation()){var a=new t(i),u=this._finallyPromise=new t(i);this._promise=a.lastly(function(){return u}),a._captureStackTrace(),a._setOnCancel(this)}else{var l=this._promise=new t(i);l._captureStackTrace()}this._stack=o,this._generatorFunction=e,this._receiver=n,this._generator=void 0,this._yieldHandlers="function"==typeof r?[r].concat(d):d,this._yieldedPromise=null,this._cancellationPhase=!1}var l=n(22),c=l.TypeError,p=n(15),h=p.errorObj,f=p.tryCatch,d=[];p.inherits(u,o),u.prototype._isResolved=function(){return null===this._promise},u.prototype._cleanup=function(){this._promise=this._generator=null,s.cancellation()&&null!==this._finallyPromise&&(this._finallyPromise._fulfill(),this._finallyPromise=null)},u.prototype._promiseCancelled=function(){if(!this._isResolved()){var e,n="undefined"!=typeof this._generator.return;if(n)this._promise._pushContext(),e=f(this._generator.return).call(this._generator,void 0),this._promise._popContext();else{var i=new t.CancellationError("generator .return() sentinel");t.coroutine.returnSentinel=i,this._promise._attachExtraTrace(i),this._promise._pushContext(),e=f(this._generator.throw).call(this._generator,i),this._promise._popContext()}this._cancellationPhase=!0,this._yieldedPromise=null,this._continue(e)}},u.prototype._promiseFulfilled=function(t){this._yieldedPromise=null,this._promise._pushContext();var e=f(this._generator.next).call(this._generator,t);this._promise._popContext(),this._continue(e)},u.prototype._promiseRejected=function(t){this._yieldedPromise=null,this._promise._attachExtraTrace(t),this._promise._pushContext();var e=f(this._generator.throw).call(this._generator,t);this._promise._popContext(),this._continue(e)},u.prototype._resultCancelled=function(){if(this._yieldedPromise instanceof t){var e=this._yieldedPromise;this._yieldedPromise=null,e.cancel()}},u.prototype.promise=function(){return this._promise},u.prototype._run=function(){this._generator=this._generatorFunction.call(this._receiver),this._receiver=this._generatorFunction=void 0,this._promiseFulfilled(void 0)},u.prototype._continue=function(e){var n=this._promise;if(e===h)return this._cleanup(),this._cancellationPhase?n.cancel():n._rejectCallback(e.e,!1);var i=e.value;if(e.done===!0)return this._cleanup(),this._cancellationPhase?n.cancel():n._resolveCallback(i);var o=r(i,this._promise);if(!(o instanceof t)&&(o=a(o,this._yieldHandlers,this._promise),null===o))return void this._promiseRejected(new c("A value %s was yielded that could not be treated as a promise\n\n    See http://goo.gl/MqrFmX\n\n".replace("%s",String(i))+"From coroutine:\n"+this._stack.split("\n").slice(1,-7).join("\n")));o=o._target();var s=o._bitField;0===(50397184&s)?(this._yieldedPromise=o,o._proxy(this,null)):0!==(33554432&s)?t._async.invoke(this._promiseFulfilled,this,o._value()):0!==(16777216&s)?t._async.invoke(this._promiseRejected,this,o._reason()):this._promiseCancelled()},t.coroutine=function(t,e){if("function"!=typeof t)throw new c("generatorFunction must be a function\n\n    See http://goo.gl/MqrFmX\n");var n=Object(e).yieldHandler,i=u,r=(new Error).stack;return function(){var e=t.apply(this,arguments),o=new i(void 0,void 0,n,r),s=o.promise();return o._generator=e,o._promiseFulfilled(void 0),s}},t.coroutine.addYieldHandler=function(t){if("function"!=typeof t)throw new c("expecting a function but got "+p.classString(t));d.push(t)},t.spawn=function(n){if(s.deprecated("Promise.spawn()","Promise.coroutine()"),"function"!=typeof n)return e("generatorFunction must be a function\n\n    See http://goo.gl/MqrFmX\n");var i=new u(n,this),r=i.promise();return i._run(t.spawn),r}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o,s){function a(e,n,i,r){this.constructor$(e),this._promise._captureStackTrace();var s=t._getContext();if(this._callback=l.contextBind(s,n),this._preservedValues=r===o?new Array(this.length()):null,this._limit=i,this._inFlight=0,this._queue=[],h.invoke(this._asyncInit,this,void 0),l.isArray(e))for(var a=0;a<e.length;++a){var u=e[a];u instanceof t&&u.suppressUnhandledRejections()}}function u(e,n,r,o){if("function"!=typeof n)return i("expecting a function but got "+l.classString(n));var s=0;if(void 0!==r){if("object"!=typeof r||null===r)return t.reject(new TypeError("options argument must be an object but it is "+l.classString(r)));if("number"!=typeof r.concurrency)return t.reject(new TypeError("'concurrency' must be a number but it is "+l.classString(r.concurrency)));s=r.concurrency}return s="number"==typeof s&&isFinite(s)&&s>=1?s:0,new a(e,n,s,o).promise()}var l=n(15),c=l.tryCatch,p=l.errorObj,h=t._async;l.inherits(a,e),a.prototype._asyncInit=function(){this._init$(void 0,-2)},a.prototype._init=function(){},a.prototype._promiseFulfilled=function(e,n){var i=this._values,o=this.length(),a=this._preservedValues,u=this._limit;if(n<0){if(n=n*-1-1,i[n]=e,u>=1&&(this._inFlight--,this._drainQueue(),this._isResolved()))return!0}else{if(u>=1&&this._inFlight>=u)return i[n]=e,this._queue.push(n),!1;null!==a&&(a[n]=e);var l=this._promise,h=this._callback,f=l._boundValue();l._pushContext();var d=c(h).call(f,e,n,o),m=l._popContext();if(s.checkForgottenReturns(d,m,null!==a?"Promise.filter":"Promise.map",l),d===p)return this._reject(d.e),!0;var v=r(d,this._promise);if(v instanceof t){v=v._target();var g=v._bitField;if(0===(50397184&g))return u>=1&&this._inFlight++,i[n]=v,v._proxy(this,(n+1)*-1),!1;if(0===(33554432&g))return 0!==(16777216&g)?(this._reject(v._reason()),!0):(this._cancel(),!0);d=v._value()}i[n]=d}var y=++this._totalResolved;return y>=o&&(null!==a?this._filter(i,a):this._resolve(i),!0)},a.prototype._drainQueue=function(){for(var t=this._queue,e=this._limit,n=this._values;t.length>0&&this._inFlight<e;){if(this._isResolved())return;var i=t.pop();this._promiseFulfilled(n[i],i)}},a.prototype._filter=function(t,e){for(var n=e.length,i=new Array(n),r=0,o=0;o<n;++o)t[o]&&(i[r++]=e[o]);i.length=r,this._resolve(i)},a.prototype.preservedValues=function(){return this._preservedValues},t.prototype.map=function(t,e){return u(this,t,e,null)},t.map=function(t,e,n,i){return u(t,e,n,i)}}},function(t,e,n){"use strict";t.exports=function(t){function e(t,e){var n=this;if(!o.isArray(t))return i.call(n,t,e);var r=a(e).apply(n._boundValue(),[null].concat(t));r===u&&s.throwLater(r.e)}function i(t,e){var n=this,i=n._boundValue(),r=void 0===t?a(e).call(i,null):a(e).call(i,null,t);r===u&&s.throwLater(r.e)}function r(t,e){var n=this;if(!t){var i=new Error(t+"");i.cause=t,t=i}var r=a(e).call(n._boundValue(),t);r===u&&s.throwLater(r.e)}var o=n(15),s=t._async,a=o.tryCatch,u=o.errorObj;t.prototype.asCallback=t.prototype.nodeify=function(t,n){if("function"==typeof t){var o=i;void 0!==n&&Object(n).spread&&(o=e),this._then(o,r,void 0,this,t)}return this}}},function(t,e,n){"use strict";t.exports=function(t,e){function i(t){return!w.test(t)}function r(t){try{return t.__isPromisified__===!0}catch(t){return!1}}function o(t,e,n){var i=f.getDataPropertyOrDefault(t,e+n,b);return!!i&&r(i)}function s(t,e,n){for(var i=0;i<t.length;i+=2){var r=t[i];if(n.test(r))for(var o=r.replace(n,""),s=0;s<t.length;s+=2)if(t[s]===o)throw new y("Cannot promisify an API that has normal methods with '%s'-suffix\n\n    See http://goo.gl/MqrFmX\n".replace("%s",e))}}function a(t,e,n,i){for(var a=f.inheritedDataKeys(t),u=[],l=0;l<a.length;++l){var c=a[l],p=t[c],h=i===P||P(c,p,t);"function"!=typeof p||r(p)||o(t,c,e)||!i(c,p,t,h)||u.push(c,p)}return s(u,e,n),u}function u(n,i,r,o,s,a){function u(){var r=i;i===h&&(r=this);var o=new t(e);o._captureStackTrace();var s="string"==typeof c&&this!==l?this[c]:n,u=d(o,a);try{s.apply(r,m(arguments,u))}catch(t){o._rejectCallback(v(t),!0,!0)}return o._isFateSealed()||o._setAsyncGuaranteed(),o}var l=function(){return this}(),c=n;return"string"==typeof c&&(n=o),f.notEnumerableProp(u,"__isPromisified__",!0),u}function l(t,e,n,i,r){for(var o=new RegExp(C(e)+"$"),s=a(t,e,o,n),u=0,l=s.length;u<l;u+=2){var c=s[u],p=s[u+1],d=c+e;if(i===E)t[d]=E(c,h,c,p,e,r);else{var m=i(p,function(){return E(c,h,c,p,e,r)});f.notEnumerableProp(m,"__isPromisified__",!0),t[d]=m}}return f.toFastProperties(t),t}function c(t,e,n){return E(t,e,void 0,t,null,n)}var p,h={},f=n(15),d=n(29),m=f.withAppended,v=f.maybeWrapAsError,g=f.canEvaluate,y=n(22).TypeError,_="Async",b={__isPromisified__:!0},T=["arity","length","name","arguments","caller","callee","prototype","__isPromisified__"],w=new RegExp("^(?:"+T.join("|")+")$"),P=function(t){return f.isIdentifier(t)&&"_"!==t.charAt(0)&&"constructor"!==t},C=function(t){return t.replace(/([$])/,"\\$")},S=function(t){for(var e=[t],n=Math.max(0,t-1-3),i=t-1;i>=n;--i)e.push(i);for(var i=t+1;i<=3;++i)e.push(i);return e},x=function(t){return f.filledRange(t,"_arg","")},F=function(t){return f.filledRange(Math.max(t,3),"_arg","")},k=function(t){return"number"==typeof t.length?Math.max(Math.min(t.length,1024),0):0};p=function(n,i,r,o,s,a){function u(t){var e,n=x(t).join(", "),r=t>0?", ":"";return e=g?"ret = callback.call(this, {{args}}, nodeback); break;\n":void 0===i?"ret = callback({{args}}, nodeback); break;\n":"ret = callback.call(receiver, {{args}}, nodeback); break;\n",e.replace("{{args}}",n).replace(", ",r)}function l(){for(var t="",e=0;e<p.length;++e)t+="case "+p[e]+":"+u(p[e]);return t+="                                                             \n\t        default:                                                             \n\t            var args = new Array(len + 1);                                   \n\t            var i = 0;                                                       \n\t            for (var i = 0; i < len; ++i) {                                  \n\t               args[i] = arguments[i];                                       \n\t            }                                                                \n\t            args[i] = nodeback;                                              \n\t            [CodeForCall]                                                    \n\t            break;                                                           \n\t        ".replace("[CodeForCall]",g?"ret = callback.apply(this, args);\n":"ret = callback.apply(receiver, args);\n");
+}var c=Math.max(0,k(o)-1),p=S(c),g="string"==typeof n||i===h,y="string"==typeof n?"this != null ? this['"+n+"'] : fn":"fn",_="'use strict';                                                \n\t        var ret = function (Parameters) {                                    \n\t            'use strict';                                                    \n\t            var len = arguments.length;                                      \n\t            var promise = new Promise(INTERNAL);                             \n\t            promise._captureStackTrace();                                    \n\t            var nodeback = nodebackForPromise(promise, "+a+");   \n\t            var ret;                                                         \n\t            var callback = tryCatch([GetFunctionCode]);                      \n\t            switch(len) {                                                    \n\t                [CodeForSwitchCase]                                          \n\t            }                                                                \n\t            if (ret === errorObj) {                                          \n\t                promise._rejectCallback(maybeWrapAsError(ret.e), true, true);\n\t            }                                                                \n\t            if (!promise._isFateSealed()) promise._setAsyncGuaranteed();     \n\t            return promise;                                                  \n\t        };                                                                   \n\t        notEnumerableProp(ret, '__isPromisified__', true);                   \n\t        return ret;                                                          \n\t    ".replace("[CodeForSwitchCase]",l()).replace("[GetFunctionCode]",y);return _=_.replace("Parameters",F(c)),new Function("Promise","fn","receiver","withAppended","maybeWrapAsError","nodebackForPromise","tryCatch","errorObj","notEnumerableProp","INTERNAL",_)(t,o,i,m,v,d,f.tryCatch,f.errorObj,f.notEnumerableProp,e)};var E=g?p:u;t.promisify=function(t,e){if("function"!=typeof t)throw new y("expecting a function but got "+f.classString(t));if(r(t))return t;e=Object(e);var n=void 0===e.context?h:e.context,o=!!e.multiArgs,s=c(t,n,o);return f.copyDescriptors(t,s,i),s},t.promisifyAll=function(t,e){if("function"!=typeof t&&"object"!=typeof t)throw new y("the target of promisifyAll must be an object or a function\n\n    See http://goo.gl/MqrFmX\n");e=Object(e);var n=!!e.multiArgs,i=e.suffix;"string"!=typeof i&&(i=_);var r=e.filter;"function"!=typeof r&&(r=P);var o=e.promisifier;if("function"!=typeof o&&(o=E),!f.isIdentifier(i))throw new RangeError("suffix must be a valid identifier\n\n    See http://goo.gl/MqrFmX\n");for(var s=f.inheritedDataKeys(t),a=0;a<s.length;++a){var u=t[s[a]];"constructor"!==s[a]&&f.isClass(u)&&(l(u.prototype,i,r,o,n),l(u,i,r,o,n))}return l(t,i,r,o,n)}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r){function o(t){var e,n=!1;if(void 0!==a&&t instanceof a)e=p(t),n=!0;else{var i=c.keys(t),r=i.length;e=new Array(2*r);for(var o=0;o<r;++o){var s=i[o];e[o]=t[s],e[o+r]=s}}this.constructor$(e),this._isMap=n,this._init$(void 0,n?-6:-3)}function s(e){var n,s=i(e);return l(s)?(n=s instanceof t?s._then(t.props,void 0,void 0,void 0,void 0):new o(s).promise(),s instanceof t&&n._propagateFrom(s,2),n):r("cannot await properties of a non-object\n\n    See http://goo.gl/MqrFmX\n")}var a,u=n(15),l=u.isObject,c=n(16);"function"==typeof Map&&(a=Map);var p=function(){function t(t,i){this[e]=t,this[e+n]=i,e++}var e=0,n=0;return function(i){n=i.size,e=0;var r=new Array(2*i.size);return i.forEach(t,r),r}}(),h=function(t){for(var e=new a,n=t.length/2|0,i=0;i<n;++i){var r=t[n+i],o=t[i];e.set(r,o)}return e};u.inherits(o,e),o.prototype._init=function(){},o.prototype._promiseFulfilled=function(t,e){this._values[e]=t;var n=++this._totalResolved;if(n>=this._length){var i;if(this._isMap)i=h(this._values);else{i={};for(var r=this.length(),o=0,s=this.length();o<s;++o)i[this._values[o+r]]=this._values[o]}return this._resolve(i),!0}return!1},o.prototype.shouldCopyValues=function(){return!1},o.prototype.getActualLength=function(t){return t>>1},t.prototype.props=function(){return s(this)},t.props=function(t){return s(t)}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r){function o(n,o){var u=i(n);if(u instanceof t)return a(u);if(n=s.asArray(n),null===n)return r("expecting an array or an iterable object but got "+s.classString(n));var l=new t(e);void 0!==o&&l._propagateFrom(o,3);for(var c=l._fulfill,p=l._reject,h=0,f=n.length;h<f;++h){var d=n[h];(void 0!==d||h in n)&&t.cast(d)._then(c,p,void 0,l,null)}return l}var s=n(15),a=function(t){return t.then(function(e){return o(e,t)})};t.race=function(t){return o(t,void 0)},t.prototype.race=function(){return o(this,void 0)}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o,s){function a(e,n,i,r){this.constructor$(e);var s=t._getContext();this._fn=h.contextBind(s,n),void 0!==i&&(i=t.resolve(i),i._attachCancellationCallback(this)),this._initialValue=i,this._currentCancellable=null,r===o?this._eachValues=Array(this._length):0===r?this._eachValues=null:this._eachValues=void 0,this._promise._captureStackTrace(),this._init$(void 0,-5)}function u(t,e){this.isFulfilled()?e._resolve(t):e._reject(t)}function l(t,e,n,r){if("function"!=typeof e)return i("expecting a function but got "+h.classString(e));var o=new a(t,e,n,r);return o.promise()}function c(e){this.accum=e,this.array._gotAccum(e);var n=r(this.value,this.array._promise);return n instanceof t?(this.array._currentCancellable=n,n._then(p,void 0,void 0,this,void 0)):p.call(this,n)}function p(e){var n=this.array,i=n._promise,r=f(n._fn);i._pushContext();var o;o=void 0!==n._eachValues?r.call(i._boundValue(),e,this.index,this.length):r.call(i._boundValue(),this.accum,e,this.index,this.length),o instanceof t&&(n._currentCancellable=o);var a=i._popContext();return s.checkForgottenReturns(o,a,void 0!==n._eachValues?"Promise.each":"Promise.reduce",i),o}var h=n(15),f=h.tryCatch;h.inherits(a,e),a.prototype._gotAccum=function(t){void 0!==this._eachValues&&null!==this._eachValues&&t!==o&&this._eachValues.push(t)},a.prototype._eachComplete=function(t){return null!==this._eachValues&&this._eachValues.push(t),this._eachValues},a.prototype._init=function(){},a.prototype._resolveEmptyArray=function(){this._resolve(void 0!==this._eachValues?this._eachValues:this._initialValue)},a.prototype.shouldCopyValues=function(){return!1},a.prototype._resolve=function(t){this._promise._resolveCallback(t),this._values=null},a.prototype._resultCancelled=function(e){return e===this._initialValue?this._cancel():void(this._isResolved()||(this._resultCancelled$(),this._currentCancellable instanceof t&&this._currentCancellable.cancel(),this._initialValue instanceof t&&this._initialValue.cancel()))},a.prototype._iterate=function(e){this._values=e;var n,i,r=e.length;void 0!==this._initialValue?(n=this._initialValue,i=0):(n=t.resolve(e[0]),i=1),this._currentCancellable=n;for(var o=i;o<r;++o){var s=e[o];s instanceof t&&s.suppressUnhandledRejections()}if(!n.isRejected())for(;i<r;++i){var a={accum:null,value:e[i],index:i,length:r,array:this};n=n._then(c,void 0,void 0,a,void 0),0===(127&i)&&n._setNoAsyncGuarantee()}void 0!==this._eachValues&&(n=n._then(this._eachComplete,void 0,void 0,this,void 0)),n._then(u,u,void 0,n,this)},t.prototype.reduce=function(t,e){return l(this,t,e,null)},t.reduce=function(t,e,n,i){return l(t,e,n,i)}}},function(t,e,n){"use strict";t.exports=function(t,e,i){function r(t){this.constructor$(t)}var o=t.PromiseInspection,s=n(15);s.inherits(r,e),r.prototype._promiseResolved=function(t,e){this._values[t]=e;var n=++this._totalResolved;return n>=this._length&&(this._resolve(this._values),!0)},r.prototype._promiseFulfilled=function(t,e){var n=new o;return n._bitField=33554432,n._settledValueField=t,this._promiseResolved(e,n)},r.prototype._promiseRejected=function(t,e){var n=new o;return n._bitField=16777216,n._settledValueField=t,this._promiseResolved(e,n)},t.settle=function(t){return i.deprecated(".settle()",".reflect()"),new r(t).promise()},t.allSettled=function(t){return new r(t).promise()},t.prototype.settle=function(){return t.settle(this)}}},function(t,e,n){"use strict";t.exports=function(t,e,i){function r(t){this.constructor$(t),this._howMany=0,this._unwrap=!1,this._initialized=!1}function o(t,e){if((0|e)!==e||e<0)return i("expecting a positive integer\n\n    See http://goo.gl/MqrFmX\n");var n=new r(t),o=n.promise();return n.setHowMany(e),n.init(),o}var s=n(15),a=n(22).RangeError,u=n(22).AggregateError,l=s.isArray,c={};s.inherits(r,e),r.prototype._init=function(){if(this._initialized){if(0===this._howMany)return void this._resolve([]);this._init$(void 0,-5);var t=l(this._values);!this._isResolved()&&t&&this._howMany>this._canPossiblyFulfill()&&this._reject(this._getRangeError(this.length()))}},r.prototype.init=function(){this._initialized=!0,this._init()},r.prototype.setUnwrap=function(){this._unwrap=!0},r.prototype.howMany=function(){return this._howMany},r.prototype.setHowMany=function(t){this._howMany=t},r.prototype._promiseFulfilled=function(t){return this._addFulfilled(t),this._fulfilled()===this.howMany()&&(this._values.length=this.howMany(),1===this.howMany()&&this._unwrap?this._resolve(this._values[0]):this._resolve(this._values),!0)},r.prototype._promiseRejected=function(t){return this._addRejected(t),this._checkOutcome()},r.prototype._promiseCancelled=function(){return this._values instanceof t||null==this._values?this._cancel():(this._addRejected(c),this._checkOutcome())},r.prototype._checkOutcome=function(){if(this.howMany()>this._canPossiblyFulfill()){for(var t=new u,e=this.length();e<this._values.length;++e)this._values[e]!==c&&t.push(this._values[e]);return t.length>0?this._reject(t):this._cancel(),!0}return!1},r.prototype._fulfilled=function(){return this._totalResolved},r.prototype._rejected=function(){return this._values.length-this.length()},r.prototype._addRejected=function(t){this._values.push(t)},r.prototype._addFulfilled=function(t){this._values[this._totalResolved++]=t},r.prototype._canPossiblyFulfill=function(){return this.length()-this._rejected()},r.prototype._getRangeError=function(t){var e="Input array must contain at least "+this._howMany+" items but contains only "+t+" items";return new a(e)},r.prototype._resolveEmptyArray=function(){this._reject(this._getRangeError(0))},t.some=function(t,e){return o(t,e)},t.prototype.some=function(t){return o(this,t)},t._SomePromiseArray=r}},function(t,e,n){"use strict";t.exports=function(t,e,i){function r(t){this.handle=t}function o(t){return clearTimeout(this.handle),t}function s(t){throw clearTimeout(this.handle),t}var a=n(15),u=t.TimeoutError;r.prototype._resultCancelled=function(){clearTimeout(this.handle)};var l=function(t){return c(+this).thenReturn(t)},c=t.delay=function(n,o){var s,a;return void 0!==o?(s=t.resolve(o)._then(l,null,null,n,void 0),i.cancellation()&&o instanceof t&&s._setOnCancel(o)):(s=new t(e),a=setTimeout(function(){s._fulfill()},+n),i.cancellation()&&s._setOnCancel(new r(a)),s._captureStackTrace()),s._setAsyncGuaranteed(),s};t.prototype.delay=function(t){return c(t,this)};var p=function(t,e,n){var i;i="string"!=typeof e?e instanceof Error?e:new u("operation timed out"):new u(e),a.markAsOriginatingFromRejection(i),t._attachExtraTrace(i),t._reject(i),null!=n&&n.cancel()};t.prototype.timeout=function(t,e){t=+t;var n,a,u=new r(setTimeout(function(){n.isPending()&&p(n,e,a)},t));return i.cancellation()?(a=this.then(),n=a._then(o,s,void 0,u,void 0),n._setOnCancel(u)):n=this._then(o,s,void 0,u,void 0),n}}},function(t,e,n){"use strict";t.exports=function(t,e,i,r,o,s){function a(t){setTimeout(function(){throw t},0)}function u(t){var e=i(t);return e!==t&&"function"==typeof t._isDisposable&&"function"==typeof t._getDisposer&&t._isDisposable()&&e._setDisposable(t._getDisposer()),e}function l(e,n){function r(){if(s>=l)return c._fulfill();var o=u(e[s++]);if(o instanceof t&&o._isDisposable()){try{o=i(o._getDisposer().tryDispose(n),e.promise)}catch(t){return a(t)}if(o instanceof t)return o._then(r,a,null,null,null)}r()}var s=0,l=e.length,c=new t(o);return r(),c}function c(t,e,n){this._data=t,this._promise=e,this._context=n}function p(t,e,n){this.constructor$(t,e,n)}function h(t){return c.isDisposer(t)?(this.resources[this.index]._setDisposable(t),t.promise()):t}function f(t){this.length=t,this.promise=null,this[t-1]=null}var d=n(15),m=n(22).TypeError,v=n(15).inherits,g=d.errorObj,y=d.tryCatch,_={};c.prototype.data=function(){return this._data},c.prototype.promise=function(){return this._promise},c.prototype.resource=function(){return this.promise().isFulfilled()?this.promise().value():_},c.prototype.tryDispose=function(t){var e=this.resource(),n=this._context;void 0!==n&&n._pushContext();var i=e!==_?this.doDispose(e,t):null;return void 0!==n&&n._popContext(),this._promise._unsetDisposable(),this._data=null,i},c.isDisposer=function(t){return null!=t&&"function"==typeof t.resource&&"function"==typeof t.tryDispose},v(p,c),p.prototype.doDispose=function(t,e){var n=this.data();return n.call(t,t,e)},f.prototype._resultCancelled=function(){for(var e=this.length,n=0;n<e;++n){var i=this[n];i instanceof t&&i.cancel()}},t.using=function(){var n=arguments.length;if(n<2)return e("you must pass at least 2 arguments to Promise.using");var r=arguments[n-1];if("function"!=typeof r)return e("expecting a function but got "+d.classString(r));var o,a=!0;2===n&&Array.isArray(arguments[0])?(o=arguments[0],n=o.length,a=!1):(o=arguments,n--);for(var u=new f(n),p=0;p<n;++p){var m=o[p];if(c.isDisposer(m)){var v=m;m=m.promise(),m._setDisposable(v)}else{var _=i(m);_ instanceof t&&(m=_._then(h,null,null,{resources:u,index:p},void 0))}u[p]=m}for(var b=new Array(u.length),p=0;p<b.length;++p)b[p]=t.resolve(u[p]).reflect();var T=t.all(b).then(function(t){for(var e=0;e<t.length;++e){var n=t[e];if(n.isRejected())return g.e=n.error(),g;if(!n.isFulfilled())return void T.cancel();t[e]=n.value()}w._pushContext(),r=y(r);var i=a?r.apply(void 0,t):r(t),o=w._popContext();return s.checkForgottenReturns(i,o,"Promise.using",w),i}),w=T.lastly(function(){var e=new t.PromiseInspection(T);return l(u,e)});return u.promise=w,w._setOnCancel(u),w},t.prototype._setDisposable=function(t){this._bitField=131072|this._bitField,this._disposer=t},t.prototype._isDisposable=function(){return(131072&this._bitField)>0},t.prototype._getDisposer=function(){return this._disposer},t.prototype._unsetDisposable=function(){this._bitField=this._bitField&-131073,this._disposer=void 0},t.prototype.disposer=function(t){if("function"==typeof t)return new p(t,this,r());throw new m}}},function(t,e){"use strict";t.exports=function(t){function e(t){var e=new n(t),i=e.promise();return e.setHowMany(1),e.setUnwrap(),e.init(),i}var n=t._SomePromiseArray;t.any=function(t){return e(t)},t.prototype.any=function(){return e(this)}}},function(t,e){"use strict";t.exports=function(t,e){function n(){return o(this)}function i(t,n){return r(t,n,e,e)}var r=t.reduce,o=t.all;t.prototype.each=function(t){return r(this,t,e,0)._then(n,void 0,void 0,this,void 0)},t.prototype.mapSeries=function(t){return r(this,t,e,e)},t.each=function(t,i){return r(t,i,e,0)._then(n,void 0,void 0,t,void 0)},t.mapSeries=i}},function(t,e){"use strict";t.exports=function(t,e){var n=t.map;t.prototype.filter=function(t,i){return n(this,t,i,e)},t.filter=function(t,i,r){return n(t,i,r,e)}}}])});
 //# sourceMappingURL=transition.min.js.map
\ No newline at end of file
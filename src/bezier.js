@@ -0,0 +1,305 @@
+let cubicBezierRegExp = /^cubic-bezier\(\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*,\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*\)$/i;
+let epsilon = 1e-6;
+let maxSlope = 10;
+
+function Point(x, y) {
+    this.x = x;
+    this.y = y;
+}
+
+function BezierCurve(p0, p1, p2, p3) {
+    this.p0 = p0;
+    this.p1 = p1;
+    this.p2 = p2;
+    this.p3 = p3;
+}
+
+BezierCurve.prototype = {
+
+    constructor: BezierCurve,
+
+    x: function(t) {
+        return cubic(this.p0.x, this.p1.x, this.p2.x, this.p3.x, t);
+    },
+
+    y: function(t) {
+        return cubic(this.p0.y, this.p1.y, this.p2.y, this.p3.y, t);
+    },
+
+    derivativeX: function(t) {
+        return cubicDerivative(this.p0.x, this.p1.x, this.p2.x, this.p3.x, t);
+    },
+
+    derivativeY: function(t) {
+        return cubicDerivative(this.p0.y, this.p1.y, this.p2.y, this.p3.y, t);
+    },
+
+    /**
+     * Returns the curve parameter t for which x(t) equals the passed x. Uses Newton's method and falls back to
+     * bisection when the derivative is too flat.
+     *
+     * @param {Number} x
+     * @returns {Number}
+     */
+    solveT: function(x) {
+        let i, t, currentX, derivative, low = 0, high = 1;
+
+        t = x;
+        for (i = 0; i < 8; i++) {
+            currentX = this.x(t) - x;
+            if (Math.abs(currentX) < epsilon) {
+                return t;
+            }
+            derivative = this.derivativeX(t);
+            if (Math.abs(derivative) < epsilon) {
+                break;
+            }
+            t = t - currentX / derivative;
+        }
+
+        t = x;
+        while (low < high) {
+            currentX = this.x(t);
+            if (Math.abs(currentX - x) < epsilon) {
+                return t;
+            }
+            if (x > currentX) {
+                low = t;
+            } else {
+                high = t;
+            }
+            t = (high - low) / 2 + low;
+            if (high - low < epsilon) {
+                break;
+            }
+        }
+
+        return t;
+    },
+
+    /**
+     * Treats the curve as a timing function and returns the output progress for the passed input progress.
+     *
+     * @param {Number} x
+     * @returns {Number}
+     */
+    valueAt: function(x) {
+        return this.y(this.solveT(x));
+    },
+
+    /**
+     * Treats the curve as a timing function and returns its slope (output progress change per input progress
+     * change) at the passed input progress.
+     *
+     * @param {Number} x
+     * @returns {Number}
+     */
+    slopeAt: function(x) {
+        let t = this.solveT(x), derivativeX = this.derivativeX(t);
+        if (Math.abs(derivativeX) < epsilon) {
+            return 0;
+        }
+        return this.derivativeY(t) / derivativeX;
+    },
+
+    toString: function() {
+        return "cubic-bezier(" + [this.p1.x, this.p1.y, this.p2.x, this.p2.y].map(round).join(", ") + ")";
+    }
+};
+
+function Segment(a, b) {
+    this.a = a;
+    this.b = b;
+}
+
+function cubic(a, b, c, d, t) {
+    let mt = 1 - t;
+    return mt * mt * mt * a + 3 * mt * mt * t * b + 3 * mt * t * t * c + t * t * t * d;
+}
+
+function cubicDerivative(a, b, c, d, t) {
+    let mt = 1 - t;
+    return 3 * mt * mt * (b - a) + 6 * mt * t * (c - b) + 3 * t * t * (d - c);
+}
+
+function round(value) {
+    return Math.round(value * 100000) / 100000;
+}
+
+function pointOnSegmentAtInterval(segment, interval) {
+    let dy, dx, newX, newY;
+
+    dx = segment.b.x - segment.a.x;
+    dy = segment.b.y - segment.a.y;
+
+    newX = dx * interval + segment.a.x;
+    newY = dy * interval + segment.a.y;
+
+    return new Point(newX, newY);
+}
+
+/**
+ * Splits a bezier curve at curve parameter t using de Casteljau's algorithm.
+ *
+ * @param {BezierCurve} bezierCurve
+ * @param {Number} t
+ * @returns {Array.<BezierCurve>} two curves, the first spans [0, t] and the second spans [t, 1]
+ */
+function splitBezierCurve(bezierCurve, t) {
+    let bc, bc1, bc2, q0, q1, q2, r0, r1, b;
+
+    bc = bezierCurve;
+
+    q0 = pointOnSegmentAtInterval(new Segment(bc.p0, bc.p1), t);
+    q1 = pointOnSegmentAtInterval(new Segment(bc.p1, bc.p2), t);
+    q2 = pointOnSegmentAtInterval(new Segment(bc.p2, bc.p3), t);
+
+    r0 = pointOnSegmentAtInterval(new Segment(q0, q1), t);
+    r1 = pointOnSegmentAtInterval(new Segment(q1, q2), t);
+
+    b = pointOnSegmentAtInterval(new Segment(r0, r1), t);
+
+    bc1 = new BezierCurve(bc.p0, q0, r0, b);
+    bc2 = new BezierCurve(b, r1, q2, bc.p3);
+
+    return [bc1, bc2];
+}
+
+/**
+ * Scales a bezier curve so it begins at (0, 0) and ends at (1, 1), making it usable as a cubic-bezier() timing
+ * function. If the curve has no vertical extent, a linear curve is returned.
+ *
+ * @param {BezierCurve} bezierCurve
+ * @returns {BezierCurve}
+ */
+function normalizeBezierCurve(bezierCurve) {
+    let bc, minX, minY, scaleX, scaleY;
+
+    bc = bezierCurve;
+
+    minX = bc.p0.x;
+    minY = bc.p0.y;
+    scaleX = bc.p3.x - minX;
+    scaleY = bc.p3.y - minY;
+
+    if (Math.abs(scaleX) < epsilon || Math.abs(scaleY) < epsilon) {
+        return timingFunctions.linear();
+    }
+
+    return new BezierCurve(
+        new Point(0, 0),
+        new Point((bc.p1.x - minX) / scaleX, (bc.p1.y - minY) / scaleY),
+        new Point((bc.p2.x - minX) / scaleX, (bc.p2.y - minY) / scaleY),
+        new Point(1, 1)
+    );
+}
+
+function cubicBezier(x1, y1, x2, y2) {
+    return new BezierCurve(new Point(0, 0), new Point(x1, y1), new Point(x2, y2), new Point(1, 1));
+}
+
+let timingFunctions = {
+    'linear': function() { return cubicBezier(0, 0, 1, 1); },
+    'ease': function() { return cubicBezier(0.25, 0.1, 0.25, 1); },
+    'ease-in': function() { return cubicBezier(0.42, 0, 1, 1); },
+    'ease-out': function() { return cubicBezier(0, 0, 0.58, 1); },
+    'ease-in-out': function() { return cubicBezier(0.42, 0, 0.58, 1); }
+};
+
+/**
+ * Parses a CSS timing function into a bezier curve. Returns null for timing functions that can not be represented
+ * by a single cubic bezier curve, such as steps().
+ *
+ * @param {String} timingFunction
+ * @returns {BezierCurve|null}
+ */
+function parseTimingFunction(timingFunction) {
+    let match, name = String(timingFunction).trim().toLowerCase();
+
+    if (timingFunctions.hasOwnProperty(name)) {
+        return timingFunctions[name]();
+    }
+
+    match = cubicBezierRegExp.exec(name);
+    if (match) {
+        return cubicBezier(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]), parseFloat(match[4]));
+    }
+
+    return null;
+}
+
+/**
+ * Splits a CSS timing function at the passed input progress.
+ *
+ * @param {String} timingFunction
+ * @param {Number} x input progress in the range [0, 1]
+ * @returns {{progress: Number, elapsed: String, remaining: String}|null} progress is the output progress at x,
+ *      elapsed and remaining are the normalized cubic-bezier() timing functions of the two parts of the curve.
+ *      Returns null if the timing function can not be represented by a bezier curve.
+ */
+function splitTimingFunction(timingFunction, x) {
+    let curve, t, curves;
+
+    curve = parseTimingFunction(timingFunction);
+    if (!curve) {
+        return null;
+    }
+
+    t = curve.solveT(x);
+    curves = splitBezierCurve(curve, t);
+
+    return {
+        progress: curve.y(t),
+        elapsed: normalizeBezierCurve(curves[0]).toString(),
+        remaining: normalizeBezierCurve(curves[1]).toString()
+    };
+}
+
+/**
+ * Returns the timing function of the same motion played backwards, that is the curve rotated by 180 degrees
+ * around its center.
+ *
+ * @param {String} timingFunction
+ * @returns {String|null} cubic-bezier() timing function or null if the timing function can not be represented by a
+ *      bezier curve.
+ */
+function reverseTimingFunction(timingFunction) {
+    let curve = parseTimingFunction(timingFunction);
+    if (!curve) {
+        return null;
+    }
+    return cubicBezier(1 - curve.p2.x, 1 - curve.p2.y, 1 - curve.p1.x, 1 - curve.p1.y).toString();
+}
+
+/**
+ * Returns a timing function based on the passed one whose initial slope equals to the passed slope. The first
+ * control point keeps its x coordinate and its y coordinate is moved along the tangent with the requested slope,
+ * the second control point remains unchanged. The slope is clamped to keep the curve reasonable.
+ *
+ * @param {String} timingFunction
+ * @param {Number} slope
+ * @returns {String|null} cubic-bezier() timing function or null if the timing function can not be represented by a
+ *      bezier curve.
+ */
+function matchInitialSlope(timingFunction, slope) {
+    let curve = parseTimingFunction(timingFunction), x1;
+    if (!curve) {
+        return null;
+    }
+    slope = Math.max(-maxSlope, Math.min(maxSlope, slope));
+    // A control point with zero x coordinate can only describe an infinite slope
+    x1 = curve.p1.x > epsilon ? curve.p1.x : 1 / 3;
+    return cubicBezier(x1, x1 * slope, curve.p2.x, curve.p2.y).toString();
+}
+
+module.exports = {
+    Point: Point,
+    BezierCurve: BezierCurve,
+    cubicBezier: cubicBezier,
+    splitBezierCurve: splitBezierCurve,
+    normalizeBezierCurve: normalizeBezierCurve,
+    parseTimingFunction: parseTimingFunction,
+    splitTimingFunction: splitTimingFunction,
+    reverseTimingFunction: reverseTimingFunction,
+    matchInitialSlope: matchInitialSlope
+};
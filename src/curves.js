@@ -0,0 +1,356 @@
+const utils = require('./utils');
+const bezier = require('./bezier');
+
+// Number of samples of curves converted to linear() timing functions and the maximal distance of the samples from
+// the simplified curve
+let linearSamples = 200;
+let linearTolerance = 0.002;
+// Number of input progresses used to fit cubic-bezier() approximations and the control points the fitting starts
+// from, as it may end in a local minimum when starting from a single curve
+let fitSamples = 24;
+let fitStarts = [
+    [0.25, 0.1, 0.25, 1],
+    [0.42, 0, 1, 1],
+    [0, 0, 0.58, 1],
+    [0.3, 1.5, 0.6, 1]
+];
+// Springs settle once their distance from the target remains below this fraction of the full distance
+let springRestThreshold = 0.001;
+let maxSpringDuration = 10;
+let springDefaults = {
+    stiffness: 100,
+    damping: 10,
+    mass: 1,
+    velocity: 0,
+    output: null
+};
+
+let elasticPeriod = 2 * Math.PI / 3;
+let elasticInOutPeriod = 2 * Math.PI / 4.5;
+
+function easeOutBounce(x) {
+    let n = 7.5625, d = 2.75;
+
+    if (x < 1 / d) {
+        return n * x * x;
+    } else if (x < 2 / d) {
+        x -= 1.5 / d;
+        return n * x * x + 0.75;
+    } else if (x < 2.5 / d) {
+        x -= 2.25 / d;
+        return n * x * x + 0.9375;
+    }
+    x -= 2.625 / d;
+    return n * x * x + 0.984375;
+}
+
+// Curves that can be represented by cubic bezier curves
+let cubicBezierCurves = {
+    easeInSine: 'cubic-bezier(0.12, 0, 0.39, 0)',
+    easeOutSine: 'cubic-bezier(0.61, 1, 0.88, 1)',
+    easeInOutSine: 'cubic-bezier(0.37, 0, 0.63, 1)',
+    easeInQuad: 'cubic-bezier(0.11, 0, 0.5, 0)',
+    easeOutQuad: 'cubic-bezier(0.5, 1, 0.89, 1)',
+    easeInOutQuad: 'cubic-bezier(0.45, 0, 0.55, 1)',
+    easeInCubic: 'cubic-bezier(0.32, 0, 0.67, 0)',
+    easeOutCubic: 'cubic-bezier(0.33, 1, 0.68, 1)',
+    easeInOutCubic: 'cubic-bezier(0.65, 0, 0.35, 1)',
+    easeInQuart: 'cubic-bezier(0.5, 0, 0.75, 0)',
+    easeOutQuart: 'cubic-bezier(0.25, 1, 0.5, 1)',
+    easeInOutQuart: 'cubic-bezier(0.76, 0, 0.24, 1)',
+    easeInQuint: 'cubic-bezier(0.64, 0, 0.78, 0)',
+    easeOutQuint: 'cubic-bezier(0.22, 1, 0.36, 1)',
+    easeInOutQuint: 'cubic-bezier(0.83, 0, 0.17, 1)',
+    easeInExpo: 'cubic-bezier(0.7, 0, 0.84, 0)',
+    easeOutExpo: 'cubic-bezier(0.16, 1, 0.3, 1)',
+    easeInOutExpo: 'cubic-bezier(0.87, 0, 0.13, 1)',
+    easeInCirc: 'cubic-bezier(0.55, 0, 1, 0.45)',
+    easeOutCirc: 'cubic-bezier(0, 0.55, 0.45, 1)',
+    easeInOutCirc: 'cubic-bezier(0.85, 0, 0.15, 1)',
+    easeInBack: 'cubic-bezier(0.36, 0, 0.66, -0.56)',
+    easeOutBack: 'cubic-bezier(0.34, 1.56, 0.64, 1)',
+    easeInOutBack: 'cubic-bezier(0.68, -0.6, 0.32, 1.6)'
+};
+
+// Curves that are converted to timing functions when they are first used, see toTimingFunction
+let functionCurves = {
+    easeInElastic: function(x) {
+        return -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 10.75) * elasticPeriod);
+    },
+    easeOutElastic: function(x) {
+        return Math.pow(2, -10 * x) * Math.sin((x * 10 - 0.75) * elasticPeriod) + 1;
+    },
+    easeInOutElastic: function(x) {
+        if (x < 0.5) {
+            return -(Math.pow(2, 20 * x - 10) * Math.sin((20 * x - 11.125) * elasticInOutPeriod)) / 2;
+        }
+        return Math.pow(2, -20 * x + 10) * Math.sin((20 * x - 11.125) * elasticInOutPeriod) / 2 + 1;
+    },
+    easeInBounce: function(x) {
+        return 1 - easeOutBounce(1 - x);
+    },
+    easeOutBounce: easeOutBounce,
+    easeInOutBounce: function(x) {
+        return x < 0.5 ? (1 - easeOutBounce(1 - 2 * x)) / 2 : (1 + easeOutBounce(2 * x - 1)) / 2;
+    }
+};
+
+let aliases = {
+    elastic: 'easeOutElastic',
+    bounce: 'easeOutBounce'
+};
+
+let convertedCurves = {};
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
+
+/**
+ * Removes the points lying closer than the tolerance to the line connecting their neighbours, using the
+ * Ramer-Douglas-Peucker algorithm.
+ */
+function simplify(points, first, last, tolerance, result) {
+    let i, distance, maxDistance = 0, index = -1, a = points[first], b = points[last];
+
+    for (i = first + 1; i < last; i++) {
+        distance = Math.abs(points[i].y - (a.y + (b.y - a.y) * (points[i].x - a.x) / (b.x - a.x)));
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            index = i;
+        }
+    }
+
+    if (maxDistance > tolerance) {
+        simplify(points, first, index, tolerance, result);
+        result.pop();
+        simplify(points, index, last, tolerance, result);
+    } else {
+        result.push(a, b);
+    }
+
+    return result;
+}
+
+/**
+ * Converts the passed easing function, mapping input progress in the range [0, 1] to output progress, to a CSS
+ * linear() timing function.
+ *
+ * @param {Function} func
+ * @returns {String}
+ */
+function toLinear(func) {
+    let i, points = [];
+
+    for (i = 0; i <= linearSamples; i++) {
+        points.push({x: i / linearSamples, y: func(i / linearSamples)});
+    }
+    points[0].y = 0;
+    points[linearSamples].y = 1;
+
+    return "linear(" + simplify(points, 0, linearSamples, linearTolerance, []).map(function(point) {
+        return round(point.y, 10000) + " " + round(point.x * 100, 100) + "%";
+    }).join(", ") + ")";
+}
+
+function fitError(params, samples) {
+    let i, difference, sum = 0, curve = bezier.cubicBezier(params[0], params[1], params[2], params[3]);
+    for (i = 0; i < samples.length; i++) {
+        difference = curve.valueAt(samples[i].x) - samples[i].y;
+        sum += difference * difference;
+    }
+    return sum;
+}
+
+/**
+ * Moves the control points one coordinate at a time as long as the error decreases, halving the step when no move
+ * decreases it.
+ */
+function fitCubicBezier(params, samples) {
+    let i, j, step = 0.25, error, candidate, candidateError, improved;
+
+    error = fitError(params, samples);
+    while (step > 0.001) {
+        improved = false;
+        for (i = 0; i < params.length; i++) {
+            for (j = -1; j <= 1; j += 2) {
+                candidate = params.slice();
+                candidate[i] += j * step;
+                // The x coordinates of the control points must be in the range [0, 1]
+                if (i % 2 === 0) {
+                    candidate[i] = Math.max(0, Math.min(1, candidate[i]));
+                }
+                candidateError = fitError(candidate, samples);
+                if (candidateError < error) {
+                    error = candidateError;
+                    params = candidate;
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) {
+            step /= 2;
+        }
+    }
+
+    return {params: params, error: error};
+}
+
+/**
+ * Returns the cubic-bezier() timing function best approximating the passed easing function. The control points are
+ * fitted by minimizing the squared error at evenly spaced input progresses.
+ *
+ * @param {Function} func
+ * @returns {String}
+ */
+function toCubicBezier(func) {
+    let i, fit, best = null, samples = [];
+
+    for (i = 1; i < fitSamples; i++) {
+        samples.push({x: i / fitSamples, y: func(i / fitSamples)});
+    }
+
+    for (i = 0; i < fitStarts.length; i++) {
+        fit = fitCubicBezier(fitStarts[i], samples);
+        if (!best || fit.error < best.error) {
+            best = fit;
+        }
+    }
+
+    return bezier.cubicBezier(best.params[0], best.params[1], best.params[2], best.params[3]).toString();
+}
+
+/**
+ * Converts the passed easing function to a linear() timing function, or to its cubic-bezier() approximation if
+ * linear() timing functions are not supported.
+ *
+ * @param {Function} func
+ * @returns {String}
+ */
+function toTimingFunction(func) {
+    return utils.hasLinearEasing ? toLinear(func) : toCubicBezier(func);
+}
+
+/**
+ * Returns the timing function of a curve of the catalogue, or null if there is no curve with the passed name.
+ *
+ * @param {String} name
+ * @returns {String|null}
+ */
+function get(name) {
+    if (aliases.hasOwnProperty(name)) {
+        name = aliases[name];
+    }
+    if (cubicBezierCurves.hasOwnProperty(name)) {
+        return cubicBezierCurves[name];
+    }
+    if (functionCurves.hasOwnProperty(name)) {
+        if (!convertedCurves.hasOwnProperty(name)) {
+            convertedCurves[name] = toTimingFunction(functionCurves[name]);
+        }
+        return convertedCurves[name];
+    }
+    return null;
+}
+
+/**
+ * Returns the position of a damped spring moving from 0 to 1 at the passed time in seconds.
+ * https://en.wikipedia.org/wiki/Harmonic_oscillator#Damped_harmonic_oscillator
+ */
+function springPosition(stiffness, damping, mass, velocity) {
+    let naturalFrequency = Math.sqrt(stiffness / mass),
+        dampingRatio = damping / (2 * Math.sqrt(stiffness * mass)),
+        dampedFrequency, root, r1, r2, a;
+
+    if (dampingRatio < 1) {
+        dampedFrequency = naturalFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+        return function(t) {
+            return 1 - Math.exp(-dampingRatio * naturalFrequency * t) * (Math.cos(dampedFrequency * t) +
+                (dampingRatio * naturalFrequency - velocity) / dampedFrequency * Math.sin(dampedFrequency * t));
+        };
+    } else if (dampingRatio === 1) {
+        return function(t) {
+            return 1 - Math.exp(-naturalFrequency * t) * (1 + (naturalFrequency - velocity) * t);
+        };
+    }
+
+    root = naturalFrequency * Math.sqrt(dampingRatio * dampingRatio - 1);
+    r1 = -dampingRatio * naturalFrequency + root;
+    r2 = -dampingRatio * naturalFrequency - root;
+    a = (-velocity - r2) / (r1 - r2);
+    return function(t) {
+        return 1 - a * Math.exp(r1 * t) - (1 - a) * Math.exp(r2 * t);
+    };
+}
+
+/**
+ * Creates the timing function of a physical spring along with the duration it takes the spring to settle.
+ *
+ * The returned object can be used anywhere a timing function is accepted, the duration of the spring is used by
+ * properties and transitions that do not specify their own duration.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.stiffness=100]
+ * @param {Number} [options.damping=10]
+ * @param {Number} [options.mass=1]
+ * @param {Number} [options.velocity=0] initial velocity, in distances per second
+ * @param {String} [options.output] "linear" for a linear() timing function or "cubic-bezier" for its cubic-bezier()
+ *      approximation. By default linear() is used if it is supported.
+ * @returns {{timingFunction: String, duration: String}}
+ */
+function spring(options) {
+    let i, position, duration = maxSpringDuration, func, timingFunction, name;
+
+    options = utils.defaults(utils.extend({}, options), springDefaults);
+    for (name in {stiffness: true, damping: true, mass: true}) {
+        if (!utils.isNumber(options[name]) || options[name] <= 0) {
+            throw "[Transition.spring]: Invalid " + name + " '" + options[name] + "'";
+        }
+    }
+    if (!utils.isNumber(options.velocity)) {
+        throw "[Transition.spring]: Invalid velocity '" + options.velocity + "'";
+    }
+    if ([null, "linear", "cubic-bezier"].indexOf(options.output) < 0) {
+        throw "[Transition.spring]: Invalid output '" + options.output + "'";
+    }
+
+    position = springPosition(options.stiffness, options.damping, options.mass, options.velocity);
+
+    // Find the last millisecond the spring is not at rest
+    for (i = maxSpringDuration * 1000; i > 0; i--) {
+        if (Math.abs(1 - position(i / 1000)) > springRestThreshold) {
+            duration = (i + 1) / 1000;
+            break;
+        }
+    }
+
+    func = function(x) {
+        return position(x * duration);
+    };
+
+    if (options.output === "linear") {
+        timingFunction = toLinear(func);
+    } else if (options.output === "cubic-bezier") {
+        timingFunction = toCubicBezier(func);
+    } else {
+        timingFunction = toTimingFunction(func);
+    }
+
+    return {
+        timingFunction: timingFunction,
+        duration: utils.formatTime(duration * 1000),
+        toString: function() {
+            return this.timingFunction;
+        }
+    };
+}
+
+/**
+ * Catalogue of named easing curves and the spring timing function generator.
+ */
+module.exports = {
+    get: get,
+    spring: spring,
+    toLinear: toLinear,
+    toCubicBezier: toCubicBezier
+};
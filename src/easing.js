@@ -0,0 +1,310 @@
+const bezier = require('./bezier');
+
+let stepsRegExp = /^steps\(\s*(\d+)\s*(?:,\s*(jump-start|jump-end|jump-none|jump-both|start|end)\s*)?\)$/i;
+let linearFunctionRegExp = /^linear\((.*)\)$/i;
+let linearStopRegExp = /^([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)(?:\s+([-+]?(?:\d*\.)?\d+)%)?(?:\s+([-+]?(?:\d*\.)?\d+)%)?$/i;
+// Parts of linear() timing functions shorter than this, or whose output changes less than this, are linear
+let linearEpsilon = 1e-6;
+
+/**
+ * Parses a steps() timing function, step-start and step-end keywords are parsed as well.
+ *
+ * @param {String} timingFunction
+ * @returns {{steps: Number, position: String}|null}
+ */
+function parseSteps(timingFunction) {
+    let match, name = String(timingFunction).trim().toLowerCase();
+
+    if (name === "step-start") {
+        return {steps: 1, position: "jump-start"};
+    } else if (name === "step-end") {
+        return {steps: 1, position: "jump-end"};
+    }
+
+    match = stepsRegExp.exec(name);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        steps: parseInt(match[1], 10),
+        position: (match[2] || "end").replace(/^(start|end)$/, "jump-$1")
+    };
+}
+
+/**
+ * Returns the output progress of a steps() timing function.
+ * https://drafts.csswg.org/css-easing/#step-easing-algo
+ *
+ * @param {{steps: Number, position: String}} steps
+ * @param {Number} x
+ * @returns {Number}
+ */
+function evaluateSteps(steps, x) {
+    let jumps, step;
+
+    jumps = steps.steps;
+    if (steps.position === "jump-none") {
+        jumps = steps.steps - 1;
+    } else if (steps.position === "jump-both") {
+        jumps = steps.steps + 1;
+    }
+    if (jumps <= 0) {
+        return x >= 1 ? 1 : 0;
+    }
+
+    step = Math.floor(x * steps.steps);
+    if (steps.position === "jump-start" || steps.position === "jump-both") {
+        step++;
+    }
+    step = Math.max(0, Math.min(step, jumps));
+
+    return step / jumps;
+}
+
+/**
+ * Parses a linear() timing function into its control points, the points that have no input progress are evenly
+ * spaced between their neighbours.
+ * https://drafts.csswg.org/css-easing-2/#the-linear-easing-function
+ *
+ * @param {String} timingFunction
+ * @returns {Array.<{input: Number, output: Number}>|null}
+ */
+function parseLinear(timingFunction) {
+    let i, j, k, match, stops, points = [], maxInput;
+
+    match = linearFunctionRegExp.exec(String(timingFunction).trim());
+    if (!match) {
+        return null;
+    }
+
+    stops = match[1].split(",");
+    for (i = 0; i < stops.length; i++) {
+        match = linearStopRegExp.exec(stops[i].trim());
+        if (!match) {
+            return null;
+        }
+        points.push({
+            input: match[2] !== undefined ? parseFloat(match[2]) / 100 : null,
+            output: parseFloat(match[1])
+        });
+        // A stop with two input progresses holds its output between them
+        if (match[3] !== undefined) {
+            points.push({input: parseFloat(match[3]) / 100, output: parseFloat(match[1])});
+        }
+    }
+    if (points.length < 2) {
+        return null;
+    }
+
+    if (points[0].input === null) {
+        points[0].input = 0;
+    }
+    if (points[points.length - 1].input === null) {
+        points[points.length - 1].input = 1;
+    }
+
+    // Input progresses can not decrease
+    maxInput = points[0].input;
+    for (i = 1; i < points.length; i++) {
+        if (points[i].input !== null) {
+            points[i].input = Math.max(points[i].input, maxInput);
+            maxInput = points[i].input;
+        }
+    }
+
+    for (i = 1; i < points.length; i++) {
+        if (points[i].input === null) {
+            for (j = i + 1; points[j].input === null; j++) {}
+            for (k = i; k < j; k++) {
+                points[k].input = points[i - 1].input + (points[j].input - points[i - 1].input) * (k - i + 1) / (j - i + 1);
+            }
+            i = j;
+        }
+    }
+
+    return points;
+}
+
+/**
+ * Returns the output progress of a linear() timing function.
+ *
+ * @param {Array.<{input: Number, output: Number}>} points
+ * @param {Number} x
+ * @returns {Number}
+ */
+function evaluateLinear(points, x) {
+    let i = points.length - 1, a, b;
+
+    while (i > 0 && points[i].input > x) {
+        i--;
+    }
+    if (i === points.length - 1 || points[i].input > x) {
+        return points[i].output;
+    }
+
+    a = points[i];
+    b = points[i + 1];
+    return a.output + (b.output - a.output) * (x - a.input) / (b.input - a.input);
+}
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
+
+function formatLinear(points) {
+    return "linear(" + points.map(function(point) {
+        return round(point.output, 100000) + " " + round(point.input * 100, 1000) + "%";
+    }).join(", ") + ")";
+}
+
+/**
+ * Returns the points of the part of a linear() timing function between the passed input progresses. The outputs are
+ * scaled so the passed start and end outputs, the values the part transitions between, become 0 and 1. Returns null
+ * if the part is empty or these outputs are equal.
+ *
+ * @param {Array.<{input: Number, output: Number}>} points
+ * @param {Number} start
+ * @param {Number} end
+ * @param {Number} startOutput
+ * @param {Number} endOutput
+ * @returns {Array.<{input: Number, output: Number}>|null}
+ */
+function getLinearPart(points, start, end, startOutput, endOutput) {
+    let i, part = [{input: start, output: evaluateLinear(points, start)}];
+
+    if (Math.abs(endOutput - startOutput) < linearEpsilon || end - start < linearEpsilon) {
+        return null;
+    }
+
+    for (i = 0; i < points.length; i++) {
+        if (points[i].input > start && points[i].input < end) {
+            part.push(points[i]);
+        }
+    }
+    part.push({input: end, output: evaluateLinear(points, end)});
+
+    return part.map(function(point) {
+        return {
+            input: (point.input - start) / (end - start),
+            output: (point.output - startOutput) / (endOutput - startOutput)
+        };
+    });
+}
+
+/**
+ * Splits a CSS timing function at the passed input progress, same as bezier.splitTimingFunction, linear() timing
+ * functions are split between their points.
+ *
+ * @param {String} timingFunction
+ * @param {Number} x input progress in the range [0, 1]
+ * @returns {{progress: Number, elapsed: String, remaining: String}|null}
+ */
+function splitTimingFunction(timingFunction, x) {
+    let points = parseLinear(timingFunction), progress, elapsed, remaining;
+
+    if (!points) {
+        return bezier.splitTimingFunction(timingFunction, x);
+    }
+
+    progress = evaluateLinear(points, x);
+    elapsed = getLinearPart(points, 0, x, 0, progress);
+    remaining = getLinearPart(points, x, 1, progress, 1);
+
+    return {
+        progress: progress,
+        elapsed: elapsed ? formatLinear(elapsed) : "linear",
+        remaining: remaining ? formatLinear(remaining) : "linear"
+    };
+}
+
+/**
+ * Returns the timing function of the same motion played backwards, same as bezier.reverseTimingFunction, the points
+ * of linear() timing functions are rotated by 180 degrees around the center.
+ *
+ * @param {String} timingFunction
+ * @returns {String|null}
+ */
+function reverseTimingFunction(timingFunction) {
+    let points = parseLinear(timingFunction);
+
+    if (!points) {
+        return bezier.reverseTimingFunction(timingFunction);
+    }
+
+    return formatLinear(points.reverse().map(function(point) {
+        return {input: 1 - point.input, output: 1 - point.output};
+    }));
+}
+
+/**
+ * Returns a function that evaluates a CSS timing function, it receives an input progress in the range [0, 1] and
+ * returns the output progress. Timing functions that can not be parsed are evaluated as linear.
+ *
+ * @param {String} timingFunction
+ * @returns {Function}
+ */
+function create(timingFunction) {
+    let curve, steps, linear, evaluateProgress;
+
+    curve = bezier.parseTimingFunction(timingFunction);
+    steps = curve ? null : parseSteps(timingFunction);
+    linear = curve || steps ? null : parseLinear(timingFunction);
+
+    if (curve) {
+        evaluateProgress = function(x) {
+            return curve.valueAt(x);
+        };
+    } else if (steps) {
+        evaluateProgress = function(x) {
+            return evaluateSteps(steps, x);
+        };
+    } else if (linear) {
+        evaluateProgress = function(x) {
+            return evaluateLinear(linear, x);
+        };
+    } else {
+        evaluateProgress = function(x) {
+            return x;
+        };
+    }
+
+    return function(x) {
+        if (x >= 1) {
+            return 1;
+        }
+        return evaluateProgress(Math.max(x, 0));
+    };
+}
+
+/**
+ * Returns the output progress of a CSS timing function at the passed input progress.
+ *
+ * @param {String} timingFunction
+ * @param {Number} x input progress in the range [0, 1]
+ * @returns {Number}
+ */
+function evaluate(timingFunction, x) {
+    return create(timingFunction)(x);
+}
+
+/**
+ * Returns true if the passed value is a CSS timing function: a keyword, cubic-bezier(), steps() or linear().
+ *
+ * @param {*} timingFunction
+ * @returns {boolean}
+ */
+function isTimingFunction(timingFunction) {
+    return typeof timingFunction === "string" && (bezier.parseTimingFunction(timingFunction) !== null ||
+        parseSteps(timingFunction) !== null || parseLinear(timingFunction) !== null);
+}
+
+module.exports = {
+    isTimingFunction: isTimingFunction,
+    parseSteps: parseSteps,
+    parseLinear: parseLinear,
+    splitTimingFunction: splitTimingFunction,
+    reverseTimingFunction: reverseTimingFunction,
+    create: create,
+    evaluate: evaluate
+};
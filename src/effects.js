@@ -0,0 +1,146 @@
+const utils = require('./utils');
+
+let effectNameRegExp = /^[a-z_][\w-]*$/i;
+let effects = {};
+let reversedEffects = {};
+
+/**
+ * Registers a named effect that can be used in place of transition properties. The factory receives the parameters
+ * of the effect and returns transition properties in any of the forms accepted by transition.begin, it may use
+ * other effects as well.
+ *
+ * The reversed factory receives the same parameters and returns the properties of the effect played backwards, used
+ * when the effect is reversed, e.g. to hide an element by transition.toggle. Effects without reversed factory are
+ * reversed by swapping the "from" and "to" values of their properties.
+ *
+ * @param {String} name
+ * @param {Function} factory
+ * @param {Function} [reversedFactory]
+ */
+function register(name, factory, reversedFactory) {
+    if (!utils.isString(name) || !effectNameRegExp.test(name)) {
+        throw "[Transition.registerEffect]: Invalid effect name '" + name + "'";
+    }
+    if (!utils.isFunction(factory)) {
+        throw "[Transition.registerEffect]: The factory of effect '" + name + "' must be a function";
+    }
+    if (reversedFactory !== undefined && !utils.isFunction(reversedFactory)) {
+        throw "[Transition.registerEffect]: The reversed factory of effect '" + name + "' must be a function";
+    }
+    effects[name] = factory;
+    if (reversedFactory) {
+        reversedEffects[name] = reversedFactory;
+    } else {
+        delete reversedEffects[name];
+    }
+}
+
+function has(name) {
+    return utils.isString(name) && effects.hasOwnProperty(name);
+}
+
+function hasReversed(name) {
+    return has(name) && reversedEffects.hasOwnProperty(name);
+}
+
+/**
+ * Returns the transition properties of the effect with the passed parameters.
+ *
+ * @param {String} name
+ * @param {Object} [params]
+ * @param {boolean} [reversed] use the reversed factory of the effect, see hasReversed
+ * @returns {Array|Object|String}
+ */
+function expand(name, params, reversed) {
+    if (!has(name)) {
+        throw "[Transition]: Unknown effect '" + name + "'";
+    }
+    return (reversed ? reversedEffects[name] : effects[name])(utils.extend({}, params));
+}
+
+function fade(from, to) {
+    return {property: "opacity", from: from, to: to};
+}
+
+// Slides move the element into place from the passed distance, in the direction their name tells
+function slide(axis, sign) {
+    return function(params) {
+        let properties = [{
+            property: "transform",
+            from: "translate" + axis + "(" + (sign < 0 ? "-" : "") + (params.distance || "20px") + ")",
+            to: "translate" + axis + "(0px)"
+        }];
+        if (params.fade !== false) {
+            properties.push(fade("0", "1"));
+        }
+        return properties;
+    };
+}
+
+function zoom(entering) {
+    return function(params) {
+        let scale = "scale(" + (utils.isNumber(params.scale) ? params.scale : 0.5) + ")",
+            properties = [{
+                property: "transform",
+                from: entering ? scale : "scale(1)",
+                to: entering ? "scale(1)" : scale
+            }];
+        if (params.fade !== false) {
+            properties.push(entering ? fade("0", "1") : fade(null, "0"));
+        }
+        return properties;
+    };
+}
+
+function flip(axis) {
+    return function(params) {
+        let perspective = "perspective(" + (params.perspective || "400px") + ") ";
+        return {
+            property: "transform",
+            from: perspective + "rotate" + axis + "(" + (params.angle || "90deg") + ")",
+            to: perspective + "rotate" + axis + "(0deg)"
+        };
+    };
+}
+
+function fadeIn(params) {
+    return fade("0", String(utils.isNumber(params.opacity) ? params.opacity : 1));
+}
+
+function fadeOut(params) {
+    return fade(null, String(utils.isNumber(params.opacity) ? params.opacity : 0));
+}
+
+function collapse(params) {
+    return {property: params.dimension || "height", to: "0px"};
+}
+
+function expandDimension(params) {
+    return {property: params.dimension || "height", to: "auto"};
+}
+
+// Effects whose properties begin from the current values can not be reversed by swapping their values, they are
+// reversed by their counterparts
+register("fadeIn", fadeIn, function() {
+    return fade(null, "0");
+});
+register("fadeOut", fadeOut, function(params) {
+    return fade(String(utils.isNumber(params.opacity) ? params.opacity : 0), "1");
+});
+register("slideUp", slide("Y", 1));
+register("slideDown", slide("Y", -1));
+register("slideLeft", slide("X", 1));
+register("slideRight", slide("X", -1));
+register("zoomIn", zoom(true), zoom(false));
+register("zoomOut", zoom(false), zoom(true));
+register("collapse", collapse, expandDimension);
+register("expand", expandDimension, collapse);
+register("flipX", flip("X"));
+register("flipY", flip("Y"));
+
+module.exports = {
+    register: register,
+    has: has,
+    hasReversed: hasReversed,
+    expand: expand
+};
@@ -0,0 +1,216 @@
+const utils = require('../utils');
+
+let transitionPropertyCommaRegExp = /\s*,\s*/;
+let transitionTimingFunctionRegExpExec = /(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;
+
+/**
+ * This function returns transition values for duration, delay and timing function of transition properties.
+ *
+ * For example, if an element has the following transition definition:
+ *   transition-property: color, background-color, width;
+ *   transition-duration: 1s, 400ms
+ *   transition-delay: 2s
+ *
+ * Then the return value will be:
+ * {
+ *     cssProperties: ['color', 'background-color', 'width'],
+ *     durations: ['1s', '400ms', '1s', '400ms'],
+ *     delays: ['2s', '2s', '2s', '2s'],
+ *     timingFunctions: ['ease', 'ease', 'ease', 'ease']
+ * }
+ *
+ * In the case where the lists of values in transition properties do not have the same length, the length of the
+ * transition-property list determines the number of items in each list examined when starting transitions.
+ * The lists are matched up from the first value: excess values at the end are not used. If one of the other properties
+ * doesn’t have enough comma-separated values to match the number of values of transition-property, the UA must
+ * calculate its used value by repeating the list of values until there are enough. This truncation or repetition does
+ * not affect the computed value.
+ * https://drafts.csswg.org/css-transitions/#transitions
+ *
+ * @param element
+ * @returns {{
+ *      cssProperties: Array,
+ *      durations: Array,
+ *      delays: Array,
+ *      timingFunctions: Array
+ * }}
+ */
+function getElementTransitionValues(element) {
+    let i,
+        transitionPropertyCSS,
+        transitionDurationCSS,
+        transitionDelayCSS,
+        transitionTimingFunctionCSS,
+        cssProperties = [],
+        durations = [],
+        delays = [],
+        timingFunctions = [],
+        regExpResult,
+        cssPropertiesLength,
+        durationsLength,
+        delaysLength,
+        timingFunctionsLength;
+
+    transitionPropertyCSS = element.style[utils.transitionProperty];
+
+    // If the element has no specified properties in transition-property then do not get the rest of transition-*
+    // properties and leave them empty. Otherwise, get the rest of transition-* properties and fill them to the
+    // length of transition-property by repeating their values. Do we really need this?
+    // https://developer.mozilla.org/en-US/docs/Web/Guide/CSS/Using_CSS_transitions#When_property_value_lists_are_of_different_lengths
+    if (transitionPropertyCSS) {
+
+        transitionDurationCSS = element.style[utils.transitionDuration];
+        transitionDelayCSS = element.style[utils.transitionDelay];
+        transitionTimingFunctionCSS = element.style[utils.transitionTimingFunction];
+
+        cssProperties   = transitionPropertyCSS.split(transitionPropertyCommaRegExp);
+        durations       = transitionDurationCSS ? transitionDurationCSS.split(transitionPropertyCommaRegExp) : ["0s"];
+        delays          = transitionDelayCSS    ? transitionDelayCSS.split(transitionPropertyCommaRegExp)    : ["0s"];
+
+        if (!transitionTimingFunctionCSS) {
+            timingFunctions = ["ease"];
+        } else {
+            timingFunctions = [];
+            while ((regExpResult = transitionTimingFunctionRegExpExec.exec(transitionTimingFunctionCSS)) !== null) {
+                timingFunctions.push(regExpResult[1])
+            }
+        }
+
+        cssPropertiesLength = cssProperties.length;
+        durationsLength = durations.length;
+        delaysLength = delays.length;
+        timingFunctionsLength = timingFunctions.length;
+
+        for (i = 0; i < cssPropertiesLength; i++) {
+            if (durationsLength <= i) {
+                durations.push(durations[i % durationsLength]);
+            }
+            if (delaysLength <= i) {
+                delays.push(delays[i % delaysLength]);
+            }
+            if (timingFunctionsLength <= i) {
+                timingFunctions.push(timingFunctions[i % timingFunctionsLength]);
+            }
+        }
+    }
+
+    return {
+        cssProperties: cssProperties,
+        durations: durations,
+        delays: delays,
+        timingFunctions: timingFunctions
+    }
+}
+
+/**
+ * Removes the values of the passed css property from the transition values returned by getElementTransitionValues.
+ *
+ * @param {Object} transitionValues
+ * @param {String} propertyName
+ * @returns {boolean} false if transition values do not have the passed css property
+ */
+function removeElementTransitionValue(transitionValues, propertyName) {
+    let index = transitionValues.cssProperties.indexOf(propertyName);
+    if (index < 0) {
+        return false;
+    }
+    transitionValues.cssProperties.splice(index, 1);
+    transitionValues.durations.splice(index, 1);
+    transitionValues.delays.splice(index, 1);
+    transitionValues.timingFunctions.splice(index, 1);
+    return true;
+}
+
+function setElementTransitionValues(element, transitions) {
+    element.style[utils.transitionProperty] = transitions.cssProperties.join(", ");
+    element.style[utils.transitionDuration] = transitions.durations.join(", ");
+    element.style[utils.transitionDelay] = transitions.delays.join(", ");
+    element.style[utils.transitionTimingFunction] = transitions.timingFunctions.join(", ");
+}
+
+/**
+ * Engine that transitions properties using the element's inline transition-* properties. Segments end when the
+ * transitionend event of the property is received by the transition, see Transition.handleEvent.
+ */
+module.exports = {
+
+    name: "css",
+
+    isSupported: function() {
+        return utils.hasTransition;
+    },
+
+    listen: function(transition, element) {
+        element.addEventListener(utils.transitionEndEvent, /** @type EventListener */ transition, false);
+        if (utils.transitionCancelEvent) {
+            element.addEventListener(utils.transitionRunEvent, /** @type EventListener */ transition, false);
+            element.addEventListener(utils.transitionStartEvent, /** @type EventListener */ transition, false);
+            element.addEventListener(utils.transitionCancelEvent, /** @type EventListener */ transition, false);
+        }
+    },
+
+    unlisten: function(transition, element) {
+        element.removeEventListener(utils.transitionEndEvent, /** @type EventListener */ transition, false);
+        if (utils.transitionCancelEvent) {
+            element.removeEventListener(utils.transitionRunEvent, /** @type EventListener */ transition, false);
+            element.removeEventListener(utils.transitionStartEvent, /** @type EventListener */ transition, false);
+            element.removeEventListener(utils.transitionCancelEvent, /** @type EventListener */ transition, false);
+        }
+    },
+
+    /**
+     * Applies the current segments of the passed properties. Their transition values replace the transition values
+     * the properties already have, then the properties are set to their target values.
+     *
+     * From http://www.w3.org/TR/css3-transitions/#starting
+     * when one of these ‘transition-*’ properties changes at the same time as a property whose change might
+     * transition, it is the new values of the ‘transition-*’ properties that control the transition.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    applySegments: function(transition, element, properties) {
+        let i, property, transitionValues = getElementTransitionValues(element);
+
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            removeElementTransitionValue(transitionValues, property.cssProperty);
+            transitionValues.cssProperties.push(property.cssProperty);
+            transitionValues.durations.push(utils.formatTime(property.segment.duration));
+            transitionValues.delays.push(utils.formatTime(property.segment.delay));
+            transitionValues.timingFunctions.push(property.segment.timingFunction);
+        }
+        setElementTransitionValues(element, transitionValues);
+
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            element.style[property.domProperty] = property.getTarget();
+        }
+    },
+
+    /**
+     * Removes the passed properties from the element's transition values, the properties jump to their inline
+     * values. Properties that were already removed, for example because they are paused, are ignored.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    removeSegments: function(transition, element, properties) {
+        let i, found = false, transitionValues = getElementTransitionValues(element);
+
+        for (i = 0; i < properties.length; i++) {
+            if (removeElementTransitionValue(transitionValues, properties[i].cssProperty)) {
+                found = true;
+            }
+        }
+        if (found) {
+            setElementTransitionValues(element, transitionValues);
+        }
+    },
+
+    getElementTransitionValues: getElementTransitionValues,
+    removeElementTransitionValue: removeElementTransitionValue,
+    setElementTransitionValues: setElementTransitionValues
+};
@@ -0,0 +1,167 @@
+const utils = require('../utils');
+const easing = require('../easing');
+const interpolation = require('../interpolation');
+
+// Tweens of all elements are rendered by a single animation frame loop
+let tweens = [];
+let frameRequested = false;
+
+function Tween(transition, element, property) {
+    this.transition = transition;
+    this.element = element;
+    this.property = property;
+    this.segment = property.segment;
+    this.from = String(property.segment.from);
+    this.to = String(property.getTarget());
+    this.interpolate = interpolation.createInterpolator(this.from, this.to);
+    this.ease = easing.create(property.segment.timingFunction);
+    this.started = false;
+}
+
+Tween.prototype = {
+
+    constructor: Tween,
+
+    /**
+     * Sets the value of the property at the passed time.
+     *
+     * @param {Number} now
+     * @returns {boolean} true if the segment has ended
+     */
+    render: function(now) {
+        let elapsed = now - this.segment.startTime - this.segment.delay,
+            style = this.element.style,
+            domProperty = this.property.domProperty;
+
+        // Hold the "from" value during the delay, same as CSS transitions do
+        if (elapsed < 0) {
+            style[domProperty] = this.from;
+            return false;
+        }
+
+        if (elapsed >= this.segment.duration) {
+            style[domProperty] = this.to;
+            return true;
+        }
+
+        style[domProperty] = this.interpolate(this.ease(elapsed / this.segment.duration));
+        return false;
+    },
+
+    isCurrent: function() {
+        return this.transition.getTransitioningProperty(this.property.cssProperty) === this.property;
+    }
+};
+
+function requestFrame() {
+    if (!frameRequested) {
+        frameRequested = true;
+        utils.requestAnimationFrame(tick);
+    }
+}
+
+function removeTween(tween) {
+    let index = tweens.indexOf(tween);
+    if (index >= 0) {
+        tweens.splice(index, 1);
+    }
+    if (tween.property.tween === tween) {
+        tween.property.tween = null;
+    }
+}
+
+function tick() {
+    let i, tween, ended, now = utils.now(), currentTweens = tweens.slice();
+
+    frameRequested = false;
+
+    for (i = 0; i < currentTweens.length; i++) {
+        tween = currentTweens[i];
+        // Callbacks of tweens that ended in this frame may remove or replace other tweens
+        if (tweens.indexOf(tween) < 0) {
+            continue;
+        }
+
+        ended = tween.render(now);
+
+        if (!tween.started && now - tween.segment.startTime >= tween.segment.delay) {
+            tween.started = true;
+            if (tween.isCurrent()) {
+                tween.transition.startTransitioningProperty(tween.element, tween.property.cssProperty);
+            }
+        }
+
+        if (ended) {
+            removeTween(tween);
+            if (tween.isCurrent()) {
+                tween.transition.endPropertySegment(tween.element, tween.property.cssProperty);
+            }
+        }
+    }
+
+    if (tweens.length) {
+        requestFrame();
+    }
+}
+
+/**
+ * Engine that transitions properties by interpolating their values in JavaScript on every animation frame. Used in
+ * environments that do not support CSS transitions. The tween rendering the current segment of a property is stored
+ * in property.tween.
+ */
+module.exports = {
+
+    name: "js",
+
+    isSupported: function() {
+        return true;
+    },
+
+    // Tweens report their end from the animation frame loop, there are no element events to listen to.
+    listen: function() {},
+
+    unlisten: function() {},
+
+    /**
+     * Starts tweens for the current segments of the passed properties, replacing the tweens the properties already
+     * have. The properties are rendered immediately at their current point of time.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    applySegments: function(transition, element, properties) {
+        let i, property, tween, now = utils.now();
+
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            if (property.tween) {
+                removeTween(property.tween);
+            }
+            tween = new Tween(transition, element, property);
+            property.tween = tween;
+            tweens.push(tween);
+            tween.render(now);
+        }
+
+        requestFrame();
+    },
+
+    /**
+     * Stops the tweens of the passed properties, the properties are left with the values of their last rendered
+     * frame.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    removeSegments: function(transition, element, properties) {
+        let i;
+
+        for (i = 0; i < properties.length; i++) {
+            if (properties[i].tween) {
+                removeTween(properties[i].tween);
+            }
+        }
+    }
+};
@@ -0,0 +1,256 @@
+const utils = require('../utils');
+
+let vendorPrefixRegExp = /^-[a-z]+-/;
+
+/**
+ * Returns the name of the property in keyframes of animations. Animations accept the unprefixed properties in camel
+ * case, custom properties keep their names.
+ *
+ * @param {TransitionProperty} property
+ * @returns {String}
+ */
+function getKeyframeProperty(property) {
+    let name = property.cssProperty.replace(vendorPrefixRegExp, "");
+    if (name.indexOf("--") === 0) {
+        return name;
+    }
+    return name === "float" ? "cssFloat" : utils.cssToDOM(name);
+}
+
+function clearStartTimeout(property) {
+    if (property.startTimeout) {
+        window.clearTimeout(property.startTimeout);
+        property.startTimeout = null;
+    }
+}
+
+function cancelAnimation(property) {
+    clearStartTimeout(property);
+    if (property.animation) {
+        property.animation.onfinish = null;
+        property.animation.oncancel = null;
+        property.animation.cancel();
+        property.animation = null;
+    }
+}
+
+function isCurrent(transition, property) {
+    return transition.getTransitioningProperty(property.cssProperty) === property;
+}
+
+/**
+ * Animations do not dispatch events when their delay ends, the start of the property is reported by a timer set to
+ * the end of the delay of its animation.
+ *
+ * @param {Transition} transition
+ * @param {HTMLElement} element
+ * @param {TransitionProperty} property
+ */
+function watchStart(transition, element, property) {
+    let animation = property.animation, remaining;
+
+    clearStartTimeout(property);
+    if (!animation || property.started || animation.playState === "paused") {
+        return;
+    }
+
+    remaining = (animation.effect.getTiming().delay - (animation.currentTime || 0)) / animation.playbackRate;
+    property.startTimeout = window.setTimeout(function() {
+        property.startTimeout = null;
+        if (property.animation === animation && isCurrent(transition, property)) {
+            transition.startTransitioningProperty(element, property.cssProperty);
+        }
+    }, Math.max(remaining, 0));
+}
+
+/**
+ * Engine that transitions properties using the Web Animations API. Every segment of a property is played by its own
+ * animation, stored in property.animation, while the inline value of the property is set to the target value of the
+ * segment, so the property keeps this value once the animation is finished or cancelled.
+ *
+ * Running animations are paused, resumed, sought and rescaled using the animations themselves, see pauseSegments,
+ * resumeSegments, seekSegments and setSegmentsPlaybackRate.
+ */
+module.exports = {
+
+    name: "waapi",
+
+    isSupported: function() {
+        return utils.hasWebAnimations;
+    },
+
+    // Animations report their end using their finish event, there are no element events to listen to.
+    listen: function() {},
+
+    unlisten: function() {},
+
+    /**
+     * Plays the current segments of the passed properties, replacing the animations the properties already have.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    applySegments: function(transition, element, properties) {
+        let i;
+
+        for (i = 0; i < properties.length; i++) {
+            this.animateProperty(transition, element, properties[i]);
+        }
+    },
+
+    animateProperty: function(transition, element, property) {
+        let animation, segment = property.segment, keyframeProperty = getKeyframeProperty(property), from = {}, to = {};
+
+        cancelAnimation(property);
+
+        from[keyframeProperty] = String(segment.from);
+        to[keyframeProperty] = String(property.getTarget());
+        element.style[property.domProperty] = property.getTarget();
+
+        // Fill backwards to hold the "from" value during the delay, same as CSS transitions do
+        animation = element.animate([from, to], {
+            duration: segment.duration,
+            delay: segment.delay,
+            easing: segment.timingFunction,
+            fill: "backwards"
+        });
+        property.animation = animation;
+        // The segment the animation plays, sought animations are reused only if it did not change
+        property.animatedSegment = segment;
+
+        if (transition.paused) {
+            animation.pause();
+        }
+
+        animation.onfinish = function() {
+            if (property.animation !== animation) {
+                return;
+            }
+            property.animation = null;
+            clearStartTimeout(property);
+            if (isCurrent(transition, property)) {
+                transition.endPropertySegment(element, property.cssProperty);
+            }
+        };
+
+        // Animations cancelled by this engine have their handlers removed first
+        animation.oncancel = function() {
+            if (property.animation !== animation) {
+                return;
+            }
+            property.animation = null;
+            clearStartTimeout(property);
+            if (isCurrent(transition, property)) {
+                transition.cancelTransitioningProperty(element, property.cssProperty);
+            }
+        };
+
+        watchStart(transition, element, property);
+    },
+
+    /**
+     * Cancels the animations of the passed properties, the properties jump to their inline values.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    removeSegments: function(transition, element, properties) {
+        let i;
+
+        for (i = 0; i < properties.length; i++) {
+            cancelAnimation(properties[i]);
+        }
+    },
+
+    /**
+     * Pauses the animations of the passed properties, the properties hold their current values.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    pauseSegments: function(transition, element, properties) {
+        let i;
+
+        for (i = 0; i < properties.length; i++) {
+            clearStartTimeout(properties[i]);
+            if (properties[i].animation) {
+                properties[i].animation.pause();
+            }
+        }
+    },
+
+    /**
+     * Continues the paused animations of the passed properties. Properties that were paused before their segments
+     * were played begin playing them.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    resumeSegments: function(transition, element, properties) {
+        let i, property;
+
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            if (property.animation) {
+                property.animation.play();
+                watchStart(transition, element, property);
+            } else {
+                this.animateProperty(transition, element, property);
+            }
+        }
+    },
+
+    /**
+     * Moves the animations of the passed properties to the point of their current segments, which were sought by
+     * TransitionProperty.seekSegment. Animations playing different segments, for example other keyframes, are
+     * replaced. Animations of a paused transition remain paused.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    seekSegments: function(transition, element, properties) {
+        let i, property, segment, animated, timing;
+
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            segment = property.segment;
+            animated = property.animatedSegment;
+            if (!property.animation || property.animation.playbackRate !== 1 || String(animated.from) !== String(segment.from) ||
+                animated.duration !== segment.duration || animated.timingFunction !== segment.timingFunction) {
+                this.animateProperty(transition, element, property);
+                continue;
+            }
+            // The sought segment begins now, its negative delay is the time that elapsed since its beginning
+            timing = property.animation.effect.getTiming();
+            property.animation.currentTime = Math.min(timing.delay - segment.delay, timing.delay + timing.duration);
+            property.animatedSegment = segment;
+            watchStart(transition, element, property);
+        }
+    },
+
+    /**
+     * Changes the playback rate of the animations of the passed properties, whose durations and delays were
+     * multiplied by the passed ratio by TransitionProperty.scaleTime.
+     *
+     * @param {Transition} transition
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     * @param {Number} ratio
+     */
+    setSegmentsPlaybackRate: function(transition, element, properties, ratio) {
+        let i, animation;
+
+        for (i = 0; i < properties.length; i++) {
+            animation = properties[i].animation;
+            if (animation) {
+                animation.playbackRate = animation.playbackRate / ratio;
+                watchStart(transition, element, properties[i]);
+            }
+        }
+    }
+};
@@ -0,0 +1,404 @@
+let tokenRegExp = /-?[a-z_][\w-]*|([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)([a-z%]*)/gi;
+let relativeTokenRegExp = /-?[a-z_][\w-]*|(?:([-+*])=\s*)?([-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?)([a-z%]*)/gi;
+let relativeValueRegExp = /[-+*]=\s*[-+]?(?:\d*\.)?\d/;
+let hexColorRegExp = /#([0-9a-f]{3,8})\b/gi;
+let functionColorRegExp = /\b(rgba?|hsla?)\(([^)]*)\)/gi;
+let namedColorRegExp = /\b(transparent|black|white|gray|grey|silver|red|maroon|orange|yellow|olive|lime|green|aqua|cyan|teal|blue|navy|fuchsia|magenta|purple)\b/gi;
+let colorArgumentsSplitRegExp = /\s*[,\s\/]\s*/;
+let transformListRegExp = /^(?:\s*[a-z][\w]*\([^)]*\))+\s*$/i;
+let transformFunctionRegExp = /([a-z][\w]*)\(([^)]*)\)/gi;
+
+let namedColors = {
+    transparent: [0, 0, 0, 0],
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    gray: [128, 128, 128, 1],
+    grey: [128, 128, 128, 1],
+    silver: [192, 192, 192, 1],
+    red: [255, 0, 0, 1],
+    maroon: [128, 0, 0, 1],
+    orange: [255, 165, 0, 1],
+    yellow: [255, 255, 0, 1],
+    olive: [128, 128, 0, 1],
+    lime: [0, 255, 0, 1],
+    green: [0, 128, 0, 1],
+    aqua: [0, 255, 255, 1],
+    cyan: [0, 255, 255, 1],
+    teal: [0, 128, 128, 1],
+    blue: [0, 0, 255, 1],
+    navy: [0, 0, 128, 1],
+    fuchsia: [255, 0, 255, 1],
+    magenta: [255, 0, 255, 1],
+    purple: [128, 0, 128, 1]
+};
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
+
+function formatColor(rgba) {
+    return "rgba(" + Math.round(rgba[0]) + ", " + Math.round(rgba[1]) + ", " + Math.round(rgba[2]) + ", " + round(rgba[3], 1000) + ")";
+}
+
+function hexToRGBA(hex) {
+    let i, channels = [], size;
+
+    if (hex.length === 3 || hex.length === 4) {
+        hex = hex.replace(/./g, "$&$&");
+    }
+    if (hex.length !== 6 && hex.length !== 8) {
+        return null;
+    }
+
+    size = hex.length / 2;
+    for (i = 0; i < size; i++) {
+        channels.push(parseInt(hex.substr(i * 2, 2), 16));
+    }
+    channels[3] = channels.length === 4 ? channels[3] / 255 : 1;
+
+    return channels;
+}
+
+function hueToRGB(p, q, t) {
+    if (t < 0) {
+        t += 1;
+    } else if (t > 1) {
+        t -= 1;
+    }
+    if (t < 1 / 6) {
+        return p + (q - p) * 6 * t;
+    } else if (t < 1 / 2) {
+        return q;
+    } else if (t < 2 / 3) {
+        return p + (q - p) * (2 / 3 - t) * 6;
+    }
+    return p;
+}
+
+function hslToRGB(h, s, l) {
+    let p, q;
+
+    h = (h % 360 + 360) % 360 / 360;
+    if (s === 0) {
+        return [l * 255, l * 255, l * 255];
+    }
+    q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    p = 2 * l - q;
+
+    return [hueToRGB(p, q, h + 1 / 3) * 255, hueToRGB(p, q, h) * 255, hueToRGB(p, q, h - 1 / 3) * 255];
+}
+
+function parseColorArgument(argument, scale) {
+    let value = parseFloat(argument);
+    if (/%$/.test(argument)) {
+        return value / 100 * scale;
+    }
+    return value;
+}
+
+function functionColorToRGBA(name, args) {
+    let rgba;
+
+    args = args.trim().split(colorArgumentsSplitRegExp);
+    if (args.length < 3) {
+        return null;
+    }
+
+    if (name.charAt(0) === "r") {
+        rgba = [parseColorArgument(args[0], 255), parseColorArgument(args[1], 255), parseColorArgument(args[2], 255)];
+    } else {
+        rgba = hslToRGB(parseFloat(args[0]), parseColorArgument(args[1], 1), parseColorArgument(args[2], 1));
+    }
+    rgba[3] = args.length > 3 ? parseColorArgument(args[3], 1) : 1;
+
+    return rgba;
+}
+
+/**
+ * Converts all colors inside the passed value to rgba() notation, so colors specified in different notations could
+ * be interpolated.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function normalizeColors(value) {
+    return value
+        .replace(hexColorRegExp, function(match, hex) {
+            let rgba = hexToRGBA(hex);
+            return rgba ? formatColor(rgba) : match;
+        })
+        .replace(functionColorRegExp, function(match, name, args) {
+            let rgba = functionColorToRGBA(name.toLowerCase(), args);
+            return rgba ? formatColor(rgba) : match;
+        })
+        .replace(namedColorRegExp, function(match, name) {
+            return formatColor(namedColors[name.toLowerCase()]);
+        });
+}
+
+/**
+ * Returns the transform functions list that does not transform anything, having the same functions as the passed
+ * transform functions list. Returns null if such list can not be created.
+ *
+ * @param {String} value
+ * @returns {String|null}
+ */
+function identityTransform(value) {
+    let identity, valid = true;
+
+    if (!transformListRegExp.test(value)) {
+        return null;
+    }
+
+    identity = value.replace(transformFunctionRegExp, function(match, name, args) {
+        let identityArgs, lowerCaseName = name.toLowerCase();
+
+        args = args.split(",");
+        if (lowerCaseName === "matrix") {
+            identityArgs = ["1", "0", "0", "1", "0", "0"];
+        } else if (lowerCaseName === "matrix3d") {
+            identityArgs = ["1", "0", "0", "0", "0", "1", "0", "0", "0", "0", "1", "0", "0", "0", "0", "1"];
+        } else if (lowerCaseName.indexOf("scale") === 0) {
+            identityArgs = args.map(function() {
+                return "1";
+            });
+        } else if (/^(translate|rotate|skew)/.test(lowerCaseName)) {
+            identityArgs = args.map(function(arg) {
+                return arg.replace(/[-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?/i, "0");
+            });
+            // rotate3d(x, y, z, angle) keeps its axis
+            if (lowerCaseName === "rotate3d") {
+                identityArgs = args.slice(0, 3).concat(identityArgs.slice(3));
+            }
+        } else {
+            valid = false;
+            return match;
+        }
+        return name + "(" + identityArgs.join(",") + ")";
+    });
+
+    return valid ? identity : null;
+}
+
+/**
+ * Splits a CSS value into its numbers and the strings surrounding them.
+ *
+ * @param {String} value
+ * @returns {{strings: Array.<String>, numbers: Array.<Number>, units: Array.<String>}}
+ */
+function tokenize(value) {
+    let match, strings = [], numbers = [], units = [], lastIndex = 0;
+
+    tokenRegExp.lastIndex = 0;
+    while ((match = tokenRegExp.exec(value)) !== null) {
+        if (match[1] === undefined) {
+            // Identifiers, such as function names, are not numbers even if they contain digits
+            continue;
+        }
+        strings.push(value.substring(lastIndex, match.index));
+        numbers.push(parseFloat(match[1]));
+        units.push(match[2].toLowerCase());
+        lastIndex = tokenRegExp.lastIndex;
+    }
+    strings.push(value.substring(lastIndex));
+
+    return {
+        strings: strings,
+        numbers: numbers,
+        units: units
+    };
+}
+
+/**
+ * Returns the units shared by both tokenized values, or null if the values can not be interpolated. Unitless zeros
+ * take the unit of the other value.
+ */
+function getCommonUnits(from, to) {
+    let i, units = [];
+
+    if (from.numbers.length !== to.numbers.length) {
+        return null;
+    }
+    for (i = 0; i < from.strings.length; i++) {
+        if (from.strings[i] !== to.strings[i]) {
+            return null;
+        }
+    }
+    for (i = 0; i < from.units.length; i++) {
+        if (from.units[i] === to.units[i]) {
+            units.push(from.units[i]);
+        } else if (from.units[i] === "" && from.numbers[i] === 0) {
+            units.push(to.units[i]);
+        } else if (to.units[i] === "" && to.numbers[i] === 0) {
+            units.push(from.units[i]);
+        } else {
+            return null;
+        }
+    }
+
+    return units;
+}
+
+/**
+ * Returns the kind of every number of the tokenized value: "channel" for red, green and blue channels of rgba()
+ * colors, "alpha" for their alpha channel and "number" for all other numbers.
+ *
+ * @param {{strings: Array.<String>, numbers: Array.<Number>}} tokens
+ * @returns {Array.<String>}
+ */
+function getNumberKinds(tokens) {
+    let i, kinds = [], channel = -1;
+
+    for (i = 0; i < tokens.numbers.length; i++) {
+        if (tokens.strings[i].indexOf("rgba(") >= 0) {
+            channel = 0;
+        } else if (channel >= 0 && tokens.strings[i].indexOf(")") < 0) {
+            channel++;
+        } else {
+            channel = -1;
+        }
+        kinds.push(channel < 0 ? "number" : channel < 3 ? "channel" : "alpha");
+    }
+
+    return kinds;
+}
+
+/**
+ * Returns a function that receives progress (usually in the range [0, 1], but may exceed it for timing functions
+ * that overshoot) and returns the value between the passed "from" and "to" CSS values at that progress.
+ *
+ * Numbers, lengths and other numeric values, colors, and values composed of them such as transform functions lists
+ * and shadows are interpolated number by number, provided both values have the same structure. Transforms are also
+ * interpolated from and to "none". Other values are discrete and switch from "from" to "to" at the half of the
+ * transition.
+ *
+ * @param {String|Number} from
+ * @param {String|Number} to
+ * @returns {Function}
+ */
+function createInterpolator(from, to) {
+    let fromTokens, toTokens, units, kinds, identity;
+
+    from = normalizeColors(String(from).trim());
+    to = normalizeColors(String(to).trim());
+
+    if (from === "none" && (identity = identityTransform(to))) {
+        from = identity;
+    } else if (to === "none" && (identity = identityTransform(from))) {
+        to = identity;
+    }
+
+    fromTokens = tokenize(from);
+    toTokens = tokenize(to);
+    units = getCommonUnits(fromTokens, toTokens);
+
+    if (!units || fromTokens.numbers.length === 0) {
+        return function(progress) {
+            return progress < 0.5 ? from : to;
+        };
+    }
+
+    kinds = getNumberKinds(fromTokens);
+
+    return function(progress) {
+        let i, number, value = fromTokens.strings[0];
+
+        for (i = 0; i < fromTokens.numbers.length; i++) {
+            number = fromTokens.numbers[i] + (toTokens.numbers[i] - fromTokens.numbers[i]) * progress;
+            // Timing functions may overshoot, color channels must remain in their ranges
+            if (kinds[i] === "channel") {
+                number = Math.max(0, Math.min(255, Math.round(number)));
+            } else if (kinds[i] === "alpha") {
+                number = Math.max(0, Math.min(1, round(number, 1000)));
+            } else {
+                number = round(number, 100000);
+            }
+            value += number + units[i] + fromTokens.strings[i + 1];
+        }
+
+        return value;
+    };
+}
+
+/**
+ * Returns true if the passed value has relative numbers, such as "+=100px" or "rotate(-=45deg)".
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRelativeValue(value) {
+    return typeof value === "string" && relativeValueRegExp.test(value);
+}
+
+/**
+ * Resolves the relative numbers of the passed value against the numbers at the same positions of the base value.
+ * "+=" adds the number to the base number, "-=" subtracts it and "*=" multiplies the base number by it. The base
+ * value must have the same structure as the value, except that transforms are also resolved against "none". Returns
+ * null if the value can not be resolved against the base value.
+ *
+ * @param {String} value e.g. "+=100px" or "translateX(+=100px) rotate(-=45deg)"
+ * @param {String|Number} base e.g. "10px" or "translateX(10px) rotate(90deg)"
+ * @returns {String|null}
+ */
+function resolveRelativeValue(value, base) {
+    let i, match, absolute, baseTokens, valueTokens, units, number, operators = [], lastIndex = 0, result;
+
+    // Remove the operators, remembering the numbers they apply to
+    absolute = "";
+    relativeTokenRegExp.lastIndex = 0;
+    while ((match = relativeTokenRegExp.exec(value)) !== null) {
+        if (match[2] === undefined) {
+            continue;
+        }
+        operators.push(match[1] || null);
+        if (match[1]) {
+            absolute += value.substring(lastIndex, match.index) + match[2] + match[3];
+            lastIndex = relativeTokenRegExp.lastIndex;
+        }
+    }
+    absolute += value.substring(lastIndex);
+
+    base = normalizeColors(String(base).trim());
+    if (base === "none") {
+        base = identityTransform(absolute) || base;
+    }
+
+    baseTokens = tokenize(base);
+    valueTokens = tokenize(absolute);
+    units = getCommonUnits(baseTokens, valueTokens);
+    if (!units) {
+        // Multiplied numbers are unitless and take the unit of the base number
+        for (i = 0; i < valueTokens.units.length; i++) {
+            if (operators[i] === "*" && valueTokens.units[i] === "") {
+                valueTokens.units[i] = baseTokens.units[i];
+            }
+        }
+        units = getCommonUnits(baseTokens, valueTokens);
+        if (!units) {
+            return null;
+        }
+    }
+
+    result = valueTokens.strings[0];
+    for (i = 0; i < valueTokens.numbers.length; i++) {
+        number = valueTokens.numbers[i];
+        if (operators[i] === "+") {
+            number = baseTokens.numbers[i] + number;
+        } else if (operators[i] === "-") {
+            number = baseTokens.numbers[i] - number;
+        } else if (operators[i] === "*") {
+            number = baseTokens.numbers[i] * number;
+        }
+        result += round(number, 100000) + units[i] + valueTokens.strings[i + 1];
+    }
+
+    return result;
+}
+
+module.exports = {
+    normalizeColors: normalizeColors,
+    tokenize: tokenize,
+    createInterpolator: createInterpolator,
+    isRelativeValue: isRelativeValue,
+    resolveRelativeValue: resolveRelativeValue
+};
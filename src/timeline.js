@@ -0,0 +1,386 @@
+const utils = require('./utils');
+
+let relativeOffsetRegExp = /^([-+])=(.+)$/;
+
+/**
+ * Timeline schedules transitions of one or more elements relatively to each other and runs them as a single
+ * sequence.
+ *
+ * Steps are added using the add method and the timeline is started by calling play. Every step is a regular
+ * transition that begins when the timeline reaches its offset.
+ *
+ * @param {Function} Transition the Transition constructor used to create the transitions of the steps
+ * @constructor
+ */
+function Timeline(Transition) {
+    this.Transition = Transition;
+    this.steps = [];
+    this.duration = 0;
+    this.started = false;
+    this.ended = false;
+    this.paused = false;
+    this.stopped = false;
+    this.startTime = null;
+    this.elapsedTime = 0;
+    this.endedStepsCount = 0;
+    this.resolve = null;
+    this.reject = null;
+}
+
+Timeline.prototype = {
+
+    constructor: Timeline,
+
+    /**
+     * Adds a transition step to the timeline.
+     *
+     * The offset sets the time the step begins at, it is multiplied by the global time scale of transitions once the
+     * timeline is played, together with the durations of the steps:
+     *   undefined or '>' - when the previous step ends
+     *   '<' - when the previous step begins
+     *   '+=200ms' or '-=200ms' - relatively to the end of the timeline
+     *   200 or '200ms' - at absolute time from the beginning of the timeline
+     *
+     * A step of a selector string, NodeList, HTMLCollection or an array of elements transitions every element and
+     * applies options.stagger, same as transition.begin. A step that repeats infinitely never ends, so steps can not
+     * be added after its end.
+     *
+     * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+     * @param {Array|Object|String} properties transition properties in any of the forms accepted by transition.begin
+     * @param {Object|String|Number} [options] transition options, same as the options of transition.begin, or the
+     *      offset if the options are omitted
+     * @param {String|Number} [offset]
+     * @returns {Timeline}
+     */
+    add: function(element, properties, options, offset) {
+        let i, j, elements, multiple, parsedProperties, _properties, transition, transitions = [], start, step,
+            duration = 0, stagger;
+
+        if (this.started) {
+            throw "[Timeline.add]: Can not add steps to a timeline that has already started";
+        }
+
+        if (properties.hasOwnProperty("properties")) {
+            offset = options;
+            options = properties;
+            properties = properties["properties"];
+        } else if (utils.isString(options) || utils.isNumber(options)) {
+            // add(element, properties, offset)
+            offset = options;
+            options = undefined;
+        }
+
+        start = this.getOffsetTime(offset);
+        if (!isFinite(start)) {
+            throw "[Timeline.add]: Can not add steps after the end of a step that repeats infinitely";
+        }
+
+        multiple = utils.isString(element) || utils.isElementList(element);
+        if (utils.isString(element)) {
+            elements = utils.toArray(document.querySelectorAll(element));
+        } else {
+            elements = multiple ? utils.toArray(element) : [element];
+        }
+
+        parsedProperties = this.Transition.parseProperties(properties);
+        stagger = options && options.stagger;
+        for (i = 0; i < elements.length; i++) {
+            // Every transition must have its own properties as properties store the state of their transition
+            _properties = [];
+            for (j = 0; j < parsedProperties.length; j++) {
+                _properties.push(parsedProperties[j].clone());
+            }
+            transition = new this.Transition(_properties, options);
+            if (multiple) {
+                transition.delayOffset = this.Transition.getStaggerDelay(stagger, i, elements.length);
+                transition.elementIndex = i;
+            }
+            transitions.push(transition);
+            duration = Math.max(duration, transition.getTotalDuration(1));
+        }
+
+        step = {
+            element: multiple ? elements : element,
+            elements: elements,
+            multiple: multiple,
+            transitions: transitions,
+            start: start,
+            duration: duration,
+            handle: null,
+            timeout: null,
+            result: null
+        };
+
+        this.steps.push(step);
+        this.duration = Math.max(this.duration, step.start + step.duration);
+
+        return this;
+    },
+
+    getOffsetTime: function(offset) {
+        let match, previousStep = this.steps[this.steps.length - 1];
+
+        if (utils.isNumber(offset)) {
+            return Math.max(offset, 0);
+        } else if (offset === undefined || offset === null || offset === ">") {
+            return previousStep ? previousStep.start + previousStep.duration : 0;
+        } else if (offset === "<") {
+            return previousStep ? previousStep.start : 0;
+        } else if (utils.isTime(offset)) {
+            return Math.max(utils.parseTime(offset), 0);
+        }
+
+        match = relativeOffsetRegExp.exec(offset);
+        if (match && utils.isTime(match[2])) {
+            return Math.max(this.duration + (match[1] === "-" ? -1 : 1) * utils.parseTime(match[2]), 0);
+        }
+
+        throw "[Timeline.add]: Invalid offset '" + offset + "'";
+    },
+
+    /**
+     * Starts the timeline.
+     *
+     * @returns {{promise: Promise, pause: Function, resume: Function, stop: Function, progress: Function}}
+     */
+    play: function() {
+        let timeline = this, promise;
+
+        if (this.started) {
+            throw "[Timeline.play]: Timeline has already started";
+        }
+        this.started = true;
+        this.scaleSteps(this.Transition.timeScale);
+
+        promise = new Promise(function(resolve, reject) {
+            timeline.resolve = resolve;
+            timeline.reject = reject;
+        });
+
+        this.startTime = utils.now();
+        if (this.steps.length === 0) {
+            this.end();
+        } else {
+            this.scheduleSteps();
+        }
+
+        return {
+            promise: promise,
+            pause: function() {
+                timeline.pause();
+            },
+            resume: function() {
+                timeline.resume();
+            },
+            stop: function(options) {
+                timeline.stop(options);
+            },
+            progress: function() {
+                return timeline.progress();
+            }
+        };
+    },
+
+    /**
+     * Multiplies the start times and durations of the steps, which are added before the time scale is applied.
+     *
+     * @param {Number} timeScale
+     */
+    scaleSteps: function(timeScale) {
+        let i;
+        for (i = 0; i < this.steps.length; i++) {
+            this.steps[i].start *= timeScale;
+            this.steps[i].duration *= timeScale;
+        }
+        this.duration *= timeScale;
+    },
+
+    getElapsedTime: function() {
+        if (this.paused || this.ended) {
+            return this.elapsedTime;
+        }
+        return this.elapsedTime + utils.now() - this.startTime;
+    },
+
+    scheduleSteps: function() {
+        let i, step, elapsedTime = this.getElapsedTime();
+        for (i = 0; i < this.steps.length; i++) {
+            step = this.steps[i];
+            if (!step.handle) {
+                step.timeout = window.setTimeout(this.beginStep.bind(this, step), Math.max(step.start - elapsedTime, 0));
+            }
+        }
+    },
+
+    clearScheduledSteps: function() {
+        let i, step;
+        for (i = 0; i < this.steps.length; i++) {
+            step = this.steps[i];
+            if (step.timeout !== null) {
+                window.clearTimeout(step.timeout);
+                step.timeout = null;
+            }
+        }
+    },
+
+    beginStep: function(step) {
+        let i, timeline = this, handles = [];
+
+        step.timeout = null;
+        if (step.multiple) {
+            for (i = 0; i < step.transitions.length; i++) {
+                handles.push(step.transitions[i].begin(step.elements[i]));
+            }
+            step.handle = this.Transition.groupHandles(step.elements, handles);
+        } else {
+            step.handle = step.transitions[0].begin(step.element);
+        }
+        step.handle.promise.then(function(result) {
+            timeline.endStep(step, result);
+        });
+    },
+
+    endStep: function(step, result) {
+        step.result = result;
+        this.endedStepsCount++;
+        if (this.endedStepsCount === this.steps.length) {
+            this.end();
+        }
+    },
+
+    end: function() {
+        let i, finished = !this.stopped, results = [];
+
+        this.elapsedTime = this.getElapsedTime();
+        this.ended = true;
+
+        for (i = 0; i < this.steps.length; i++) {
+            results.push(this.steps[i].result);
+            finished = finished && this.steps[i].result.finished;
+        }
+
+        this.resolve({
+            finished: finished,
+            results: results
+        });
+    },
+
+    isStepRunning: function(step) {
+        return step.handle !== null && step.result === null;
+    },
+
+    /**
+     * Pauses the running steps and suspends steps that did not begin yet.
+     */
+    pause: function() {
+        let i;
+
+        if (!this.started || this.paused || this.ended) {
+            return;
+        }
+
+        this.elapsedTime = this.getElapsedTime();
+        this.paused = true;
+        this.clearScheduledSteps();
+
+        for (i = 0; i < this.steps.length; i++) {
+            if (this.isStepRunning(this.steps[i])) {
+                this.steps[i].handle.pause();
+            }
+        }
+    },
+
+    resume: function() {
+        let i;
+
+        if (!this.paused) {
+            return;
+        }
+
+        this.paused = false;
+        this.startTime = utils.now();
+
+        for (i = 0; i < this.steps.length; i++) {
+            if (this.isStepRunning(this.steps[i])) {
+                this.steps[i].handle.resume();
+            }
+        }
+
+        this.scheduleSteps();
+    },
+
+    /**
+     * Stops the running steps using the passed options, see Transition.prototype.stop. Steps that did not begin yet
+     * are skipped. If options.mode is 'end', the properties of the skipped steps are set to their "to" values.
+     * The timeline promise is resolved with finished set to false.
+     *
+     * @param {Object} [options]
+     * @param {String} [options.mode]
+     */
+    stop: function(options) {
+        let i, j, step, runningSteps = [], mode = options && options.mode;
+
+        if (!this.started || this.ended || this.stopped) {
+            return;
+        }
+
+        this.elapsedTime = this.getElapsedTime();
+        this.stopped = true;
+        this.clearScheduledSteps();
+
+        for (i = 0; i < this.steps.length; i++) {
+            step = this.steps[i];
+            if (step.handle === null) {
+                if (mode === "end") {
+                    for (j = 0; j < step.transitions.length; j++) {
+                        step.transitions[j].applyEndValues(step.elements[j]);
+                    }
+                }
+                step.result = step.multiple ? {
+                    elements: step.elements,
+                    finished: false,
+                    results: step.elements.map(function(element) {
+                        return {
+                            element: element,
+                            finished: false
+                        };
+                    })
+                } : {
+                    element: step.element,
+                    finished: false
+                };
+                this.endedStepsCount++;
+            } else if (step.result === null) {
+                runningSteps.push(step);
+            }
+        }
+
+        if (runningSteps.length === 0) {
+            this.end();
+            return;
+        }
+
+        // Running steps end the timeline from their promises
+        for (i = 0; i < runningSteps.length; i++) {
+            runningSteps[i].handle.stop(options);
+        }
+    },
+
+    /**
+     * Returns the progress of the whole timeline in the range [0, 1].
+     *
+     * @returns {Number}
+     */
+    progress: function() {
+        if (!this.started) {
+            return 0;
+        }
+        if (this.ended && !this.stopped || this.duration === 0) {
+            return this.ended ? 1 : 0;
+        }
+        return Math.min(this.getElapsedTime() / this.duration, 1);
+    }
+
+};
+
+module.exports = Timeline;
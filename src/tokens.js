@@ -0,0 +1,126 @@
+const utils = require('./utils');
+const curves = require('./curves');
+
+let tokenNameRegExp = /^[a-z_][\w-]*$/i;
+
+// Named durations and timing functions of the design system, used in place of CSS times and timing functions
+let durations = {
+    instant: '0ms',
+    fast: '150ms',
+    normal: '300ms',
+    slow: '500ms'
+};
+let easings = {
+    standard: 'cubic-bezier(0.2, 0, 0, 1)',
+    emphasized: 'cubic-bezier(0.05, 0.7, 0.1, 1)',
+    decelerate: 'cubic-bezier(0, 0, 0, 1)',
+    accelerate: 'cubic-bezier(0.3, 0, 1, 1)'
+};
+
+function validateName(name) {
+    if (!tokenNameRegExp.test(name)) {
+        throw "[Transition.registerTokens]: Invalid token name '" + name + "'";
+    }
+}
+
+function isSpring(value) {
+    return utils.isObject(value) && utils.isString(value.timingFunction);
+}
+
+/**
+ * Registers named duration and timing function tokens, replacing tokens registered under the same names. Duration
+ * tokens are CSS times or milliseconds, timing function tokens are any values accepted as timing functions, including
+ * names of curves of the catalogue and springs.
+ *
+ * @param {{durations: Object, easings: Object}} tokens
+ */
+function register(tokens) {
+    let name, duration;
+
+    for (name in tokens.durations) {
+        if (tokens.durations.hasOwnProperty(name)) {
+            validateName(name);
+            duration = tokens.durations[name];
+            if (!utils.isNumber(duration) && !utils.isTime(duration)) {
+                throw "[Transition.registerTokens]: Invalid duration '" + duration + "' of token '" + name + "'";
+            }
+            durations[name] = utils.isNumber(duration) ? utils.formatTime(duration) : duration;
+        }
+    }
+
+    for (name in tokens.easings) {
+        if (tokens.easings.hasOwnProperty(name)) {
+            validateName(name);
+            if (!utils.isString(tokens.easings[name]) && !isSpring(tokens.easings[name])) {
+                throw "[Transition.registerTokens]: Invalid timing function '" + tokens.easings[name] + "' of token '" + name + "'";
+            }
+            easings[name] = tokens.easings[name];
+        }
+    }
+}
+
+function isDurationToken(value) {
+    return utils.isString(value) && durations.hasOwnProperty(value);
+}
+
+/**
+ * Resolves a duration or a delay to a CSS time. Accepts CSS times, milliseconds and duration tokens, returns null
+ * for other values.
+ *
+ * @param {String|Number} value
+ * @returns {String|null}
+ */
+function resolveTime(value) {
+    if (utils.isNumber(value)) {
+        return utils.formatTime(value);
+    } else if (utils.isTime(value)) {
+        return value;
+    } else if (isDurationToken(value)) {
+        return durations[value];
+    }
+    return null;
+}
+
+function resolveEasing(value) {
+    if (utils.isString(value) && easings.hasOwnProperty(value)) {
+        return easings[value];
+    }
+    return value;
+}
+
+/**
+ * Resolves timing function tokens, names of curves of the catalogue and springs to their timing functions, other
+ * strings are returned as is. Returns null for values that are not timing functions.
+ *
+ * @param {String|Object} value
+ * @returns {String|null}
+ */
+function resolveTimingFunction(value) {
+    value = resolveEasing(value);
+    if (isSpring(value)) {
+        return value.timingFunction;
+    } else if (!utils.isString(value)) {
+        return null;
+    }
+    return curves.get(value) || value;
+}
+
+/**
+ * Returns the settling duration of a spring, or of a timing function token of a spring. Returns null for other
+ * timing functions.
+ *
+ * @param {String|Object} value
+ * @returns {String|null}
+ */
+function resolveTimingFunctionDuration(value) {
+    value = resolveEasing(value);
+    return isSpring(value) && utils.isTime(value.duration) ? value.duration : null;
+}
+
+module.exports = {
+    register: register,
+    isDurationToken: isDurationToken,
+    resolveTime: resolveTime,
+    resolveTimingFunction: resolveTimingFunction,
+    resolveTimingFunctionDuration: resolveTimingFunctionDuration
+};
@@ -1,12 +1,42 @@
 const utils = require('./utils');
+const bezier = require('./bezier');
+const easing = require('./easing');
+const interpolation = require('./interpolation');
+const tokens = require('./tokens');
+const curves = require('./curves');
+const effects = require('./effects');
+const Timeline = require('./timeline');
+const cssEngine = require('./engines/css');
+const waapiEngine = require('./engines/waapi');
+const jsEngine = require('./engines/js');
 
 if (typeof Promise === "undefined") {
     Promise = require("bluebird");
 }
 
 let timeRegExp = /[-+]?\d+(?:.\d+)?(?:s|ms)/i;
-let transitionPropertyCommaRegExp = /\s*,\s*/;
-let transitionTimingFunctionRegExpExec = /(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;
+let vendorPrefixRegExp = /^-[a-z]+-/;
+let motionPropertyRegExp = /^(?:transform|translate|rotate|scale|left|top|right|bottom|inset(?:-\w+)?|margin(?:-\w+)?)$/;
+
+/**
+ * Resolves the duration or the delay of a property specified using an options object. Returns null if the value is
+ * not specified, so the value of the transition is used.
+ *
+ * @param {String|Number} value
+ * @param {String} name
+ * @returns {String|null}
+ */
+function resolvePropertyTime(value, name) {
+    let time;
+    if (value === null || value === undefined) {
+        return null;
+    }
+    time = tokens.resolveTime(value);
+    if (time === null) {
+        throw "[TransitionProperty] Invalid " + name + " '" + value + "'.";
+    }
+    return time;
+}
 
 /**
  * TransitionProperty(property, from, to[, arg1[, arg2[, arg3[, arg4]]]])
@@ -14,8 +44,8 @@ let transitionTimingFunctionRegExpExec = /(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;
  * The argN arguments are used as transition-delay, transition-duration, transition-timing-function and
  * transitionend callback.
  *
- * The first argN value that can be parsed as a time is assigned to the transition-duration, and the second value
- * that can be parsed as a time is assigned to transition-delay.
+ * The first argN value that can be parsed as a time or is a duration token is assigned to the transition-duration, and
+ * the second such value is assigned to transition-delay.
  * Otherwise, if the argN value that can't be parsed as a time, then if it is a string it is assigned to
  * transition-timing-function, otherwise, if it is a function it is called from the transitionend event handler or
  * when property is restarted as a consequence of transition override.
@@ -23,19 +53,29 @@ let transitionTimingFunctionRegExpExec = /(?:\s*,)?\s*([^(,]+(?:\([^)]+\))?)/g;
  * TransitionProperty(options)
  * options.property
  * options.from
- * options.to
- * options.duration: assigned to the transition-duration
- * options.delay: assigned to the transition-delay
- * options.timingFunction: assigned to the transition-timing-function
+ * options.to: the value to transition to. May be relative to the "from" value, e.g. '+=100px', '-=45deg' inside
+ *      transform functions or '*=0.5', or a function receiving the element and its index and returning the value.
+ *      Resolved when the transition begins, see resolveTarget.
+ * options.duration: assigned to the transition-duration, a CSS time, milliseconds or a duration token
+ * options.delay: assigned to the transition-delay, a CSS time, milliseconds or a duration token
+ * options.timingFunction: assigned to the transition-timing-function, a CSS timing function, a timing function token,
+ *      a name of a curve of the catalogue or a spring, see curves.spring
  * options.onTransitionEnd: called from the transitionend event handler
+ * options.onTransitionStart: called from the transitionstart event handler when the property begins transitioning
+ * options.onTransitionCancel: called from the transitioncancel event handler when the browser cancels the transition
  * options.beginFromCurrentValue: boolean flag indicating whether transition of this property should continue
  *      another ongoing transition from its current value. If no other transition already transitions this property
  *      this flag is ignored.
+ * options.keyframes: array of values the property transitions through, used instead of options.from and options.to.
+ *      The first and the last values become the "from" and "to" values of the property. The keyframes are executed
+ *      as a chain of transitions, each one using options.timingFunction.
+ * options.offsets: array of numbers in the range [0, 1], one for every keyframe, setting the point in time of each
+ *      keyframe relatively to the duration. If not specified the keyframes are evenly spaced.
  *
  * @constructor
  */
 function TransitionProperty() {
-    let i, argument, obj = null, arr = null,
+    let i, argument, obj = null, arr = null, timingFunction = null,
         durationSet = false;
 
     if (arguments.length === 1) {
@@ -50,14 +90,22 @@ function TransitionProperty() {
         arr = arguments;
     }
 
+    this.keyframes = null;
+    this.offsets = null;
+
     if (obj) {
         this.property = obj.property;
         this.from = obj.from;
         this.to = obj.to;
-        this.duration = (utils.isString(obj.duration) && timeRegExp.test(obj.duration)) ? obj.duration : null;
-        this.delay = (utils.isString(obj.delay) && timeRegExp.test(obj.delay)) ? obj.delay : null;
-        this.timingFunction = (utils.isString(obj.timingFunction)) ? obj.timingFunction : null;
+        if (utils.isArray(obj.keyframes)) {
+            this.setKeyframes(obj.keyframes, obj.offsets);
+        }
+        this.duration = resolvePropertyTime(obj.duration, "duration");
+        this.delay = resolvePropertyTime(obj.delay, "delay");
+        timingFunction = obj.timingFunction;
         this.onTransitionEnd = utils.isFunction(obj.onTransitionEnd) ? obj.onTransitionEnd : null;
+        this.onTransitionStart = utils.isFunction(obj.onTransitionStart) ? obj.onTransitionStart : null;
+        this.onTransitionCancel = utils.isFunction(obj.onTransitionCancel) ? obj.onTransitionCancel : null;
         this.beginFromCurrentValue = utils.isBoolean(obj.beginFromCurrentValue) ? obj.beginFromCurrentValue : null;
     } else if (arr.length >= 3) {
         this.property = arr[0];
@@ -65,71 +113,680 @@ function TransitionProperty() {
         this.to = arr[2];
         this.duration = null;
         this.delay = null;
-        this.timingFunction = null;
         this.onTransitionEnd = null;
+        this.onTransitionStart = null;
+        this.onTransitionCancel = null;
         this.beginFromCurrentValue = null;
         for (i = 3; i < arr.length; i++) {
             argument = arr[i];
             if (utils.isString(argument)) {
-                if (timeRegExp.test(argument)) {
+                if (timeRegExp.test(argument) || tokens.isDurationToken(argument)) {
                     if (!durationSet) {
                         durationSet = true;
-                        this.duration = argument;
+                        this.duration = tokens.resolveTime(argument) || argument;
                     } else {
-                        this.delay = argument;
+                        this.delay = tokens.resolveTime(argument) || argument;
                     }
                 } else {
-                    this.timingFunction = argument;
+                    timingFunction = argument;
                 }
             } else if (utils.isFunction(argument)) {
                 this.onTransitionEnd = argument;
+            } else if (utils.isObject(argument)) {
+                timingFunction = argument;
             }
         }
     } else {
         throw "[TransitionProperty] Invalid number of arguments."
     }
 
+    this.timingFunction = tokens.resolveTimingFunction(timingFunction);
+    // Springs come with the duration they take to settle
+    if (this.duration === null) {
+        this.duration = tokens.resolveTimingFunctionDuration(timingFunction);
+    }
+
     this.domProperty = utils.supportedCssProperty(this.property);
     this.cssProperty = utils.domToCSS(this.domProperty);
+
+    // The duration, delay and timing function of the whole transition of this property, see startTiming.
+    this.timing = null;
+    // The transition values that were applied to this property, see startSegment.
+    this.segment = null;
+    // The time that elapsed since the segment was started, set only while the property is paused.
+    this.elapsedTime = null;
+    // The velocity of the overridden transition of the same property, see setFromToCurrentValueIfNeeded.
+    this.initialVelocity = null;
+    // The index of the keyframe the current segment transitions from, the duration of all keyframes and the timing
+    // function of every keyframe segment.
+    this.keyframeIndex = 0;
+    this.keyframesDuration = 0;
+    this.keyframesTimingFunction = null;
+    // Timer used to advance keyframes that hold the same value, as they don't receive transitionend event.
+    this.holdTimeout = null;
+    // Timer used to finish the property if its transitionend event is never received, see watchPropertySegment.
+    this.safetyTimeout = null;
+    this.timedOut = false;
+    // Set when the running transition of this property is replaced or removed by this library, so the
+    // transitioncancel event it causes would not be treated as cancellation by the browser.
+    this.cancelExpected = false;
+    this.started = false;
+    // Set when the "from" or "to" value was measured from "auto", see resolveValues.
+    this.fromAuto = false;
+    this.toAuto = false;
+    // Set on the opacity property added to crossfade motion properties when motion is reduced.
+    this.isCrossfade = false;
+    // The animation playing the current segment, the segment it was created for and the timer reporting the end of
+    // its delay, used by the waapi engine.
+    this.animation = null;
+    this.animatedSegment = null;
+    this.startTimeout = null;
+    // The tween rendering the current segment, used by the js engine.
+    this.tween = null;
 }
 
+TransitionProperty.prototype.setKeyframes = function(keyframes, offsets) {
+    let i;
+
+    if (keyframes.length < 2) {
+        throw "[TransitionProperty] Keyframes must have at least two values.";
+    }
+
+    if (utils.isArray(offsets)) {
+        if (offsets.length !== keyframes.length) {
+            throw "[TransitionProperty] Offsets must have the same length as keyframes.";
+        }
+        // Offsets begin at 0, end at 1 and never decrease, otherwise segments would have negative durations
+        for (i = 0; i < offsets.length; i++) {
+            if (!utils.isNumber(offsets[i]) || isNaN(offsets[i]) || i > 0 && offsets[i] < offsets[i - 1]) {
+                throw "[Transition.begin]: Invalid keyframe offsets";
+            }
+        }
+        if (offsets[0] !== 0 || offsets[offsets.length - 1] !== 1) {
+            throw "[Transition.begin]: Invalid keyframe offsets";
+        }
+        offsets = offsets.slice();
+    } else {
+        offsets = [];
+        for (i = 0; i < keyframes.length; i++) {
+            offsets.push(i / (keyframes.length - 1));
+        }
+    }
+
+    this.keyframes = keyframes.slice();
+    this.offsets = offsets;
+    this.from = this.keyframes[0];
+    this.to = this.keyframes[this.keyframes.length - 1];
+};
+
+/**
+ * Returns true if transitioning this property moves the element, such properties are not transitioned when motion
+ * is reduced, see Transition.reducedMotion.
+ *
+ * @returns {boolean}
+ */
+TransitionProperty.prototype.isMotionProperty = function() {
+    return motionPropertyRegExp.test(this.cssProperty.replace(vendorPrefixRegExp, ""));
+};
+
+TransitionProperty.prototype.setFrom = function(from) {
+    this.from = from;
+    if (this.keyframes) {
+        this.keyframes[0] = from;
+    }
+};
+
+/**
+ * Resolves the "from" and "to" values of the property to values that can be transitioned.
+ *
+ * The "to" value is resolved if it is a function or a relative value. Relative values are resolved against the
+ * "from" value, or against the inline value of the element if the "from" value has a different structure, for
+ * example when the computed "from" value of a transform is a matrix.
+ *
+ * "auto" values, such as the height of a collapsing panel, can not be transitioned. They are replaced by the size
+ * they stand for, and "auto" is restored once the property finishes transitioning to it, see restoreAutoValue.
+ *
+ * @param {HTMLElement} element
+ * @param {Number} index the index of the element among the transitioned elements
+ */
+TransitionProperty.prototype.resolveValues = function(element, index) {
+    let to = this.to, autoValue;
+
+    if (this.keyframes) {
+        return;
+    }
+
+    if (String(this.from) === "auto" && (autoValue = this.measureAutoValue(element)) !== null) {
+        this.from = autoValue;
+        this.fromAuto = true;
+    }
+
+    if (utils.isFunction(to)) {
+        to = to(element, index);
+    }
+
+    if (interpolation.isRelativeValue(to)) {
+        to = interpolation.resolveRelativeValue(to, this.from) ||
+            interpolation.resolveRelativeValue(to, element.style[this.domProperty] || "none");
+        if (to === null) {
+            throw "[TransitionProperty] Can not resolve '" + this.to + "' of '" + this.cssProperty + "' from '" + this.from + "'.";
+        }
+    }
+
+    if (String(to) === "auto" && (autoValue = this.measureAutoValue(element)) !== null) {
+        to = autoValue;
+        this.toAuto = true;
+    }
+
+    this.to = to;
+};
+
+/**
+ * Returns the value the property computes to when it is set to "auto", or null if it can not be measured, for
+ * example when the element is not displayed.
+ *
+ * @param {HTMLElement} element
+ * @returns {String|null}
+ */
+TransitionProperty.prototype.measureAutoValue = function(element) {
+    let value, inlineValue = element.style[this.domProperty];
+
+    element.style[this.domProperty] = "auto";
+    value = window.getComputedStyle(element, null).getPropertyValue(this.cssProperty);
+    element.style[this.domProperty] = inlineValue;
+
+    return value && value !== "auto" ? value : null;
+};
+
+/**
+ * Sets the property back to "auto" if its "to" value was measured from "auto", see resolveValues.
+ *
+ * @param {HTMLElement} element
+ */
+TransitionProperty.prototype.restoreAutoValue = function(element) {
+    if (this.toAuto) {
+        element.style[this.domProperty] = "auto";
+    }
+};
+
+/**
+ * Swaps the "from" and "to" values of the property, or reverses its keyframes.
+ */
+TransitionProperty.prototype.reverseValues = function() {
+    let from = this.from, fromAuto = this.fromAuto;
+
+    if (this.keyframes) {
+        this.reverseKeyframes();
+        return;
+    }
+
+    this.from = this.to;
+    this.to = from;
+    this.fromAuto = this.toAuto;
+    this.toAuto = fromAuto;
+};
+
+/**
+ * Returns true if the property has nothing to transition, that is its "from" value and all other keyframes are equal
+ * to its "to" value.
+ *
+ * @returns {boolean}
+ */
+TransitionProperty.prototype.isStatic = function() {
+    let i;
+    if (!this.keyframes) {
+        return String(this.from) === String(this.to);
+    }
+    for (i = 1; i < this.keyframes.length; i++) {
+        if (String(this.keyframes[i]) !== String(this.from)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Returns the value the current segment transitions to. For keyframe properties this is the next keyframe.
+ *
+ * @returns {String|Number}
+ */
+TransitionProperty.prototype.getTarget = function() {
+    return this.keyframes ? this.keyframes[this.keyframeIndex + 1] : this.to;
+};
+
+TransitionProperty.prototype.hasNextKeyframe = function() {
+    return this.keyframes !== null && this.keyframeIndex < this.keyframes.length - 2;
+};
+
+/**
+ * Returns the duration in milliseconds of the segment that transitions from the keyframe at the passed index.
+ *
+ * @param {Number} index
+ * @returns {Number}
+ */
+TransitionProperty.prototype.getKeyframeDuration = function(index) {
+    return this.keyframesDuration * (this.offsets[index + 1] - this.offsets[index]);
+};
+
+/**
+ * Reverses the order of the keyframes, the current segment is reversed as well and becomes the segment that
+ * transitions back to the keyframe it began from.
+ */
+TransitionProperty.prototype.reverseKeyframes = function() {
+    let i, offsets = [];
+    for (i = this.offsets.length - 1; i >= 0; i--) {
+        offsets.push(1 - this.offsets[i]);
+    }
+    this.keyframes.reverse();
+    this.offsets = offsets;
+    this.keyframeIndex = this.keyframes.length - 2 - this.keyframeIndex;
+    this.from = this.keyframes[0];
+    this.to = this.keyframes[this.keyframes.length - 1];
+};
+
+TransitionProperty.prototype.clearTimeouts = function() {
+    if (this.holdTimeout !== null) {
+        window.clearTimeout(this.holdTimeout);
+        this.holdTimeout = null;
+    }
+    if (this.safetyTimeout !== null) {
+        window.clearTimeout(this.safetyTimeout);
+        this.safetyTimeout = null;
+    }
+};
+
+/**
+ * Returns a new TransitionProperty with the same definition as this property but without its runtime state.
+ *
+ * @returns {TransitionProperty}
+ */
+TransitionProperty.prototype.clone = function() {
+    let property = new TransitionProperty({
+        property: this.property,
+        from: this.from,
+        to: this.to,
+        duration: this.duration,
+        delay: this.delay,
+        timingFunction: this.timingFunction,
+        onTransitionEnd: this.onTransitionEnd,
+        onTransitionStart: this.onTransitionStart,
+        onTransitionCancel: this.onTransitionCancel,
+        beginFromCurrentValue: this.beginFromCurrentValue,
+        keyframes: this.keyframes,
+        offsets: this.offsets
+    });
+    property.fromAuto = this.fromAuto;
+    property.toAuto = this.toAuto;
+    return property;
+};
+
+/**
+ * Returns a clone of this property that transitions in the opposite direction.
+ *
+ * @returns {TransitionProperty}
+ */
+TransitionProperty.prototype.reversedClone = function() {
+    let property = this.clone();
+    property.reverseValues();
+    property.keyframeIndex = 0;
+    return property;
+};
+
 TransitionProperty.prototype.executeOnTransitionEnd = function(element, finished) {
     if (utils.isFunction(this.onTransitionEnd)) {
-        let onTransitionEnd = this.onTransitionEnd;
+        let onTransitionEnd = this.onTransitionEnd, timedOut = this.timedOut;
         utils.executeInNextEventLoop(function() {
-            onTransitionEnd(element, finished);
+            onTransitionEnd(element, finished, timedOut);
         });
     }
 };
 
+/**
+ * Records the duration, delay and timing function that were applied to this property together with the time they
+ * were applied and the value the property was transitioned from. This data is used to calculate the elapsed time and
+ * the velocity of a transitioning property when it is paused, resumed or overridden.
+ *
+ * @param {String|Number} duration CSS time value or milliseconds
+ * @param {String|Number} delay CSS time value or milliseconds
+ * @param {String} timingFunction
+ * @param {String|Number} from
+ */
+TransitionProperty.prototype.startSegment = function(duration, delay, timingFunction, from) {
+    this.segment = {
+        startTime: utils.now(),
+        duration: utils.parseTime(duration),
+        delay: utils.parseTime(delay),
+        timingFunction: timingFunction,
+        from: from
+    };
+};
+
+/**
+ * Records the duration, delay and timing function of the whole transition of this property, as opposed to segments
+ * that may cover only part of it (keyframes, resumed or reversed transitions). The timing is used to calculate the
+ * progress of the property and to seek it. For keyframe properties the timing function is the timing function of
+ * every keyframe segment.
+ *
+ * @param {Number} duration milliseconds
+ * @param {Number} delay milliseconds
+ * @param {String} timingFunction
+ */
+TransitionProperty.prototype.startTiming = function(duration, delay, timingFunction) {
+    this.timing = {
+        startTime: utils.now(),
+        position: null,
+        duration: duration,
+        delay: delay,
+        timingFunction: timingFunction
+    };
+};
+
+/**
+ * Returns the time in milliseconds that elapsed since the beginning of the timing, including the delay.
+ *
+ * @returns {Number}
+ */
+TransitionProperty.prototype.getPosition = function() {
+    if (this.timing.position !== null) {
+        return this.timing.position;
+    }
+    return utils.now() - this.timing.startTime;
+};
+
+/**
+ * Freezes the position of the timing, used when the property is paused or stops transitioning.
+ */
+TransitionProperty.prototype.pauseTiming = function() {
+    if (this.timing && this.timing.position === null) {
+        this.timing.position = this.getPosition();
+    }
+};
+
+TransitionProperty.prototype.resumeTiming = function() {
+    this.timing.startTime = utils.now() - this.timing.position;
+    this.timing.position = null;
+};
+
+/**
+ * Reverses the timing after the property was reversed, the time that has already elapsed becomes the time that
+ * remains. The reversed timing has no delay and its timing function is played backwards.
+ */
+TransitionProperty.prototype.reverseTiming = function() {
+    let timing = this.timing, active, position;
+
+    active = Math.max(0, Math.min(this.getPosition() - timing.delay, timing.duration));
+    position = timing.duration - active;
+
+    timing.delay = 0;
+    if (this.keyframes) {
+        timing.timingFunction = this.keyframesTimingFunction;
+    } else {
+        timing.timingFunction = easing.reverseTimingFunction(timing.timingFunction) || timing.timingFunction;
+    }
+
+    if (timing.position !== null) {
+        timing.position = position;
+    } else {
+        timing.startTime = utils.now() - position;
+    }
+};
+
+/**
+ * Returns the output progress of the property in the range [0, 1], that is the input progress of its timing
+ * evaluated by its timing function. For keyframe properties, the output progress is interpolated between the
+ * offsets of the current keyframe segment.
+ *
+ * @returns {Number}
+ */
+TransitionProperty.prototype.getProgress = function() {
+    let timing = this.timing, progress, index = 0, start, end;
+
+    if (!timing) {
+        return this.isStatic() ? 1 : 0;
+    }
+
+    progress = this.getPosition() - timing.delay;
+    progress = timing.duration > 0 ? Math.max(0, Math.min(progress / timing.duration, 1)) : (progress >= 0 ? 1 : 0);
+    if (!this.keyframes) {
+        return easing.evaluate(timing.timingFunction, progress);
+    }
+
+    while (index < this.offsets.length - 2 && this.offsets[index + 1] <= progress) {
+        index++;
+    }
+    start = this.offsets[index];
+    end = this.offsets[index + 1];
+
+    return start + (end - start) * easing.evaluate(timing.timingFunction, end > start ? (progress - start) / (end - start) : 1);
+};
+
+/**
+ * Starts the segment that is current at the passed position of the timing. Segments that have already begun are
+ * started with a negative delay, so they continue from their middle. Returns true if the position is at or after the
+ * end of the timing, in which case the started segment has no duration and ends at the "to" value.
+ *
+ * @param {Number} position milliseconds since the beginning of the timing, including the delay
+ * @returns {boolean}
+ */
+TransitionProperty.prototype.seekSegment = function(position) {
+    let timing = this.timing, active = position - timing.delay, index = 0, segmentStart = 0, duration = timing.duration;
+
+    timing.startTime = utils.now() - position;
+
+    if (active >= timing.duration) {
+        if (this.keyframes) {
+            this.keyframeIndex = this.keyframes.length - 2;
+        }
+        this.startSegment(0, 0, timing.timingFunction, this.to);
+        return true;
+    }
+
+    if (this.keyframes) {
+        while (index < this.keyframes.length - 2 && this.offsets[index + 1] * timing.duration <= active) {
+            index++;
+        }
+        this.keyframeIndex = index;
+        segmentStart = this.offsets[index] * timing.duration;
+        duration = this.getKeyframeDuration(index);
+    }
+
+    this.startSegment(duration, segmentStart - active, timing.timingFunction, this.keyframes ? this.keyframes[index] : this.from);
+    return false;
+};
+
+/**
+ * Multiplies the durations and delays of the current segment, of the timing and of the keyframes of this property by
+ * the passed ratio, as well as the time that has elapsed so far. The segment of a running property is rebased to
+ * begin now, its elapsed time is expressed using a negative delay, so it could be applied again to continue from
+ * the same point.
+ *
+ * @param {Number} ratio
+ */
+TransitionProperty.prototype.scaleTime = function(ratio) {
+    let now = utils.now(), segment = this.segment, timing = this.timing, elapsed;
+
+    if (this.elapsedTime !== null) {
+        this.elapsedTime *= ratio;
+        segment.delay *= ratio;
+    } else {
+        elapsed = now - segment.startTime;
+        segment.startTime = now;
+        segment.delay = (segment.delay - elapsed) * ratio;
+    }
+    segment.duration *= ratio;
+
+    if (timing.position !== null) {
+        timing.position *= ratio;
+    } else {
+        timing.startTime = now - (now - timing.startTime) * ratio;
+    }
+    timing.duration *= ratio;
+    timing.delay *= ratio;
+
+    this.keyframesDuration *= ratio;
+};
+
+TransitionProperty.prototype.getElapsedTime = function() {
+    if (this.elapsedTime !== null) {
+        return this.elapsedTime;
+    }
+    return utils.now() - this.segment.startTime;
+};
+
+/**
+ * Returns the current velocity of the transitioning property in units of its value per millisecond, or null if the
+ * velocity can not be calculated because the values are not numeric or the timing function is not a bezier curve.
+ *
+ * @returns {Number|null}
+ */
+TransitionProperty.prototype.getVelocity = function() {
+    let segment = this.segment, elapsed, progress, curve, from, to;
+
+    // Paused properties and properties that are still in their delay are not moving
+    if (!segment || this.elapsedTime !== null) {
+        return 0;
+    }
+
+    elapsed = this.getElapsedTime();
+    if (elapsed <= segment.delay || segment.duration === 0) {
+        return 0;
+    }
+
+    progress = (elapsed - segment.delay) / segment.duration;
+    if (progress >= 1) {
+        return 0;
+    }
+
+    curve = bezier.parseTimingFunction(segment.timingFunction);
+    from = utils.parseNumericValue(segment.from);
+    to = utils.parseNumericValue(this.getTarget());
+    if (!curve || !from || !to || from.unit !== to.unit) {
+        return null;
+    }
+
+    return curve.slopeAt(progress) * (to.value - from.value) / segment.duration;
+};
+
+/**
+ * Sets the "from" value of this property to the current value of the element if this property or its transition
+ * begin from current value.
+ *
+ * @param {HTMLElement} element
+ * @param {boolean} beginFromCurrentValue
+ * @returns {boolean} true if the "from" value was set
+ */
 TransitionProperty.prototype.setFromToCurrentValueIfNeeded = function(element, beginFromCurrentValue) {
     let isBoolean = utils.isBoolean(this.beginFromCurrentValue);
     if (isBoolean && this.beginFromCurrentValue || !isBoolean && beginFromCurrentValue) {
-        this.from = window.getComputedStyle(element, null).getPropertyValue(this.cssProperty);
+        this.setFrom(window.getComputedStyle(element, null).getPropertyValue(this.cssProperty));
+        return true;
     }
+    return false;
+};
+
+/**
+ * Returns a timing function based on the passed one, whose initial slope continues the velocity of the overridden
+ * transition of this property. Returns the passed timing function if there is no velocity to continue.
+ *
+ * @param {String} timingFunction
+ * @param {String|Number} duration
+ * @returns {String}
+ */
+TransitionProperty.prototype.getVelocityMatchingTimingFunction = function(timingFunction, duration) {
+    let from, to, matchingTimingFunction;
+
+    if (!this.initialVelocity) {
+        return timingFunction;
+    }
+
+    from = utils.parseNumericValue(this.from);
+    to = utils.parseNumericValue(this.getTarget());
+    if (!from || !to || from.unit !== to.unit || from.value === to.value) {
+        return timingFunction;
+    }
+
+    // Convert the velocity from value units per millisecond to the slope of the normalized timing function
+    matchingTimingFunction = bezier.matchInitialSlope(timingFunction,
+        this.initialVelocity * utils.parseTime(duration) / (to.value - from.value));
+
+    return matchingTimingFunction || timingFunction;
 };
 
 function Transition(properties, options) {
+    let durationSpecified;
+
     if (!properties) {
         throw "Transition: 'properties' is a required parameter";
     }
 
+    durationSpecified = !!options && options.duration !== undefined;
     options = utils.defaults(options || {}, Transition.defaultOptions);
     this.properties = properties;
-    this.duration = options.duration;
-    this.delay = options.delay;
-    this.timingFunction = options.timingFunction;
+    this.engine = Transition.getEngine(options.engine);
+    // Springs come with the duration they take to settle, used unless a duration is passed
+    this.duration = (durationSpecified ? null : tokens.resolveTimingFunctionDuration(options.timingFunction)) ||
+        tokens.resolveTime(options.duration);
+    if (this.duration === null) {
+        throw "[Transition]: Invalid duration '" + options.duration + "'";
+    }
+    this.delay = tokens.resolveTime(options.delay);
+    if (this.delay === null) {
+        throw "[Transition]: Invalid delay '" + options.delay + "'";
+    }
+    this.timingFunction = tokens.resolveTimingFunction(options.timingFunction);
+    if (this.timingFunction === null) {
+        throw "[Transition]: Invalid timingFunction '" + options.timingFunction + "'";
+    }
     this.onTransitionEnd = options.onTransitionEnd;
+    this.onTransitionStart = options.onTransitionStart;
+    this.onTransitionCancel = options.onTransitionCancel;
+    this.transitionStarted = false;
+    this.transitionCancelled = false;
     this.resolve = null;
     this.reject = null;
     this.onBeforeChangeStyle = options.onBeforeChangeStyle;
     this.onAfterChangeStyle = options.onAfterChangeStyle;
     this.beginFromCurrentValue = utils.isBoolean(options.beginFromCurrentValue) ? options.beginFromCurrentValue : false;
+    this.preserveVelocity = options.preserveVelocity;
+    if (!utils.isNumber(options.playbackRate) || options.playbackRate <= 0) {
+        throw "[Transition]: Invalid playbackRate '" + options.playbackRate + "'";
+    }
+    this.playbackRate = options.playbackRate;
+    if (["respect", "ignore", "always"].indexOf(options.reducedMotion) < 0) {
+        throw "[Transition]: Invalid reducedMotion '" + options.reducedMotion + "'";
+    }
+    if (["instant", "crossfade"].indexOf(options.reducedMotionStrategy) < 0) {
+        throw "[Transition]: Invalid reducedMotionStrategy '" + options.reducedMotionStrategy + "'";
+    }
+    this.reducedMotionStrategy = options.reducedMotionStrategy;
+    this.reducedMotionDuration = utils.parseTime(tokens.resolveTime(options.reducedMotionDuration));
+    this.motionReduced = options.reducedMotion === "always" ||
+        options.reducedMotion === "respect" && utils.prefersReducedMotion();
+    // Additional delay in milliseconds added to the delay of every property, used to stagger multiple elements.
+    this.delayOffset = 0;
+    // Set on transitions that hide or remove the element, so the crossfade of reduced motion fades it out.
+    this.leaving = false;
+    // The index of the element among the transitioned elements, passed to "to" values that are functions.
+    this.elementIndex = 0;
+    this.repeat = utils.isNumber(options.repeat) ? Math.max(options.repeat, 0) : 0;
+    this.alternate = options.alternate || !!options.yoyo;
+    this.repeatDelay = utils.parseTime(tokens.resolveTime(options.repeatDelay));
+    this.iteration = 0;
+    this.waitingToRepeat = false;
+    this.repeatTimeout = null;
+    this.repeatDelayEndTime = null;
+    this.repeatDelayRemaining = null;
+    this.timeoutGracePeriod = options.timeoutGracePeriod === false ? null : utils.parseTime(options.timeoutGracePeriod);
+    this.timedOutPropertyNames = [];
     this.toBeTransitionedPropertyNames = [];
     this.toBeTransitionedProperties = [];
     this.transitioningPropertyNames = [];
     this.transitioningProperties = [];
     this.allPropertiesWereFinished = true;
+    this.paused = false;
+    this.afterChangeStylePending = false;
+    // Progress or time passed to seek before the properties were applied, see beginTransition.
+    this.pendingSeek = null;
 }
 
 Transition.defaultOptions = {
@@ -137,308 +794,2358 @@ Transition.defaultOptions = {
     delay: '0s',
     timingFunction: 'ease',
     onTransitionEnd: null,
+    onTransitionStart: null,
+    onTransitionCancel: null,
     onBeforeChangeStyle: null,
-    onAfterChangeStyle: null
+    onAfterChangeStyle: null,
+    beginFromCurrentValue: false,
+    preserveVelocity: true,
+    repeat: 0,
+    alternate: false,
+    repeatDelay: '0s',
+    timeoutGracePeriod: '100ms',
+    engine: 'css',
+    playbackRate: 1,
+    reducedMotion: 'respect',
+    reducedMotionStrategy: 'instant',
+    reducedMotionDuration: '150ms'
 };
 
-Transition.property = function(properties) {
-    return new TransitionProperty(properties);
+/**
+ * Multiplies the durations and delays of all transitions when they begin, as well as the offsets of timeline steps
+ * when their timelines are played.
+ * For example, 10 makes all transitions 10 times slower and 0 makes them end immediately.
+ */
+Transition.timeScale = 1;
+
+Transition.setTimeScale = function(timeScale) {
+    if (!utils.isNumber(timeScale) || timeScale < 0) {
+        throw "[Transition.setTimeScale]: Invalid time scale '" + timeScale + "'";
+    }
+    Transition.timeScale = timeScale;
+};
+
+Transition.engines = {
+    css: cssEngine,
+    waapi: waapiEngine,
+    js: jsEngine
 };
 
 /**
- * Applies CSS transition on specified element using properties other transition related data specified in options.
+ * Returns the engine registered under the passed name. Engines that are not supported by the environment fall back
+ * to the css engine, or to the js engine if CSS transitions are not supported either.
  *
- * @param {HTMLElement} element
- * @param {Array|Object} properties
- * @param {Object} options
- * @param {String} options.duration
- * @param {String} options.delay
- * @param {String} options.timingFunction
- * @param {Function} options.onBeforeChangeStyle
- * @param {Function} options.onAfterChangeStyle
- * @param {Function} options.onTransitionEnd
+ * @param {String} name
+ * @returns {Object}
  */
-Transition.begin = function(element, properties, options) {
-    let transition, i, property, _properties = [];
+Transition.getEngine = function(name) {
+    let engine;
 
-    if (properties.hasOwnProperty("properties")) {
-        options = properties;
-        properties = properties["properties"];
+    if (!Transition.engines.hasOwnProperty(name)) {
+        throw "[Transition.getEngine]: Unknown engine '" + name + "'";
     }
 
-    if (utils.isString(properties)) {
-        _properties.push(new TransitionProperty(properties));
-    } else if (utils.isArray(properties)) {
-        // properties == [ ... ]
-        if (utils.isString(properties[0]) && properties[0].indexOf(" ") === -1) {
-            // properties == ['opacity', '0', '1', ...]
-            _properties.push(new TransitionProperty(properties));
-        } else {
-            for (i = 0; i < properties.length; i++) {
-                property = properties[i];
-                if (utils.isArray(property) || !(property instanceof TransitionProperty)) {
-                    // properties == [ ["opacity 0 1"], [ ... ], ... ]
-                    // properties == [ ["opacity", 0, 1], [ ... ], ... ]
-                    // properties == [ {property: "opacity", from: 0, to: 1}, { ... }, ... ]
+    engine = Transition.engines[name];
+    if (!engine.isSupported()) {
+        engine = Transition.engines.css.isSupported() ? Transition.engines.css : Transition.engines.js;
+    }
+    return engine;
+};
+
+/**
+ * Sets the engine used by transitions that do not specify their own engine option.
+ *
+ * @param {String} name
+ */
+Transition.setEngine = function(name) {
+    Transition.getEngine(name);
+    Transition.defaultOptions.engine = name;
+};
+
+function isNonNegativeTime(value) {
+    let time = tokens.resolveTime(value);
+    return time !== null && utils.parseTime(time) >= 0;
+}
+
+function isCallback(value) {
+    return value === null || utils.isFunction(value);
+}
+
+/**
+ * Validators of the values of default options, an option whose validator returns false is rejected by configure.
+ */
+let defaultOptionValidators = {
+    duration: isNonNegativeTime,
+    delay: function(value) {
+        return tokens.resolveTime(value) !== null;
+    },
+    timingFunction: function(value) {
+        return easing.isTimingFunction(tokens.resolveTimingFunction(value));
+    },
+    onTransitionEnd: isCallback,
+    onTransitionStart: isCallback,
+    onTransitionCancel: isCallback,
+    onBeforeChangeStyle: isCallback,
+    onAfterChangeStyle: isCallback,
+    beginFromCurrentValue: utils.isBoolean,
+    preserveVelocity: utils.isBoolean,
+    repeat: function(value) {
+        return utils.isNumber(value) && value >= 0;
+    },
+    alternate: utils.isBoolean,
+    repeatDelay: isNonNegativeTime,
+    timeoutGracePeriod: function(value) {
+        return value === false || utils.isTime(value) && utils.parseTime(value) >= 0;
+    },
+    engine: function(value) {
+        return Transition.engines.hasOwnProperty(value);
+    },
+    playbackRate: function(value) {
+        return utils.isNumber(value) && value > 0;
+    },
+    reducedMotion: function(value) {
+        return ["respect", "ignore", "always"].indexOf(value) >= 0;
+    },
+    reducedMotionStrategy: function(value) {
+        return ["instant", "crossfade"].indexOf(value) >= 0;
+    },
+    reducedMotionDuration: isNonNegativeTime
+};
+
+/**
+ * Throws if the value of one of the passed options is rejected by its validator. Options without a validator are not
+ * checked.
+ *
+ * @param {Object} options
+ * @param {String} caller the name of the function reported in the error
+ */
+function validateDefaultOptions(options, caller) {
+    let name;
+
+    for (name in options) {
+        if (options.hasOwnProperty(name) && defaultOptionValidators.hasOwnProperty(name) &&
+            !defaultOptionValidators[name](options[name])) {
+            throw "[" + caller + "]: Invalid " + name + " '" + options[name] + "'";
+        }
+    }
+}
+
+/**
+ * Changes the default options of all transitions, for example the duration, delay, timing function, engine or
+ * callbacks used by the whole application. Options not passed keep their current defaults. Throws for unknown
+ * options and invalid values, in which case none of the defaults is changed.
+ *
+ * @param {Object} options any of the options accepted by Transition.begin, except stagger
+ */
+Transition.configure = function(options) {
+    let name;
+
+    for (name in options) {
+        if (!options.hasOwnProperty(name)) {
+            continue;
+        }
+        if (!Transition.defaultOptions.hasOwnProperty(name)) {
+            throw "[Transition.configure]: Unknown option '" + name + "'";
+        }
+    }
+    validateDefaultOptions(options, "Transition.configure");
+
+    utils.extend(Transition.defaultOptions, options);
+};
+
+/**
+ * Returns a function beginning transitions the same way as Transition.begin, but using the passed options as the
+ * defaults of its transitions, so separate parts of the application can have separate motion profiles. Options that
+ * are not passed fall back to the global defaults. The returned function has its own withDefaults method to derive
+ * further scoped functions. Throws for invalid values, as configure does.
+ *
+ * @param {Object} defaults
+ * @returns {Function}
+ */
+Transition.withDefaults = function(defaults) {
+    let scopedDefaults = utils.extend({}, defaults);
+
+    validateDefaultOptions(scopedDefaults, "Transition.withDefaults");
+
+    function begin(element, properties, options) {
+        if (properties.hasOwnProperty("properties")) {
+            options = properties;
+            properties = properties["properties"];
+        }
+        return Transition.begin(element, properties, utils.defaults(utils.extend({}, options), scopedDefaults));
+    }
+
+    Object.defineProperty(begin, "defaults", {
+        get: function() {
+            return utils.extend({}, scopedDefaults);
+        }
+    });
+    begin.withDefaults = function(options) {
+        return Transition.withDefaults(utils.extend({}, scopedDefaults, options));
+    };
+
+    return begin;
+};
+
+Transition.property = function(properties) {
+    return new TransitionProperty(properties);
+};
+
+/**
+ * Applies CSS transition on specified element using properties other transition related data specified in options.
+ *
+ * If a selector string, NodeList, HTMLCollection or an array of elements is passed instead of a single element, the
+ * transition is applied on every element and the delay of every element can be offset using options.stagger, see
+ * Transition.getStaggerDelay.
+ *
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+ * @param {Array|Object|String} properties Transition properties, effect names or effects with parameters
+ * @param {Object} options
+ * @param {String|Number} options.duration CSS time, milliseconds or a duration token
+ * @param {String|Number} options.delay CSS time, milliseconds or a duration token
+ * @param {String|Object} options.timingFunction CSS timing function, timing function token, curve name or spring
+ * @param {Number|String|Function|Object} options.stagger
+ * @param {Function} options.onBeforeChangeStyle
+ * @param {Function} options.onAfterChangeStyle
+ * @param {Function} options.onTransitionEnd
+ * @param {Function} options.onTransitionStart
+ * @param {Function} options.onTransitionCancel
+ * @param {String} options.engine
+ * @param {Number} options.playbackRate
+ * @param {String} options.reducedMotion
+ * @param {String} options.reducedMotionStrategy
+ * @param {String} options.reducedMotionDuration
+ */
+Transition.begin = function(element, properties, options) {
+    if (properties.hasOwnProperty("properties")) {
+        options = properties;
+        properties = properties["properties"];
+    }
+
+    if (utils.isString(element)) {
+        return Transition.beginMultiple(utils.toArray(document.querySelectorAll(element)), properties, options);
+    } else if (utils.isElementList(element)) {
+        return Transition.beginMultiple(utils.toArray(element), properties, options);
+    }
+
+    return new Transition(Transition.parseProperties(properties), options).begin(element);
+};
+
+/**
+ * Applies the same transition on each of the passed elements, offsetting their delays according to options.stagger.
+ * Returns a single handle controlling the transitions of all elements. Its promise is resolved when transitions of
+ * all elements end.
+ *
+ * @param {Array.<HTMLElement>} elements
+ * @param {Array|Object|String} properties
+ * @param {Object} options
+ * @returns {{promise: Promise, pause: Function, resume: Function, stop: Function, reverse: Function, remove: Function}}
+ */
+Transition.beginMultiple = function(elements, properties, options) {
+    let i, j, transition, _properties, parsedProperties, stagger = options && options.stagger, handles = [];
+
+    parsedProperties = Transition.parseProperties(properties);
+    for (i = 0; i < elements.length; i++) {
+        // Every transition must have its own properties as properties store the state of their transition
+        _properties = [];
+        for (j = 0; j < parsedProperties.length; j++) {
+            _properties.push(parsedProperties[j].clone());
+        }
+        transition = new Transition(_properties, options);
+        transition.delayOffset = Transition.getStaggerDelay(stagger, i, elements.length);
+        transition.elementIndex = i;
+        handles.push(transition.begin(elements[i]));
+    }
+
+    return Transition.groupHandles(elements, handles);
+};
+
+/**
+ * Returns the passed stagger time, a duration token, a time string or milliseconds, in milliseconds.
+ *
+ * @param {String|Number} value
+ * @returns {Number}
+ */
+function parseStaggerTime(value) {
+    let time = tokens.resolveTime(value);
+    if (time === null) {
+        throw "[Transition.begin]: Invalid stagger '" + value + "'";
+    }
+    return utils.parseTime(time);
+}
+
+/**
+ * Returns the delay in milliseconds of the element at the passed index according to the stagger option:
+ *   Number, time string or duration token - fixed step between every two successive elements, e.g.: '40ms'
+ *   Function - called with the element index and the number of elements, returns milliseconds or a time string
+ *   Object - {each: '40ms', from: 'start' | 'center' | 'end' | index}, the elements are delayed relatively to their
+ *       distance from the element the stagger begins from
+ *
+ * @param {Number|String|Function|Object} stagger
+ * @param {Number} index
+ * @param {Number} count
+ * @returns {Number}
+ */
+Transition.getStaggerDelay = function(stagger, index, count) {
+    let from, each;
+
+    if (!stagger) {
+        return 0;
+    } else if (utils.isFunction(stagger)) {
+        return parseStaggerTime(stagger(index, count));
+    } else if (utils.isNumber(stagger) || utils.isString(stagger)) {
+        return index * parseStaggerTime(stagger);
+    }
+
+    each = parseStaggerTime(stagger.each || 0);
+    if (stagger.from === "center") {
+        from = (count - 1) / 2;
+    } else if (stagger.from === "end") {
+        from = count - 1;
+    } else if (utils.isNumber(stagger.from)) {
+        from = stagger.from;
+    } else {
+        from = 0;
+    }
+
+    return Math.abs(index - from) * each;
+};
+
+/**
+ * Combines handles of transitions of multiple elements into a single handle. Its promise is resolved when all
+ * transitions end with an object having the transitioned elements, the finished flag that is true only if all
+ * transitions finished, and the results of the transitions of each element.
+ *
+ * @param {Array.<HTMLElement>} elements
+ * @param {Array.<Object>} handles
+ * @returns {{promise: Promise, iteration: Array.<Number>, pause: Function, resume: Function, stop: Function,
+ *      reverse: Function, remove: Function, seek: Function, setPlaybackRate: Function, progress: Function}}
+ */
+Transition.groupHandles = function(elements, handles) {
+    let i, promises = [];
+
+    function invoke(method, args) {
+        let i;
+        for (i = 0; i < handles.length; i++) {
+            handles[i][method].apply(handles[i], args);
+        }
+    }
+
+    for (i = 0; i < handles.length; i++) {
+        promises.push(handles[i].promise);
+    }
+
+    return {
+        promise: Promise.all(promises).then(function(results) {
+            let i, finished = true;
+            for (i = 0; i < results.length; i++) {
+                finished = finished && results[i].finished;
+            }
+            return {
+                elements: elements,
+                finished: finished,
+                results: results
+            };
+        }),
+        get iteration() {
+            return handles.map(function(handle) {
+                return handle.iteration;
+            });
+        },
+        pause: function() {
+            invoke("pause", arguments);
+        },
+        resume: function() {
+            invoke("resume", arguments);
+        },
+        stop: function() {
+            invoke("stop", arguments);
+        },
+        reverse: function() {
+            invoke("reverse", arguments);
+        },
+        remove: function() {
+            invoke("remove", arguments);
+        },
+        seek: function() {
+            invoke("seek", arguments);
+        },
+        setPlaybackRate: function() {
+            invoke("setPlaybackRate", arguments);
+        },
+        progress: function() {
+            return handles.map(function(handle) {
+                return handle.progress();
+            });
+        }
+    };
+};
+
+Transition.defaultShowEffect = {property: "opacity", from: "0", to: "1"};
+Transition.defaultHideEffect = {property: "opacity", to: "0"};
+
+// Default display values of elements by their node names, see getDefaultDisplay
+let defaultDisplays = {};
+
+/**
+ * Returns the display value elements with the node name of the passed element have when no styles hide them.
+ *
+ * @param {HTMLElement} element
+ * @returns {String}
+ */
+Transition.getDefaultDisplay = function(element) {
+    let nodeName = element.nodeName, temp, display;
+
+    if (!defaultDisplays.hasOwnProperty(nodeName)) {
+        temp = document.createElement(nodeName);
+        document.body.appendChild(temp);
+        display = window.getComputedStyle(temp, null).getPropertyValue("display");
+        document.body.removeChild(temp);
+        defaultDisplays[nodeName] = !display || display === "none" ? "block" : display;
+    }
+
+    return defaultDisplays[nodeName];
+};
+
+/**
+ * Shows the element by setting its display value and transitioning the properties of the effect. The display value
+ * the element had before it was hidden by Transition.hide is restored, or the default display value of the element
+ * if it is hidden by a stylesheet. Showing an element that is being hidden overrides the properties of the hide
+ * transition and returns its other properties to their "from" values, the element remains displayed.
+ *
+ * If a selector string, NodeList, HTMLCollection or an array of elements is passed instead of a single element,
+ * every element is shown and options.stagger is applied, same as in Transition.begin.
+ *
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+ * @param {Array|Object|String} [effect] transition properties in any of the forms accepted by Transition.begin,
+ *      fades the element in if not specified
+ * @param {Object} [options] same as the options of Transition.begin
+ * @returns {Object} the handle of the transition
+ */
+Transition.show = function(element, effect, options) {
+    return Transition.changeVisibility(element, true, effect, options);
+};
+
+/**
+ * Transitions the properties of the effect and sets the display of the element to "none" once they finish. If the
+ * transition is interrupted, for example by Transition.show or by another transition overriding its properties, the
+ * element is not hidden.
+ *
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+ * @param {Array|Object|String} [effect] transition properties in any of the forms accepted by Transition.begin,
+ *      fades the element out if not specified
+ * @param {Object} [options] same as the options of Transition.begin
+ * @returns {Object} the handle of the transition
+ */
+Transition.hide = function(element, effect, options) {
+    return Transition.changeVisibility(element, false, effect, options);
+};
+
+/**
+ * Shows the element if it is hidden or being hidden, otherwise hides it. The effect is used to show the element and
+ * is reversed to hide it.
+ *
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+ * @param {Array|Object|String} [effect] transition properties in any of the forms accepted by Transition.begin
+ * @param {Object} [options] same as the options of Transition.begin
+ * @returns {Object} the handle of the transition
+ */
+Transition.toggle = function(element, effect, options) {
+    return Transition.changeVisibility(element, null, effect, options);
+};
+
+/**
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} element
+ * @param {boolean|null} visible null to toggle the visibility of every element
+ * @param {Array|Object|String} effect
+ * @param {Object} options
+ * @returns {Object}
+ */
+Transition.changeVisibility = function(element, visible, effect, options) {
+    let i, elements, handles = [], stagger = options && options.stagger;
+
+    if (!utils.isString(element) && !utils.isElementList(element)) {
+        return Transition.changeElementVisibility(element, visible, effect, options, 0);
+    }
+
+    elements = utils.toArray(utils.isString(element) ? document.querySelectorAll(element) : element);
+    for (i = 0; i < elements.length; i++) {
+        handles.push(Transition.changeElementVisibility(elements[i], visible, effect, options,
+            Transition.getStaggerDelay(stagger, i, elements.length)));
+    }
+
+    return Transition.groupHandles(elements, handles);
+};
+
+/**
+ * Returns true if the element is hidden or is being hidden by Transition.hide.
+ *
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+Transition.isHidden = function(element) {
+    let state = element._visibility;
+    if (state && state.handle) {
+        return !state.visible;
+    }
+    return window.getComputedStyle(element, null).getPropertyValue("display") === "none";
+};
+
+/**
+ * The visibility state of an element is stored in element._visibility: whether the element is shown or hidden, the
+ * handle of the transition that shows or hides it while it runs, and the display value the element had before it
+ * was hidden.
+ *
+ * @param {HTMLElement} element
+ * @param {boolean|null} visible
+ * @param {Array|Object|String} effect
+ * @param {Object} options
+ * @param {Number} delayOffset
+ * @returns {Object}
+ */
+Transition.changeElementVisibility = function(element, visible, effect, options, delayOffset) {
+    let transition, properties, handle, state, reverse = false, hidden = Transition.isHidden(element),
+        previous = element._visibility || null;
+
+    // Toggling hides the element using the reversed effect
+    if (visible === null) {
+        visible = hidden;
+        reverse = !visible && !!effect;
+    }
+
+    if (reverse) {
+        properties = Transition.reverseEffect(effect, element);
+    } else {
+        properties = Transition.parseProperties(effect || (visible ? Transition.defaultShowEffect : Transition.defaultHideEffect));
+    }
+
+    // The element is already shown or hidden, or is being shown or hidden
+    if (previous && previous.handle && previous.visible === visible) {
+        return previous.handle;
+    } else if (visible === !hidden) {
+        return Transition.begin(element, [], options);
+    }
+
+    state = {
+        visible: visible,
+        handle: null,
+        display: previous ? previous.display : null
+    };
+    element._visibility = state;
+
+    if (visible && window.getComputedStyle(element, null).getPropertyValue("display") === "none") {
+        element.style.display = state.display !== null && state.display !== "none" ? state.display : "";
+        if (window.getComputedStyle(element, null).getPropertyValue("display") === "none") {
+            element.style.display = Transition.getDefaultDisplay(element);
+        }
+    }
+
+    transition = new Transition(properties, options);
+    transition.delayOffset = delayOffset;
+    transition.leaving = !visible;
+    handle = transition.begin(element);
+    state.handle = handle;
+
+    // Properties of the interrupted transition that were not overridden by the new transition are stopped. When the
+    // element is shown they return to their "from" values, so the interrupted hide leaves nothing half hidden.
+    if (previous && previous.handle) {
+        previous.handle.stop({mode: visible ? "start" : "current"});
+    }
+
+    handle.promise.then(function(result) {
+        if (element._visibility !== state) {
+            return;
+        }
+        state.handle = null;
+        if (!visible && result.finished) {
+            state.display = element.style.display;
+            element.style.display = "none";
+        }
+    });
+
+    return handle;
+};
+
+/**
+ * Inserts the node into the parent and transitions the properties of the enter effect. Inserting a node that is
+ * being removed by Transition.removeNode cancels its removal, the properties of the leave transition that are not
+ * overridden by the enter effect return to their "from" values.
+ *
+ * If a NodeList, HTMLCollection or an array of nodes is passed instead of a single node, every node is inserted and
+ * options.stagger is applied, same as in Transition.begin.
+ *
+ * @param {HTMLElement} parent
+ * @param {HTMLElement|NodeList|HTMLCollection|Array} node
+ * @param {Array|Object|String} [effect] transition properties in any of the forms accepted by Transition.begin,
+ *      fades the node in if not specified
+ * @param {Object} [options] same as the options of Transition.begin
+ * @param {Node} [options.before] the child of the parent the node is inserted before, appended if not specified
+ * @returns {Object} the handle of the transition
+ */
+Transition.insert = function(parent, node, effect, options) {
+    let i, nodes, handles = [], before = options && options.before || null, stagger = options && options.stagger;
+
+    if (!utils.isElementList(node)) {
+        parent.insertBefore(node, before);
+        return Transition.enterNode(node, effect, options, 0);
+    }
+
+    nodes = utils.toArray(node);
+    for (i = 0; i < nodes.length; i++) {
+        parent.insertBefore(nodes[i], before);
+    }
+    for (i = 0; i < nodes.length; i++) {
+        handles.push(Transition.enterNode(nodes[i], effect, options, Transition.getStaggerDelay(stagger, i, nodes.length)));
+    }
+
+    return Transition.groupHandles(nodes, handles);
+};
+
+/**
+ * Transitions the properties of the leave effect and detaches the node from its parent once the transition ends,
+ * whether it finished or was stopped. Removing a node that is already being removed returns the handle of its leave
+ * transition.
+ *
+ * If a NodeList, HTMLCollection or an array of nodes is passed instead of a single node, every node is removed and
+ * options.stagger is applied, same as in Transition.begin.
+ *
+ * @param {HTMLElement|NodeList|HTMLCollection|Array} node
+ * @param {Array|Object|String} [effect] transition properties in any of the forms accepted by Transition.begin,
+ *      fades the node out if not specified
+ * @param {Object} [options] same as the options of Transition.begin
+ * @returns {Object} the handle of the transition
+ */
+Transition.removeNode = function(node, effect, options) {
+    let i, nodes, handles = [], stagger = options && options.stagger;
+
+    if (!utils.isElementList(node)) {
+        return Transition.leaveNode(node, effect, options, 0);
+    }
+
+    // HTMLCollections are live, the nodes are copied before any of them is detached
+    nodes = utils.toArray(node);
+    for (i = 0; i < nodes.length; i++) {
+        handles.push(Transition.leaveNode(nodes[i], effect, options, Transition.getStaggerDelay(stagger, i, nodes.length)));
+    }
+
+    return Transition.groupHandles(nodes, handles);
+};
+
+/**
+ * Returns true if the node is being removed by Transition.removeNode.
+ *
+ * @param {HTMLElement} node
+ * @returns {boolean}
+ */
+Transition.isLeaving = function(node) {
+    return !!node._leaving && !node._leaving.detached;
+};
+
+/**
+ * Transitions the properties of the enter effect of a node that was inserted into the document.
+ *
+ * @param {HTMLElement} node
+ * @param {Array|Object|String} effect
+ * @param {Object} options
+ * @param {Number} delayOffset
+ * @returns {Object}
+ */
+Transition.enterNode = function(node, effect, options, delayOffset) {
+    let transition, handle, leaving = Transition.isLeaving(node) ? node._leaving : null;
+
+    node._leaving = null;
+
+    transition = new Transition(Transition.parseProperties(effect || Transition.defaultShowEffect), options);
+    transition.delayOffset = delayOffset;
+    handle = transition.begin(node);
+
+    if (leaving) {
+        leaving.handle.stop({mode: "start"});
+    }
+
+    return handle;
+};
+
+/**
+ * The leave state of a node is stored in node._leaving: the handle of its leave transition and whether the node was
+ * detached once the transition ended.
+ *
+ * @param {HTMLElement} node
+ * @param {Array|Object|String} effect
+ * @param {Object} options
+ * @param {Number} delayOffset
+ * @returns {Object}
+ */
+Transition.leaveNode = function(node, effect, options, delayOffset) {
+    let transition, handle, state;
+
+    if (Transition.isLeaving(node)) {
+        return node._leaving.handle;
+    } else if (!node.parentNode) {
+        return Transition.begin(node, [], options);
+    }
+
+    state = {
+        handle: null,
+        detached: false
+    };
+    node._leaving = state;
+
+    transition = new Transition(Transition.parseProperties(effect || Transition.defaultHideEffect), options);
+    transition.delayOffset = delayOffset;
+    transition.leaving = true;
+    handle = transition.begin(node);
+    state.handle = handle;
+
+    handle.promise.then(function() {
+        if (node._leaving !== state) {
+            return;
+        }
+        state.detached = true;
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+    });
+
+    return handle;
+};
+
+Transition.observedAttribute = "data-transition-children";
+
+/**
+ * Watches the root and its descendants for containers marked with the data-transition-children attribute, and
+ * transitions the element children that are added to or removed from them. The value of the attribute is the name of
+ * the effect children enter with, children leave with the reversed effect, they are faded in and out if the value is
+ * empty or is not the name of an effect. Removed children are put back in their place until their leave transition
+ * ends.
+ *
+ * Children that are moved within the document, or added and removed at once, are not transitioned.
+ *
+ * @param {HTMLElement} [root] document.body if not specified
+ * @param {Object} [options] same as the options of Transition.begin, options.stagger applies to children added or
+ *      removed at once
+ * @returns {{disconnect: Function}}
+ */
+Transition.observe = function(root, options) {
+    let observer;
+
+    if (typeof window.MutationObserver !== "function") {
+        throw "[Transition.observe]: MutationObserver is not supported";
+    }
+
+    observer = new window.MutationObserver(function(records) {
+        Transition.handleMutations(observer, records, options);
+    });
+    observer.observe(root || document.body, {childList: true, subtree: true});
+
+    return {
+        disconnect: function() {
+            observer.disconnect();
+        }
+    };
+};
+
+function getChildElements(nodeList) {
+    return utils.toArray(nodeList).filter(function(node) {
+        return node.nodeType === 1;
+    });
+}
+
+/**
+ * @param {MutationObserver} observer
+ * @param {Array.<MutationRecord>} records
+ * @param {Object} options
+ */
+Transition.handleMutations = function(observer, records, options) {
+    let i, j, record, nodes, before, added = [], removed = [];
+
+    for (i = 0; i < records.length; i++) {
+        added = added.concat(getChildElements(records[i].addedNodes));
+        removed = removed.concat(getChildElements(records[i].removedNodes));
+    }
+
+    function isObserved(record) {
+        return record.target.nodeType === 1 && record.target.hasAttribute(Transition.observedAttribute);
+    }
+
+    function isTransient(node) {
+        return added.indexOf(node) >= 0 && removed.indexOf(node) >= 0;
+    }
+
+    // Children of containers without a known effect are faded in and out, leaving children use the reversed effect
+    function getEffect(container, leavingNode) {
+        let effect = container.getAttribute(Transition.observedAttribute);
+        if (!effects.has(effect)) {
+            return null;
+        }
+        return leavingNode ? Transition.reverseEffect(effect, leavingNode) : effect;
+    }
+
+    function getStaggerDelay(index, count) {
+        return Transition.getStaggerDelay(options && options.stagger, index, count);
+    }
+
+    for (i = 0; i < records.length; i++) {
+        record = records[i];
+        nodes = isObserved(record) ? getChildElements(record.addedNodes).filter(function(node) {
+            return !isTransient(node) && node.parentNode === record.target;
+        }) : [];
+        for (j = 0; j < nodes.length; j++) {
+            Transition.enterNode(nodes[j], getEffect(record.target, null), options, getStaggerDelay(j, nodes.length));
+        }
+    }
+
+    // Removed nodes are put back in reverse order of their removal, so the siblings they were removed next to are
+    // in place again
+    for (i = records.length - 1; i >= 0; i--) {
+        record = records[i];
+        nodes = isObserved(record) ? getChildElements(record.removedNodes).filter(function(node) {
+            // Nodes detached by Transition.removeNode have already left
+            return !isTransient(node) && !node.parentNode && !(node._leaving && node._leaving.detached);
+        }) : [];
+        if (nodes.length === 0) {
+            continue;
+        }
+        if (record.nextSibling && record.nextSibling.parentNode === record.target) {
+            before = record.nextSibling;
+        } else if (record.previousSibling && record.previousSibling.parentNode === record.target) {
+            before = record.previousSibling.nextSibling;
+        } else {
+            before = null;
+        }
+        for (j = 0; j < nodes.length; j++) {
+            record.target.insertBefore(nodes[j], before);
+            Transition.leaveNode(nodes[j], getEffect(record.target, nodes[j]), options, getStaggerDelay(j, nodes.length));
+        }
+    }
+
+    // The nodes put back in place are not added children
+    observer.takeRecords();
+};
+
+/**
+ * Returns the properties of the effect played backwards. Effects that have a reversed factory are expanded using it,
+ * other properties have their "from" and "to" values swapped. Properties that don't have a "from" value begin from
+ * the value they have on the element, so they are reversed from this value instead of to nothing.
+ *
+ * @param {Array|Object|String} effect
+ * @param {HTMLElement} element
+ * @returns {Array.<TransitionProperty>}
+ */
+Transition.reverseEffect = function(effect, element) {
+    let i, item, properties = [], computedStyle = window.getComputedStyle(element, null);
+
+    if (utils.isArray(effect) && !isPropertyValues(effect)) {
+        for (i = 0; i < effect.length; i++) {
+            item = effect[i];
+            properties = properties.concat(Transition.reverseEffect(Transition.isEffect(item) ? item : [item], element));
+        }
+        return properties;
+    }
+
+    if (Transition.isEffect(effect) && effects.hasReversed(utils.isString(effect) ? effect : effect.effect)) {
+        return Transition.expandEffect(effect, true);
+    }
+
+    return Transition.parseProperties(effect).map(function(property) {
+        if (!property.keyframes && !utils.isString(property.from) && !utils.isNumber(property.from)) {
+            property = property.clone();
+            property.setFrom(computedStyle.getPropertyValue(property.cssProperty));
+        }
+        return property.reversedClone();
+    });
+};
+
+let matrixRegExp = /^matrix(3d)?\(([^)]+)\)$/;
+let scaleRegExp = /scale\(\s*([-+]?[\d.e-]+)(?:\s*,\s*([-+]?[\d.e-]+))?\s*\)/;
+
+function round(value, precision) {
+    let factor = Math.pow(10, precision);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Returns the horizontal and vertical scale of the current transform of the element. Browsers report computed
+ * transforms as matrices, the scale function of the transform is read where they are not resolved.
+ *
+ * @param {HTMLElement} element
+ * @returns {{x: Number, y: Number}}
+ */
+function getTransformScale(element) {
+    let transform = window.getComputedStyle(element, null).getPropertyValue("transform") || element.style.transform,
+        match = matrixRegExp.exec(transform), values;
+
+    if (match) {
+        values = match[2].split(",").map(parseFloat);
+        // The first two columns of the matrix are the transformed x and y axes
+        return match[1] ? {
+            x: Math.sqrt(values[0] * values[0] + values[1] * values[1] + values[2] * values[2]),
+            y: Math.sqrt(values[4] * values[4] + values[5] * values[5] + values[6] * values[6])
+        } : {
+            x: Math.sqrt(values[0] * values[0] + values[1] * values[1]),
+            y: Math.sqrt(values[2] * values[2] + values[3] * values[3])
+        };
+    }
+
+    match = scaleRegExp.exec(transform);
+    if (match) {
+        return {
+            x: parseFloat(match[1]),
+            y: parseFloat(match[2] === undefined ? match[1] : match[2])
+        };
+    }
+
+    return {x: 1, y: 1};
+}
+
+/**
+ * Returns the transform origin of the element in pixels relatively to its top left corner, the center of the
+ * passed rect if the origin can not be read.
+ *
+ * @param {HTMLElement} element
+ * @param {ClientRect} rect
+ * @returns {{x: Number, y: Number}}
+ */
+function getTransformOrigin(element, rect) {
+    let origin = window.getComputedStyle(element, null).getPropertyValue("transform-origin").split(" "),
+        x = utils.parseNumericValue(origin[0]),
+        y = utils.parseNumericValue(origin[1]);
+
+    return {
+        x: x && x.unit === "px" ? x.value : rect.width / 2,
+        y: y && y.unit === "px" ? y.value : rect.height / 2
+    };
+}
+
+/**
+ * Animates the layout changes the mutate function makes to the elements using the FLIP technique: the rects of the
+ * elements are measured before and after the mutation, then every element that moved or was resized is transformed
+ * back to where it was and its transform transitions to the identity. Once the transition ends, the element gets its
+ * own transform back.
+ *
+ * The children of resized elements are scaled inversely to their parent on every frame, so their content is not
+ * distorted. options.scaleCorrection selects the corrected descendants using a selector, it is false to disable the
+ * correction, only the direct children are corrected if not specified. Elements that are flipped themselves are not
+ * corrected.
+ *
+ * Starting a flip of elements that are still being flipped interrupts their flip, the elements move from where they
+ * are seen at the moment.
+ *
+ * @param {HTMLElement|String|NodeList|HTMLCollection|Array} elements
+ * @param {Function} mutate changes the layout synchronously
+ * @param {Object} [options] same as the options of Transition.begin
+ * @param {String|boolean} [options.scaleCorrection]
+ * @returns {Object} the handle of the transitions of all elements
+ */
+Transition.flip = function(elements, mutate, options) {
+    let i, first = [], handles = [], stagger = options && options.stagger;
+
+    if (utils.isString(elements)) {
+        elements = utils.toArray(document.querySelectorAll(elements));
+    } else if (utils.isElementList(elements)) {
+        elements = utils.toArray(elements);
+    } else {
+        elements = [elements];
+    }
+
+    // The rects the elements are seen at, including the transforms of flips that are in progress
+    for (i = 0; i < elements.length; i++) {
+        first.push(elements[i].getBoundingClientRect());
+    }
+    for (i = 0; i < elements.length; i++) {
+        Transition.stopFlip(elements[i]);
+    }
+
+    mutate();
+
+    for (i = 0; i < elements.length; i++) {
+        handles.push(Transition.flipElement(elements[i], elements, first[i], options,
+            Transition.getStaggerDelay(stagger, i, elements.length)));
+    }
+
+    return Transition.groupHandles(elements, handles);
+};
+
+/**
+ * Ends the flip of the element if it is in progress, the element and its corrected children get their own transforms
+ * back.
+ *
+ * @param {HTMLElement} element
+ */
+Transition.stopFlip = function(element) {
+    let state = element._flip;
+
+    if (!state) {
+        return;
+    }
+    element._flip = null;
+    state.handle.stop({mode: "end"});
+    state.stopScaleCorrection();
+    element.style.transform = state.transform;
+};
+
+/**
+ * The flip state of an element is stored in element._flip: the handle of its transition, the own transform of the
+ * element and the function that stops the scale correction of its children.
+ *
+ * @param {HTMLElement} element
+ * @param {Array.<HTMLElement>} elements all flipped elements
+ * @param {ClientRect} first the rect of the element before the mutation
+ * @param {Object} options
+ * @param {Number} delayOffset
+ * @returns {Object}
+ */
+Transition.flipElement = function(element, elements, first, options, delayOffset) {
+    let last = element.getBoundingClientRect(), transform = element.style.transform, origin, scaleX, scaleY, x, y,
+        suffix = transform ? " " + transform : "", scaleCorrection = options ? options.scaleCorrection : undefined,
+        transition, handle, state, children = [];
+
+    // Elements that are not rendered before or after the mutation have nowhere to move from or to
+    if (!first.width && !first.height || !last.width && !last.height) {
+        return Transition.begin(element, [], options);
+    }
+
+    scaleX = last.width ? first.width / last.width : 1;
+    scaleY = last.height ? first.height / last.height : 1;
+    origin = getTransformOrigin(element, last);
+    x = first.left - last.left - origin.x * (1 - scaleX);
+    y = first.top - last.top - origin.y * (1 - scaleY);
+    if (Math.abs(x) < 0.5 && Math.abs(y) < 0.5 && Math.abs(scaleX - 1) < 0.001 && Math.abs(scaleY - 1) < 0.001) {
+        return Transition.begin(element, [], options);
+    }
+
+    transition = new Transition([new TransitionProperty({
+        property: "transform",
+        from: "translate(" + round(x, 3) + "px, " + round(y, 3) + "px) scale(" + round(scaleX, 5) + ", " +
+            round(scaleY, 5) + ")" + suffix,
+        to: "translate(0px, 0px) scale(1, 1)" + suffix
+    })], options);
+    transition.delayOffset = delayOffset;
+    handle = transition.begin(element);
+
+    if (scaleCorrection !== false && (scaleX !== 1 || scaleY !== 1)) {
+        children = utils.toArray(utils.isString(scaleCorrection) ?
+            element.querySelectorAll(scaleCorrection) : element.children).filter(function(child) {
+            return elements.indexOf(child) < 0;
+        });
+    }
+
+    state = {
+        handle: handle,
+        transform: transform,
+        stopScaleCorrection: Transition.correctScale(element, children)
+    };
+    element._flip = state;
+
+    handle.promise.then(function() {
+        if (element._flip !== state) {
+            return;
+        }
+        element._flip = null;
+        state.stopScaleCorrection();
+        element.style.transform = state.transform;
+    });
+
+    return handle;
+};
+
+/**
+ * Scales the children inversely to the current scale of the element on every frame, until the returned function is
+ * called, which gives the children their own transforms back.
+ *
+ * @param {HTMLElement} element
+ * @param {Array.<HTMLElement>} children
+ * @returns {Function}
+ */
+Transition.correctScale = function(element, children) {
+    let transforms = children.map(function(child) {
+        return child.style.transform;
+    }), active = children.length > 0;
+
+    function correct() {
+        let i, scale;
+        if (!active) {
+            return;
+        }
+        scale = getTransformScale(element);
+        for (i = 0; i < children.length; i++) {
+            children[i].style.transform = "scale(" + round(scale.x ? 1 / scale.x : 1, 5) + ", " +
+                round(scale.y ? 1 / scale.y : 1, 5) + ")" + (transforms[i] ? " " + transforms[i] : "");
+        }
+        utils.requestAnimationFrame(correct);
+    }
+
+    correct();
+
+    return function() {
+        let i;
+        if (!active) {
+            return;
+        }
+        active = false;
+        for (i = 0; i < children.length; i++) {
+            children[i].style.transform = transforms[i];
+        }
+    };
+};
+
+let borderRadiusProperties = ["borderTopLeftRadius", "borderTopRightRadius", "borderBottomRightRadius", "borderBottomLeftRadius"];
+
+function saveInlineStyle(element, domProperties) {
+    let i, style = {};
+    for (i = 0; i < domProperties.length; i++) {
+        style[domProperties[i]] = element.style[domProperties[i]];
+    }
+    return style;
+}
+
+function restoreInlineStyle(element, style) {
+    let domProperty;
+    for (domProperty in style) {
+        if (style.hasOwnProperty(domProperty)) {
+            element.style[domProperty] = style[domProperty];
+        }
+    }
+}
+
+/**
+ * Transitions the source element into the target element, for example a list item into its detail view. The target
+ * is positioned over the source using its transform and size, then its position, size, border radius and opacity
+ * transition to its own, while the source moves and scales along to the rect of the target and fades out. Once the
+ * transitions end, the target gets its own styles back and the source is hidden using visibility, so the layout
+ * around it does not change. The promise of the returned handle is resolved after that.
+ *
+ * The target must be displayed, it may be hidden by a previous morph, e.g. morphing back from the detail view to the
+ * list item shows the list item again. Starting a morph of elements that are still being morphed interrupts their
+ * morph, the new morph begins where the source is seen at the moment.
+ *
+ * @param {HTMLElement} fromElement the source
+ * @param {HTMLElement} toElement the target
+ * @param {Object} [options] same as the options of Transition.begin
+ * @returns {Object} the handle of the transitions of both elements
+ */
+Transition.morph = function(fromElement, toElement, options) {
+    let i, from = fromElement.getBoundingClientRect(), to, fromStyle, toStyle, origin, scaleX, scaleY, x, y, width, height,
+        sourceStyle, targetStyle, sourceTransform, targetTransform, sourceProperties, targetProperties, cssProperty,
+        handle, state;
+
+    Transition.stopMorph(fromElement);
+    Transition.stopMorph(toElement);
+    if (toElement.hasOwnProperty("_morphVisibility")) {
+        toElement.style.visibility = toElement._morphVisibility;
+        delete toElement._morphVisibility;
+    }
+    to = toElement.getBoundingClientRect();
+
+    sourceStyle = saveInlineStyle(fromElement, ["transform", "opacity"]);
+    targetStyle = saveInlineStyle(toElement, ["transform", "width", "height", "opacity"].concat(borderRadiusProperties));
+
+    state = {
+        handle: null,
+        ended: false,
+        end: function() {
+            if (state.ended) {
+                return;
+            }
+            state.ended = true;
+            if (fromElement._morph === state) {
+                fromElement._morph = null;
+            }
+            if (toElement._morph === state) {
+                toElement._morph = null;
+            }
+            restoreInlineStyle(fromElement, sourceStyle);
+            restoreInlineStyle(toElement, targetStyle);
+            fromElement._morphVisibility = fromElement.style.visibility;
+            fromElement.style.visibility = "hidden";
+        }
+    };
+
+    // Elements that are not rendered have no rect to morph from or to
+    if (!from.width || !from.height || !to.width || !to.height) {
+        state.end();
+        return Transition.groupHandles([fromElement, toElement],
+            [Transition.begin(fromElement, [], options), Transition.begin(toElement, [], options)]);
+    }
+
+    fromStyle = window.getComputedStyle(fromElement, null);
+    toStyle = window.getComputedStyle(toElement, null);
+
+    // The source is scaled to the rect of the target around its transform origin
+    scaleX = to.width / from.width;
+    scaleY = to.height / from.height;
+    origin = getTransformOrigin(fromElement, from);
+    x = to.left - from.left - origin.x * (1 - scaleX);
+    y = to.top - from.top - origin.y * (1 - scaleY);
+    sourceTransform = sourceStyle.transform ? " " + sourceStyle.transform : "";
+    sourceProperties = [{
+        property: "transform",
+        from: "translate(0px, 0px) scale(1, 1)" + sourceTransform,
+        to: "translate(" + round(x, 3) + "px, " + round(y, 3) + "px) scale(" + round(scaleX, 5) + ", " +
+            round(scaleY, 5) + ")" + sourceTransform
+    }, {
+        property: "opacity",
+        from: fromStyle.getPropertyValue("opacity") || "1",
+        to: "0"
+    }];
+
+    // The target is resized instead of scaled, so its content is laid out at every size. The difference between its
+    // rect and its width and height (padding and border when box-sizing is content-box) is kept.
+    targetTransform = targetStyle.transform ? " " + targetStyle.transform : "";
+    width = parseFloat(toStyle.getPropertyValue("width"));
+    width = isNaN(width) ? to.width : width;
+    height = parseFloat(toStyle.getPropertyValue("height"));
+    height = isNaN(height) ? to.height : height;
+    targetProperties = [{
+        property: "transform",
+        from: "translate(" + round(from.left - to.left, 3) + "px, " + round(from.top - to.top, 3) + "px)" + targetTransform,
+        to: "translate(0px, 0px)" + targetTransform
+    }, {
+        property: "width",
+        from: round(from.width - to.width + width, 3) + "px",
+        to: round(width, 3) + "px"
+    }, {
+        property: "height",
+        from: round(from.height - to.height + height, 3) + "px",
+        to: round(height, 3) + "px"
+    }, {
+        property: "opacity",
+        from: "0",
+        to: toStyle.getPropertyValue("opacity") || "1"
+    }];
+    for (i = 0; i < borderRadiusProperties.length; i++) {
+        cssProperty = utils.domToCSS(borderRadiusProperties[i]);
+        if (fromStyle.getPropertyValue(cssProperty) !== toStyle.getPropertyValue(cssProperty)) {
+            targetProperties.push({
+                property: cssProperty,
+                from: fromStyle.getPropertyValue(cssProperty) || "0px",
+                to: toStyle.getPropertyValue(cssProperty) || "0px"
+            });
+        }
+    }
+
+    handle = Transition.groupHandles([fromElement, toElement], [
+        Transition.begin(fromElement, sourceProperties, options),
+        Transition.begin(toElement, targetProperties, options)
+    ]);
+    handle.promise = handle.promise.then(function(result) {
+        state.end();
+        return result;
+    });
+    state.handle = handle;
+    fromElement._morph = state;
+    toElement._morph = state;
+
+    return handle;
+};
+
+/**
+ * Ends the morph of the element if it is in progress, the target gets its own styles back and the source is hidden.
+ *
+ * @param {HTMLElement} element
+ */
+Transition.stopMorph = function(element) {
+    let state = element._morph;
+
+    if (!state) {
+        return;
+    }
+    state.handle.stop({mode: "end"});
+    state.end();
+};
+
+/**
+ * Creates a timeline that chains transitions of one or more elements, see Timeline.
+ *
+ * @returns {Timeline}
+ */
+Transition.timeline = function() {
+    return new Timeline(Transition);
+};
+
+/**
+ * Returns true if the passed value is the name of an effect, or an object with the name of an effect and its
+ * parameters: {effect: 'slideUp', distance: '40px'}.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+Transition.isEffect = function(value) {
+    return effects.has(value) || utils.isObject(value) && !utils.isArray(value) && "effect" in value;
+};
+
+/**
+ * Returns true if the passed array holds the values of a single property: ['opacity', '0', '1', ...].
+ *
+ * @param {Array} properties
+ * @returns {boolean}
+ */
+function isPropertyValues(properties) {
+    return utils.isString(properties[0]) && properties[0].indexOf(" ") === -1 && !effects.has(properties[0]);
+}
+
+/**
+ * Expands the effect to an array of TransitionProperty instances, see Transition.isEffect.
+ *
+ * @param {String|Object} effect
+ * @param {boolean} reversed expand the effect using its reversed factory
+ * @returns {Array.<TransitionProperty>}
+ */
+Transition.expandEffect = function(effect, reversed) {
+    let i, property, params, properties;
+
+    if (utils.isString(effect)) {
+        return Transition.parseProperties(effects.expand(effect, {}, reversed));
+    }
+    params = utils.extend({}, effect);
+    delete params.effect;
+    properties = Transition.parseProperties(effects.expand(effect.effect, params, reversed));
+    // The duration, delay and timing function of the effect apply to its properties that don't have their own
+    for (i = 0; i < properties.length; i++) {
+        property = properties[i];
+        property.duration = property.duration || resolvePropertyTime(params.duration, "duration");
+        property.delay = property.delay || resolvePropertyTime(params.delay, "delay");
+        property.timingFunction = property.timingFunction || tokens.resolveTimingFunction(params.timingFunction);
+    }
+    return properties;
+};
+
+/**
+ * Converts transition properties specified in any of the forms accepted by Transition.begin to an array of
+ * TransitionProperty instances. Effects are expanded to their properties.
+ *
+ * @param {Array|Object|String} properties
+ * @returns {Array.<TransitionProperty>}
+ */
+Transition.parseProperties = function(properties) {
+    let i, property, _properties = [];
+
+    if (Transition.isEffect(properties)) {
+        return Transition.expandEffect(properties, false);
+    } else if (utils.isString(properties)) {
+        _properties.push(new TransitionProperty(properties));
+    } else if (utils.isArray(properties)) {
+        // properties == [ ... ]
+        if (isPropertyValues(properties)) {
+            // properties == ['opacity', '0', '1', ...]
+            _properties.push(new TransitionProperty(properties));
+        } else {
+            for (i = 0; i < properties.length; i++) {
+                property = properties[i];
+                if (Transition.isEffect(property)) {
+                    // properties == [ "fadeIn", {effect: "slideUp", distance: "40px"}, ... ]
+                    _properties = _properties.concat(Transition.parseProperties(property));
+                    continue;
+                }
+                if (utils.isArray(property) || !(property instanceof TransitionProperty)) {
+                    // properties == [ ["opacity 0 1"], [ ... ], ... ]
+                    // properties == [ ["opacity", 0, 1], [ ... ], ... ]
+                    // properties == [ {property: "opacity", from: 0, to: 1}, { ... }, ... ]
                     property = new TransitionProperty(property);
                 }
-                // If not above, then property is instance of TransitionProperty
-                // properties == [new TransitionProperty("opacity", 0, 1)]
-                _properties.push(property);
+                // If not above, then property is instance of TransitionProperty
+                // properties == [new TransitionProperty("opacity", 0, 1)]
+                _properties.push(property);
+            }
+        }
+    } else {
+        // properties == { ... }
+        if ("property" in properties) {
+            // properties == { property: "opacity", from: 0, to: 1 }
+            property = new TransitionProperty(properties);
+            _properties.push(property);
+        } else {
+            for (property in properties) {
+                if (properties.hasOwnProperty(property)) {
+                    if (utils.isArray(properties[property])) {
+                        // properties == { "opacity": [0, 1], ... }
+                        property = [property].concat(properties[property]);
+                        property = new TransitionProperty(property);
+                    } else {
+                        // properties == { "opacity": {from: 0, to: 1}, ... }
+                        property = utils.defaults({"property": property}, properties[property]);
+                        property = new TransitionProperty(property);
+                    }
+                    _properties.push(property);
+                }
+            }
+        }
+    }
+
+    return _properties;
+};
+
+Transition.prototype = {
+
+    constructor: Transition,
+
+    /**
+     * Begins the transition on the passed element.
+     *
+     * @param {HTMLElement} element
+     * @returns {{promise: Promise, pause: Function, resume: Function, stop: Function, reverse: Function, remove: Function,
+     *      seek: Function, setPlaybackRate: Function, progress: Function}}
+     */
+    begin: function(element) {
+        let transition = this, promise;
+
+        // The promise must be created before the transition begins, as the transition may end synchronously when
+        // all of its properties have equal "from" and "to" values.
+        promise = new Promise(function(resolve, reject) {
+            transition.resolve = resolve;
+            transition.reject = reject;
+        });
+
+        if (this.needsCrossfade()) {
+            this.addCrossfadeProperty(element);
+        }
+
+        this.beginTransition(element);
+
+        return {
+            promise: promise,
+            get iteration() {
+                return transition.iteration;
+            },
+            pause: function() {
+                transition.pause(element);
+            },
+            resume: function() {
+                transition.resume(element);
+            },
+            stop: function(options) {
+                transition.stop(element, options);
+            },
+            reverse: function() {
+                transition.reverse(element);
+            },
+            remove: function(options) {
+                transition.stop(element, options);
+            },
+            seek: function(progressOrTime) {
+                transition.seek(element, progressOrTime);
+            },
+            setPlaybackRate: function(playbackRate) {
+                transition.setPlaybackRate(element, playbackRate);
+            },
+            progress: function() {
+                return transition.progress();
+            }
+        };
+    },
+
+    /**
+     * Sets the properties of this transition to their "to" values without transitioning them, for example when the
+     * transition is skipped. The values are resolved the same way as when the transition begins, see
+     * TransitionProperty.prototype.resolveValues.
+     *
+     * @param {HTMLElement} element
+     */
+    applyEndValues: function(element) {
+        let i, property;
+
+        for (i = 0; i < this.properties.length; i++) {
+            property = this.properties[i];
+            if (!utils.isString(property.from) && !utils.isNumber(property.from)) {
+                property.setFrom(window.getComputedStyle(element, null).getPropertyValue(property.cssProperty));
+            }
+            property.resolveValues(element, this.elementIndex);
+            element.style[property.domProperty] = property.to;
+            property.restoreAutoValue(element);
+        }
+    },
+
+    /**
+     * Returns the factor the durations and delays of this transition are multiplied by, combining the global time
+     * scale and the playback rate of this transition.
+     *
+     * @returns {Number}
+     */
+    getTimeScale: function() {
+        return Transition.timeScale / this.playbackRate;
+    },
+
+    /**
+     * Returns the time in milliseconds it takes for all properties of this transition to finish, including their
+     * delays and repetitions.
+     *
+     * @param {Number} [timeScale] the global time scale the duration is multiplied by, the current one if not passed
+     * @returns {Number}
+     */
+    getTotalDuration: function(timeScale) {
+        let i, timing, total = 0;
+        for (i = 0; i < this.properties.length; i++) {
+            timing = this.getPropertyTiming(this.properties[i]);
+            total = Math.max(total, timing.duration + timing.delay);
+        }
+        if (this.needsCrossfade()) {
+            total = Math.max(total, this.reducedMotionDuration);
+        }
+        if (this.repeat) {
+            total = total * (this.getRepeatCount() + 1) + this.repeatDelay * this.getRepeatCount();
+        }
+        timeScale = utils.isNumber(timeScale) ? timeScale : Transition.timeScale;
+        return (total + this.getDelayOffset()) * timeScale / this.playbackRate;
+    },
+
+    /**
+     * Returns the duration and delay in milliseconds of the passed property before they are scaled. Properties that
+     * move the element, or all properties if the reducedMotionStrategy is "instant", have no duration and delay when
+     * motion is reduced.
+     *
+     * @param {TransitionProperty} property
+     * @returns {{duration: Number, delay: Number}}
+     */
+    getPropertyTiming: function(property) {
+        if (this.motionReduced && (this.reducedMotionStrategy === "instant" || property.isMotionProperty())) {
+            return {duration: 0, delay: 0};
+        }
+        return {
+            duration: utils.parseTime(property.duration || this.duration),
+            delay: utils.parseTime(property.delay || this.delay)
+        };
+    },
+
+    /**
+     * Returns the additional delay in milliseconds of every property before it is scaled. Staggered elements appear
+     * together when motion is reduced.
+     *
+     * @returns {Number}
+     */
+    getDelayOffset: function() {
+        return this.motionReduced ? 0 : this.delayOffset;
+    },
+
+    /**
+     * Returns the number of repetitions. Infinite repetitions are not performed when motion is reduced.
+     *
+     * @returns {Number}
+     */
+    getRepeatCount: function() {
+        return this.motionReduced && this.repeat === Infinity ? 0 : this.repeat;
+    },
+
+    /**
+     * Returns true if motion is reduced using a crossfade and this transition moves the element without
+     * transitioning its opacity.
+     *
+     * @returns {boolean}
+     */
+    needsCrossfade: function() {
+        let i, hasMotionProperty = false;
+
+        if (!this.motionReduced || this.reducedMotionStrategy !== "crossfade") {
+            return false;
+        }
+
+        for (i = 0; i < this.properties.length; i++) {
+            if (this.properties[i].cssProperty === "opacity") {
+                return false;
+            }
+            hasMotionProperty = hasMotionProperty || this.properties[i].isMotionProperty();
+        }
+
+        return hasMotionProperty;
+    },
+
+    /**
+     * Adds an opacity property fading the element in while its motion properties jump to their "to" values. Elements
+     * that are hidden or removed are faded out instead, and get their opacity back once the transition finishes.
+     *
+     * @param {HTMLElement} element
+     */
+    addCrossfadeProperty: function(element) {
+        let property, opacity = window.getComputedStyle(element, null).getPropertyValue("opacity") || "1",
+            inlineOpacity = element.style.opacity;
+
+        if (this.leaving) {
+            property = new TransitionProperty({
+                property: "opacity",
+                from: opacity,
+                to: "0",
+                duration: utils.formatTime(this.reducedMotionDuration),
+                onTransitionEnd: function(element, finished) {
+                    if (finished) {
+                        element.style.opacity = inlineOpacity;
+                    }
+                }
+            });
+        } else {
+            property = new TransitionProperty({
+                property: "opacity",
+                from: "0",
+                to: opacity,
+                duration: utils.formatTime(this.reducedMotionDuration)
+            });
+        }
+        property.isCrossfade = true;
+        this.properties.push(property);
+    },
+
+    /**
+     * Keeps the transition registered on the element while waiting for the repeat delay to pass, so the repetition
+     * could be stopped or overridden by another transition of the same properties.
+     *
+     * @param {HTMLElement} element
+     * @param {Number} delay
+     */
+    scheduleRepetition: function(element, delay) {
+        let transition = this;
+
+        if (!element.hasOwnProperty("_transitions")) {
+            element._transitions = [];
+        }
+        if (element._transitions.indexOf(this) < 0) {
+            element._transitions.push(this);
+        }
+
+        this.waitingToRepeat = true;
+        this.repeatDelayRemaining = null;
+        this.repeatDelayEndTime = utils.now() + delay;
+        this.repeatTimeout = window.setTimeout(function() {
+            transition.repeatTimeout = null;
+            transition.beginRepetition(element);
+        }, delay);
+    },
+
+    beginRepetition: function(element) {
+        let i, properties = [];
+
+        element._transitions.splice(element._transitions.indexOf(this), 1);
+        this.waitingToRepeat = false;
+        this.transitionStarted = false;
+        this.iteration++;
+
+        // Every repetition uses new properties as properties store the state of their transition. The crossfade of
+        // reduced motion is performed once, when the transition begins.
+        for (i = 0; i < this.properties.length; i++) {
+            if (!this.properties[i].isCrossfade) {
+                properties.push(this.alternate ? this.properties[i].reversedClone() : this.properties[i].clone());
+            }
+        }
+        this.properties = properties;
+
+        this.beginTransition(element);
+    },
+
+    /**
+     * Ends a transition that is waiting for its next repetition, with finished set to false.
+     *
+     * @param {HTMLElement} element
+     */
+    cancelRepetition: function(element) {
+        if (this.repeatTimeout !== null) {
+            window.clearTimeout(this.repeatTimeout);
+            this.repeatTimeout = null;
+        }
+        element._transitions.splice(element._transitions.indexOf(this), 1);
+        this.waitingToRepeat = false;
+        this.allPropertiesWereFinished = false;
+        this.executeOnTransitionEnd(element, true);
+    },
+
+    hasSomeProperty: function(properties) {
+        let i, j;
+        for (i = 0; i < properties.length; i++) {
+            for (j = 0; j < this.properties.length; j++) {
+                if (this.properties[j].cssProperty === properties[i].cssProperty) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    },
+
+    beginTransition: function(element) {
+        let i, property;
+
+        this.finishTransitioningPropertiesIfExist(element);
+
+        // Must ensure that all transition properties have "from" and absolute "to" values. Otherwise we wouldn't be
+        // able to check if a property has equal "from" and "to" values and not to transition them. Their
+        // "transitionend" event wouldn't be called anyway.
+        for (i = 0; i < this.properties.length; i++) {
+            property = this.properties[i];
+            if (!utils.isString(property.from) && !utils.isNumber(property.from)) {
+                property.setFrom(window.getComputedStyle(element, null).getPropertyValue(property.cssProperty));
+            }
+            property.resolveValues(element, this.elementIndex);
+        }
+
+        for (i = 0; i < this.properties.length; i++) {
+            property = this.properties[i];
+            if (property.isStatic()) {
+                element.style[property.domProperty] = property.to;
+                property.restoreAutoValue(element);
+                property.executeOnTransitionEnd(element, true);
+            } else {
+                element.style[property.domProperty] = property.from;
+                this.toBeTransitionedPropertyNames.push(property.cssProperty);
+                this.toBeTransitionedProperties.push(property);
+            }
+        }
+
+        if (utils.isFunction(this.onBeforeChangeStyle)) {
+            this.onBeforeChangeStyle(element);
+        }
+
+        if (this.toBeTransitionedProperties.length === 0) {
+            if (utils.isFunction(this.onAfterChangeStyle)) {
+                this.onAfterChangeStyle(element);
+            }
+            // Nothing was transitioned, repeating the transition would not change anything either
+            this.repeat = this.iteration;
+            this.executeOnTransitionEnd(element, true);
+            return;
+        }
+
+        // Trigger reflow
+        // noinspection BadExpressionStatementJS
+        element.offsetHeight;
+
+        this.addTransitionEndListener(element);
+
+        utils.executeInNextEventLoop(function() {
+            let i, property, timing, duration, delay, timingFunction, timeScale = this.getTimeScale(),
+                endedPropertyNames = [];
+
+            // If other transition began after this one in the same event loop, they could cause
+            // toBeTransitionedProperties of this transition to be removed and thus end this transition.
+            // No need to call "onAfterChangeStyle" and "removeTransitionEndListener" as they were already called
+            // from "finishToBeTransitionedProperties".
+            if (this.toBeTransitionedProperties.length === 0) {
+                return;
+            }
+
+            for (i = 0; i < this.toBeTransitionedProperties.length; i++) {
+                property = this.toBeTransitionedProperties[i];
+                timing = this.getPropertyTiming(property);
+                duration = utils.formatTime(timing.duration * timeScale);
+                delay = utils.formatTime((timing.delay + this.getDelayOffset()) * timeScale);
+                timingFunction = property.timingFunction || this.timingFunction;
+                if (property.keyframes) {
+                    // Keyframes are transitioned one segment at a time, each taking its portion of the duration
+                    property.keyframeIndex = 0;
+                    property.keyframesDuration = utils.parseTime(duration);
+                    property.keyframesTimingFunction = timingFunction;
+                    property.startTiming(property.keyframesDuration, utils.parseTime(delay), timingFunction);
+                    duration = utils.formatTime(property.getKeyframeDuration(0));
+                }
+                if (this.preserveVelocity) {
+                    timingFunction = property.getVelocityMatchingTimingFunction(timingFunction, duration);
+                }
+                if (!property.keyframes) {
+                    property.startTiming(utils.parseTime(duration), utils.parseTime(delay), timingFunction);
+                }
+                property.startSegment(duration, delay, timingFunction, property.from);
+            }
+            this.transitioningPropertyNames = this.toBeTransitionedPropertyNames;
+            this.transitioningProperties = this.toBeTransitionedProperties;
+            this.toBeTransitionedPropertyNames = [];
+            this.toBeTransitionedProperties = [];
+
+            // The transition was paused before its properties were applied. Leave the properties at their "from"
+            // values, they will begin transitioning when the transition is resumed.
+            if (this.paused) {
+                for (i = 0; i < this.transitioningProperties.length; i++) {
+                    this.transitioningProperties[i].elapsedTime = 0;
+                    this.transitioningProperties[i].pauseTiming();
+                }
+                this.afterChangeStylePending = true;
+                this.seekIfPending(element);
+                return;
+            }
+
+            this.engine.applySegments(this, element, this.transitioningProperties);
+
+            for (i = 0; i < this.transitioningProperties.length; i++) {
+                property = this.transitioningProperties[i];
+                if (property.segment.duration === 0 && property.segment.delay === 0) {
+                    endedPropertyNames.push(property.cssProperty);
+                } else {
+                    this.watchPropertySegment(element, property);
+                }
+            }
+
+            // Trigger reflow
+            // noinspection BadExpressionStatementJS
+            // element.offsetHeight;
+            if (utils.isFunction(this.onAfterChangeStyle)) {
+                this.onAfterChangeStyle(element);
+            }
+
+            // Properties with zero duration and delay, for example when the time scale is 0, will not receive
+            // transitionend event
+            for (i = 0; i < endedPropertyNames.length; i++) {
+                this.endPropertySegment(element, endedPropertyNames[i]);
+            }
+
+            this.seekIfPending(element);
+
+        }, this);
+
+    },
+
+    /**
+     * Freezes all transitioning properties at their current computed values by removing them from the element's
+     * transition-* properties. The elapsed time of every property is stored, so the transition could be continued
+     * from the same point by calling resume. Engines that control their segments pause them by themselves.
+     *
+     * @param {HTMLElement} element
+     */
+    pause: function(element) {
+        let i, property, values, now;
+
+        if (this.paused) {
+            return;
+        }
+        this.paused = true;
+
+        if (this.waitingToRepeat) {
+            window.clearTimeout(this.repeatTimeout);
+            this.repeatTimeout = null;
+            this.repeatDelayRemaining = Math.max(this.repeatDelayEndTime - utils.now(), 0);
+            return;
+        }
+
+        // If properties were not applied yet, they will be paused once they are applied in the next event loop.
+        if (this.transitioningProperties.length === 0) {
+            return;
+        }
+
+        now = utils.now();
+        for (i = 0; i < this.transitioningProperties.length; i++) {
+            property = this.transitioningProperties[i];
+            property.elapsedTime = now - property.segment.startTime;
+            property.pauseTiming();
+            property.clearTimeouts();
+            property.cancelExpected = !this.controlsSegments();
+        }
+
+        if (this.controlsSegments()) {
+            this.engine.pauseSegments(this, element, this.transitioningProperties);
+            return;
+        }
+
+        // Read all current values before changing the element's style, otherwise reading computed style of the
+        // next property would trigger a new transition of the already frozen property.
+        values = this.getComputedValues(element, this.transitioningProperties);
+
+        this.engine.removeSegments(this, element, this.transitioningProperties);
+        for (i = 0; i < this.transitioningProperties.length; i++) {
+            element.style[this.transitioningProperties[i].domProperty] = values[i];
+        }
+    },
+
+    /**
+     * Continues transitioning the properties frozen by pause. Properties that were paused during their delay
+     * continue with the rest of the delay and the full duration. Properties that were paused in the middle of their
+     * transition continue with the remaining duration and with a timing function matching the remaining portion of
+     * the original timing function curve.
+     *
+     * @param {HTMLElement} element
+     */
+    resume: function(element) {
+        let i, property, segment, elapsed, progress, split, duration, delay, timingFunction,
+            finishedPropertyNames = [], controlsSegments = this.controlsSegments();
+
+        if (!this.paused) {
+            return;
+        }
+        this.paused = false;
+
+        if (this.waitingToRepeat) {
+            this.scheduleRepetition(element, this.repeatDelayRemaining);
+            return;
+        }
+
+        // If properties were not applied yet, they will be applied normally in the next event loop.
+        if (this.transitioningProperties.length === 0) {
+            return;
+        }
+
+        // Trigger reflow to ensure frozen values are applied before transition values are restored
+        // noinspection BadExpressionStatementJS
+        element.offsetHeight;
+
+        for (i = 0; i < this.transitioningProperties.length; i++) {
+            property = this.transitioningProperties[i];
+            segment = property.segment;
+            elapsed = property.elapsedTime;
+            property.elapsedTime = null;
+            property.resumeTiming();
+
+            // The engine continues the segment from the point it was paused at
+            if (controlsSegments) {
+                segment.startTime = utils.now() - elapsed;
+                continue;
+            }
+
+            timingFunction = segment.timingFunction;
+            if (elapsed <= segment.delay) {
+                duration = segment.duration;
+                delay = segment.delay - elapsed;
+            } else {
+                progress = segment.duration > 0 ? (elapsed - segment.delay) / segment.duration : 1;
+                delay = 0;
+                if (progress >= 1) {
+                    duration = 0;
+                } else {
+                    duration = segment.duration * (1 - progress);
+                    split = easing.splitTimingFunction(segment.timingFunction, progress);
+                    if (split) {
+                        timingFunction = split.remaining;
+                    }
+                }
+            }
+
+            if (duration === 0 && delay === 0) {
+                finishedPropertyNames.push(property.cssProperty);
+            }
+
+            // The property was frozen by pause, its inline value is the value it continues from
+            property.startSegment(duration, delay, timingFunction, element.style[property.domProperty]);
+        }
+        if (controlsSegments) {
+            this.engine.resumeSegments(this, element, this.transitioningProperties);
+        } else {
+            this.engine.applySegments(this, element, this.transitioningProperties);
+        }
+
+        for (i = 0; i < this.transitioningProperties.length; i++) {
+            property = this.transitioningProperties[i];
+            if (finishedPropertyNames.indexOf(property.cssProperty) < 0) {
+                this.watchPropertySegment(element, property);
+            }
+        }
+
+        if (this.afterChangeStylePending) {
+            this.afterChangeStylePending = false;
+            if (utils.isFunction(this.onAfterChangeStyle)) {
+                this.onAfterChangeStyle(element);
+            }
+        }
+
+        // Properties that have nothing left to transition will not receive transitionend event
+        for (i = 0; i < finishedPropertyNames.length; i++) {
+            this.endPropertySegment(element, finishedPropertyNames[i]);
+        }
+    },
+
+    /**
+     * Stops the transition of all properties that were not finished yet. Stopped properties are removed from the
+     * element's transition-* properties and their values are set according to the passed mode:
+     *   'current' - the properties are frozen at their current values (default)
+     *   'end' - the properties jump to their "to" values
+     *   'start' - the properties jump back to their "from" values
+     * The onTransitionEnd callbacks of the stopped properties and of the whole transition are called with finished
+     * set to false, and the promise is resolved.
+     *
+     * @param {HTMLElement} element
+     * @param {Object} [options]
+     * @param {String} [options.mode]
+     */
+    stop: function(element, options) {
+        let i, mode, property, properties, values = [], computedStyle,
+            toBeTransitioned = this.toBeTransitionedProperties.length > 0;
+
+        mode = options && options.mode || "current";
+        if (["current", "end", "start"].indexOf(mode) < 0) {
+            throw "[Transition.stop]: Invalid mode '" + mode + "'";
+        }
+
+        // The transition has already ended
+        if (!element.hasOwnProperty("_transitions") || element._transitions.indexOf(this) < 0) {
+            return;
+        }
+
+        if (this.waitingToRepeat) {
+            this.cancelRepetition(element);
+            return;
+        }
+
+        properties = this.transitioningProperties.concat(this.toBeTransitionedProperties);
+
+        // Read all current values before changing the element's style, same as in pause.
+        computedStyle = window.getComputedStyle(element, null);
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            property.clearTimeouts();
+            property.pauseTiming();
+            if (mode === "end") {
+                values.push(property.toAuto ? "auto" : property.to);
+            } else if (mode === "start") {
+                values.push(property.fromAuto ? "auto" : property.from);
+            } else {
+                values.push(computedStyle.getPropertyValue(property.cssProperty));
             }
         }
-    } else {
-        // properties == { ... }
-        if ("property" in properties) {
-            // properties == { property: "opacity", from: 0, to: 1 }
-            property = new TransitionProperty(properties);
-            _properties.push(property);
-        } else {
-            for (property in properties) {
-                if (properties.hasOwnProperty(property)) {
-                    if (utils.isArray(properties[property])) {
-                        // properties == { "opacity": [0, 1], ... }
-                        property = [property].concat(properties[property]);
-                        property = new TransitionProperty(property);
-                    } else {
-                        // properties == { "opacity": {from: 0, to: 1}, ... }
-                        property = utils.defaults({"property": property}, properties[property]);
-                        property = new TransitionProperty(property);
-                    }
-                    _properties.push(property);
-                }
-            }
+
+        this.engine.removeSegments(this, element, this.transitioningProperties);
+
+        for (i = 0; i < properties.length; i++) {
+            element.style[properties[i].domProperty] = values[i];
         }
-    }
 
-    transition = new Transition(_properties, options);
-    transition.beginTransition(element);
+        this.transitioningPropertyNames = [];
+        this.transitioningProperties = [];
+        this.toBeTransitionedPropertyNames = [];
+        this.toBeTransitionedProperties = [];
+        this.allPropertiesWereFinished = false;
 
-    return {
-        promise: new Promise(function(resolve, reject) {
-            transition.resolve = resolve;
-            transition.reject = reject;
-        }),
-        pause: function() {
-            transition.pause();
-        },
-        remove: function() {
-            transition.remove();
+        for (i = 0; i < properties.length; i++) {
+            properties[i].executeOnTransitionEnd(element, false);
         }
-    };
-};
 
-/**
- * This function returns transition values for duration, delay and timing function of transition properties.
- *
- * For example, if an element has the following transition definition:
- *   transition-property: color, background-color, width;
- *   transition-duration: 1s, 400ms
- *   transition-delay: 2s
- *
- * Then the return value will be:
- * {
- *     cssProperties: ['color', 'background-color', 'width'],
- *     durations: ['1s', '400ms', '1s', '400ms'],
- *     delays: ['2s', '2s', '2s', '2s'],
- *     timingFunctions: ['ease', 'ease', 'ease', 'ease']
- * }
- *
- * In the case where the lists of values in transition properties do not have the same length, the length of the
- * transition-property list determines the number of items in each list examined when starting transitions.
- * The lists are matched up from the first value: excess values at the end are not used. If one of the other properties
- * doesn’t have enough comma-separated values to match the number of values of transition-property, the UA must
- * calculate its used value by repeating the list of values until there are enough. This truncation or repetition does
- * not affect the computed value.
- * https://drafts.csswg.org/css-transitions/#transitions
- *
- * @param element
- * @returns {{
- *      cssProperties: Array,
- *      durations: Array,
- *      delays: Array,
- *      timingFunctions: Array
- * }}
- */
-Transition.getElementTransitionValues = function(element) {
-    let i,
-        transitionPropertyCSS,
-        transitionDurationCSS,
-        transitionDelayCSS,
-        transitionTimingFunctionCSS,
-        cssProperties = [],
-        durations = [],
-        delays = [],
-        timingFunctions = [],
-        regExpResult,
-        cssPropertiesLength,
-        durationsLength,
-        delaysLength,
-        timingFunctionsLength;
-
-    transitionPropertyCSS = element.style[utils.transitionProperty];
-
-    // If the element has no specified properties in transition-property then do not get the rest of transition-*
-    // properties and leave them empty. Otherwise, get the rest of transition-* properties and fill them to the
-    // length of transition-property by repeating their values. Do we really need this?
-    // https://developer.mozilla.org/en-US/docs/Web/Guide/CSS/Using_CSS_transitions#When_property_value_lists_are_of_different_lengths
-    if (transitionPropertyCSS) {
-
-        transitionDurationCSS = element.style[utils.transitionDuration];
-        transitionDelayCSS = element.style[utils.transitionDelay];
-        transitionTimingFunctionCSS = element.style[utils.transitionTimingFunction];
-
-        cssProperties   = transitionPropertyCSS.split(transitionPropertyCommaRegExp);
-        durations       = transitionDurationCSS ? transitionDurationCSS.split(transitionPropertyCommaRegExp) : ["0s"];
-        delays          = transitionDelayCSS    ? transitionDelayCSS.split(transitionPropertyCommaRegExp)    : ["0s"];
-
-        if (!transitionTimingFunctionCSS) {
-            timingFunctions = ["ease"];
-        } else {
-            timingFunctions = [];
-            while (regExpResult = transitionTimingFunctionRegExpExec.exec(transitionTimingFunctionCSS) !== null) {
-                timingFunctions.push(regExpResult[1])
+        if (toBeTransitioned || this.afterChangeStylePending) {
+            this.afterChangeStylePending = false;
+            if (utils.isFunction(this.onAfterChangeStyle)) {
+                this.onAfterChangeStyle(element);
             }
         }
 
-        cssPropertiesLength = cssProperties.length;
-        durationsLength = durations.length;
-        delaysLength = delays.length;
-        timingFunctionsLength = timingFunctions.length;
+        this.removeTransitionEndListener(element, true);
+    },
+
+    /**
+     * Reverses the transition of all properties that were not finished yet. The "from" and "to" values of these
+     * properties are swapped and they transition back from their current values. The duration of the reversed
+     * transition equals the time the properties have been transitioning so far, and its timing function is the
+     * already elapsed portion of the original timing function curve played backwards.
+     * Properties that did not begin transitioning yet (e.g.: still in their delay) return to their "from" values
+     * immediately.
+     *
+     * @param {HTMLElement} element
+     */
+    reverse: function(element) {
+        let i, property, segment, elapsed, progress, split, reversedTimingFunction, duration, timingFunction,
+            values = [], finishedPropertyNames = [], toBeTransitionedProperties;
+
+        // The transition has already ended
+        if (!element.hasOwnProperty("_transitions") || element._transitions.indexOf(this) < 0) {
+            return;
+        }
 
-        for (i = 0; i < cssPropertiesLength; i++) {
-            if (durationsLength <= i) {
-                durations.push(durations[i % durationsLength]);
+        if (this.transitioningProperties.length) {
+            // Properties paused by the engine hold their current values in the computed style, not inline
+            if (this.paused && !this.controlsSegments()) {
+                for (i = 0; i < this.transitioningProperties.length; i++) {
+                    values.push(element.style[this.transitioningProperties[i].domProperty]);
+                }
+            } else {
+                values = this.getComputedValues(element, this.transitioningProperties);
             }
-            if (delaysLength <= i) {
-                delays.push(delays[i % delaysLength]);
+
+            for (i = 0; i < this.transitioningProperties.length; i++) {
+                property = this.transitioningProperties[i];
+                segment = property.segment;
+                elapsed = property.getElapsedTime();
+                timingFunction = segment.timingFunction;
+
+                if (elapsed <= segment.delay || segment.duration === 0) {
+                    duration = 0;
+                } else {
+                    progress = Math.min((elapsed - segment.delay) / segment.duration, 1);
+                    duration = segment.duration * progress;
+                    split = easing.splitTimingFunction(segment.timingFunction, progress);
+                    reversedTimingFunction = easing.reverseTimingFunction(split ? split.elapsed : segment.timingFunction);
+                    if (reversedTimingFunction) {
+                        timingFunction = reversedTimingFunction;
+                    }
+                }
+
+                property.reverseValues();
+                if (property.keyframes) {
+                    property.keyframesTimingFunction = easing.reverseTimingFunction(property.keyframesTimingFunction) ||
+                        property.keyframesTimingFunction;
+                }
+                property.reverseTiming();
+                property.clearTimeouts();
+                property.cancelExpected = !this.paused;
+                property.startSegment(duration, 0, timingFunction, values[i]);
+
+                if (this.paused) {
+                    // Paused properties will transition using their reversed segment once resumed
+                    property.elapsedTime = 0;
+                    continue;
+                }
+
+                if (duration === 0) {
+                    finishedPropertyNames.push(property.cssProperty);
+                }
             }
-            if (timingFunctionsLength <= i) {
-                timingFunctions.push(timingFunctions[i % timingFunctionsLength]);
+
+            if (this.paused && this.controlsSegments()) {
+                // The paused segments play the original values, the reversed segments are played once resumed
+                this.engine.removeSegments(this, element, this.transitioningProperties);
+                for (i = 0; i < this.transitioningProperties.length; i++) {
+                    element.style[this.transitioningProperties[i].domProperty] = values[i];
+                }
+            } else if (!this.paused) {
+                this.engine.applySegments(this, element, this.transitioningProperties);
+                for (i = 0; i < this.transitioningProperties.length; i++) {
+                    property = this.transitioningProperties[i];
+                    if (finishedPropertyNames.indexOf(property.cssProperty) < 0) {
+                        this.watchPropertySegment(element, property);
+                    }
+                }
+                // Properties with zero duration will not receive transitionend event
+                for (i = 0; i < finishedPropertyNames.length; i++) {
+                    this.endPropertySegment(element, finishedPropertyNames[i]);
+                }
             }
         }
-    }
 
-    return {
-        cssProperties: cssProperties,
-        durations: durations,
-        delays: delays,
-        timingFunctions: timingFunctions
-    }
-};
+        // Properties that were not applied yet are still at their "from" values, there is nothing to reverse.
+        if (this.toBeTransitionedProperties.length) {
+            toBeTransitionedProperties = this.toBeTransitionedProperties;
+            this.toBeTransitionedPropertyNames = [];
+            this.toBeTransitionedProperties = [];
+            for (i = 0; i < toBeTransitionedProperties.length; i++) {
+                property = toBeTransitionedProperties[i];
+                property.reverseValues();
+                property.restoreAutoValue(element);
+                property.executeOnTransitionEnd(element, true);
+            }
+            if (utils.isFunction(this.onAfterChangeStyle)) {
+                this.onAfterChangeStyle(element);
+            }
+            this.removeTransitionEndListener(element, true);
+        }
+    },
 
-Transition.setElementTransitionValues = function(element, transitions) {
-    element.style[utils.transitionProperty] = transitions.cssProperties.join(", ");
-    element.style[utils.transitionDuration] = transitions.durations.join(", ");
-    element.style[utils.transitionDelay] = transitions.delays.join(", ");
-    element.style[utils.transitionTimingFunction] = transitions.timingFunctions.join(", ");
-};
+    /**
+     * Jumps all transitioning properties to the passed point of the transition. A number is treated as progress in
+     * the range [0, 1] of the whole transition, including the delays of its properties, and a time string such as
+     * "200ms" as the time since the transition began. Properties continue transitioning from that point, or remain
+     * there if the transition is paused. Properties that have already finished are not affected.
+     *
+     * @param {HTMLElement} element
+     * @param {Number|String} progressOrTime
+     */
+    seek: function(element, progressOrTime) {
+        let i, property, properties, time, values;
+
+        if (utils.isNumber(progressOrTime)) {
+            time = Math.max(0, Math.min(progressOrTime, 1)) * this.getIterationDuration();
+        } else if (utils.isTime(progressOrTime)) {
+            time = Math.max(0, utils.parseTime(progressOrTime));
+        } else {
+            throw "[Transition.seek]: Invalid progress or time '" + progressOrTime + "'";
+        }
 
-Transition.prototype = {
+        // The transition has already ended or is waiting for its next repetition
+        if (!element.hasOwnProperty("_transitions") || element._transitions.indexOf(this) < 0 || this.waitingToRepeat) {
+            return;
+        }
 
-    constructor: Transition,
+        // Properties will be applied in the next event loop, the transition is sought once they are applied
+        if (this.transitioningProperties.length === 0) {
+            this.pendingSeek = progressOrTime;
+            return;
+        }
 
-    beginTransition: function(element) {
-        let i, property;
+        properties = this.transitioningProperties.slice();
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            property.clearTimeouts();
+            property.cancelExpected = !this.paused && !this.controlsSegments();
+            property.seekSegment(time);
+        }
 
-        this.finishTransitioningPropertiesIfExist(element);
+        if (this.controlsSegments()) {
+            this.engine.seekSegments(this, element, properties);
+        } else {
+            this.reapplySegments(element, properties);
+        }
 
-        // Must ensure that all transition properties have "from" values. Otherwise we wouldn't be able to check
-        // if a property has equal "from" and "to" values and not to transition them. Their "transitionend" event
-        // wouldn't be called anyway.
-        for (i = 0; i < this.properties.length; i++) {
-            property = this.properties[i];
-            if (!utils.isString(property.from) && !utils.isNumber(property.from)) {
-                property.from = window.getComputedStyle(element, null).getPropertyValue(property.cssProperty);
+        // Paused properties are frozen at the values they have at that point
+        if (this.paused) {
+            if (!this.controlsSegments()) {
+                values = this.getComputedValues(element, properties);
+                this.engine.removeSegments(this, element, properties);
+            }
+            for (i = 0; i < properties.length; i++) {
+                property = properties[i];
+                if (values) {
+                    element.style[property.domProperty] = values[i];
+                }
+                property.elapsedTime = 0;
+                property.timing.position = time;
             }
+            return;
         }
 
-        for (i = 0; i < this.properties.length; i++) {
-            property = this.properties[i];
-            if (String(property.from) === String(property.to)) {
-                element.style[property.domProperty] = property.to;
-                property.executeOnTransitionEnd(element, true);
+        this.watchReappliedSegments(element, properties);
+    },
+
+    /**
+     * Changes the playback rate of the transition, the remaining durations and delays of its properties are rescaled
+     * and the properties continue from the same point. A rate of 2 makes the transition twice as fast.
+     *
+     * @param {HTMLElement} element
+     * @param {Number} playbackRate
+     */
+    setPlaybackRate: function(element, playbackRate) {
+        let i, property, properties, ratio, remaining;
+
+        if (!utils.isNumber(playbackRate) || playbackRate <= 0) {
+            throw "[Transition.setPlaybackRate]: Invalid playback rate '" + playbackRate + "'";
+        }
+
+        ratio = this.playbackRate / playbackRate;
+        this.playbackRate = playbackRate;
+
+        // The transition has already ended
+        if (!element.hasOwnProperty("_transitions") || element._transitions.indexOf(this) < 0) {
+            return;
+        }
+
+        if (this.waitingToRepeat) {
+            if (this.paused) {
+                this.repeatDelayRemaining *= ratio;
             } else {
-                element.style[property.domProperty] = property.from;
-                this.toBeTransitionedPropertyNames.push(property.cssProperty);
-                this.toBeTransitionedProperties.push(property);
+                remaining = Math.max(this.repeatDelayEndTime - utils.now(), 0);
+                window.clearTimeout(this.repeatTimeout);
+                this.scheduleRepetition(element, remaining * ratio);
             }
+            return;
         }
 
-        if (utils.isFunction(this.onBeforeChangeStyle)) {
-            this.onBeforeChangeStyle(element);
+        // Properties that were not applied yet will use the new playback rate once they are applied
+        if (this.transitioningProperties.length === 0) {
+            return;
         }
 
-        if (this.toBeTransitionedProperties.length === 0) {
-            if (utils.isFunction(this.onAfterChangeStyle)) {
-                this.onAfterChangeStyle(element);
-            }
-            this.executeOnTransitionEnd(element, true);
+        properties = this.transitioningProperties.slice();
+        for (i = 0; i < properties.length; i++) {
+            property = properties[i];
+            property.clearTimeouts();
+            property.cancelExpected = !this.paused && !this.controlsSegments();
+            property.scaleTime(ratio);
+        }
+
+        if (this.controlsSegments()) {
+            this.engine.setSegmentsPlaybackRate(this, element, properties, ratio);
+        }
+
+        // Paused properties will use their rescaled segments once resumed
+        if (this.paused) {
             return;
         }
 
+        if (!this.controlsSegments()) {
+            this.reapplySegments(element, properties);
+        }
+        this.watchReappliedSegments(element, properties);
+    },
+
+    /**
+     * Returns true if the engine pauses, resumes, seeks and changes the playback rate of the segments it plays by
+     * itself, so they do not have to be removed and applied again, see the waapi engine.
+     *
+     * @returns {boolean}
+     */
+    controlsSegments: function() {
+        return utils.isFunction(this.engine.pauseSegments);
+    },
+
+    /**
+     * Applies the current segments of the passed properties again. Segments that have already begun have negative
+     * delays and start from their middle, so their "from" values are applied first.
+     *
+     * @param {HTMLElement} element
+     * @param {Array.<TransitionProperty>} properties
+     */
+    reapplySegments: function(element, properties) {
+        let i;
+
+        this.engine.removeSegments(this, element, properties);
+        for (i = 0; i < properties.length; i++) {
+            element.style[properties[i].domProperty] = properties[i].segment.from;
+        }
+
         // Trigger reflow
         // noinspection BadExpressionStatementJS
         element.offsetHeight;
 
-        this.addTransitionEndListener(element);
+        this.engine.applySegments(this, element, properties);
+    },
 
-        utils.executeInNextEventLoop(function() {
-            let transitionValues, i, property;
+    watchReappliedSegments: function(element, properties) {
+        let i, segment, endedPropertyNames = [];
 
-            // If other transition began after this one in the same event loop, they could cause
-            // toBeTransitionedProperties of this transition to be removed and thus end this transition.
-            // No need to call "onAfterChangeStyle" and "removeTransitionEndListener" as they were already called
-            // from "finishToBeTransitionedProperties".
-            if (this.toBeTransitionedProperties.length === 0) {
-                return;
+        for (i = 0; i < properties.length; i++) {
+            segment = properties[i].segment;
+            if (segment.delay + segment.duration <= 0) {
+                endedPropertyNames.push(properties[i].cssProperty);
+            } else {
+                this.watchPropertySegment(element, properties[i]);
             }
+        }
 
-            // Trigger reflow
-            // noinspection BadExpressionStatementJS
-            // element.offsetHeight;
-            // this.beforeChangeStyle(element)
+        // Segments that have nothing left to transition will not receive transitionend event
+        for (i = 0; i < endedPropertyNames.length; i++) {
+            this.endPropertySegment(element, endedPropertyNames[i]);
+        }
+    },
 
-            // from http://www.w3.org/TR/css3-transitions/#starting
-            // when one of these ‘transition-*’ properties changes at the same time as a property whose change might
-            // transition, it is the new values of the ‘transition-*’ properties that control the transition.
+    seekIfPending: function(element) {
+        let progressOrTime = this.pendingSeek;
+        if (progressOrTime !== null) {
+            this.pendingSeek = null;
+            this.seek(element, progressOrTime);
+        }
+    },
 
-            transitionValues = Transition.getElementTransitionValues(element);
-            for (i = 0; i < this.toBeTransitionedProperties.length; i++) {
-                property = this.toBeTransitionedProperties[i];
-                transitionValues.cssProperties.push(property.cssProperty);
-                transitionValues.durations.push(property.duration || this.duration);
-                transitionValues.delays.push(property.delay || this.delay);
-                transitionValues.timingFunctions.push(property.timingFunction || this.timingFunction);
+    /**
+     * Returns the time in milliseconds it takes for all applied properties of the current iteration to finish,
+     * including their delays.
+     *
+     * @returns {Number}
+     */
+    getIterationDuration: function() {
+        let i, timing, total = 0;
+        for (i = 0; i < this.properties.length; i++) {
+            timing = this.properties[i].timing;
+            if (timing) {
+                total = Math.max(total, timing.delay + timing.duration);
             }
-            this.transitioningPropertyNames = this.toBeTransitionedPropertyNames;
-            this.transitioningProperties = this.toBeTransitionedProperties;
-            this.toBeTransitionedPropertyNames = [];
-            this.toBeTransitionedProperties = [];
-            Transition.setElementTransitionValues(element, transitionValues);
+        }
+        return total;
+    },
 
-            for (i = 0; i < this.transitioningProperties.length; i++) {
-                property = this.transitioningProperties[i];
-                element.style[property.domProperty] = property.to;
-            }
+    /**
+     * Returns the progress of the current iteration of the transition. The overall progress is the time that
+     * elapsed since the transition began relatively to the time it takes to finish, and the progress of every
+     * property is its output progress, see TransitionProperty.getProgress.
+     *
+     * @returns {{progress: Number, properties: Object.<String, Number>}}
+     */
+    progress: function() {
+        let i, property, total = this.getIterationDuration(), position = 0, properties = {};
 
-            // Trigger reflow
-            // noinspection BadExpressionStatementJS
-            // element.offsetHeight;
-            if (utils.isFunction(this.onAfterChangeStyle)) {
-                this.onAfterChangeStyle(element);
+        for (i = 0; i < this.properties.length; i++) {
+            property = this.properties[i];
+            if (property.timing) {
+                position = Math.max(position, property.getPosition());
             }
+            properties[property.cssProperty] = property.getProgress();
+        }
 
-        }, this);
-
-    },
-
-    pause: function() {
-        // TODO
+        return {
+            // Transitions having no applied properties either did not begin yet or have nothing to transition
+            progress: total > 0 ? Math.min(position / total, 1) : (this.toBeTransitionedProperties.length ? 0 : 1),
+            properties: properties
+        };
     },
 
-    remove: function() {
-        // TODO
+    getComputedValues: function(element, properties) {
+        let i, computedStyle = window.getComputedStyle(element, null), values = [];
+        for (i = 0; i < properties.length; i++) {
+            values.push(computedStyle.getPropertyValue(properties[i].cssProperty));
+        }
+        return values;
     },
 
     handleEvent: function(event) {
@@ -446,11 +3153,181 @@ Transition.prototype = {
         // not one of its descendants elements that also listen to this event, and then bubbled up.
         // Because an element can have multiple transitions at once, check that the css property this event related
         // to is one of the transitioning properties of this transition.
-        if (event.target === event.currentTarget && this.hasTransitioningProperty(event.propertyName)) {
-            this.finishTransitioningProperty(event.currentTarget, event.propertyName);
+        if (event.target !== event.currentTarget || !this.hasTransitioningProperty(event.propertyName)) {
+            return;
+        }
+
+        switch (event.type) {
+            case utils.transitionEndEvent:
+                this.endPropertySegment(event.currentTarget, event.propertyName);
+                break;
+            case utils.transitionRunEvent:
+                // A new transition of the property was created, cancellation of the transition it replaced was
+                // already dispatched if there was one.
+                this.getTransitioningProperty(event.propertyName).cancelExpected = false;
+                break;
+            case utils.transitionStartEvent:
+                this.startTransitioningProperty(event.currentTarget, event.propertyName);
+                break;
+            case utils.transitionCancelEvent:
+                this.cancelTransitioningProperty(event.currentTarget, event.propertyName);
+                break;
         }
     },
 
+    getTransitioningProperty: function(propertyName) {
+        return this.transitioningProperties[this.transitioningPropertyNames.indexOf(propertyName)];
+    },
+
+    /**
+     * Called when a property begins transitioning after its delay. Calls the onTransitionStart callbacks of the
+     * property and of the transition, once per property and once for the whole transition.
+     *
+     * @param {HTMLElement} element
+     * @param {String} propertyName
+     */
+    startTransitioningProperty: function(element, propertyName) {
+        let property = this.getTransitioningProperty(propertyName);
+
+        if (!property.started) {
+            property.started = true;
+            if (utils.isFunction(property.onTransitionStart)) {
+                property.onTransitionStart(element);
+            }
+        }
+
+        if (!this.transitionStarted) {
+            this.transitionStarted = true;
+            if (utils.isFunction(this.onTransitionStart)) {
+                this.onTransitionStart(element);
+            }
+        }
+    },
+
+    /**
+     * Called when the browser cancels the transition of a property, for example when the element is hidden. The
+     * property is finished with finished set to false and the onTransitionCancel callbacks of the property and of the
+     * transition are called. Cancellations caused by this library replacing the transition of the property, such as
+     * pause or reverse, are ignored.
+     *
+     * @param {HTMLElement} element
+     * @param {String} propertyName
+     */
+    cancelTransitioningProperty: function(element, propertyName) {
+        let property = this.getTransitioningProperty(propertyName);
+
+        if (property.cancelExpected || this.paused) {
+            property.cancelExpected = false;
+            return;
+        }
+
+        property.clearTimeouts();
+        property.pauseTiming();
+        this.removeTransitioningProperty(propertyName);
+        this.engine.removeSegments(this, element, [property]);
+
+        this.allPropertiesWereFinished = false;
+        property.executeOnTransitionEnd(element, false);
+        if (utils.isFunction(property.onTransitionCancel)) {
+            property.onTransitionCancel(element);
+        }
+
+        if (!this.transitionCancelled) {
+            this.transitionCancelled = true;
+            if (utils.isFunction(this.onTransitionCancel)) {
+                this.onTransitionCancel(element);
+            }
+        }
+
+        if (this.transitioningProperties.length === 0) {
+            this.removeTransitionEndListener(element, false);
+        }
+    },
+
+    /**
+     * Ends the current segment of a transitioning property. Keyframe properties continue transitioning to their next
+     * keyframe, other properties are finished.
+     *
+     * @param {HTMLElement} element
+     * @param {String} propertyName
+     */
+    endPropertySegment: function(element, propertyName) {
+        let property = this.getTransitioningProperty(propertyName);
+
+        property.clearTimeouts();
+        if (property.hasNextKeyframe()) {
+            this.beginNextKeyframe(element, property);
+        } else {
+            this.finishTransitioningProperty(element, propertyName);
+        }
+    },
+
+    beginNextKeyframe: function(element, property) {
+        let duration, timingFunction = property.keyframesTimingFunction;
+
+        property.keyframeIndex++;
+        duration = property.getKeyframeDuration(property.keyframeIndex);
+        property.startSegment(duration, 0, timingFunction, property.keyframes[property.keyframeIndex]);
+        this.engine.applySegments(this, element, [property]);
+
+        // Segments with zero duration will not receive transitionend event
+        if (duration === 0) {
+            this.endPropertySegment(element, property.cssProperty);
+        } else {
+            this.watchPropertySegment(element, property);
+        }
+    },
+
+    /**
+     * Sets timers for the segment that was just applied on the property.
+     *
+     * Keyframe segments that transition between two equal values don't receive transitionend event, such segments
+     * are ended using a timer once their time passes.
+     *
+     * Other segments may not receive transitionend event as well, for example if the element is hidden or detached,
+     * or if the computed value of the property does not change. If the event is not received within the duration and
+     * the delay of the segment plus the timeoutGracePeriod, the property is finished by timeOutProperty.
+     *
+     * @param {HTMLElement} element
+     * @param {TransitionProperty} property
+     */
+    watchPropertySegment: function(element, property) {
+        let transition = this, segment = property.segment;
+
+        if (property.keyframes && (String(segment.from) === String(property.getTarget()) || segment.duration === 0)) {
+            property.holdTimeout = window.setTimeout(function() {
+                property.holdTimeout = null;
+                if (!transition.paused && transition.transitioningProperties.indexOf(property) >= 0) {
+                    transition.endPropertySegment(element, property.cssProperty);
+                }
+            }, segment.delay + segment.duration);
+        }
+
+        if (this.timeoutGracePeriod !== null) {
+            property.safetyTimeout = window.setTimeout(function() {
+                property.safetyTimeout = null;
+                if (!transition.paused && transition.transitioningProperties.indexOf(property) >= 0) {
+                    transition.timeOutProperty(element, property);
+                }
+            }, segment.delay + segment.duration + this.timeoutGracePeriod);
+        }
+    },
+
+    /**
+     * Finishes a property whose transitionend event was not received in time. The property is set to its "to" value,
+     * skipping the rest of its keyframes if it has any, and is reported in the timedOutProperties of the result.
+     *
+     * @param {HTMLElement} element
+     * @param {TransitionProperty} property
+     */
+    timeOutProperty: function(element, property) {
+        property.clearTimeouts();
+        property.timedOut = true;
+        this.timedOutPropertyNames.push(property.cssProperty);
+        element.style[property.domProperty] = property.to;
+        this.finishTransitioningProperty(element, property.cssProperty);
+    },
+
     hasTransitioningProperty: function(propertyName) {
         return this.transitioningPropertyNames.indexOf(propertyName) >= 0;
     },
@@ -490,24 +3367,12 @@ Transition.prototype = {
     },
 
     finishTransitioningProperty: function(element, propertyName) {
-        let index, transitionValues, property;
+        let property = this.getTransitioningProperty(propertyName);
 
         this.removeTransitioningProperty(propertyName);
-
-        transitionValues = Transition.getElementTransitionValues(element);
-
-        index = transitionValues.cssProperties.indexOf(propertyName);
-        if (index < 0) {
-            throw "[Transition.finishTransitioningProperty]: Did not find transitionProperty '" + propertyName + "'";
-        }
-        transitionValues.cssProperties.splice(index, 1);
-        transitionValues.durations.splice(index, 1);
-        transitionValues.delays.splice(index, 1);
-        transitionValues.timingFunctions.splice(index, 1);
-
-        Transition.setElementTransitionValues(element, transitionValues);
-
-        property = this.getPropertyByPropertyName(propertyName);
+        this.engine.removeSegments(this, element, [property]);
+        property.pauseTiming();
+        property.restoreAutoValue(element);
         property.executeOnTransitionEnd(element, true);
 
         if (this.transitioningProperties.length === 0) {
@@ -516,17 +3381,21 @@ Transition.prototype = {
     },
 
     finishTransitioningPropertiesIfExist: function(element) {
-        let i, j, transitionValues, transitions, transition, transitioningProperties, toBeTransitionedProperties,
-            found = false;
+        let i, j, transitions, transition, transitioningProperties, toBeTransitionedProperties;
 
         if (!element.hasOwnProperty("_transitions") || element._transitions.length === 0) {
             return;
         }
 
-        transitionValues = Transition.getElementTransitionValues(element);
         transitions = element._transitions.slice(); // _transitions array may be changed inside this loop
         for (i = 0; i < transitions.length; i++) {
             transition = transitions[i];
+            if (transition.waitingToRepeat) {
+                if (transition.hasSomeProperty(this.properties)) {
+                    transition.cancelRepetition(element);
+                }
+                continue;
+            }
             transitioningProperties = [];
             toBeTransitionedProperties = [];
             for (j = 0; j < this.properties.length; j++) {
@@ -537,44 +3406,42 @@ Transition.prototype = {
                 }
             }
             if (transitioningProperties.length) {
-                found = true;
                 transition.allPropertiesWereFinished = false;
-                transition.finishTransitioningProperties(element, transitioningProperties, transitionValues, this.beginFromCurrentValue);
+                transition.finishTransitioningProperties(element, transitioningProperties, this.beginFromCurrentValue);
             } else if (toBeTransitionedProperties.length) {
                 transition.allPropertiesWereFinished = false;
                 transition.finishToBeTransitionedProperties(element, toBeTransitionedProperties, this.beginFromCurrentValue);
             }
         }
-
-        // Apply new transition values if some element transitions values were removed
-        if (found) {
-            Transition.setElementTransitionValues(element, transitionValues);
-        }
     },
 
-    finishTransitioningProperties: function(element, properties, transitionValues, beginFromCurrentValue) {
-        let i, index, newProperty, oldProperty, propertyName;
+    finishTransitioningProperties: function(element, properties, beginFromCurrentValue) {
+        let i, newProperty, oldProperty, propertyName, oldProperties = [];
 
         for (i = 0; i < properties.length; i++) {
             newProperty = properties[i];
             propertyName = newProperty.cssProperty;
 
+            oldProperty = this.getTransitioningProperty(propertyName);
             this.removeTransitioningProperty(propertyName);
-            newProperty.setFromToCurrentValueIfNeeded(element, beginFromCurrentValue);
-
-            index = transitionValues.cssProperties.indexOf(propertyName);
-            if (index < 0) {
-                throw "[Transition.finishTransitioningProperties]: Did not find transitionProperty '" + propertyName + "'";
+            oldProperty.clearTimeouts();
+            oldProperty.pauseTiming();
+            oldProperties.push(oldProperty);
+            // The running transition of the property is replaced and its transitioncancel event is expected
+            newProperty.cancelExpected = !this.paused;
+
+            // When the new transition continues from the current value, it also continues with the current velocity
+            if (newProperty.setFromToCurrentValueIfNeeded(element, beginFromCurrentValue)) {
+                newProperty.initialVelocity = oldProperty.getVelocity();
             }
-            transitionValues.cssProperties.splice(index, 1);
-            transitionValues.durations.splice(index, 1);
-            transitionValues.delays.splice(index, 1);
-            transitionValues.timingFunctions.splice(index, 1);
 
-            oldProperty = this.getPropertyByPropertyName(propertyName);
             oldProperty.executeOnTransitionEnd(element, false);
         }
 
+        // Current values must be read before the properties are removed from the engine, they jump to their
+        // inline values once removed.
+        this.engine.removeSegments(this, element, oldProperties);
+
         if (this.transitioningProperties.length === 0) {
             this.removeTransitionEndListener(element, true);
         }
@@ -608,7 +3475,7 @@ Transition.prototype = {
         }
 
         element._transitions.push(this);
-        element.addEventListener(utils.transitionEndEvent, /** @type EventListener */ this, false);
+        this.engine.listen(this, element);
     },
 
     removeTransitionEndListener: function(element, useNewExecutionContext) {
@@ -624,13 +3491,21 @@ Transition.prototype = {
         }
 
         element._transitions.splice(index, 1);
-        element.removeEventListener(utils.transitionEndEvent, /** @type EventListener */ this, false);
+        this.engine.unlisten(this, element);
 
         this.executeOnTransitionEnd(element, useNewExecutionContext);
     },
 
     executeOnTransitionEnd: function(element, useNewExecutionContext) {
         let onTransitionEnd;
+
+        // Repetitions are executed only after the whole transition finished, stopped or overridden transitions are
+        // not repeated.
+        if (this.allPropertiesWereFinished && this.iteration < this.getRepeatCount()) {
+            this.scheduleRepetition(element, this.repeatDelay * this.getTimeScale());
+            return;
+        }
+
         if (utils.isFunction(this.onTransitionEnd)) {
             onTransitionEnd = this.onTransitionEnd;
             if (useNewExecutionContext) {
@@ -643,7 +3518,8 @@ Transition.prototype = {
         }
         this.resolve({
             element: element,
-            finished: this.allPropertiesWereFinished
+            finished: this.allPropertiesWereFinished,
+            timedOutProperties: this.timedOutPropertyNames
         });
     }
 
@@ -651,7 +3527,32 @@ Transition.prototype = {
 
 module.exports = {
     TransitionProperty: TransitionProperty,
+    bezier: bezier,
     property: Transition.property,
     transition: Transition.begin,
-    begin: Transition.begin
+    begin: Transition.begin,
+    timeline: Transition.timeline,
+    show: Transition.show,
+    hide: Transition.hide,
+    toggle: Transition.toggle,
+    insert: Transition.insert,
+    removeNode: Transition.removeNode,
+    observe: Transition.observe,
+    flip: Transition.flip,
+    morph: Transition.morph,
+    setEngine: Transition.setEngine,
+    registerTokens: tokens.register,
+    registerEffect: effects.register,
+    spring: curves.spring,
+    configure: Transition.configure,
+    withDefaults: Transition.withDefaults,
+    get defaults() {
+        return utils.extend({}, Transition.defaultOptions);
+    },
+    get timeScale() {
+        return Transition.timeScale;
+    },
+    set timeScale(timeScale) {
+        Transition.setTimeScale(timeScale);
+    }
 };
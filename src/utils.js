@@ -2,6 +2,8 @@ let capsRegExp = /[A-Z]/g;
 let firstCapRegExp = /^[A-Z]/;
 let dashRegExp = /-([a-z])/g;
 let msRegExp = /^ms-/;
+let numericValueRegExp = /^\s*([-+]?\d*\.?\d+(?:e[-+]?\d+)?)([a-z%]*)\s*$/i;
+let timeValueRegExp = /^\s*([-+]?\d*\.?\d+(?:e[-+]?\d+)?)(s|ms)\s*$/i;
 let eventLoopCallbacks = [];
 let supportedCssPropertyHash = {};
 let transEndEventNames = {
@@ -53,7 +55,23 @@ let transitionProperty = supportedCssProperty('transitionProperty');
 let transitionDuration = supportedCssProperty('transitionDuration');
 let transitionDelay = supportedCssProperty('transitionDelay');
 let transitionTimingFunction = supportedCssProperty('transitionTimingFunction');
+let reducedMotionMediaQuery = typeof window.matchMedia === "function" ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+let hasWebAnimations = typeof document.createElement('div').animate === "function";
+// Without CSS transitions the js engine is used, which evaluates linear() timing functions itself
+let hasLinearEasing = (function() {
+    let div = document.createElement('div');
+    if (!hasTransition) {
+        return true;
+    }
+    div.style[transitionTimingFunction] = "linear(0, 1)";
+    return div.style[transitionTimingFunction] !== "";
+})();
 let transitionEndEvent = transEndEventNames[supportedCssProperty('transition')];
+// transitionrun, transitionstart and transitioncancel events are supported only along with unprefixed transitions
+let hasUnprefixedTransition = supportedCssProperty('transition') === 'transition';
+let transitionRunEvent = hasUnprefixedTransition ? 'transitionrun' : null;
+let transitionStartEvent = hasUnprefixedTransition ? 'transitionstart' : null;
+let transitionCancelEvent = hasUnprefixedTransition ? 'transitioncancel' : null;
 
 function replacementFunction(match) {
     return "-" + match.toLowerCase();
@@ -78,11 +96,16 @@ module.exports = {
     supportedCssProperty: supportedCssProperty,
 
     hasTransition: hasTransition,
+    hasWebAnimations: hasWebAnimations,
+    hasLinearEasing: hasLinearEasing,
     transitionProperty: transitionProperty,
     transitionDuration: transitionDuration,
     transitionDelay: transitionDelay,
     transitionTimingFunction: transitionTimingFunction,
     transitionEndEvent: transitionEndEvent,
+    transitionRunEvent: transitionRunEvent,
+    transitionStartEvent: transitionStartEvent,
+    transitionCancelEvent: transitionCancelEvent,
 
     camelCaseToDashes: function(str) {
         return str.replace(capsRegExp, replacementFunction);
@@ -103,6 +126,12 @@ module.exports = {
     },
 
     requestAnimationFrame: function(callback, context) {
+        // Browsers without CSS transitions may not support requestAnimationFrame as well
+        if (typeof window.requestAnimationFrame !== "function") {
+            return window.setTimeout(function() {
+                callback.apply(context || null, [Date.now()]);
+            }, 16);
+        }
         return window.requestAnimationFrame(function(timestamp) {
             if (context) {
                 callback.apply(context, [timestamp]);
@@ -112,6 +141,64 @@ module.exports = {
         }, null);
     },
 
+    now: function() {
+        if (window.performance && typeof window.performance.now === "function") {
+            return window.performance.now();
+        }
+        return Date.now();
+    },
+
+    /**
+     * Converts a CSS time value, such as "2s" or "400ms", to milliseconds.
+     * Returns 0 for values that can not be parsed.
+     */
+    parseTime: function(time) {
+        let match;
+        if (this.isNumber(time)) {
+            return time;
+        }
+        match = timeValueRegExp.exec(time);
+        if (!match) {
+            return 0;
+        }
+        return parseFloat(match[1]) * (match[2].toLowerCase() === "s" ? 1000 : 1);
+    },
+
+    isTime: function(time) {
+        return this.isString(time) && timeValueRegExp.test(time);
+    },
+
+    /**
+     * Converts milliseconds to a CSS time value.
+     */
+    formatTime: function(milliseconds) {
+        return (Math.round(milliseconds * 1000) / 1000) + "ms";
+    },
+
+    /**
+     * Splits a numeric CSS value, such as "10px" or "0.5", into its number and unit.
+     * Returns null for non numeric values.
+     */
+    parseNumericValue: function(value) {
+        let match;
+        if (this.isNumber(value)) {
+            return {value: value, unit: ""};
+        }
+        match = numericValueRegExp.exec(value);
+        if (!match) {
+            return null;
+        }
+        return {value: parseFloat(match[1]), unit: match[2].toLowerCase()};
+    },
+
+    /**
+     * Returns true if the user has requested to minimize non-essential motion. The media query list is live, so
+     * changes of the user preference are reflected immediately.
+     */
+    prefersReducedMotion: function() {
+        return reducedMotionMediaQuery !== null && reducedMotionMediaQuery.matches;
+    },
+
     executeInNextEventLoop: function(func, context) {
         if (eventLoopCallbacks.length === 0) {
             window.setTimeout(executeEventLoopCallbacks, 0)
@@ -184,5 +271,18 @@ module.exports = {
 
     isArray: Array.isArray || function(obj) {
         return Object.prototype.toString.call(obj) === '[object Array]';
+    },
+
+    /**
+     * Is a given variable a NodeList, HTMLCollection or an array of elements?
+     */
+    isElementList: function(obj) {
+        return this.isArray(obj) ||
+            typeof NodeList !== "undefined" && obj instanceof NodeList ||
+            typeof HTMLCollection !== "undefined" && obj instanceof HTMLCollection;
+    },
+
+    toArray: function(obj) {
+        return Array.prototype.slice.call(obj);
     }
 };
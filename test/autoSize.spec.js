@@ -0,0 +1,103 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Auto sizes', function() {
+    let element, getComputedStyle = window.getComputedStyle;
+
+    beforeEach(function() {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+
+        // jsdom has no layout, the element is 120px high when its height is auto
+        window.getComputedStyle = function(target, pseudoElement) {
+            let style = getComputedStyle.call(window, target, pseudoElement);
+            if (target !== element || target.style.height !== "auto") {
+                return style;
+            }
+            return {
+                getPropertyValue: function(name) {
+                    return name === "height" ? "120px" : style.getPropertyValue(name);
+                }
+            };
+        };
+    });
+
+    afterEach(function() {
+        window.getComputedStyle = getComputedStyle;
+        document.body.innerHTML = '';
+    });
+
+    it('transitions to the measured size and sets auto once finished', function() {
+        let handle = transition.begin(element, {property: "height", from: "0px", to: "auto", duration: "100ms"}, {
+            engine: "js"
+        }), height;
+
+        return wait(50).then(function() {
+            height = parseFloat(element.style.height);
+            assert.ok(height > 0 && height < 120, "height " + element.style.height);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.height, "auto");
+        });
+    });
+
+    it('transitions from the measured size', function() {
+        let handle, height;
+
+        element.style.height = "auto";
+        handle = transition.begin(element, {property: "height", from: "auto", to: "0px", duration: "100ms"}, {
+            engine: "js"
+        });
+
+        return wait(50).then(function() {
+            height = parseFloat(element.style.height);
+            assert.ok(height > 0 && height < 120, "height " + element.style.height);
+            return handle.promise;
+        }).then(function() {
+            assert.strictEqual(element.style.height, "0px");
+        });
+    });
+
+    it('does not set auto when overridden mid-way', function() {
+        let handle, overridingHandle;
+
+        handle = transition.begin(element, {property: "height", from: "0px", to: "auto", duration: "100ms"}, {
+            engine: "js"
+        });
+
+        return wait(40).then(function() {
+            overridingHandle = transition.begin(element, {property: "height", to: "0px", duration: "30ms"}, {
+                engine: "js"
+            });
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            return overridingHandle.promise;
+        }).then(function() {
+            return wait(100);
+        }).then(function() {
+            assert.strictEqual(element.style.height, "0px");
+        });
+    });
+
+    it('sets auto when stopped in the end mode', function() {
+        let handle = transition.begin(element, {property: "height", from: "0px", to: "auto", duration: "1s"}, {
+            engine: "js"
+        });
+
+        return wait(20).then(function() {
+            handle.stop({mode: "end"});
+            return handle.promise;
+        }).then(function() {
+            assert.strictEqual(element.style.height, "auto");
+        });
+    });
+
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const bezier = require('../src/bezier');
+
+function valueAt(timingFunction, x) {
+    return bezier.parseTimingFunction(timingFunction).valueAt(x);
+}
+
+describe('bezier', function() {
+
+    it('parses keywords and cubic-bezier()', function() {
+        assert.strictEqual(bezier.parseTimingFunction("ease-in-out").toString(), "cubic-bezier(0.42, 0, 0.58, 1)");
+        assert.strictEqual(bezier.parseTimingFunction("cubic-bezier(0.1, 0.7, 1, 0.1)").toString(),
+            "cubic-bezier(0.1, 0.7, 1, 0.1)");
+        assert.strictEqual(bezier.parseTimingFunction("steps(2)"), null);
+    });
+
+    it('evaluates the output progress', function() {
+        assert.ok(Math.abs(valueAt("linear", 0.3) - 0.3) < 1e-6);
+        assert.ok(Math.abs(valueAt("ease-in-out", 0.5) - 0.5) < 1e-6);
+        assert.ok(valueAt("ease-in", 0.5) < 0.5);
+        assert.ok(valueAt("ease-out", 0.5) > 0.5);
+    });
+
+    ["ease", "ease-in", "ease-out", "cubic-bezier(0.3, -0.4, 0.6, 1.5)"].forEach(function(timingFunction) {
+        it('splits ' + timingFunction + ' into two continuous parts', function() {
+            [0.2, 0.5, 0.8].forEach(function(split) {
+                let parts = bezier.splitTimingFunction(timingFunction, split), x;
+
+                assert.ok(Math.abs(parts.progress - valueAt(timingFunction, split)) < 1e-4);
+                for (x = 0.05; x < 1; x += 0.1) {
+                    // Both parts scaled back to the range of the whole curve follow the original curve
+                    if (x < split) {
+                        assert.ok(Math.abs(parts.progress * valueAt(parts.elapsed, x / split) -
+                            valueAt(timingFunction, x)) < 1e-3, "elapsed part at " + x + " split at " + split);
+                    } else {
+                        assert.ok(Math.abs(parts.progress + (1 - parts.progress) *
+                            valueAt(parts.remaining, (x - split) / (1 - split)) - valueAt(timingFunction, x)) < 1e-3,
+                            "remaining part at " + x + " split at " + split);
+                    }
+                }
+            });
+        });
+    });
+
+    it('reverses timing functions', function() {
+        assert.strictEqual(bezier.reverseTimingFunction("ease-in"), "cubic-bezier(0, 0, 0.58, 1)");
+        assert.strictEqual(bezier.reverseTimingFunction("steps(2)"), null);
+    });
+
+});
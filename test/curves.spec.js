@@ -0,0 +1,76 @@
+const assert = require('assert');
+const curves = require('../src/curves');
+const easing = require('../src/easing');
+
+function getMaximum(timingFunction) {
+    let x, maximum = 0, evaluate = easing.create(timingFunction);
+    for (x = 0; x <= 1; x += 0.005) {
+        maximum = Math.max(maximum, evaluate(x));
+    }
+    return maximum;
+}
+
+describe('curves', function() {
+
+    describe('spring', function() {
+
+        it('settles a critically damped spring without overshooting', function() {
+            // 1 - e^(-10t) * (1 + 10t) remains within 0.001 of 1 after 924ms
+            let spring = curves.spring({stiffness: 100, damping: 20, output: "linear"});
+
+            assert.strictEqual(spring.duration, "924ms");
+            assert.ok(getMaximum(spring.timingFunction) <= 1);
+        });
+
+        it('overshoots the target with an underdamped spring', function() {
+            // The first peak of a spring with damping ratio 0.25 is 1 + e^(-0.25 * PI / sqrt(1 - 0.25^2))
+            let spring = curves.spring({stiffness: 100, damping: 5, output: "linear"}),
+                peak = 1 + Math.exp(-0.25 * Math.PI / Math.sqrt(1 - 0.25 * 0.25));
+
+            assert.ok(Math.abs(getMaximum(spring.timingFunction) - peak) < 0.01);
+        });
+
+        it('does not overshoot the target with an overdamped spring', function() {
+            let spring = curves.spring({stiffness: 100, damping: 40, output: "linear"});
+
+            assert.ok(getMaximum(spring.timingFunction) <= 1);
+        });
+
+        it('begins and ends at the boundaries of the progress', function() {
+            let spring = curves.spring({output: "linear"}), evaluate = easing.create(spring.timingFunction);
+
+            assert.strictEqual(evaluate(0), 0);
+            assert.strictEqual(evaluate(1), 1);
+            assert.strictEqual(String(spring), spring.timingFunction);
+        });
+
+        it('moves faster at the beginning with a higher initial velocity', function() {
+            let slow = easing.create(curves.spring({stiffness: 100, damping: 20, output: "linear"}).timingFunction),
+                fast = easing.create(curves.spring({stiffness: 100, damping: 20, velocity: 20, output: "linear"})
+                    .timingFunction);
+
+            assert.ok(fast(0.1) > slow(0.1));
+        });
+
+        it('approximates the spring by a cubic-bezier() timing function', function() {
+            let spring = curves.spring({stiffness: 100, damping: 20, output: "cubic-bezier"});
+
+            assert.ok(/^cubic-bezier\(/.test(spring.timingFunction));
+            assert.strictEqual(spring.duration, "924ms");
+        });
+
+        it('rejects invalid options', function() {
+            assert.throws(function() {
+                curves.spring({stiffness: 0});
+            }, /Invalid stiffness/);
+            assert.throws(function() {
+                curves.spring({velocity: "fast"});
+            }, /Invalid velocity/);
+            assert.throws(function() {
+                curves.spring({output: "steps"});
+            }, /Invalid output/);
+        });
+
+    });
+
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+describe('Defaults', function() {
+
+    let initialDefaults;
+
+    beforeEach(function() {
+        initialDefaults = transition.defaults;
+    });
+
+    afterEach(function() {
+        transition.configure(initialDefaults);
+    });
+
+    it('returns a copy of the defaults', function() {
+        let defaults = transition.defaults;
+
+        defaults.duration = "-5ms";
+        defaults.engine = "nope";
+
+        assert.strictEqual(transition.defaults.duration, "400ms");
+        assert.strictEqual(transition.defaults.engine, "css");
+    });
+
+    it('rejects invalid values', function() {
+        [
+            {duration: "-5ms"},
+            {duration: "fast-ish"},
+            {delay: "later"},
+            {timingFunction: "bogus"},
+            {engine: "nope"},
+            {playbackRate: 0},
+            {reducedMotion: "never"},
+            {onTransitionEnd: "done"}
+        ].forEach(function(options) {
+            assert.throws(function() {
+                transition.configure(options);
+            }, /^\[Transition\.configure\]: Invalid /);
+        });
+        assert.throws(function() {
+            transition.configure({durations: "1s"});
+        }, /Unknown option 'durations'/);
+    });
+
+    it('leaves the defaults unchanged when a value is invalid', function() {
+        assert.throws(function() {
+            transition.configure({duration: "1s", engine: "nope"});
+        });
+        assert.strictEqual(transition.defaults.duration, "400ms");
+    });
+
+    it('accepts valid values', function() {
+        transition.configure({
+            duration: 250,
+            delay: "-100ms",
+            timingFunction: "steps(4, jump-none)",
+            engine: "js",
+            timeoutGracePeriod: false,
+            onTransitionEnd: function() {}
+        });
+        transition.configure({timingFunction: transition.spring({stiffness: 200})});
+        transition.configure({timingFunction: "linear(0, 0.5 40%, 1)"});
+
+        assert.strictEqual(transition.defaults.duration, 250);
+        assert.strictEqual(transition.defaults.engine, "js");
+    });
+
+    describe('withDefaults', function() {
+
+        it('rejects invalid values', function() {
+            [
+                {duration: "-5ms"},
+                {timingFunction: "bogus"},
+                {engine: "nope"},
+                {repeat: -1}
+            ].forEach(function(options) {
+                assert.throws(function() {
+                    transition.withDefaults(options);
+                }, /^\[Transition\.withDefaults\]: Invalid /);
+            });
+            assert.throws(function() {
+                transition.withDefaults({duration: "1s"}).withDefaults({playbackRate: 0});
+            }, /Invalid playbackRate/);
+        });
+
+        it('returns a copy of its defaults', function() {
+            let begin = transition.withDefaults({duration: "1s", engine: "js"}), defaults = begin.defaults;
+
+            defaults.duration = "-5ms";
+
+            assert.strictEqual(begin.defaults.duration, "1s");
+            assert.strictEqual(begin.withDefaults({delay: "1s"}).defaults.duration, "1s");
+        });
+
+    });
+
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const easing = require('../src/easing');
+
+function assertOutputs(timingFunction, outputs) {
+    Object.keys(outputs).forEach(function(x) {
+        assert.ok(Math.abs(easing.evaluate(timingFunction, parseFloat(x)) - outputs[x]) < 1e-9,
+            timingFunction + " at " + x + " is " + easing.evaluate(timingFunction, parseFloat(x)) + ", expected " + outputs[x]);
+    });
+}
+
+describe('easing', function() {
+
+    describe('steps()', function() {
+
+        it('parses the step positions and keywords', function() {
+            assert.deepStrictEqual(easing.parseSteps("steps(3)"), {steps: 3, position: "jump-end"});
+            assert.deepStrictEqual(easing.parseSteps("steps(3, start)"), {steps: 3, position: "jump-start"});
+            assert.deepStrictEqual(easing.parseSteps("steps(3, jump-both)"), {steps: 3, position: "jump-both"});
+            assert.deepStrictEqual(easing.parseSteps("step-start"), {steps: 1, position: "jump-start"});
+            assert.deepStrictEqual(easing.parseSteps("step-end"), {steps: 1, position: "jump-end"});
+            assert.strictEqual(easing.parseSteps("steps(3, middle)"), null);
+        });
+
+        it('jumps at the end of every step with jump-end', function() {
+            assertOutputs("steps(4, jump-end)", {0: 0, 0.2: 0, 0.25: 0.25, 0.6: 0.5, 0.99: 0.75, 1: 1});
+            assertOutputs("step-end", {0: 0, 0.99: 0, 1: 1});
+        });
+
+        it('jumps at the beginning of every step with jump-start', function() {
+            assertOutputs("steps(4, jump-start)", {0: 0.25, 0.2: 0.25, 0.5: 0.75, 0.8: 1, 1: 1});
+            assertOutputs("step-start", {0: 1, 0.5: 1});
+        });
+
+        it('holds both ends with jump-none', function() {
+            assertOutputs("steps(4, jump-none)", {0: 0, 0.24: 0, 0.3: 1 / 3, 0.6: 2 / 3, 0.8: 1, 1: 1});
+            assertOutputs("steps(1, jump-none)", {0: 0, 0.5: 0, 1: 1});
+        });
+
+        it('jumps at both ends with jump-both', function() {
+            assertOutputs("steps(4, jump-both)", {0: 0.2, 0.3: 0.4, 0.6: 0.6, 0.99: 0.8, 1: 1});
+        });
+
+    });
+
+    describe('linear()', function() {
+
+        it('spaces the stops without input progress evenly', function() {
+            assert.deepStrictEqual(easing.parseLinear("linear(0, 0.2, 0.4, 1 90%)").map(function(point) {
+                return Math.round(point.input * 100);
+            }), [0, 30, 60, 90]);
+        });
+
+        it('clamps decreasing input progresses', function() {
+            assert.deepStrictEqual(easing.parseLinear("linear(0, 0.5 50%, 0.7 20%, 1)").map(function(point) {
+                return point.input;
+            }), [0, 0.5, 0.5, 1]);
+        });
+
+        it('interpolates between the stops', function() {
+            assertOutputs("linear(0, 0.25, 1)", {0: 0, 0.25: 0.125, 0.5: 0.25, 0.75: 0.625, 1: 1});
+            assertOutputs("linear(0, 1 80%)", {0.4: 0.5, 0.9: 1});
+        });
+
+        it('holds the output of a stop between its two input progresses', function() {
+            assertOutputs("linear(0, 0.5 25% 75%, 1)", {0.125: 0.25, 0.25: 0.5, 0.5: 0.5, 0.75: 0.5, 0.875: 0.75});
+        });
+
+        it('rejects invalid stops', function() {
+            assert.strictEqual(easing.parseLinear("linear(0)"), null);
+            assert.strictEqual(easing.parseLinear("linear(0, fast)"), null);
+            assert.strictEqual(easing.isTimingFunction("linear(0, fast)"), false);
+        });
+
+        it('splits into an elapsed and a remaining part that continue the whole function', function() {
+            let timingFunction = "linear(0, 0.5 20%, 1.2 60%, 1)";
+
+            [0.1, 0.3, 0.6, 0.8].forEach(function(x) {
+                let split = easing.splitTimingFunction(timingFunction, x), p;
+
+                assert.ok(Math.abs(split.progress - easing.evaluate(timingFunction, x)) < 1e-9);
+                for (p = 0.05; p < 1; p += 0.1) {
+                    assert.ok(Math.abs(split.progress * easing.evaluate(split.elapsed, p) -
+                        easing.evaluate(timingFunction, p * x)) < 1e-4, "elapsed part at " + x);
+                    assert.ok(Math.abs(split.progress + (1 - split.progress) * easing.evaluate(split.remaining, p) -
+                        easing.evaluate(timingFunction, x + p * (1 - x))) < 1e-4, "remaining part at " + x);
+                }
+            });
+        });
+
+        it('splits into linear parts where the output does not change', function() {
+            let split = easing.splitTimingFunction("linear(0, 1 50%, 1)", 0.75);
+
+            assert.strictEqual(split.progress, 1);
+            assert.strictEqual(split.remaining, "linear");
+        });
+
+        it('reverses the stops', function() {
+            let timingFunction = "linear(0, 1 80%)", reversed = easing.reverseTimingFunction(timingFunction);
+
+            assertOutputs(reversed, {0.1: 0, 0.2: 0, 0.6: 0.5, 1: 1});
+            [0, 0.25, 0.5, 0.75, 1].forEach(function(x) {
+                assert.ok(Math.abs(easing.evaluate(reversed, x) - (1 - easing.evaluate(timingFunction, 1 - x))) < 1e-9);
+            });
+        });
+
+    });
+
+    it('splits and reverses cubic-bezier() timing functions as bezier curves', function() {
+        assert.strictEqual(easing.reverseTimingFunction("ease-in"), "cubic-bezier(0, 0, 0.58, 1)");
+        assert.strictEqual(easing.splitTimingFunction("linear", 0.5).remaining, "cubic-bezier(0.5, 0.5, 1, 1)");
+        assert.strictEqual(easing.splitTimingFunction("steps(2)", 0.5), null);
+    });
+
+    it('evaluates unknown timing functions as linear', function() {
+        assertOutputs("bogus", {0: 0, 0.3: 0.3, 1: 1});
+    });
+
+});
@@ -0,0 +1,92 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Effects', function() {
+    let element;
+
+    beforeEach(function() {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+    });
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    // Returns the values the effect transitions from
+    function getFromValues(effect, names) {
+        let handle = transition.begin(element, effect, {engine: "js", duration: "1s"});
+
+        return wait(20).then(function() {
+            handle.stop({mode: "start"});
+            return handle.promise;
+        }).then(function() {
+            return names.map(function(name) {
+                return element.style[name];
+            });
+        });
+    }
+
+    it('transitions the properties of built-in effects', function() {
+        return getFromValues("slideUp", ["transform", "opacity"]).then(function(values) {
+            assert.deepStrictEqual(values, ["translateY(20px)", "0"]);
+            return transition.begin(element, "slideUp", {engine: "js", duration: "20ms"}).promise;
+        }).then(function() {
+            assert.strictEqual(element.style.transform, "translateY(0px)");
+            assert.strictEqual(element.style.opacity, "1");
+        });
+    });
+
+    it('passes the parameters to the effect', function() {
+        return getFromValues({effect: "slideRight", distance: "50px", fade: false}, ["transform", "opacity"])
+            .then(function(values) {
+                assert.deepStrictEqual(values, ["translateX(-50px)", ""]);
+                return getFromValues({effect: "zoomIn", scale: 0.8}, ["transform", "opacity"]);
+            }).then(function(values) {
+                assert.deepStrictEqual(values, ["scale(0.8)", "0"]);
+            });
+    });
+
+    it('applies the timing of effect objects to their properties', function() {
+        let start = Date.now();
+
+        return transition.begin(element, [{effect: "fadeIn", duration: "20ms"}, "width 0px 10px 20ms"], {
+            engine: "js",
+            duration: "5s"
+        }).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.ok(Date.now() - start < 1000);
+            assert.strictEqual(element.style.opacity, "1");
+            assert.strictEqual(element.style.width, "10px");
+        });
+    });
+
+    it('expands registered effects using other effects', function() {
+        transition.registerEffect("pop", function(params) {
+            return [{effect: "zoomIn", scale: params.scale || 0.8}, "width 0px 10px"];
+        });
+
+        return getFromValues({effect: "pop", scale: 0.6}, ["transform", "opacity", "width"]).then(function(values) {
+            assert.deepStrictEqual(values, ["scale(0.6)", "0", "0px"]);
+        });
+    });
+
+    it('rejects unknown effects and invalid registrations', function() {
+        assert.throws(function() {
+            transition.begin(element, {effect: "wobble"}, {engine: "js"});
+        }, /Unknown effect 'wobble'/);
+        assert.throws(function() {
+            transition.registerEffect("1pop", function() {});
+        }, /Invalid effect name '1pop'/);
+        assert.throws(function() {
+            transition.registerEffect("pop", "zoomIn");
+        }, /The factory of effect 'pop' must be a function/);
+    });
+
+});
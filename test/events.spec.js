@@ -0,0 +1,134 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+// jsdom does not run CSS transitions, the events the browser would fire are dispatched by the tests
+function dispatchTransitionEvent(element, type, propertyName) {
+    let event = new window.Event(type, {bubbles: true});
+    event.propertyName = propertyName;
+    element.dispatchEvent(event);
+}
+
+describe('Transition events', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('calls onTransitionStart once per property and once for the transition', function() {
+        let element = createElement(), calls = [], handle;
+
+        handle = transition.begin(element, [{
+            property: "opacity",
+            from: "0",
+            to: "1",
+            duration: "1s",
+            onTransitionStart: function() {
+                calls.push("opacity");
+            }
+        }, "width 0px 10px 1s"], {
+            engine: "css",
+            onTransitionStart: function() {
+                calls.push("transition");
+            }
+        });
+
+        return wait(20).then(function() {
+            dispatchTransitionEvent(element, "transitionstart", "opacity");
+            dispatchTransitionEvent(element, "transitionstart", "opacity");
+            dispatchTransitionEvent(element, "transitionstart", "width");
+            assert.deepStrictEqual(calls, ["opacity", "transition"]);
+            handle.stop();
+            return handle.promise;
+        });
+    });
+
+    it('finishes cancelled properties with finished set to false', function() {
+        let element = createElement(), calls = [], handle;
+
+        handle = transition.begin(element, [{
+            property: "opacity",
+            from: "0",
+            to: "1",
+            duration: "1s",
+            onTransitionEnd: function(element, finished) {
+                calls.push("end " + finished);
+            },
+            onTransitionCancel: function() {
+                calls.push("opacity cancelled");
+            }
+        }, "width 0px 10px 1s"], {
+            engine: "css",
+            onTransitionCancel: function() {
+                calls.push("transition cancelled");
+            }
+        });
+
+        return wait(20).then(function() {
+            dispatchTransitionEvent(element, "transitioncancel", "opacity");
+            dispatchTransitionEvent(element, "transitionend", "width");
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(calls, ["opacity cancelled", "transition cancelled", "end false"]);
+        });
+    });
+
+    it('ignores events of descendants and of properties of other transitions', function() {
+        let element = createElement(), child = document.createElement('div'), handle, ended = false;
+
+        element.appendChild(child);
+        handle = transition.begin(element, "opacity 0 1 1s", {engine: "css"});
+        handle.promise.then(function() {
+            ended = true;
+        });
+
+        return wait(20).then(function() {
+            dispatchTransitionEvent(child, "transitionend", "opacity");
+            dispatchTransitionEvent(element, "transitioncancel", "width");
+            return wait(0);
+        }).then(function() {
+            assert.strictEqual(ended, false);
+            dispatchTransitionEvent(element, "transitionend", "opacity");
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+        });
+    });
+
+    it('does not report cancellations caused by pausing', function() {
+        let element = createElement(), cancelled = false, handle;
+
+        handle = transition.begin(element, "opacity 0 1 1s", {
+            engine: "css",
+            onTransitionCancel: function() {
+                cancelled = true;
+            }
+        });
+
+        return wait(20).then(function() {
+            handle.pause();
+            dispatchTransitionEvent(element, "transitioncancel", "opacity");
+            handle.resume();
+            dispatchTransitionEvent(element, "transitionend", "opacity");
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(cancelled, false);
+            assert.strictEqual(result.finished, true);
+        });
+    });
+
+});
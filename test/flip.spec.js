@@ -0,0 +1,141 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+// jsdom has no layout, the rects of the elements are set by the tests
+function createElement(rect) {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    setRect(element, rect);
+    return element;
+}
+
+function setRect(element, rect) {
+    element.getBoundingClientRect = function() {
+        return {
+            left: rect[0],
+            top: rect[1],
+            width: rect[2],
+            height: rect[3],
+            right: rect[0] + rect[2],
+            bottom: rect[1] + rect[3]
+        };
+    };
+}
+
+// Returns the numbers of the transform rounded to the passed precision
+function getTransformNumbers(transform, precision) {
+    return transform.match(/-?[\d.]+/g).map(function(number) {
+        return Number(parseFloat(number).toFixed(precision));
+    });
+}
+
+describe('FLIP', function() {
+    let handles;
+
+    function beginFlip(elements, mutate, options) {
+        let handle = transition.flip(elements, mutate, options);
+        handles.push(handle);
+        return handle;
+    }
+
+    beforeEach(function() {
+        handles = [];
+    });
+
+    afterEach(function() {
+        // The scale correction runs on every frame until the flips end
+        handles.forEach(function(handle) {
+            handle.stop();
+        });
+        document.body.innerHTML = '';
+    });
+
+    it('transforms moved elements back to where they were and transitions them into place', function() {
+        let element = createElement([0, 0, 100, 100]), handle;
+
+        element.style.transform = "rotate(10deg)";
+        handle = beginFlip(element, function() {
+            setRect(element, [50, 20, 200, 100]);
+        }, {engine: "js", duration: "1s"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.seek(0);
+            // Scaled around the center of the new rect
+            assert.ok(/^translate\(.+\) scale\(.+\) rotate\(10deg\)$/.test(element.style.transform));
+            assert.deepStrictEqual(getTransformNumbers(element.style.transform, 2), [-100, -20, 0.5, 1, 10]);
+            handle.seek(1);
+            handle.resume();
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.transform, "rotate(10deg)");
+        });
+    });
+
+    it('does not transition elements that did not move', function() {
+        let moved = createElement([0, 0, 100, 100]), unmoved = createElement([0, 100, 100, 100]), handle;
+
+        handle = beginFlip([moved, unmoved], function() {
+            setRect(moved, [0, 50, 100, 100]);
+        }, {engine: "js", duration: "40ms"});
+
+        return wait(10).then(function() {
+            assert.strictEqual(unmoved.style.transform, "");
+            assert.notStrictEqual(moved.style.transform, "");
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(moved.style.transform, "");
+        });
+    });
+
+    it('scales the children of resized elements inversely', function() {
+        let element = createElement([0, 0, 100, 100]), child = document.createElement('span'), handle;
+
+        element.appendChild(child);
+        handle = beginFlip(element, function() {
+            setRect(element, [0, 0, 200, 400]);
+        }, {engine: "js", duration: "1s"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.seek(0);
+            return wait(40);
+        }).then(function() {
+            assert.deepStrictEqual(getTransformNumbers(child.style.transform, 2), [2, 4]);
+            handle.stop();
+            return handle.promise;
+        }).then(function() {
+            assert.strictEqual(child.style.transform, "");
+        });
+    });
+
+    it('interrupts the flip of elements that are flipped again', function() {
+        let element = createElement([0, 0, 100, 100]), first, second;
+
+        first = beginFlip(element, function() {
+            setRect(element, [0, 100, 100, 100]);
+        }, {engine: "js", duration: "1s"});
+
+        return wait(20).then(function() {
+            second = beginFlip(element, function() {
+                setRect(element, [0, 0, 100, 100]);
+            }, {engine: "js", duration: "20ms"});
+            return first.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            return second.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.transform, "");
+        });
+    });
+
+});
@@ -0,0 +1,11 @@
+const JSDOM = require('jsdom').JSDOM;
+
+// The library reads window and document when its modules are loaded, so the DOM globals are set up before the tests
+// require them.
+let dom = new JSDOM('<!doctype html><html><body></body></html>', {pretendToBeVisual: true});
+
+global.window = dom.window;
+global.document = dom.window.document;
+global.HTMLElement = dom.window.HTMLElement;
+global.NodeList = dom.window.NodeList;
+global.HTMLCollection = dom.window.HTMLCollection;
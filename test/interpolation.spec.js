@@ -0,0 +1,83 @@
+const assert = require('assert');
+const interpolation = require('../src/interpolation');
+
+function interpolate(from, to, progress) {
+    return interpolation.createInterpolator(from, to)(progress);
+}
+
+describe('interpolation', function() {
+
+    describe('colors', function() {
+
+        it('normalizes hex, functional and named colors to rgba()', function() {
+            assert.strictEqual(interpolation.normalizeColors("#f00"), "rgba(255, 0, 0, 1)");
+            assert.strictEqual(interpolation.normalizeColors("#0f08"), "rgba(0, 255, 0, 0.533)");
+            assert.strictEqual(interpolation.normalizeColors("rgb(0 128 255 / 50%)"), "rgba(0, 128, 255, 0.5)");
+            assert.strictEqual(interpolation.normalizeColors("hsl(120, 100%, 50%)"), "rgba(0, 255, 0, 1)");
+            assert.strictEqual(interpolation.normalizeColors("1px solid red"), "1px solid rgba(255, 0, 0, 1)");
+        });
+
+        it('interpolates colors of different notations', function() {
+            assert.strictEqual(interpolate("#000", "white", 0.5), "rgba(128, 128, 128, 1)");
+            assert.strictEqual(interpolate("transparent", "rgba(0, 0, 255, 1)", 0.5), "rgba(0, 0, 128, 0.5)");
+        });
+
+        it('keeps the channels in their ranges when the progress overshoots', function() {
+            assert.strictEqual(interpolate("rgba(0, 0, 0, 0)", "red", 1.5), "rgba(255, 0, 0, 1)");
+            assert.strictEqual(interpolate("red", "blue", -0.5), "rgba(255, 0, 0, 1)");
+        });
+
+    });
+
+    describe('transforms', function() {
+
+        it('interpolates transform functions lists number by number', function() {
+            assert.strictEqual(interpolate("translateX(0px) rotate(0deg)", "translateX(100px) rotate(90deg)", 0.25),
+                "translateX(25px) rotate(22.5deg)");
+        });
+
+        it('interpolates from and to none', function() {
+            assert.strictEqual(interpolate("none", "translateX(100px) rotate(90deg)", 0.25),
+                "translateX(25px) rotate(22.5deg)");
+            assert.strictEqual(interpolate("scale(2)", "none", 0.5), "scale(1.5)");
+        });
+
+        it('switches values of different structures at the half of the transition', function() {
+            assert.strictEqual(interpolate("translateX(10px)", "rotate(90deg)", 0.4), "translateX(10px)");
+            assert.strictEqual(interpolate("translateX(10px)", "rotate(90deg)", 0.6), "rotate(90deg)");
+            assert.strictEqual(interpolate("10px", "2em", 0.4), "10px");
+        });
+
+        it('gives unitless zeros the unit of the other value', function() {
+            assert.strictEqual(interpolate("0", "100px", 0.3), "30px");
+        });
+
+    });
+
+    describe('relative values', function() {
+
+        it('detects relative values', function() {
+            assert.strictEqual(interpolation.isRelativeValue("+=10px"), true);
+            assert.strictEqual(interpolation.isRelativeValue("rotate(*=2)"), true);
+            assert.strictEqual(interpolation.isRelativeValue("-10px"), false);
+            assert.strictEqual(interpolation.isRelativeValue(10), false);
+        });
+
+        it('adds, subtracts and multiplies the base numbers', function() {
+            assert.strictEqual(interpolation.resolveRelativeValue("+=50px", "10px"), "60px");
+            assert.strictEqual(interpolation.resolveRelativeValue("-=0.25", "1"), "0.75");
+            assert.strictEqual(interpolation.resolveRelativeValue("translateX(-=20px) rotate(*=2)",
+                "translateX(10px) rotate(45deg)"), "translateX(-10px) rotate(90deg)");
+        });
+
+        it('resolves transforms against none', function() {
+            assert.strictEqual(interpolation.resolveRelativeValue("rotate(+=45deg)", "none"), "rotate(45deg)");
+        });
+
+        it('returns null for base values of different units', function() {
+            assert.strictEqual(interpolation.resolveRelativeValue("+=5px", "2em"), null);
+        });
+
+    });
+
+});
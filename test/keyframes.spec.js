@@ -0,0 +1,116 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Keyframes', function() {
+    let element;
+
+    beforeEach(function() {
+        element = document.createElement('div');
+        document.body.appendChild(element);
+    });
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('transitions through all keyframes at their offsets', function() {
+        let handle = transition.begin(element, {
+            property: "opacity",
+            keyframes: ["0", "1", "0.5"],
+            offsets: [0, 0.25, 1],
+            duration: "80ms",
+            timingFunction: "linear"
+        }, {engine: "js"});
+
+        return wait(30).then(function() {
+            // The second segment lasts 60ms and goes from 1 to 0.5
+            assert.ok(parseFloat(element.style.opacity) > 0.5);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.opacity, "0.5");
+        });
+    });
+
+    it('spaces keyframes without offsets evenly and calls onTransitionEnd once', function() {
+        let ended = [], handle, opacity;
+
+        handle = transition.begin(element, {
+            property: "opacity",
+            keyframes: ["0", "1", "0"],
+            duration: "200ms",
+            timingFunction: "linear",
+            onTransitionEnd: function(element, finished) {
+                ended.push(finished);
+            }
+        }, {engine: "js"});
+
+        return wait(60).then(function() {
+            // Half of the first segment, which lasts 100ms
+            opacity = parseFloat(element.style.opacity);
+            assert.ok(opacity > 0.3 && opacity < 1, "opacity " + opacity);
+            return handle.promise;
+        }).then(function() {
+            return wait(0);
+        }).then(function() {
+            assert.strictEqual(element.style.opacity, "0");
+            assert.deepStrictEqual(ended, [true]);
+        });
+    });
+
+    it('ends the keyframes once the property is overridden', function() {
+        let ended = [], handle, overridingHandle;
+
+        handle = transition.begin(element, {
+            property: "opacity",
+            keyframes: ["0", "1", "0"],
+            duration: "200ms",
+            onTransitionEnd: function(element, finished) {
+                ended.push(finished);
+            }
+        }, {engine: "js"});
+
+        return wait(40).then(function() {
+            overridingHandle = transition.begin(element, {property: "opacity", to: "0.5"}, {
+                engine: "js",
+                duration: "20ms"
+            });
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            return overridingHandle.promise;
+        }).then(function() {
+            return wait(250);
+        }).then(function() {
+            assert.strictEqual(element.style.opacity, "0.5");
+            assert.deepStrictEqual(ended, [false]);
+        });
+    });
+
+    it('rejects offsets that do not begin at 0, end at 1 or that decrease', function() {
+        [[0.1, 0.5, 1], [0, 0.5, 0.9], [0, 0.6, 0.4, 1], [0, "half", 1]].forEach(function(offsets) {
+            assert.throws(function() {
+                transition.begin(element, {
+                    property: "opacity",
+                    keyframes: offsets.map(function(offset, index) {
+                        return String(index % 2);
+                    }),
+                    offsets: offsets
+                });
+            }, /^\[Transition\.begin\]: Invalid keyframe offsets$/);
+        });
+    });
+
+    it('rejects offsets of a different length than the keyframes', function() {
+        assert.throws(function() {
+            transition.begin(element, {property: "opacity", keyframes: ["0", "1"], offsets: [0, 0.5, 1]});
+        }, /Offsets must have the same length as keyframes/);
+    });
+
+});
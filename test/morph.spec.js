@@ -0,0 +1,102 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+// jsdom has no layout, the rects of the elements are set by the tests
+function createElement(rect) {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    element.getBoundingClientRect = function() {
+        return {
+            left: rect[0],
+            top: rect[1],
+            width: rect[2],
+            height: rect[3],
+            right: rect[0] + rect[2],
+            bottom: rect[1] + rect[3]
+        };
+    };
+    return element;
+}
+
+describe('Morph', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('positions the target over the source and transitions it to its own rect', function() {
+        let source = createElement([0, 0, 100, 50]), target = createElement([200, 100, 400, 200]), handle;
+
+        target.style.opacity = "0.8";
+        handle = transition.morph(source, target, {engine: "js", duration: "1s", timingFunction: "linear"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.seek(0);
+            assert.ok(/^translate\(-\d/.test(target.style.transform), target.style.transform);
+            assert.ok(Math.abs(parseFloat(target.style.width) - 100) < 1, target.style.width);
+            assert.ok(Math.abs(parseFloat(target.style.height) - 50) < 1, target.style.height);
+            assert.ok(parseFloat(target.style.opacity) < 0.01, target.style.opacity);
+            assert.ok(parseFloat(source.style.opacity) > 0.99, source.style.opacity);
+            handle.resume();
+            handle.seek(1);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.deepStrictEqual(result.elements, [source, target]);
+            // The target gets its own styles back and the source is hidden
+            assert.strictEqual(target.style.transform, "");
+            assert.strictEqual(target.style.width, "");
+            assert.strictEqual(target.style.opacity, "0.8");
+            assert.strictEqual(source.style.opacity, "");
+            assert.strictEqual(source.style.visibility, "hidden");
+        });
+    });
+
+    it('shows the source of the previous morph when morphing back', function() {
+        let source = createElement([0, 0, 100, 50]), target = createElement([200, 100, 400, 200]);
+
+        source.style.visibility = "visible";
+        return transition.morph(source, target, {engine: "js", duration: "20ms"}).promise.then(function() {
+            return transition.morph(target, source, {engine: "js", duration: "20ms"}).promise;
+        }).then(function() {
+            assert.strictEqual(source.style.visibility, "visible");
+            assert.strictEqual(target.style.visibility, "hidden");
+        });
+    });
+
+    it('interrupts the morph of elements that are morphed again', function() {
+        let source = createElement([0, 0, 100, 50]), target = createElement([200, 100, 400, 200]), first, second;
+
+        first = transition.morph(source, target, {engine: "js", duration: "1s"});
+
+        return wait(20).then(function() {
+            second = transition.morph(target, source, {engine: "js", duration: "20ms"});
+            return first.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            return second.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(source.style.visibility, "");
+            assert.strictEqual(target.style.visibility, "hidden");
+            assert.strictEqual(source.style.transform, "");
+        });
+    });
+
+    it('hides the source immediately when an element is not rendered', function() {
+        let source = createElement([0, 0, 100, 50]), target = createElement([0, 0, 0, 0]);
+
+        return transition.morph(source, target, {engine: "js", duration: "1s"}).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(source.style.visibility, "hidden");
+        });
+    });
+
+});
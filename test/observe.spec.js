@@ -0,0 +1,65 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('transition.observe', function() {
+    let observer, container;
+
+    beforeEach(function() {
+        container = document.createElement('ul');
+        document.body.appendChild(container);
+        observer = transition.observe(document.body, {engine: "js", duration: "20ms"});
+    });
+
+    afterEach(function() {
+        observer.disconnect();
+        document.body.innerHTML = '';
+    });
+
+    it('fades children in and out if the effect of the container is unknown', function() {
+        let child = document.createElement('li');
+
+        container.setAttribute('data-transition-children', 'noSuchEffect');
+        container.appendChild(child);
+
+        return wait(0).then(function() {
+            assert.strictEqual(child.style.opacity, '0');
+            return wait(60);
+        }).then(function() {
+            assert.strictEqual(child.style.opacity, '1');
+            container.removeChild(child);
+            return wait(0);
+        }).then(function() {
+            assert.strictEqual(child.parentNode, container);
+            return wait(60);
+        }).then(function() {
+            assert.strictEqual(child.parentNode, null);
+        });
+    });
+
+    it('transitions leaving children using the reversed effect of the container', function() {
+        let child = document.createElement('li');
+
+        container.setAttribute('data-transition-children', 'expand');
+        child.style.height = '0px';
+        container.appendChild(child);
+
+        return wait(60).then(function() {
+            assert.strictEqual(child.style.height, 'auto');
+            container.removeChild(child);
+            return wait(0);
+        }).then(function() {
+            assert.strictEqual(child.parentNode, container);
+            return wait(60);
+        }).then(function() {
+            assert.strictEqual(child.style.height, '0px');
+            assert.strictEqual(child.parentNode, null);
+        });
+    });
+
+});
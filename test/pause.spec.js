@@ -0,0 +1,102 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Pause and resume', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('freezes the properties at their current values while paused', function() {
+        let element = createElement(), handle, pausedWidth;
+
+        handle = transition.begin(element, "width 0px 100px 100ms linear", {engine: "js"});
+
+        return wait(40).then(function() {
+            handle.pause();
+            pausedWidth = parseFloat(element.style.width);
+            assert.ok(pausedWidth > 0 && pausedWidth < 100, "paused at " + pausedWidth);
+            return wait(80);
+        }).then(function() {
+            assert.strictEqual(parseFloat(element.style.width), pausedWidth);
+        });
+    });
+
+    it('continues from the paused values with the remaining duration', function() {
+        let element = createElement(), handle, pausedWidth, resumeTime;
+
+        handle = transition.begin(element, "width 0px 100px 100ms linear", {engine: "js"});
+
+        return wait(50).then(function() {
+            handle.pause();
+            pausedWidth = parseFloat(element.style.width);
+            return wait(100);
+        }).then(function() {
+            handle.resume();
+            resumeTime = Date.now();
+            return wait(10);
+        }).then(function() {
+            let width = parseFloat(element.style.width);
+            assert.ok(width >= pausedWidth && width < 100, "resumed to " + width + " from " + pausedWidth);
+            return handle.promise;
+        }).then(function(result) {
+            let duration = Date.now() - resumeTime;
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.width, "100px");
+            // The remaining part lasts about as long as the part left when paused, not the whole duration
+            assert.ok(duration < 100 - pausedWidth + 40, "resumed for " + duration + "ms");
+        });
+    });
+
+    it('continues the remaining delay of properties paused in their delay', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "width 0px 100px 30ms 150ms", {engine: "js"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            return wait(150);
+        }).then(function() {
+            handle.resume();
+            return wait(40);
+        }).then(function() {
+            assert.strictEqual(element.style.width, "0px");
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.width, "100px");
+        });
+    });
+
+    it('ignores pausing a paused transition and resuming a running one', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "opacity 0 1 60ms", {engine: "js"});
+        handle.resume();
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.pause();
+            return wait(40);
+        }).then(function() {
+            handle.resume();
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.opacity, "1");
+        });
+    });
+
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElements(count) {
+    let i, elements = [];
+    for (i = 0; i < count; i++) {
+        elements.push(document.createElement('div'));
+        document.body.appendChild(elements[i]);
+    }
+    return elements;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Reduced motion', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('does not stagger elements when motion is reduced instantly', function() {
+        let elements = createElements(3);
+
+        transition.begin(elements, "transform translateX(0px) translateX(100px) 200ms", {
+            engine: "js",
+            stagger: "500ms",
+            reducedMotion: "always"
+        });
+
+        return wait(30).then(function() {
+            elements.forEach(function(element) {
+                assert.strictEqual(element.style.transform, "translateX(100px)");
+            });
+        });
+    });
+
+    it('fades hidden elements out when motion is reduced using a crossfade', function() {
+        let element = createElements(1)[0], opacities = [], handle;
+
+        handle = transition.hide(element, "transform translateY(0px) translateY(20px)", {
+            engine: "js",
+            reducedMotion: "always",
+            reducedMotionStrategy: "crossfade",
+            reducedMotionDuration: "60ms"
+        });
+
+        return wait(15).then(function() {
+            opacities.push(parseFloat(element.style.opacity));
+            return handle.promise;
+        }).then(function() {
+            return wait(0);
+        }).then(function() {
+            // Fading in would have passed a small part of the way from 0
+            assert.ok(opacities[0] > 0.5 && opacities[0] < 1);
+            assert.strictEqual(element.style.transform, "translateY(20px)");
+            assert.strictEqual(element.style.display, "none");
+            assert.strictEqual(element.style.opacity, "");
+        });
+    });
+
+});
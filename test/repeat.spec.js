@@ -0,0 +1,121 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElements(count) {
+    let i, elements = [];
+    for (i = 0; i < count; i++) {
+        elements.push(document.createElement('div'));
+        document.body.appendChild(elements[i]);
+    }
+    return elements;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Repeat', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('repeats the transition and calls onTransitionEnd once it finishes', function() {
+        let element = createElements(1)[0], ended = [], handle, iterations = [];
+
+        handle = transition.begin(element, "width 0px 100px 60ms", {
+            engine: "js",
+            repeat: 2,
+            repeatDelay: "20ms",
+            onTransitionEnd: function(element, finished) {
+                ended.push(finished);
+            }
+        });
+
+        return wait(120).then(function() {
+            iterations.push(handle.iteration);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(handle.iteration, 2);
+            assert.deepStrictEqual(iterations, [1]);
+            assert.strictEqual(element.style.width, "100px");
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(ended, [true]);
+        });
+    });
+
+    it('alternates the direction of the repetitions', function() {
+        let element = createElements(1)[0];
+
+        return transition.begin(element, "width 0px 100px 30ms", {
+            engine: "js",
+            repeat: 1,
+            yoyo: true
+        }).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.width, "0px");
+        });
+    });
+
+    it('ends an infinite loop when stopped', function() {
+        let element = createElements(1)[0], handle;
+
+        handle = transition.begin(element, "opacity 0 1 20ms", {
+            engine: "js",
+            repeat: Infinity,
+            alternate: true
+        });
+
+        return wait(90).then(function() {
+            assert.ok(handle.iteration >= 2, "iteration " + handle.iteration);
+            handle.stop({mode: "end"});
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+        });
+    });
+
+    it('ends the loop when overridden by another transition', function() {
+        let element = createElements(1)[0], handle, iteration;
+
+        handle = transition.begin(element, "opacity 0 1 30ms", {
+            engine: "js",
+            repeat: Infinity
+        });
+
+        return wait(10).then(function() {
+            transition.begin(element, "opacity 0.5 0.5 20ms", {engine: "js"});
+            return handle.promise;
+        }).then(function(result) {
+            iteration = handle.iteration;
+            assert.strictEqual(result.finished, false);
+            return wait(80);
+        }).then(function() {
+            assert.strictEqual(handle.iteration, iteration);
+            assert.strictEqual(element.style.opacity, "0.5");
+        });
+    });
+
+    it('reports the iteration of every element of a group', function() {
+        let elements = createElements(2), handle, iterations = [];
+
+        handle = transition.begin(elements, "opacity 0 1 50ms", {
+            engine: "js",
+            repeat: 1
+        });
+        iterations.push(handle.iteration);
+
+        return wait(80).then(function() {
+            iterations.push(handle.iteration);
+            return handle.promise;
+        }).then(function(result) {
+            assert.deepStrictEqual(iterations, [[0, 0], [1, 1]]);
+            assert.strictEqual(result.finished, true);
+        });
+    });
+
+});
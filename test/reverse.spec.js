@@ -0,0 +1,87 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Reverse', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('returns the properties to their "from" values from their current values', function() {
+        let element = createElement(), handle, reversedWidth, widths = [];
+
+        handle = transition.begin(element, "width 0px 100px 200ms linear", {engine: "js"});
+
+        return wait(80).then(function() {
+            handle.reverse();
+            reversedWidth = parseFloat(element.style.width);
+            return wait(20);
+        }).then(function() {
+            widths.push(parseFloat(element.style.width));
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.width, "0px");
+            assert.ok(widths[0] < reversedWidth && widths[0] > 0, "reversed from " + reversedWidth + " to " + widths[0]);
+        });
+    });
+
+    it('lasts as long as the properties have been transitioning', function() {
+        let element = createElement(), handle, reverseTime;
+
+        handle = transition.begin(element, "width 0px 100px 400ms", {engine: "js"});
+
+        return wait(60).then(function() {
+            handle.reverse();
+            reverseTime = Date.now();
+            return handle.promise;
+        }).then(function() {
+            let duration = Date.now() - reverseTime;
+            assert.ok(duration < 200, "reversed for " + duration + "ms");
+        });
+    });
+
+    it('returns the properties that did not begin yet to their "from" values immediately', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, ["width 0px 100px 200ms", "height 0px 100px 50ms 300ms"], {engine: "js"});
+
+        return wait(80).then(function() {
+            handle.reverse();
+            assert.strictEqual(element.style.height, "0px");
+            return handle.promise;
+        }).then(function() {
+            assert.strictEqual(element.style.width, "0px");
+            assert.strictEqual(element.style.height, "0px");
+        });
+    });
+
+    it('plays the reversed properties back to their "to" values when reversed again', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "opacity 0 1 200ms", {engine: "js"});
+
+        return wait(60).then(function() {
+            handle.reverse();
+            return wait(20);
+        }).then(function() {
+            handle.reverse();
+            return handle.promise;
+        }).then(function() {
+            assert.strictEqual(element.style.opacity, "1");
+        });
+    });
+
+});
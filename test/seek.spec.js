@@ -0,0 +1,116 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, actual + " is not close to " + expected);
+}
+
+describe('Seek and progress', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('jumps paused properties to the progress of the whole transition', function() {
+        let element = createElement(), handle, progress;
+
+        handle = transition.begin(element, [
+            "width 0px 100px 200ms linear",
+            "height 0px 100px 200ms 100ms linear"
+        ], {engine: "js"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.seek(0.5);
+            progress = handle.progress();
+
+            // 150ms of the 300ms the transition takes, the height transitions for 50ms of its 200ms
+            assertClose(parseFloat(element.style.width), 75, 0.5);
+            assertClose(parseFloat(element.style.height), 25, 0.5);
+            assertClose(progress.progress, 0.5, 0.001);
+            assertClose(progress.properties.width, 0.75, 0.001);
+            assertClose(progress.properties.height, 0.25, 0.001);
+
+            handle.seek("100ms");
+            assertClose(parseFloat(element.style.width), 50, 0.5);
+            assertClose(parseFloat(element.style.height), 0, 0.5);
+            assertClose(handle.progress().progress, 1 / 3, 0.001);
+
+            return wait(50);
+        }).then(function() {
+            assertClose(parseFloat(element.style.width), 50, 0.5);
+            handle.stop();
+            return handle.promise;
+        });
+    });
+
+    it('finishes the properties when sought to the end', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "width 0px 100px 1s", {engine: "js"});
+
+        return wait(20).then(function() {
+            handle.seek(1);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.width, "100px");
+        });
+    });
+
+    it('continues from the sought point once resumed', function() {
+        let element = createElement(), handle, resumeTime;
+
+        handle = transition.begin(element, "width 0px 100px 1s linear", {engine: "js"});
+
+        return wait(20).then(function() {
+            handle.pause();
+            handle.seek(0.95);
+            return wait(20);
+        }).then(function() {
+            handle.resume();
+            resumeTime = Date.now();
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.ok(Date.now() - resumeTime < 500);
+            assert.strictEqual(handle.progress().progress, 1);
+        });
+    });
+
+    it('applies a seek requested before the properties are applied', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "width 0px 100px 1s linear", {engine: "js"});
+        handle.seek("500ms");
+
+        return wait(20).then(function() {
+            assert.ok(parseFloat(element.style.width) >= 50, "width " + element.style.width);
+            handle.stop();
+            return handle.promise;
+        });
+    });
+
+    it('rejects invalid progresses', function() {
+        let handle = transition.begin(createElement(), "width 0px 100px 1s", {engine: "js"});
+
+        assert.throws(function() {
+            handle.seek("half");
+        }, /Invalid progress or time 'half'/);
+        handle.stop();
+        return handle.promise;
+    });
+
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElements(count) {
+    let i, elements = [];
+    for (i = 0; i < count; i++) {
+        elements.push(document.createElement('div'));
+        document.body.appendChild(elements[i]);
+    }
+    return elements;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Stagger', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('transitions every element of a selector and resolves once all of them end', function() {
+        let elements = createElements(3);
+
+        elements.forEach(function(element) {
+            element.className = 'item';
+        });
+
+        return transition.begin('.item', "opacity 0 1 20ms", {engine: "js", stagger: "10ms"}).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.deepStrictEqual(result.elements, elements);
+            assert.strictEqual(result.results.length, 3);
+            elements.forEach(function(element) {
+                assert.strictEqual(element.style.opacity, "1");
+            });
+        });
+    });
+
+    it('offsets the delays of successive elements', function() {
+        let elements = createElements(3), handle, opacities;
+
+        handle = transition.begin(document.body.childNodes, "opacity 0 1 20ms", {
+            engine: "js",
+            stagger: function(index) {
+                return index === 1 ? "300ms" : 0;
+            }
+        });
+
+        return wait(60).then(function() {
+            opacities = elements.map(function(element) {
+                return element.style.opacity;
+            });
+            handle.stop();
+            return handle.promise;
+        }).then(function() {
+            assert.deepStrictEqual(opacities, ["1", "0", "1"]);
+        });
+    });
+
+    it('begins from the center of the elements', function() {
+        let elements = createElements(3), handle, opacities;
+
+        handle = transition.begin(elements, "opacity 0 1 20ms", {
+            engine: "js",
+            stagger: {each: "300ms", from: "center"}
+        });
+
+        return wait(60).then(function() {
+            opacities = elements.map(function(element) {
+                return element.style.opacity;
+            });
+            handle.stop();
+            return handle.promise;
+        }).then(function() {
+            assert.deepStrictEqual(opacities, ["0", "1", "0"]);
+        });
+    });
+
+    it('resolves duration tokens', function() {
+        let elements = createElements(2), handle, opacities;
+
+        handle = transition.begin(elements, "opacity 0 1 20ms", {
+            engine: "js",
+            stagger: "fast"
+        });
+
+        return wait(60).then(function() {
+            opacities = elements.map(function(element) {
+                return element.style.opacity;
+            });
+            handle.stop();
+            return handle.promise;
+        }).then(function() {
+            assert.deepStrictEqual(opacities, ["1", "0"]);
+        });
+    });
+
+    it('resolves duration tokens of the step of a stagger object', function() {
+        let elements = createElements(2), handle, opacities;
+
+        handle = transition.begin(elements, "opacity 0 1 20ms", {
+            engine: "js",
+            stagger: {each: "fast", from: "end"}
+        });
+
+        return wait(60).then(function() {
+            opacities = elements.map(function(element) {
+                return element.style.opacity;
+            });
+            handle.stop();
+            return handle.promise;
+        }).then(function() {
+            assert.deepStrictEqual(opacities, ["0", "1"]);
+        });
+    });
+
+    it('rejects invalid times', function() {
+        assert.throws(function() {
+            transition.begin(createElements(2), "opacity 0 1 20ms", {stagger: "later"});
+        }, /Invalid stagger 'later'/);
+    });
+
+});
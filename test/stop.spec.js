@@ -0,0 +1,91 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('Stop', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    function stopHalfway(options) {
+        let element = createElement(), handle, ended = [];
+
+        handle = transition.begin(element, "width 0px 100px 100ms linear", {
+            engine: "js",
+            onTransitionEnd: function(element, finished) {
+                ended.push(finished);
+            }
+        });
+
+        return wait(40).then(function() {
+            handle.stop(options);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            // The callback is called in the next event loop
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(ended, [false]);
+            return element;
+        });
+    }
+
+    it('freezes the properties at their current values by default', function() {
+        return stopHalfway().then(function(element) {
+            let width = parseFloat(element.style.width);
+            assert.ok(width > 0 && width < 100, "stopped at " + width);
+            return wait(80).then(function() {
+                assert.strictEqual(parseFloat(element.style.width), width);
+            });
+        });
+    });
+
+    it('sets the "to" values in the end mode', function() {
+        return stopHalfway({mode: "end"}).then(function(element) {
+            assert.strictEqual(element.style.width, "100px");
+        });
+    });
+
+    it('sets the "from" values in the start mode', function() {
+        return stopHalfway({mode: "start"}).then(function(element) {
+            assert.strictEqual(element.style.width, "0px");
+        });
+    });
+
+    it('stops the properties that did not begin yet', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "width 0px 100px 50ms 200ms", {engine: "js"});
+        handle.remove({mode: "end"});
+
+        return handle.promise.then(function(result) {
+            assert.strictEqual(result.finished, false);
+            assert.strictEqual(element.style.width, "100px");
+        });
+    });
+
+    it('rejects invalid modes', function() {
+        let element = createElement(), handle;
+
+        handle = transition.begin(element, "width 0px 100px 50ms", {engine: "js"});
+
+        assert.throws(function() {
+            handle.stop({mode: "middle"});
+        }, /Invalid mode 'middle'/);
+        handle.stop();
+        return handle.promise;
+    });
+
+});
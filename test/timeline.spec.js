@@ -0,0 +1,131 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('Timeline', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('runs the example of the README', function() {
+        let overlay = createElement(), dialog = createElement(), closeButton = createElement();
+
+        return transition.timeline()
+            .add(overlay, "opacity 0 1 20ms")
+            .add(dialog, ["transform", "scale(0.8)", "scale(1)", "30ms"], "-=10ms")
+            .add(closeButton, "opacity 0 1 15ms")
+            .play()
+            .promise.then(function(result) {
+                assert.strictEqual(result.finished, true);
+                assert.strictEqual(result.results.length, 3);
+                assert.strictEqual(overlay.style.opacity, '1');
+                assert.strictEqual(dialog.style.transform, 'scale(1)');
+                assert.strictEqual(closeButton.style.opacity, '1');
+            });
+    });
+
+    it('accepts the offset in place of the options', function() {
+        let timeline = transition.timeline(), element = createElement();
+
+        timeline.add(element, "opacity 0 1 100ms").add(element, "width 0px 10px 50ms", "-=20ms").add(element, "height 0px 10px", 30);
+
+        assert.strictEqual(timeline.steps[1].start, 80);
+        assert.strictEqual(timeline.steps[2].start, 30);
+    });
+
+    it('applies the time scale to offsets and durations when played', function() {
+        let timeline = transition.timeline(), element = createElement(), handle;
+
+        timeline.add(element, "opacity 0 1 100ms").add(element, "width 0px 10px 50ms", "+=20ms");
+        transition.timeScale = 2;
+        try {
+            handle = timeline.play();
+        } finally {
+            transition.timeScale = 1;
+        }
+        handle.stop();
+
+        assert.strictEqual(timeline.steps[1].start, 240);
+        assert.strictEqual(timeline.steps[1].duration, 100);
+        assert.strictEqual(timeline.duration, 340);
+        return handle.promise;
+    });
+
+    it('transitions every element of a selector and staggers them', function() {
+        let elements = [createElement(), createElement()], timeline = transition.timeline();
+
+        elements.forEach(function(element) {
+            element.className = 'item';
+        });
+        timeline.add('.item', "opacity 0 1 20ms", {stagger: "10ms"}).add(elements[0], "width 0px 10px 10ms");
+
+        assert.strictEqual(timeline.steps[1].start, 30);
+        return timeline.play().promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.deepStrictEqual(result.results[0].elements, elements);
+            assert.strictEqual(result.results[0].results.length, 2);
+            elements.forEach(function(element) {
+                assert.strictEqual(element.style.opacity, '1');
+            });
+            assert.strictEqual(elements[0].style.width, '10px');
+        });
+    });
+
+    it('sets the "to" values of every element of a step that did not begin when stopped at the end', function() {
+        let elements = [createElement(), createElement()], handle;
+
+        handle = transition.timeline()
+            .add(document.body.childNodes, "opacity 0 1 20ms", 1000)
+            .play();
+        handle.stop({mode: "end"});
+
+        return handle.promise.then(function(result) {
+            assert.strictEqual(result.results[0].results.length, 2);
+            elements.forEach(function(element) {
+                assert.strictEqual(element.style.opacity, '1');
+            });
+        });
+    });
+
+    it('rejects steps after the end of a step that repeats infinitely', function() {
+        let timeline = transition.timeline(), element = createElement();
+
+        timeline.add(element, "opacity 0 1 20ms", {repeat: Infinity});
+
+        assert.throws(function() {
+            timeline.add(element, "height 0px 10px 20ms");
+        }, /repeats infinitely/);
+        timeline.add(element, "width 0px 10px 20ms", "<");
+        assert.throws(function() {
+            timeline.add(element, "height 0px 10px 20ms", "+=10ms");
+        }, /repeats infinitely/);
+        assert.strictEqual(timeline.steps.length, 2);
+    });
+
+    it('sets the resolved "to" values of steps that did not begin when stopped at the end', function() {
+        let element = createElement(), handle;
+
+        element.style.width = '10px';
+        handle = transition.timeline()
+            .add(element, "opacity 0 1 20ms")
+            .add(element, {property: "width", to: "+=50px"}, {duration: "20ms"}, 1000)
+            .add(element, {property: "height", to: function() {
+                return "30px";
+            }}, {duration: "20ms"}, 1000)
+            .play();
+        handle.stop({mode: "end"});
+
+        return handle.promise.then(function(result) {
+            assert.strictEqual(result.finished, false);
+            assert.strictEqual(element.style.width, '60px');
+            assert.strictEqual(element.style.height, '30px');
+        });
+    });
+
+});
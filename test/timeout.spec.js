@@ -0,0 +1,82 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+// jsdom does not run CSS transitions, so properties of the css engine never receive their transitionend events
+describe('Safety timeout', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('finishes properties whose transitionend event is not received in time', function() {
+        let element = createElement(), timedOut = [];
+
+        return transition.begin(element, {
+            property: "opacity",
+            from: "0",
+            to: "1",
+            duration: "30ms",
+            onTransitionEnd: function(element, finished, propertyTimedOut) {
+                timedOut.push(propertyTimedOut);
+            }
+        }, {engine: "css", timeoutGracePeriod: "20ms"}).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.deepStrictEqual(result.timedOutProperties, ["opacity"]);
+            assert.strictEqual(element.style.opacity, "1");
+            return wait(0);
+        }).then(function() {
+            assert.deepStrictEqual(timedOut, [true]);
+        });
+    });
+
+    it('finishes properties of detached elements', function() {
+        let element = createElement();
+
+        document.body.removeChild(element);
+
+        // "0" and "0px" are different values but the computed value does not change
+        return transition.begin(element, "width 0 0px 20ms", {
+            engine: "css",
+            timeoutGracePeriod: 0
+        }).promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.deepStrictEqual(result.timedOutProperties, ["width"]);
+        });
+    });
+
+    it('does not report properties that finished in time', function() {
+        return transition.begin(createElement(), "opacity 0 1 20ms", {engine: "js"}).promise.then(function(result) {
+            assert.deepStrictEqual(result.timedOutProperties, []);
+        });
+    });
+
+    it('waits for the transitionend events when the grace period is false', function() {
+        let handle = transition.begin(createElement(), "opacity 0 1 20ms", {engine: "css", timeoutGracePeriod: false}),
+            ended = false;
+
+        handle.promise.then(function() {
+            ended = true;
+        });
+
+        return wait(150).then(function() {
+            assert.strictEqual(ended, false);
+            handle.stop();
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+        });
+    });
+
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('Motion tokens', function() {
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+        transition.registerTokens({
+            durations: {fast: "150ms"},
+            easings: {emphasized: "cubic-bezier(0.05, 0.7, 0.1, 1)"}
+        });
+    });
+
+    it('resolves the built-in tokens of properties', function() {
+        let property = new transition.TransitionProperty("opacity 0 1 fast emphasized");
+
+        assert.strictEqual(property.duration, "150ms");
+        assert.strictEqual(property.timingFunction, "cubic-bezier(0.05, 0.7, 0.1, 1)");
+
+        property = new transition.TransitionProperty({
+            property: "opacity",
+            to: "1",
+            duration: "slow",
+            delay: "instant",
+            timingFunction: "standard"
+        });
+        assert.strictEqual(property.duration, "500ms");
+        assert.strictEqual(property.delay, "0ms");
+        assert.strictEqual(property.timingFunction, "cubic-bezier(0.2, 0, 0, 1)");
+    });
+
+    it('replaces tokens and resolves registered ones', function() {
+        let property;
+
+        transition.registerTokens({
+            durations: {fast: "120ms", page: 450},
+            easings: {emphasized: "ease-in", pop: transition.spring({stiffness: 200})}
+        });
+        property = new transition.TransitionProperty("opacity 0 1 fast emphasized");
+
+        assert.strictEqual(property.duration, "120ms");
+        assert.strictEqual(property.timingFunction, "ease-in");
+        assert.strictEqual(new transition.TransitionProperty({property: "opacity", to: "1", duration: "page"}).duration,
+            "450ms");
+        assert.ok(/^(linear|cubic-bezier)\(/.test(new transition.TransitionProperty({
+            property: "opacity",
+            to: "1",
+            timingFunction: "pop"
+        }).timingFunction));
+    });
+
+    it('resolves tokens of options when the transition is created', function() {
+        let element = createElement(), handle;
+
+        transition.registerTokens({durations: {fast: "10ms"}});
+        handle = transition.begin(element, "opacity 0 1", {engine: "js", duration: "fast"});
+        transition.registerTokens({durations: {fast: "150ms"}});
+
+        return handle.promise.then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.opacity, "1");
+        });
+    });
+
+    it('rejects unknown durations and invalid tokens', function() {
+        assert.throws(function() {
+            transition.begin(createElement(), "opacity 0 1", {duration: "slowish"});
+        }, /Invalid duration 'slowish'/);
+        assert.throws(function() {
+            new transition.TransitionProperty({property: "opacity", to: "1", delay: "later"});
+        }, /Invalid delay 'later'/);
+        assert.throws(function() {
+            transition.registerTokens({durations: {"1fast": "100ms"}});
+        }, /Invalid token name '1fast'/);
+        assert.throws(function() {
+            transition.registerTokens({durations: {quick: "fast"}});
+        }, /Invalid duration 'fast' of token 'quick'/);
+        assert.throws(function() {
+            transition.registerTokens({easings: {snappy: 5}});
+        }, /Invalid timing function '5' of token 'snappy'/);
+    });
+
+});
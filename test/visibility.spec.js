@@ -0,0 +1,80 @@
+const assert = require('assert');
+const transition = require('../src/transition');
+
+function createElement() {
+    let element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('transition.toggle', function() {
+    let options = {engine: "js", duration: "20ms"};
+
+    afterEach(function() {
+        document.body.innerHTML = '';
+    });
+
+    it('collapses the element shown by expand', function() {
+        let element = createElement();
+
+        element.style.height = "40px";
+        return transition.toggle(element, "expand", options).promise.then(function() {
+            assert.strictEqual(element.style.height, "0px");
+            assert.strictEqual(element.style.display, "none");
+            return transition.toggle(element, "expand", options).promise;
+        }).then(function() {
+            assert.strictEqual(element.style.height, "auto");
+            assert.strictEqual(element.style.display, "");
+        });
+    });
+
+    it('expands the element hidden by collapse', function() {
+        let element = createElement();
+
+        element.style.height = "0px";
+        element.style.display = "none";
+        return transition.toggle(element, "collapse", options).promise.then(function() {
+            assert.strictEqual(element.style.display, "");
+            return transition.toggle(element, "collapse", options).promise;
+        }).then(function() {
+            assert.strictEqual(element.style.height, "auto");
+            assert.strictEqual(element.style.display, "none");
+        });
+    });
+
+    it('reverses fadeOut and zoomOut by their counterparts', function() {
+        let faded = createElement(), zoomed = createElement(), handles;
+
+        handles = [
+            transition.toggle(faded, {effect: "fadeOut", opacity: 0.2}, options),
+            transition.toggle(zoomed, "zoomOut", options)
+        ];
+
+        return wait(5).then(function() {
+            assert.ok(parseFloat(faded.style.opacity) < 1);
+            assert.ok(parseFloat(zoomed.style.opacity) < 1);
+            return Promise.all([handles[0].promise, handles[1].promise]);
+        }).then(function() {
+            assert.strictEqual(faded.style.opacity, "1");
+            assert.strictEqual(zoomed.style.opacity, "1");
+            assert.strictEqual(zoomed.style.transform, "scale(1)");
+        });
+    });
+
+    it('reverses properties without "from" value from their current values', function() {
+        let element = createElement();
+
+        element.style.opacity = "1";
+        return transition.toggle(element, {property: "opacity", to: "0.5"}, options).promise.then(function() {
+            assert.strictEqual(element.style.opacity, "1");
+            assert.strictEqual(element.style.display, "none");
+        });
+    });
+
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const utils = require('../src/utils');
+const transition = require('../src/transition');
+
+// Minimal Animation playing on real timers, enough to check how the engine drives it
+function FakeAnimation(element, keyframes, options) {
+    this.keyframes = keyframes;
+    this.options = options;
+    this.playbackRate = 1;
+    this.playState = "running";
+    this.holdTime = null;
+    this.startTime = utils.now();
+    this.onfinish = null;
+    this.oncancel = null;
+    this.calls = [];
+    this.effect = {
+        getTiming: function() {
+            return {delay: options.delay, duration: options.duration};
+        }
+    };
+    this.scheduleFinish();
+}
+
+FakeAnimation.prototype = {
+    get currentTime() {
+        return this.holdTime !== null ? this.holdTime : (utils.now() - this.startTime) * this.playbackRate;
+    },
+    set currentTime(time) {
+        this.calls.push("currentTime");
+        if (this.playState === "paused") {
+            this.holdTime = time;
+        } else {
+            this.startTime = utils.now() - time / this.playbackRate;
+            this.scheduleFinish();
+        }
+    },
+    scheduleFinish: function() {
+        let animation = this;
+        window.clearTimeout(this.timeout);
+        this.timeout = window.setTimeout(function() {
+            animation.playState = "finished";
+            if (animation.onfinish) {
+                animation.onfinish();
+            }
+        }, Math.max((this.options.delay + this.options.duration - this.currentTime) / this.playbackRate, 0));
+    },
+    pause: function() {
+        this.calls.push("pause");
+        this.holdTime = this.currentTime;
+        this.playState = "paused";
+        window.clearTimeout(this.timeout);
+    },
+    play: function() {
+        this.calls.push("play");
+        this.startTime = utils.now() - this.holdTime / this.playbackRate;
+        this.holdTime = null;
+        this.playState = "running";
+        this.scheduleFinish();
+    },
+    cancel: function() {
+        this.calls.push("cancel");
+        this.playState = "idle";
+        window.clearTimeout(this.timeout);
+        if (this.oncancel) {
+            this.oncancel();
+        }
+    }
+};
+
+function wait(time) {
+    return new Promise(function(resolve) {
+        window.setTimeout(resolve, time);
+    });
+}
+
+describe('waapi engine', function() {
+    let animations, element, hasWebAnimations = utils.hasWebAnimations;
+
+    beforeEach(function() {
+        animations = [];
+        utils.hasWebAnimations = true;
+        window.HTMLElement.prototype.animate = function(keyframes, options) {
+            let animation = new FakeAnimation(this, keyframes, options);
+            animations.push(animation);
+            return animation;
+        };
+        element = document.createElement('div');
+        document.body.appendChild(element);
+    });
+
+    afterEach(function() {
+        utils.hasWebAnimations = hasWebAnimations;
+        delete window.HTMLElement.prototype.animate;
+        document.body.innerHTML = '';
+    });
+
+    it('animates the unprefixed property in camel case', function() {
+        return transition.begin(element, "background-color red blue 20ms", {engine: "waapi"}).promise.then(function() {
+            assert.deepStrictEqual(animations[0].keyframes, [{backgroundColor: "red"}, {backgroundColor: "blue"}]);
+            assert.strictEqual(element.style.backgroundColor, "blue");
+        });
+    });
+
+    it('calls onTransitionStart once the delay of the animation ends', function() {
+        let started = 0;
+
+        return transition.begin(element, "opacity 0 1 20ms 20ms", {
+            engine: "waapi",
+            onTransitionStart: function() {
+                started++;
+            }
+        }).promise.then(function() {
+            assert.strictEqual(started, 1);
+        });
+    });
+
+    it('pauses, resumes, seeks and rescales the running animation', function() {
+        let handle = transition.begin(element, "opacity 0 1 200ms", {engine: "waapi"});
+
+        return wait(30).then(function() {
+            handle.pause();
+            handle.seek(0.5);
+            assert.strictEqual(animations[0].currentTime, 100);
+            handle.resume();
+            handle.setPlaybackRate(4);
+            assert.strictEqual(animations[0].playbackRate, 4);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(animations.length, 1);
+            assert.deepStrictEqual(animations[0].calls, ["pause", "currentTime", "play"]);
+        });
+    });
+
+    it('plays the reversed segment of a paused transition once resumed', function() {
+        let handle = transition.begin(element, "opacity 0 1 200ms", {engine: "waapi"});
+
+        return wait(30).then(function() {
+            handle.pause();
+            handle.reverse();
+            assert.deepStrictEqual(animations[0].calls, ["pause", "cancel"]);
+            handle.resume();
+            assert.strictEqual(animations.length, 2);
+            assert.strictEqual(animations[1].keyframes[1].opacity, "0");
+            assert.ok(animations[1].options.duration < 100);
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, true);
+            assert.strictEqual(element.style.opacity, "0");
+        });
+    });
+
+    it('cancels the transition when the animation is cancelled by others', function() {
+        let cancelled = false, handle = transition.begin(element, "opacity 0 1 200ms", {
+            engine: "waapi",
+            onTransitionCancel: function() {
+                cancelled = true;
+            }
+        });
+
+        return wait(30).then(function() {
+            animations[0].cancel();
+            return handle.promise;
+        }).then(function(result) {
+            assert.strictEqual(result.finished, false);
+            assert.strictEqual(cancelled, true);
+        });
+    });
+
+});